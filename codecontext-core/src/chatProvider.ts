@@ -11,6 +11,8 @@ export class CodeContextChatProvider implements vscode.WebviewViewProvider {
     
     private _view?: vscode.WebviewView;
     private _messageHistory: Array<{role: 'user' | 'assistant', content: string}> = [];
+    // Follow-ups in this chat continue the same stored conversation
+    private _conversationId?: string;
     private _context?: vscode.ExtensionContext;
 
     constructor(
@@ -83,11 +85,15 @@ export class CodeContextChatProvider implements vscode.WebviewViewProvider {
                 message,
                 projectContext: projectContext || undefined,
                 executionRequired: true,
-                memoryRetrieval: true
+                memoryRetrieval: true,
+                conversationId: this._conversationId,
+                codeContextFiles: this.getOpenFiles(),
+                recallProjectIds: vscode.workspace.getConfiguration('codecontext').get<string[]>('recallProjects', [])
             };
 
             // Get AI response
             const response = await this._aiManager.enhancedChat(request);
+            this._conversationId = response.conversationId;
 
             // Add assistant response to history
             this._messageHistory.push({ 
@@ -152,6 +158,7 @@ export class CodeContextChatProvider implements vscode.WebviewViewProvider {
 
     private clearChat() {
         this._messageHistory = [];
+        this._conversationId = undefined;
         this.updateChat();
     }
 
@@ -162,6 +169,12 @@ export class CodeContextChatProvider implements vscode.WebviewViewProvider {
         });
     }
 
+    // The file being edited, so decisions anchored to it are recalled
+    private getOpenFiles(): string[] | undefined {
+        const document = vscode.window.activeTextEditor?.document;
+        return document && document.uri.scheme === 'file' ? [document.uri.fsPath] : undefined;
+    }
+
     private async getProjectContext() {
         const workspaceFolders = vscode.workspace.workspaceFolders;
         if (!workspaceFolders) return null;
@@ -169,7 +182,7 @@ export class CodeContextChatProvider implements vscode.WebviewViewProvider {
         const workspaceRoot = workspaceFolders[0].uri.fsPath;
         
         return {
-            projectId: vscode.workspace.name || 'unknown',
+            projectId: this._aiManager.getProjectId(),
             workingDirectory: workspaceRoot,
             techStack: [], // TODO: Infer from package.json
             dependencies: {},
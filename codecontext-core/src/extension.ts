@@ -8,6 +8,13 @@ import { CodeContextChatProvider } from './chatProvider';
 import { CodeContextMemoryProvider } from './memoryProvider';
 import { CodeContextExecutionProvider } from './executionProvider';
 import { MemoryEngine } from './services/memoryEngine';
+import { HashingEmbedder } from './services/embeddings';
+import { FileWatcher } from './services/fileWatcher';
+import { compileDecisionPatterns } from './services/gitHistory';
+import { ADR_STATUSES, AdrStatus, formatAdrNumber } from './services/adr';
+import { RetentionPolicy, hasRetentionLimits } from './services/retention';
+import { FieldCipher } from './services/fieldCipher';
+import { CustomRedactionRule, Redactor } from './services/redaction';
 import { ExecutionEngine } from './services/mockExecutionEngine';
 import AIProviderManager from './services/aiProviderManager';
 import { TrialManager } from './services/trialManager';
@@ -138,6 +145,60 @@ async function initializeServices(context: vscode.ExtensionContext) {
         memoryEngine = new MemoryEngine(workspaceRoot);
         await memoryEngine.initialize();
 
+        // A workspace moved before project id files existed starts out empty;
+        // offer it the memory left under its old path
+        offerMovedProject(context).catch(error => {
+            console.warn('⚠️ Moved project check failed:', error);
+        });
+
+        // Semantic recall runs on a local embedder, nothing leaves the machine
+        const config = vscode.workspace.getConfiguration('codecontext');
+
+        // Secrets are redacted before anything is written
+        const redaction = vscode.workspace.getConfiguration('codecontext.redaction');
+        memoryEngine.setRedactor(redaction.get<boolean>('enabled', true)
+            ? Redactor.fromConfig({
+                disabledRules: redaction.get<string[]>('disabledRules', []),
+                customRules: redaction.get<CustomRedactionRule[]>('customRules', [])
+            })
+            : null);
+
+        // Field-level encryption at rest when a key is configured
+        try {
+            memoryEngine.setCipher(await loadCipher());
+        } catch (error) {
+            vscode.window.showErrorMessage(`❌ Could not load the memory encryption key: ${error instanceof Error ? error.message : error}`);
+        }
+        if (config.get<string>('embeddingBackend', 'hashing') === 'hashing') {
+            memoryEngine.setEmbedder(new HashingEmbedder());
+            memoryEngine.backfillEmbeddings().catch(error => {
+                console.warn('⚠️ Embedding backfill failed:', error);
+            });
+        }
+
+        // Offer to enforce retention limits; nothing is removed until the
+        // user has seen what would go
+        const retention = getRetentionPolicy();
+        if (hasRetentionLimits(retention)) {
+            confirmPrune(retention, false).catch(error => {
+                console.warn('⚠️ Memory pruning failed:', error);
+            });
+        }
+
+        // Record file changes incrementally instead of rescanning the workspace
+        const fileWatcher = new FileWatcher(memoryEngine);
+        const workspaceWatcher = vscode.workspace.createFileSystemWatcher('**/*');
+        context.subscriptions.push(
+            workspaceWatcher,
+            workspaceWatcher.onDidCreate(uri => fileWatcher.notify(uri.fsPath)),
+            workspaceWatcher.onDidChange(uri => fileWatcher.notify(uri.fsPath)),
+            workspaceWatcher.onDidDelete(uri => fileWatcher.notify(uri.fsPath)),
+            { dispose: () => fileWatcher.dispose() }
+        );
+        memoryEngine.performInitialScan().catch(error => {
+            console.warn('⚠️ Initial file scan failed:', error);
+        });
+
         // Initialize execution engine
         const sandboxPath = vscode.Uri.joinPath(context.globalStorageUri, 'sandbox').fsPath;
         executionEngine = new ExecutionEngine(sandboxPath);
@@ -146,7 +207,6 @@ async function initializeServices(context: vscode.ExtensionContext) {
         aiManager = new AIProviderManager(memoryEngine, executionEngine);
 
         // Load configuration and initialize providers
-        const config = vscode.workspace.getConfiguration('codecontext');
         const anthropicKey = config.get<string>('anthropicApiKey');
         const openaiKey = config.get<string>('openaiApiKey');
         const defaultProvider = config.get<'claude' | 'gpt'>('defaultProvider') || 'claude';
@@ -155,10 +215,16 @@ async function initializeServices(context: vscode.ExtensionContext) {
             await aiManager.initializeProviders({
                 anthropicKey,
                 openaiKey,
-                defaultProvider
+                defaultProvider,
+                providerSummaries: config.get<boolean>('providerSummaries', false)
             });
         }
 
+        // Summarize conversations stored before summaries existed or that have grown since
+        memoryEngine.summarizeStaleConversations().catch(error => {
+            console.warn('⚠️ Conversation summarization failed:', error);
+        });
+
         console.log('✅ CodeContext Pro services initialized');
     } catch (error) {
         console.error('❌ Failed to initialize CodeContext Pro services:', error);
@@ -271,8 +337,20 @@ function registerCommands(context: vscode.ExtensionContext) {
     context.subscriptions.push(
         vscode.commands.registerCommand('codecontext.exportMemory', async () => {
             await FeatureGuard.executeProtectedCommand(context, async () => {
-                // TODO: Implement memory export functionality
-                vscode.window.showInformationMessage('Memory export feature coming soon in Pro version!');
+                const target = await vscode.window.showSaveDialog({
+                    defaultUri: vscode.Uri.file(`${vscode.workspace.name || 'project'}-memory.json`),
+                    filters: { 'CodeContext Memory Bundle': ['json'] }
+                });
+                if (!target) return;
+
+                try {
+                    const bundle = await memoryEngine.exportMemoryToFile(target.fsPath);
+                    vscode.window.showInformationMessage(
+                        `📤 Exported ${bundle.tables.conversations.length} conversations and ${bundle.tables.architectural_decisions.length} decisions`
+                    );
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Memory export failed: ${error instanceof Error ? error.message : error}`);
+                }
             }, 'Memory Export');
         })
     );
@@ -281,11 +359,422 @@ function registerCommands(context: vscode.ExtensionContext) {
     context.subscriptions.push(
         vscode.commands.registerCommand('codecontext.importMemory', async () => {
             await FeatureGuard.executeProtectedCommand(context, async () => {
-                // TODO: Implement memory import functionality
-                vscode.window.showInformationMessage('Memory import feature coming soon in Pro version!');
+                const [source] = await vscode.window.showOpenDialog({
+                    canSelectMany: false,
+                    filters: { 'CodeContext Memory Bundle': ['json'] }
+                }) || [];
+                if (!source) return;
+
+                const choice = await vscode.window.showQuickPick([
+                    { label: 'Skip existing', description: 'Keep local records when ids collide', strategy: 'skip' as const },
+                    { label: 'Overwrite existing', description: 'Replace local records with imported ones', strategy: 'overwrite' as const },
+                    { label: 'Merge', description: 'Fill in empty local fields from the import', strategy: 'merge' as const }
+                ], { placeHolder: 'How should records that already exist be handled?' });
+                if (!choice) return;
+
+                try {
+                    const result = await memoryEngine.importMemoryFromFile(source.fsPath, { conflict: choice.strategy });
+                    vscode.window.showInformationMessage(
+                        `📥 Imported ${result.inserted} records (${result.skipped} skipped, ${result.overwritten} overwritten, ${result.merged} merged)`
+                    );
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Memory import failed: ${error instanceof Error ? error.message : error}`);
+                }
             }, 'Memory Import');
         })
     );
+
+    // Prune Memory Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.pruneMemory', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                const policy = getRetentionPolicy();
+                if (!hasRetentionLimits(policy)) {
+                    vscode.window.showInformationMessage('No retention limits are configured. Set codecontext.retention.* to enable pruning.');
+                    return;
+                }
+
+                try {
+                    if (!await confirmPrune(policy, true)) {
+                        vscode.window.showInformationMessage('🧹 Nothing to prune under the current retention limits.');
+                    }
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Memory pruning failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Memory Pruning');
+        })
+    );
+
+    // Encrypt Memory Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.encryptMemory', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                try {
+                    let cipher = await loadCipher();
+                    if (!cipher) {
+                        const action = await vscode.window.showWarningMessage(
+                            'No encryption key is configured. Generate a key file now?',
+                            { modal: true },
+                            'Generate Key File'
+                        );
+                        if (action !== 'Generate Key File') return;
+
+                        const keyFile = vscode.Uri.joinPath(context.globalStorageUri, 'keys', `${vscode.workspace.name || 'project'}.key`).fsPath;
+                        await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(context.globalStorageUri, 'keys'));
+                        await vscode.workspace.fs.writeFile(vscode.Uri.file(keyFile), Buffer.from(`${FieldCipher.generateKey()}\n`));
+                        await vscode.workspace.getConfiguration('codecontext.encryption').update('keyFile', keyFile, vscode.ConfigurationTarget.Workspace);
+                        cipher = await loadCipher();
+                    }
+
+                    memoryEngine.setCipher(cipher);
+                    const result = await vscode.window.withProgress(
+                        { location: vscode.ProgressLocation.Notification, title: 'Encrypting memory...' },
+                        () => memoryEngine.applyEncryption()
+                    );
+                    vscode.window.showInformationMessage(
+                        `🔐 Encrypted ${result.encrypted} fields and re-keyed ${result.rotated}. Keep your key file safe; memory cannot be read without it.`
+                    );
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Memory encryption failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Memory Encryption');
+        })
+    );
+
+    // Import Git History Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.importGitHistory', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                const patterns = vscode.workspace.getConfiguration('codecontext').get<string[]>('gitDecisionPatterns', []);
+
+                try {
+                    const result = await vscode.window.withProgress(
+                        { location: vscode.ProgressLocation.Notification, title: 'Importing git history...' },
+                        () => memoryEngine.importGitHistory({
+                            decisionPatterns: patterns.length > 0 ? compileDecisionPatterns(patterns) : undefined
+                        })
+                    );
+                    vscode.window.showInformationMessage(
+                        `🕰️ Imported ${result.commits} commits (${result.fileChanges} file changes, ${result.proposedDecisions} proposed decisions)`
+                    );
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Git history import failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Git History Import');
+        })
+    );
+
+    // Export ADRs Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.exportAdrs', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                try {
+                    const written = await memoryEngine.exportAdrs();
+                    vscode.window.showInformationMessage(`📝 Wrote ${written.length} ADRs to docs/adr`);
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ ADR export failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'ADR Export');
+        })
+    );
+
+    // Import ADRs Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.importAdrs', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                const [source] = await vscode.window.showOpenDialog({
+                    canSelectFiles: false,
+                    canSelectFolders: true,
+                    canSelectMany: false,
+                    openLabel: 'Import ADRs'
+                }) || [];
+                if (!source) return;
+
+                try {
+                    const result = await memoryEngine.importAdrs(source.fsPath);
+                    vscode.window.showInformationMessage(`📥 Imported ${result.imported} ADRs (${result.updated} updated)`);
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ ADR import failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'ADR Import');
+        })
+    );
+
+    // Set Decision Status Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.setDecisionStatus', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                try {
+                    const decisions = (await memoryEngine.getDecisions()).map(decision => ({
+                        label: `ADR-${formatAdrNumber(decision.adrNumber || 0)}: ${decision.decision.split('\n')[0]}`,
+                        description: decision.status,
+                        id: decision.id
+                    }));
+                    if (decisions.length === 0) {
+                        vscode.window.showInformationMessage('No architectural decisions recorded yet.');
+                        return;
+                    }
+
+                    const decision = await vscode.window.showQuickPick(decisions, { placeHolder: 'Which decision?' });
+                    if (!decision) return;
+
+                    const status = await vscode.window.showQuickPick(ADR_STATUSES, { placeHolder: `New status for ${decision.label}` }) as AdrStatus | undefined;
+                    if (!status) return;
+
+                    let replacement: typeof decision | undefined;
+                    if (status === 'superseded') {
+                        replacement = await vscode.window.showQuickPick(
+                            decisions.filter(other => other.id !== decision.id),
+                            { placeHolder: 'Which decision replaces it?' }
+                        );
+                        if (!replacement) return;
+                    }
+
+                    await memoryEngine.setDecisionStatus(decision.id, status, replacement?.id);
+                    vscode.window.showInformationMessage(`🏛️ ${decision.label} is now ${status}`);
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Updating decision status failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Decision Status');
+        })
+    );
+
+    // Anchor Decision Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.anchorDecision', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                const editor = vscode.window.activeTextEditor;
+                if (!editor || editor.document.uri.scheme !== 'file') {
+                    vscode.window.showInformationMessage('Open the file the decision applies to first.');
+                    return;
+                }
+
+                try {
+                    const decisions = (await memoryEngine.getDecisions({ status: ['accepted', 'proposed'] })).map(decision => ({
+                        label: `ADR-${formatAdrNumber(decision.adrNumber || 0)}: ${decision.decision.split('\n')[0]}`,
+                        id: decision.id
+                    }));
+                    const decision = await vscode.window.showQuickPick(decisions, { placeHolder: 'Which decision applies to this file?' });
+                    if (!decision) return;
+
+                    // A selected identifier narrows the anchor to that symbol
+                    const selected = editor.document.getText(editor.selection).trim();
+                    const symbol = /^[A-Za-z_$][\w$]*$/.test(selected) ? selected : undefined;
+
+                    await memoryEngine.anchorDecision(decision.id, [{ filePath: editor.document.uri.fsPath, symbol }]);
+                    vscode.window.showInformationMessage(
+                        `⚓ ${decision.label} anchored to ${symbol || vscode.workspace.asRelativePath(editor.document.uri)}`
+                    );
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Anchoring decision failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Decision Anchoring');
+        })
+    );
+
+    // Check Decision Drift Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.checkDecisionDrift', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                try {
+                    const drifts = await memoryEngine.checkDecisionDrift();
+                    if (drifts.length === 0) {
+                        vscode.window.showInformationMessage('✅ Code anchored to decisions has not drifted.');
+                        return;
+                    }
+
+                    const picked = await vscode.window.showQuickPick(drifts.map(drift => ({
+                        label: `${drift.anchor.filePath}${drift.anchor.symbol ? `#${drift.anchor.symbol}` : ''}`,
+                        description: drift.reason === 'changed' && drift.similarity !== undefined
+                            ? `changed, ${Math.round(drift.similarity * 100)}% similar`
+                            : drift.reason + (drift.currentPath ? ` to ${drift.currentPath}` : ''),
+                        detail: drift.decision,
+                        drift
+                    })), { placeHolder: `${drifts.length} anchors drifted from their decisions. Pick one to review.` });
+                    if (!picked) return;
+
+                    const { drift } = picked;
+                    const filePath = drift.currentPath || drift.anchor.filePath;
+                    const action = await vscode.window.showInformationMessage(
+                        `"${drift.decision}" was anchored to ${picked.label}, which has ${picked.description}.`,
+                        ...(drift.reason === 'deleted' ? ['Remove Anchor'] : ['Open File', 'Still Applies'])
+                    );
+                    if (action === 'Open File') {
+                        await vscode.window.showTextDocument(vscode.Uri.joinPath(vscode.workspace.workspaceFolders![0].uri, filePath));
+                    } else if (action === 'Still Applies') {
+                        await memoryEngine.anchorDecision(drift.decisionId, [{ filePath, symbol: drift.anchor.symbol }]);
+                        if (filePath !== drift.anchor.filePath) {
+                            await memoryEngine.removeDecisionAnchor(drift.decisionId, drift.anchor);
+                        }
+                        vscode.window.showInformationMessage(`⚓ Re-anchored to the current ${filePath}`);
+                    } else if (action === 'Remove Anchor') {
+                        await memoryEngine.removeDecisionAnchor(drift.decisionId, drift.anchor);
+                    }
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Decision drift check failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Decision Drift');
+        })
+    );
+
+    // Manage Projects Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.manageProjects', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                try {
+                    const current = memoryEngine.getProjectId();
+                    const projects = await memoryEngine.listProjects();
+                    const picked = await vscode.window.showQuickPick([
+                        ...projects.map(project => ({
+                            label: `${project.id === current ? '$(check) ' : ''}${project.name}`,
+                            description: project.missing ? `${project.rootPath} (missing)` : project.rootPath,
+                            project
+                        })),
+                        { label: '$(add) Add Project Folder...', description: 'e.g. a package in a monorepo', project: undefined }
+                    ], { placeHolder: 'Projects with memory in this workspace' });
+                    if (!picked) return;
+
+                    if (!picked.project) {
+                        const [folder] = await vscode.window.showOpenDialog({ canSelectFiles: false, canSelectFolders: true, openLabel: 'Add Project' }) || [];
+                        if (!folder) return;
+                        const added = await memoryEngine.registerProject(folder.fsPath);
+                        vscode.window.showInformationMessage(`🗂️ Registered project ${added.name}`);
+                        return;
+                    }
+
+                    const project = picked.project;
+                    const action = await vscode.window.showQuickPick(
+                        project.id === current ? ['Rename', 'Relocate'] : ['Switch To', 'Rename', 'Relocate'],
+                        { placeHolder: project.name }
+                    );
+
+                    if (action === 'Switch To') {
+                        await memoryEngine.useProject(project.id);
+                        memoryEngine.performInitialScan().catch(error => {
+                            console.warn('⚠️ Initial file scan failed:', error);
+                        });
+                        vscode.window.showInformationMessage(`🗂️ Memory is now recorded for ${project.name}`);
+                    } else if (action === 'Rename') {
+                        const name = await vscode.window.showInputBox({ prompt: 'Project name', value: project.name });
+                        if (!name) return;
+                        await memoryEngine.renameProject(project.id, name);
+                        vscode.window.showInformationMessage(`🗂️ Renamed ${project.name} to ${name}`);
+                    } else if (action === 'Relocate') {
+                        const [folder] = await vscode.window.showOpenDialog({ canSelectFiles: false, canSelectFolders: true, openLabel: 'Relocate Here' }) || [];
+                        if (!folder) return;
+                        const moved = await memoryEngine.relocateProject(project.id, folder.fsPath);
+                        vscode.window.showInformationMessage(`🗂️ ${moved.name} now lives at ${moved.rootPath}`);
+                    }
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Project update failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Project Management');
+        })
+    );
+
+    // Select Recall Projects Command - License Protected
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codecontext.selectRecallProjects', async () => {
+            await FeatureGuard.executeProtectedCommand(context, async () => {
+                try {
+                    const config = vscode.workspace.getConfiguration('codecontext');
+                    const selected = new Set(config.get<string[]>('recallProjects', []));
+                    const others = (await memoryEngine.listProjects()).filter(project => project.id !== memoryEngine.getProjectId());
+                    if (others.length === 0) {
+                        vscode.window.showInformationMessage('No other projects are registered. Add one with "Manage Projects".');
+                        return;
+                    }
+
+                    const picked = await vscode.window.showQuickPick(others.map(project => ({
+                        label: project.name,
+                        description: project.rootPath,
+                        picked: selected.has(project.id),
+                        id: project.id
+                    })), { canPickMany: true, placeHolder: 'Also recall memory from these projects' });
+                    if (!picked) return;
+
+                    await config.update('recallProjects', picked.map(item => item.id), vscode.ConfigurationTarget.Workspace);
+                    vscode.window.showInformationMessage(
+                        picked.length > 0 ? `🔭 Recalling from ${picked.length + 1} projects` : '🔭 Recalling from this project only'
+                    );
+                } catch (error) {
+                    vscode.window.showErrorMessage(`❌ Selecting recall projects failed: ${error instanceof Error ? error.message : error}`);
+                }
+            }, 'Recall Projects');
+        })
+    );
+}
+
+async function loadCipher(): Promise<FieldCipher | null> {
+    const keyFile = vscode.workspace.getConfiguration('codecontext.encryption').get<string>('keyFile');
+    return FieldCipher.load({ keyFile: keyFile || undefined });
+}
+
+function getRetentionPolicy(): RetentionPolicy {
+    const config = vscode.workspace.getConfiguration('codecontext.retention');
+    return {
+        maxAgeDays: config.get<number>('maxAgeDays') || undefined,
+        maxConversations: config.get<number>('maxConversations') || undefined,
+        maxDatabaseSizeMB: config.get<number>('maxDatabaseSizeMB') || undefined,
+        types: {
+            decisions: { keepForever: config.get<boolean>('keepDecisionsForever', true) }
+        }
+    };
+}
+
+/**
+ * Dry-run the policy, show what it would remove and prune only if the user
+ * confirms. Resolves to false when there is nothing to remove.
+ */
+async function confirmPrune(policy: RetentionPolicy, modal: boolean): Promise<boolean> {
+    const preview = await memoryEngine.pruneMemory(policy, { dryRun: true });
+    const removed = preview.conversationIds.length + preview.decisions + preview.fileChanges + preview.patterns;
+    if (removed === 0 && !preview.sizeLimitUnreachable) {
+        return false;
+    }
+
+    let summary = `${preview.conversationIds.length} conversations (${preview.messages} messages) will be summarized; ` +
+        `${preview.decisions} decisions, ${preview.fileChanges} file changes and ${preview.patterns} patterns will be deleted.`;
+    if (preview.sizeLimitUnreachable) {
+        summary += ` The database cannot be brought under ${policy.maxDatabaseSizeMB} MB by archiving conversations, so none are archived for size.`;
+    }
+    if (removed === 0) {
+        vscode.window.showWarningMessage(`🧹 ${summary}`);
+        return true;
+    }
+
+    const action = await vscode.window.showWarningMessage(`🧹 ${summary}`, { modal }, 'Prune');
+    if (action !== 'Prune') return true;
+
+    const result = await memoryEngine.pruneMemory(policy);
+    vscode.window.showInformationMessage(
+        `🧹 Memory pruned: ${(result.sizeBefore / 1024).toFixed(1)} KB → ${(result.sizeAfter / 1024).toFixed(1)} KB`
+    );
+    return true;
+}
+
+/**
+ * Ask whether the one project whose root has gone missing is this workspace,
+ * and relocate it here if so. Asked once per project.
+ */
+async function offerMovedProject(context: vscode.ExtensionContext): Promise<void> {
+    const moved = await memoryEngine.findMovedLegacyProject();
+    if (!moved || context.workspaceState.get<string>('codecontext.declinedMovedProject') === moved.id) return;
+
+    const action = await vscode.window.showInformationMessage(
+        `🗂️ Memory for ${moved.name} was recorded at ${moved.rootPath}, which no longer exists. Did this workspace move from there?`,
+        'Use Its Memory', 'No'
+    );
+    if (action !== 'Use Its Memory') {
+        await context.workspaceState.update('codecontext.declinedMovedProject', moved.id);
+        return;
+    }
+
+    const project = await memoryEngine.relocateProject(moved.id, memoryEngine.getProjectPath());
+    memoryEngine.performInitialScan().catch(error => {
+        console.warn('⚠️ Initial file scan failed:', error);
+    });
+    vscode.window.showInformationMessage(`🗂️ ${project.name} now lives at ${project.rootPath}`);
 }
 
 async function setupAIProviders() {
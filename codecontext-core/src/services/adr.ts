@@ -0,0 +1,223 @@
+/**
+ * ADR - architecture decision record lifecycle and MADR Markdown files
+ * Decisions round-trip through docs/adr/NNNN-title.md
+ */
+
+import * as path from 'path';
+
+export type AdrStatus = 'proposed' | 'accepted' | 'deprecated' | 'superseded';
+
+export const ADR_STATUSES: AdrStatus[] = ['proposed', 'accepted', 'deprecated', 'superseded'];
+
+export const ADR_DIRECTORY = path.join('docs', 'adr');
+
+// Recall score multiplier per status, so replaced decisions rank below current ones
+export const ADR_STATUS_WEIGHTS: Record<AdrStatus, number> = {
+  accepted: 1,
+  proposed: 0.8,
+  deprecated: 0.4,
+  superseded: 0.2
+};
+
+export interface AdrRecord {
+  number: number;
+  title: string;
+  status: AdrStatus;
+  date?: Date;
+  rationale: string;
+  alternatives: string[];
+  impact: string[];
+  filesAffected: string[];
+  /** ADR number of the record that replaces this one */
+  supersededBy?: number;
+  supersedes?: number[];
+  /** Header lines other than Status and Date, e.g. "* Deciders: ..." */
+  otherMetadata?: string[];
+  /** Sections with no field of their own, kept so rewriting a file keeps them */
+  otherSections?: AdrSection[];
+}
+
+export interface AdrSection {
+  heading: string;
+  body: string;
+  /** 3 for subsections of Decision Outcome */
+  level: 2 | 3;
+  /** Level 2 sections written ahead of the options and outcome */
+  beforeOutcome?: boolean;
+}
+
+// Sections parseMadr reads into fields; the rest are kept as they are
+const MAPPED_SECTIONS = ['status', 'considered options', 'decision outcome', 'decision', 'consequences', 'affected files', 'links'];
+
+export function isAdrStatus(value: unknown): value is AdrStatus {
+  return typeof value === 'string' && (ADR_STATUSES as string[]).includes(value);
+}
+
+export function adrFileName(number: number, title: string): string {
+  const slug = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .substring(0, 60)
+    .replace(/^-+|-+$/g, '');
+  return `${formatAdrNumber(number)}-${slug || 'decision'}.md`;
+}
+
+export function formatAdrNumber(number: number): string {
+  return String(number).padStart(4, '0');
+}
+
+/**
+ * Render a record in MADR format. fileNames maps ADR numbers to file names
+ * for the supersede links.
+ */
+export function renderMadr(record: AdrRecord, fileNames: Map<number, string> = new Map()): string {
+  const link = (number: number) =>
+    `[ADR-${formatAdrNumber(number)}](${fileNames.get(number) || `${formatAdrNumber(number)}.md`})`;
+
+  const status = record.status === 'superseded' && record.supersededBy
+    ? `superseded by ${link(record.supersededBy)}`
+    : record.status;
+
+  const others = record.otherSections || [];
+  const section = (other: AdrSection) => ['', `${'#'.repeat(other.level)} ${other.heading}`, ...(other.body ? ['', other.body] : [])];
+
+  const lines = [`# ${record.title}`, '', `* Status: ${status}`];
+  if (record.date) {
+    lines.push(`* Date: ${record.date.toISOString().substring(0, 10)}`);
+  }
+  lines.push(...record.otherMetadata || []);
+
+  lines.push(...others.filter(other => other.level === 2 && other.beforeOutcome).flatMap(section));
+
+  if (record.alternatives.length > 0) {
+    lines.push('', '## Considered Options', '', ...record.alternatives.map(option => `* ${option}`));
+  }
+
+  lines.push('', '## Decision Outcome', '', record.rationale.trim() || `Chosen option: "${record.title}"`);
+
+  if (record.impact.length > 0) {
+    lines.push('', '### Consequences', '', ...record.impact.map(consequence => `* ${consequence}`));
+  }
+
+  lines.push(...others.filter(other => other.level === 3).flatMap(section));
+  lines.push(...others.filter(other => other.level === 2 && !other.beforeOutcome).flatMap(section));
+
+  if (record.filesAffected.length > 0) {
+    lines.push('', '## Affected Files', '', ...record.filesAffected.map(file => `* \`${file}\``));
+  }
+
+  if (record.supersedes?.length) {
+    lines.push('', '## Links', '', ...record.supersedes.map(number => `* Supersedes ${link(number)}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse an ADR in MADR or Nygard format. The number comes from the file
+ * name (0007-use-postgres.md); returns null for files that aren't ADRs.
+ */
+export function parseMadr(markdown: string, fileName: string): AdrRecord | null {
+  const numberMatch = /^(\d+)-/.exec(path.basename(fileName));
+  const titleMatch = /^#\s+(.+)$/m.exec(markdown);
+  if (!numberMatch || !titleMatch) {
+    return null;
+  }
+
+  const sections = splitSections(markdown);
+  const statusText = (/^[*-]?\s*Status:\s*(.+)$/im.exec(markdown)?.[1] || firstLine(sections.get('status')) || '').trim();
+  const dateText = /^[*-]?\s*Date:\s*(\d{4}-\d{2}-\d{2})/im.exec(markdown)?.[1];
+
+  const outcome = sections.get('decision outcome') ?? sections.get('decision') ?? '';
+  const [rationale, ...subsections] = outcome.split(/^###\s+/m);
+  const consequences = subsections
+    .filter(subsection => /consequences/i.test(firstLine(subsection)))
+    .map(subsection => subsection.substring(firstLine(subsection).length));
+
+  const originalHeadings = sectionHeadings(markdown);
+  const headings = [...sections.keys()];
+  const outcomeIndex = headings.findIndex(heading => heading === 'decision outcome' || heading === 'decision');
+  const otherSections: AdrSection[] = [
+    ...headings
+      .map((heading, index) => ({ heading, index }))
+      .filter(({ heading }) => !MAPPED_SECTIONS.includes(heading))
+      .map(({ heading, index }) => ({
+        heading: originalHeadings.get(heading)!,
+        body: sections.get(heading)!,
+        level: 2 as const,
+        beforeOutcome: outcomeIndex === -1 || index < outcomeIndex
+      })),
+    ...subsections
+      .filter(subsection => !/consequences/i.test(firstLine(subsection)))
+      .map(subsection => ({ heading: firstLine(subsection).trim(), body: subsection.substring(firstLine(subsection).length).trim(), level: 3 as const }))
+  ];
+  const otherMetadata = markdown
+    .substring(titleMatch.index + titleMatch[0].length)
+    .split(/^##\s/m)[0]
+    .split('\n')
+    .filter(line => line.trim() && !/^[*-]?\s*(?:Status|Date):/i.test(line));
+  if (sections.has('consequences')) {
+    consequences.push(sections.get('consequences')!);
+  }
+
+  const links = `${statusText}\n${sections.get('links') || ''}`;
+  const supersededBy = /superseded by\s+\[?ADR-?0*(\d+)/i.exec(links)?.[1]
+    ?? /superseded by\s+\[[^\]]*\]\((\d+)-/i.exec(links)?.[1];
+  const supersedes = Array.from(links.matchAll(/(?:^|\n)[*-]?\s*Supersedes\s+\[?ADR-?0*(\d+)/gi)).map(match => Number(match[1]));
+
+  return {
+    number: Number(numberMatch[1]),
+    title: titleMatch[1].replace(/^(?:ADR[-\s]?)?\d+[.:]\s*/i, '').trim(),
+    status: parseStatus(statusText),
+    date: dateText ? new Date(`${dateText}T00:00:00Z`) : undefined,
+    rationale: (rationale.trim() || sections.get('context and problem statement') || sections.get('context') || '').trim(),
+    alternatives: bullets(sections.get('considered options') || ''),
+    impact: consequences.flatMap(text => bullets(text).length > 0 ? bullets(text) : paragraphs(text)),
+    filesAffected: bullets(sections.get('affected files') || '').map(file => file.replace(/`/g, '')),
+    supersededBy: supersededBy ? Number(supersededBy) : undefined,
+    supersedes: supersedes.length > 0 ? supersedes : undefined,
+    otherMetadata: otherMetadata.length > 0 ? otherMetadata : undefined,
+    otherSections: otherSections.length > 0 ? otherSections : undefined
+  };
+}
+
+function parseStatus(text: string): AdrStatus {
+  const word = text.toLowerCase().match(/[a-z]+/)?.[0] || '';
+  if (isAdrStatus(word)) {
+    return word;
+  }
+  // Statuses outside the lifecycle: rejected decisions are as good as deprecated
+  return word === 'rejected' ? 'deprecated' : 'proposed';
+}
+
+function splitSections(markdown: string): Map<string, string> {
+  const sections = new Map<string, string>();
+  const parts = markdown.split(/^##\s+(?!#)/m).slice(1);
+  for (const part of parts) {
+    const heading = firstLine(part);
+    sections.set(heading.trim().toLowerCase(), part.substring(heading.length).trim());
+  }
+  return sections;
+}
+
+// Lower-cased section headings mapped to how the file writes them
+function sectionHeadings(markdown: string): Map<string, string> {
+  const headings = markdown.split(/^##\s+(?!#)/m).slice(1).map(part => firstLine(part).trim());
+  return new Map(headings.map(heading => [heading.toLowerCase(), heading]));
+}
+
+function firstLine(text: string | undefined): string {
+  return (text || '').split('\n')[0];
+}
+
+function bullets(text: string): string[] {
+  return text
+    .split('\n')
+    .map(line => /^\s*[*-]\s+(.+)$/.exec(line)?.[1])
+    .filter((item): item is string => !!item)
+    .map(item => item.replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').trim());
+}
+
+function paragraphs(text: string): string[] {
+  return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
@@ -6,8 +6,9 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import OpenAI from 'openai';
-import { MemoryEngine } from './memoryEngine';
+import { CodePattern, ConversationOutcome, MemoryEngine, UserPreferences } from './memoryEngine';
 import { ExecutionEngine } from './mockExecutionEngine';
+import { SummaryMessage } from './summarizer';
 
 export interface AIProvider {
   name: string;
@@ -26,8 +27,14 @@ export interface EnhancedAIRequest {
   message: string;
   projectContext?: ProjectContext;
   codeContext?: string[];
+  /** Files the code context comes from; decisions anchored to them are recalled */
+  codeContextFiles?: string[];
+  /** Other registered projects to recall from alongside this one */
+  recallProjectIds?: string[];
   executionRequired?: boolean;
   memoryRetrieval?: boolean;
+  /** Continue this conversation; its earlier turns are sent as chat history */
+  conversationId?: string;
 }
 
 export interface EnhancedAIResponse {
@@ -35,6 +42,7 @@ export interface EnhancedAIResponse {
   code?: GeneratedCode[];
   executionResults?: ExecutionResult[];
   memoryUpdates?: MemoryUpdate[];
+  conversationId?: string;
   confidence: number;
   reasoning: string;
 }
@@ -55,6 +63,14 @@ export interface ProjectContext {
   dependencies: Record<string, string>;
 }
 
+interface ChatTurn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+// Most recent turns of a thread replayed verbatim; older ones are covered by its summary
+const MAX_HISTORY_MESSAGES = 20;
+
 export class AIProviderManager {
   private anthropic: Anthropic | null = null;
   private openai: OpenAI | null = null;
@@ -74,6 +90,8 @@ export class AIProviderManager {
     anthropicKey?: string;
     openaiKey?: string;
     defaultProvider: 'claude' | 'gpt';
+    /** Send conversations to the provider for summaries instead of summarizing locally */
+    providerSummaries?: boolean;
   }): Promise<void> {
     if (config.anthropicKey) {
       this.anthropic = new Anthropic({
@@ -91,6 +109,13 @@ export class AIProviderManager {
 
     this.activeProvider = config.defaultProvider;
     console.log(`🚀 Active AI provider: ${this.activeProvider}`);
+
+    // Conversations leave the machine for summaries only when opted in;
+    // otherwise the engine writes extractive summaries locally
+    this.memoryEngine.setSummarizer(config.providerSummaries && (this.anthropic || this.openai) ? {
+      id: `provider:${this.activeProvider}`,
+      summarize: messages => this.summarizeConversation(messages)
+    } : null);
   }
 
   /**
@@ -99,18 +124,38 @@ export class AIProviderManager {
   async enhancedChat(request: EnhancedAIRequest): Promise<EnhancedAIResponse> {
     console.log('🧠 Starting enhanced AI chat...');
 
-    // 1. Retrieve relevant memories
+    // 1. Retrieve relevant memories, project preferences and known patterns
     let memories: any[] = [];
+    let preferences: UserPreferences = {};
+    let patterns: CodePattern[] = [];
     if (request.memoryRetrieval !== false) {
-      memories = await this.memoryEngine.recall(request.message, request.projectContext?.projectId);
+      const projectId = request.projectContext?.projectId;
+      const projectIds = request.recallProjectIds?.length
+        ? [projectId || this.memoryEngine.getProjectId(), ...request.recallProjectIds]
+        : undefined;
+      memories = (await this.memoryEngine.recall(request.message, projectId, { files: request.codeContextFiles, projectIds }))
+        // Turns of this thread are already sent as history
+        .filter(memory => !request.conversationId || memory.conversationId !== request.conversationId);
+      preferences = await this.memoryEngine.getPreferences(projectId);
+      patterns = await this.memoryEngine.getCodePatterns(5, projectId);
       console.log(`📚 Retrieved ${memories.length} relevant memories`);
     }
 
-    // 2. Build enhanced context
-    const enhancedContext = this.buildEnhancedContext(request, memories);
+    // 2. Build enhanced context, with earlier turns of the thread as history
+    let thread = request.conversationId ? await this.loadThreadHistory(request.conversationId) : { history: [] };
+    if (!thread) {
+      // Pruning may have archived or removed the thread; the turn starts a new one
+      console.warn(`⚠️ Conversation ${request.conversationId} can no longer be continued; starting a new one`);
+      request = { ...request, conversationId: undefined };
+      thread = { history: [] };
+    }
+    let enhancedContext = this.buildEnhancedContext(request, memories, preferences, patterns);
+    if (thread.earlierSummary) {
+      enhancedContext += `🧵 EARLIER IN THIS CONVERSATION:\n${thread.earlierSummary}\n\n`;
+    }
 
     // 3. Send to AI with full context
-    const aiResponse = await this.sendToAI(request.message, enhancedContext);
+    const aiResponse = await this.sendToAI(request.message, enhancedContext, thread.history);
 
     // 4. Parse and extract code if present
     const parsedResponse = this.parseAIResponse(aiResponse);
@@ -145,18 +190,33 @@ export class AIProviderManager {
     }
 
     // 6. Store conversation and results in memory
-    const memoryUpdates = await this.updateMemory(request, parsedResponse, executionResults);
+    const { conversationId, updates: memoryUpdates } = await this.updateMemory(request, parsedResponse, executionResults);
 
     return {
       response: parsedResponse.response,
       code: parsedResponse.code,
       executionResults,
       memoryUpdates,
+      conversationId,
       confidence: this.calculateConfidence(parsedResponse, executionResults),
       reasoning: this.generateReasoning(memories, executionResults)
     };
   }
 
+  /**
+   * Id of the project memory is currently recorded under
+   */
+  getProjectId(): string {
+    return this.memoryEngine.getProjectId();
+  }
+
+  /**
+   * Record what happened after a chat, e.g. the user accepted or rejected code
+   */
+  async recordOutcome(conversationId: string, outcome: ConversationOutcome): Promise<void> {
+    await this.memoryEngine.recordOutcome(conversationId, outcome);
+  }
+
   /**
    * Switch AI provider on the fly
    */
@@ -203,14 +263,51 @@ export class AIProviderManager {
     return { ...results, recommendation, reasoning };
   }
 
-  private buildEnhancedContext(request: EnhancedAIRequest, memories: any[]): string {
+  private buildEnhancedContext(
+    request: EnhancedAIRequest,
+    memories: any[],
+    preferences: UserPreferences = {},
+    patterns: CodePattern[] = []
+  ): string {
     let context = '';
 
+    // Add project preferences; forbidden APIs are hard constraints
+    const preferenceLines: string[] = [];
+    if (preferences.codingStyle) {
+      preferenceLines.push(`- Coding Style: ${preferences.codingStyle}`);
+    }
+    if (preferences.preferredLibraries?.length) {
+      preferenceLines.push(`- Preferred Libraries: ${preferences.preferredLibraries.join(', ')}`);
+    }
+    if (preferences.preferredPatterns?.length) {
+      preferenceLines.push(`- Preferred Patterns: ${preferences.preferredPatterns.join(', ')}`);
+    }
+    if (preferences.forbiddenApis?.length) {
+      preferenceLines.push(`- NEVER use: ${preferences.forbiddenApis.join(', ')}`);
+    }
+    if (preferenceLines.length > 0) {
+      context += '⚙️ PROJECT PREFERENCES:\n';
+      context += preferenceLines.join('\n') + '\n\n';
+    }
+
     // Add memory context
     if (memories.length > 0) {
       context += '🧠 PERSISTENT MEMORY:\n';
+      // Older memories may predate redaction; never replay secrets to a provider
       memories.forEach(memory => {
-        context += `- ${memory.content}\n`;
+        const scope = memory.anchoredFiles ? ` (applies to ${memory.anchoredFiles.join(', ')})` : '';
+        const origin = memory.projectName && memory.projectId !== this.memoryEngine.getProjectId() ? `[${memory.projectName}] ` : '';
+        context += `- ${origin}${this.memoryEngine.redactText(String(memory.content)).text}${scope}\n`;
+      });
+      context += '\n';
+    }
+
+    // Add frequently used patterns
+    if (patterns.length > 0) {
+      context += '🧩 KNOWN PATTERNS:\n';
+      patterns.forEach(pattern => {
+        const label = pattern.language ? `${pattern.language}, used ${pattern.frequency}x` : `used ${pattern.frequency}x`;
+        context += `- (${label}) ${pattern.context}\n`;
       });
       context += '\n';
     }
@@ -246,15 +343,64 @@ export class AIProviderManager {
     return context;
   }
 
-  private async sendToAI(message: string, context: string): Promise<string> {
-    const fullPrompt = `${context}USER REQUEST: ${message}`;
+  /**
+   * Prior turns of a thread as chat history. Long threads are cut to the
+   * most recent turns and the conversation summary stands in for the rest.
+   * Null when the thread is gone or archived and can't be continued.
+   */
+  private async loadThreadHistory(conversationId: string): Promise<{ history: ChatTurn[]; earlierSummary?: string } | null> {
+    const thread = await this.memoryEngine.getThread(conversationId);
+    if (!thread || thread.archivedAt) {
+      return null;
+    }
+
+    let history: ChatTurn[] = thread.messages.map(message => ({ role: message.role, content: message.content }));
+    const truncated = history.length > MAX_HISTORY_MESSAGES;
+    history = history.slice(-MAX_HISTORY_MESSAGES);
+
+    // Providers expect the history to open with a user turn
+    while (history.length > 0 && history[0].role !== 'user') {
+      history.shift();
+    }
+
+    return { history, earlierSummary: truncated ? thread.summary : undefined };
+  }
+
+  private async sendToAI(message: string, context: string, history: ChatTurn[] = []): Promise<string> {
+    return this.complete(
+      'You are an enhanced AI coding assistant with persistent memory and code execution capabilities. Use the provided context to give more informed responses.',
+      `${context}USER REQUEST: ${message}`,
+      4000,
+      history
+    );
+  }
+
+  /**
+   * Summarize a stored conversation for memory recall. Long messages are
+   * clipped so the request stays small.
+   */
+  private async summarizeConversation(messages: SummaryMessage[]): Promise<string> {
+    const transcript = messages
+      .map(message => {
+        const content = message.content.length > 2000 ? `${message.content.substring(0, 2000)}...` : message.content;
+        return `${message.role.toUpperCase()}: ${content}`;
+      })
+      .join('\n\n');
+
+    return this.complete(
+      'You summarize coding conversations for a long-term project memory. Reply with at most three sentences covering the problem, the decision or solution, and any files or APIs involved. Do not include code.',
+      transcript,
+      200
+    );
+  }
 
+  protected async complete(system: string, prompt: string, maxTokens: number, history: ChatTurn[] = []): Promise<string> {
     if (this.activeProvider === 'claude' && this.anthropic) {
       const response = await this.anthropic.messages.create({
         model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4000,
-        system: 'You are an enhanced AI coding assistant with persistent memory and code execution capabilities. Use the provided context to give more informed responses.',
-        messages: [{ role: 'user', content: fullPrompt }]
+        max_tokens: maxTokens,
+        system,
+        messages: [...history, { role: 'user', content: prompt }]
       });
 
       return response.content[0].type === 'text' ? response.content[0].text : '';
@@ -263,13 +409,11 @@ export class AIProviderManager {
     if (this.activeProvider === 'gpt' && this.openai) {
       const response = await this.openai.chat.completions.create({
         model: 'gpt-4',
-        max_tokens: 4000,
+        max_tokens: maxTokens,
         messages: [
-          {
-            role: 'system',
-            content: 'You are an enhanced AI coding assistant with persistent memory and code execution capabilities. Use the provided context to give more informed responses.'
-          },
-          { role: 'user', content: fullPrompt }
+          { role: 'system', content: system },
+          ...history,
+          { role: 'user', content: prompt }
         ]
       });
 
@@ -306,9 +450,41 @@ export class AIProviderManager {
     request: EnhancedAIRequest, 
     response: { response: string; code: GeneratedCode[] }, 
     executionResults: ExecutionResult[]
-  ): Promise<MemoryUpdate[]> {
+  ): Promise<{ conversationId: string; updates: MemoryUpdate[] }> {
     const updates: MemoryUpdate[] = [];
 
+    // Store conversation
+    const conversationId = await this.memoryEngine.storeConversation({
+      message: request.message,
+      response: response.response,
+      projectId: request.projectContext?.projectId,
+      aiProvider: this.activeProvider || 'unknown',
+      timestamp: new Date(),
+      conversationId: request.conversationId
+    });
+
+    // Files saved shortly after this response are attributed to it
+    this.memoryEngine.setActiveConversation(conversationId);
+
+    // Summaries keep recall compact; the response doesn't wait for one
+    this.memoryEngine.summarizeConversation(conversationId).catch(error => {
+      console.warn('⚠️ Conversation summarization failed:', error);
+    });
+
+    updates.push({
+      type: 'conversation_stored',
+      content: 'Conversation stored in persistent memory'
+    });
+
+    const redactions = (await this.memoryEngine.getRedactionReport(conversationId))
+      .reduce((total, entry) => total + entry.findings.length, 0);
+    if (redactions > 0) {
+      updates.push({
+        type: 'secrets_redacted',
+        content: `${redactions} secret${redactions === 1 ? '' : 's'} redacted before storing`
+      });
+    }
+
     // Store successful code patterns
     for (let i = 0; i < response.code.length; i++) {
       const codeBlock = response.code[i];
@@ -328,23 +504,18 @@ export class AIProviderManager {
           content: `Successful ${codeBlock.language} pattern stored`
         });
       }
-    }
-
-    // Store conversation
-    await this.memoryEngine.storeConversation({
-      message: request.message,
-      response: response.response,
-      projectId: request.projectContext?.projectId,
-      aiProvider: this.activeProvider || 'unknown',
-      timestamp: new Date()
-    });
 
-    updates.push({
-      type: 'conversation_stored',
-      content: 'Conversation stored in persistent memory'
-    });
+      // Track how the generated code fared so recall can favour what worked
+      if (execution) {
+        await this.memoryEngine.recordOutcome(conversationId, {
+          type: execution.success ? 'execution_succeeded' : 'execution_failed',
+          description: `${codeBlock.description}: ${execution.success ? 'ran successfully' : execution.errors.join(', ')}`,
+          metadata: { exitCode: execution.exitCode, executionTime: execution.executionTime }
+        });
+      }
+    }
 
-    return updates;
+    return { conversationId, updates };
   }
 
   private calculateConfidence(response: { code: GeneratedCode[] }, executionResults: ExecutionResult[]): number {
@@ -0,0 +1,135 @@
+/**
+ * Code Anchors - tie decisions to files and symbols and measure how far the
+ * code has moved since
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs-extra';
+
+export interface AnchorRef {
+  filePath: string;
+  /** Function, class or other named definition within the file */
+  symbol?: string;
+}
+
+export interface AnchorFingerprint {
+  contentHash: string;
+  /** Hashes of normalized non-blank lines, compared as a multiset */
+  lineHashes: string[];
+}
+
+// Line similarity below which anchored code counts as significantly changed
+export const DRIFT_THRESHOLD = 0.6;
+
+const DEFINITION_KEYWORDS = 'function|class|interface|type|enum|const|let|var|def|func|fn|struct|trait|impl';
+// Words that can only precede a member being declared, never a call
+const MEMBER_MODIFIERS = 'public|private|protected|static|async|readonly|abstract|override';
+
+/**
+ * Parse "path/to/file.ts#symbol" into an anchor reference.
+ */
+export function parseAnchorRef(ref: string): AnchorRef {
+  const hash = ref.lastIndexOf('#');
+  return hash > 0
+    ? { filePath: ref.substring(0, hash), symbol: ref.substring(hash + 1) || undefined }
+    : { filePath: ref };
+}
+
+/**
+ * Find the lines of a named definition: from the line declaring it to the
+ * last line indented deeper than that one, including a closing bracket.
+ * A member counts as declared when a modifier precedes it or its signature
+ * opens a body on the same line, so calls and assignments don't match.
+ * Returns null if the symbol is not defined in the content.
+ */
+export function locateSymbol(content: string, symbol: string): { start: number; end: number } | null {
+  const lines = content.split(/\r?\n/);
+  const name = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const declaration = new RegExp([
+    `(?:^|[\\s(])(?:${DEFINITION_KEYWORDS})\\s+${name}\\b`,
+    `^\\s*(?:(?:${MEMBER_MODIFIERS})\\s+)+(?:get\\s+|set\\s+|\\*\\s*)?${name}\\s*[(=:<]`,
+    `^\\s*(?:get\\s+|set\\s+|\\*\\s*)?${name}\\s*(?:<[^>]*>)?\\([^)]*\\)\\s*(?::[^{;=]*)?\\{\\s*$`
+  ].join('|'));
+
+  const start = lines.findIndex(line => !/^\s*(?:\/\/|\/\*|\*|#)/.test(line) && declaration.test(line));
+  if (start === -1) {
+    return null;
+  }
+
+  const indent = indentation(lines[start]);
+  let end = start;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    if (indentation(lines[i]) <= indent) {
+      if (/^\s*[}\])]/.test(lines[i])) {
+        end = i;
+      }
+      break;
+    }
+    end = i;
+  }
+
+  return { start, end };
+}
+
+export function fingerprintCode(text: string): AnchorFingerprint {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+  return {
+    contentHash: crypto.createHash('sha1').update(lines.join('\n')).digest('hex'),
+    lineHashes: lines.map(line => crypto.createHash('sha1').update(line).digest('hex').substring(0, 8))
+  };
+}
+
+/**
+ * Fingerprint a file, or one symbol in it. Returns null when the file does
+ * not exist or the symbol can no longer be found.
+ */
+export async function readAnchor(absolutePath: string, symbol?: string): Promise<AnchorFingerprint | null> {
+  const content = await fs.readFile(absolutePath, 'utf8').catch(() => null);
+  if (content === null) {
+    return null;
+  }
+
+  if (!symbol) {
+    return fingerprintCode(content);
+  }
+
+  const region = locateSymbol(content, symbol);
+  return region
+    ? fingerprintCode(content.split(/\r?\n/).slice(region.start, region.end + 1).join('\n'))
+    : null;
+}
+
+/**
+ * Dice coefficient over line-hash multisets: 1 for identical code, 0 when
+ * no line survived.
+ */
+export function lineSimilarity(a: string[], b: string[]): number {
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+
+  const counts = new Map<string, number>();
+  for (const line of a) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (const line of b) {
+    const count = counts.get(line) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(line, count - 1);
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length);
+}
+
+function indentation(line: string): number {
+  return line.length - line.trimStart().length;
+}
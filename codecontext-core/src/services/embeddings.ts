@@ -0,0 +1,95 @@
+/**
+ * Embeddings - pluggable local text embedders for semantic recall
+ * Any backend can be plugged in as long as it is deterministic per model id
+ */
+
+export interface Embedder {
+  /** Stable identifier stored with each vector; changing it invalidates old vectors */
+  readonly id: string;
+  readonly dimensions: number;
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+/**
+ * Offline feature-hashing embedder. Hashes words and character trigrams into
+ * a fixed number of buckets, so similar wording lands close together without
+ * any model download. Deterministic, which also makes it the test backend.
+ */
+export class HashingEmbedder implements Embedder {
+  readonly id: string;
+
+  constructor(readonly dimensions: number = 256) {
+    this.id = `hashing-v1-${dimensions}`;
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map(text => this.embedOne(text));
+  }
+
+  private embedOne(text: string): number[] {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9_]+/g) || [];
+
+    for (const word of words) {
+      this.addFeature(vector, `w:${word}`, 1);
+
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        this.addFeature(vector, `t:${padded.substring(i, i + 3)}`, 0.5);
+      }
+    }
+
+    return normalize(vector);
+  }
+
+  private addFeature(vector: number[], feature: string, weight: number): void {
+    const hash = fnv1a(feature);
+    const sign = (hash & 0x80000000) === 0 ? 1 : -1;
+    vector[hash % this.dimensions] += sign * weight;
+  }
+}
+
+export function cosineSimilarity(a: ArrayLike<number>, b: ArrayLike<number>): number {
+  if (a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+export function encodeVector(vector: number[]): Buffer {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+export function decodeVector(blob: Buffer): Float32Array {
+  // Copy so the view is aligned regardless of how sqlite3 allocated the buffer
+  const copy = new Uint8Array(blob.byteLength);
+  copy.set(blob);
+  return new Float32Array(copy.buffer);
+}
+
+function normalize(vector: number[]): number[] {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+function fnv1a(input: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
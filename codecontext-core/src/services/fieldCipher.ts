@@ -0,0 +1,138 @@
+/**
+ * Field Cipher - optional encryption of sensitive memory fields at rest
+ * AES-256-GCM, keyed from a local keyfile or an environment variable
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs-extra';
+
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+/** Read in place of a value whose key is not configured */
+export const ENCRYPTED_PLACEHOLDER = '[encrypted]';
+export const ENCRYPTION_KEY_ENV = 'CODECONTEXT_ENCRYPTION_KEY';
+
+export class EncryptionKeyError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'EncryptionKeyError';
+  }
+}
+
+export interface CipherSource {
+  /** One key per line; the first is used for new writes, the rest only decrypt */
+  keyFile?: string;
+  env?: NodeJS.ProcessEnv;
+}
+
+/**
+ * Encrypts individual field values to self-describing strings
+ * (enc:v1:<key id>:<iv>:<tag>:<ciphertext>) so encrypted and plaintext rows
+ * can coexist while a database is being migrated or a key rotated.
+ */
+export class FieldCipher {
+  readonly activeKeyId: string;
+  private keys = new Map<string, Buffer>();
+
+  constructor(activeKey: Buffer, retiredKeys: Buffer[] = []) {
+    for (const key of [activeKey, ...retiredKeys]) {
+      if (key.length !== 32) {
+        throw new EncryptionKeyError('Encryption keys must be 32 bytes');
+      }
+      this.keys.set(keyId(key), key);
+    }
+    this.activeKeyId = keyId(activeKey);
+  }
+
+  /**
+   * Build a cipher from the environment variable and/or keyfile. The
+   * environment key, when set, is the active key and keyfile keys are kept
+   * for decryption. Returns null when no key is configured.
+   */
+  static async load(source: CipherSource = {}): Promise<FieldCipher | null> {
+    const secrets: string[] = [];
+
+    const envKey = (source.env || process.env)[ENCRYPTION_KEY_ENV];
+    if (envKey?.trim()) {
+      secrets.push(envKey.trim());
+    }
+
+    if (source.keyFile) {
+      const content = await fs.readFile(source.keyFile, 'utf8');
+      secrets.push(...content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#')));
+    }
+
+    if (secrets.length === 0) {
+      return null;
+    }
+
+    const [active, ...retired] = secrets.map(parseKey);
+    return new FieldCipher(active, retired);
+  }
+
+  static generateKey(): string {
+    return crypto.randomBytes(32).toString('base64');
+  }
+
+  static isEncrypted(value: unknown): value is string {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+  }
+
+  encrypt(plaintext: string): string {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.activeKeyId)!, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + [
+      this.activeKeyId,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      ciphertext.toString('base64')
+    ].join(':');
+  }
+
+  decrypt(value: string): string {
+    const [id, iv, tag, ciphertext] = value.substring(ENCRYPTED_PREFIX.length).split(':');
+    const key = this.keys.get(id);
+    if (!key) {
+      throw new EncryptionKeyError(`No encryption key with id ${id} is configured`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Keyed hash of a value, for change detection that must not reveal the
+   * plaintext the way a bare hash of it would. Changes with the active key.
+   */
+  digest(value: string): string {
+    return crypto.createHmac('sha256', this.keys.get(this.activeKeyId)!).update(value).digest('hex');
+  }
+
+  /** Whether a stored value is plaintext or encrypted under a retired key */
+  needsRewrap(value: string): boolean {
+    return !FieldCipher.isEncrypted(value) || !value.startsWith(`${ENCRYPTED_PREFIX}${this.activeKeyId}:`);
+  }
+}
+
+/**
+ * Accepts a 32-byte key as hex or base64; anything else is treated as a
+ * passphrase and stretched with scrypt.
+ */
+function parseKey(secret: string): Buffer {
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+
+  const decoded = Buffer.from(secret, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64') === secret) {
+    return decoded;
+  }
+
+  return crypto.scryptSync(secret, 'codecontext-field-cipher', 32);
+}
+
+function keyId(key: Buffer): string {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+}
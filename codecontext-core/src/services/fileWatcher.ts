@@ -0,0 +1,131 @@
+/**
+ * File Watcher - batches workspace file events into incremental change records
+ * Bursts of saves are debounced and diffed against stored content hashes
+ */
+
+import * as path from 'path';
+import { DetectedFileChange, MemoryEngine } from './memoryEngine';
+import { SCAN_CONFIG_FILE } from './scanRules';
+
+export interface FileWatcherOptions {
+  /** Quiet period after the last event before a batch is processed */
+  debounceMs?: number;
+  /** Upper bound on how long a busy burst can delay processing */
+  maxWaitMs?: number;
+  /** Changes within this window of a chat response are attributed to it */
+  conversationWindowMs?: number;
+  onChanges?: (changes: DetectedFileChange[]) => void;
+}
+
+export class FileWatcher {
+  private pending = new Set<string>();
+  private rulesChanged = false;
+  private timer: NodeJS.Timeout | null = null;
+  private firstPendingAt = 0;
+  // Queued paths are relative to the project that was current then
+  private pendingProjectId = '';
+  private flushing: Promise<void> = Promise.resolve();
+  private readonly options: Required<Omit<FileWatcherOptions, 'onChanges'>> & Pick<FileWatcherOptions, 'onChanges'>;
+
+  constructor(
+    private memoryEngine: MemoryEngine,
+    options: FileWatcherOptions = {}
+  ) {
+    this.options = {
+      debounceMs: 300,
+      maxWaitMs: 2000,
+      conversationWindowMs: 10 * 60 * 1000,
+      ...options
+    };
+  }
+
+  /**
+   * Queue a changed path. Accepts absolute paths or paths relative to the
+   * engine's current project; anything outside the tracked set, or outside
+   * the project, is ignored.
+   */
+  notify(filePath: string): void {
+    const relativePath = path.isAbsolute(filePath)
+      ? path.relative(this.memoryEngine.getProjectPath(), filePath)
+      : filePath;
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+      return;
+    }
+
+    // Rule changes can start or stop tracking any file, so rescan
+    const rulesFile = path.basename(relativePath) === '.gitignore' ||
+      path.normalize(relativePath) === SCAN_CONFIG_FILE;
+
+    // A path that isn't a tracked file may be a directory that held some
+    if (!rulesFile && !this.memoryEngine.isTrackedPath(relativePath) && !this.memoryEngine.isTrackedDirectory(relativePath)) {
+      return;
+    }
+
+    if (this.pending.size === 0 && !this.rulesChanged) {
+      this.firstPendingAt = Date.now();
+      this.pendingProjectId = this.memoryEngine.getProjectId();
+    }
+    if (rulesFile) {
+      this.rulesChanged = true;
+    } else {
+      this.pending.add(relativePath);
+    }
+    this.schedule();
+  }
+
+  /**
+   * Process everything queued so far. Batches run one after another so
+   * snapshot updates never interleave.
+   */
+  flush(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const batch = Array.from(this.pending);
+    const projectId = this.pendingProjectId;
+    const rescan = this.rulesChanged;
+    this.pending.clear();
+    this.rulesChanged = false;
+    if (batch.length === 0 && !rescan) {
+      return this.flushing;
+    }
+
+    this.flushing = this.flushing.then(async () => {
+      try {
+        const conversationId = this.memoryEngine.getActiveConversationId(this.options.conversationWindowMs);
+        let changes: DetectedFileChange[];
+        if (rescan) {
+          await this.memoryEngine.reloadScanRules();
+          changes = await this.memoryEngine.performInitialScan();
+        } else {
+          changes = await this.memoryEngine.syncFileStates(batch, conversationId, projectId);
+        }
+        if (changes.length > 0 && this.options.onChanges) {
+          this.options.onChanges(changes);
+        }
+      } catch (error) {
+        console.warn('⚠️ Failed to record file changes:', error);
+      }
+    });
+    return this.flushing;
+  }
+
+  async dispose(): Promise<void> {
+    await this.flush();
+  }
+
+  private schedule(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    const waited = Date.now() - this.firstPendingAt;
+    const delay = Math.max(0, Math.min(this.options.debounceMs, this.options.maxWaitMs - waited));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Git History - read the local git log and spot commits that record decisions
+ * Runs the git CLI against the working copy only; nothing is fetched
+ */
+
+import { execFile } from 'child_process';
+import { FileChangeType } from './memoryEngine';
+
+export interface GitFileChange {
+  filePath: string;
+  changeType: FileChangeType;
+  previousPath?: string;
+}
+
+export interface GitCommit {
+  sha: string;
+  parents: string[];
+  authorName: string;
+  authorEmail: string;
+  authoredAt: Date;
+  subject: string;
+  body: string;
+  files: GitFileChange[];
+}
+
+export interface GitLogOptions {
+  /** Only commits after this one (exclusive) */
+  since?: string;
+  maxCount?: number;
+}
+
+export interface ProposedDecision {
+  decision: string;
+  rationale: string;
+  alternatives: string[];
+  impact: string[];
+  filesAffected: string[];
+}
+
+// Conventional prefixes and phrases that usually mark a design decision
+export const DEFAULT_DECISION_PATTERNS: RegExp[] = [
+  /^(?:adr|decision|arch(?:itecture)?)(?:\([^)]*\))?!?:/i,
+  /\b(?:we )?(?:decided|chose|opted) to\b/i,
+  /\b(?:switch(?:ed)?|migrat(?:e|ed|ion)|mov(?:e|ed)) (?:from|to) \w/i,
+  /\breplac(?:e|ed|ing) .+ with\b/i,
+  /\b(?:adopt(?:ed)?|deprecat(?:e|ed)|drop(?:ped)? support for)\b/i,
+  /^BREAKING CHANGE:/m
+];
+
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+export async function isGitRepository(cwd: string): Promise<boolean> {
+  try {
+    const output = await runGit(cwd, ['rev-parse', '--is-inside-work-tree']);
+    return output.trim() === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read commits newest first, with the files each one touched.
+ */
+export async function readGitLog(cwd: string, options: GitLogOptions = {}): Promise<GitCommit[]> {
+  const args = [
+    'log',
+    '--no-color',
+    '-M',
+    '--name-status',
+    `--format=${RECORD}%H${FIELD}%P${FIELD}%an${FIELD}%ae${FIELD}%aI${FIELD}%s${FIELD}%b${FIELD}`
+  ];
+  if (options.maxCount) {
+    args.push(`--max-count=${options.maxCount}`);
+  }
+  args.push(options.since ? `${options.since}..HEAD` : 'HEAD');
+
+  const output = await runGit(cwd, args);
+  return output
+    .split(RECORD)
+    .filter(record => record.trim())
+    .map(parseCommit);
+}
+
+/**
+ * Turn a commit into a proposed architectural decision if its message
+ * matches one of the patterns.
+ */
+export function proposeDecision(commit: GitCommit, patterns: RegExp[] = DEFAULT_DECISION_PATTERNS): ProposedDecision | null {
+  const message = `${commit.subject}\n${commit.body}`;
+  if (!patterns.some(pattern => pattern.test(message))) {
+    return null;
+  }
+
+  const decision = commit.subject.replace(/^\w+(?:\([^)]*\))?!?:\s*/, '') || commit.subject;
+  const rationale = commit.body
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph && !/^[\w-]+: /.test(paragraph))
+    .join('\n\n');
+
+  return {
+    decision,
+    rationale: rationale || commit.subject,
+    alternatives: [],
+    impact: [`Commit ${commit.sha.substring(0, 7)} by ${commit.authorName}`],
+    filesAffected: commit.files.map(file => file.filePath)
+  };
+}
+
+/**
+ * Compile user-supplied pattern strings, skipping any that are not valid
+ * regular expressions.
+ */
+export function compileDecisionPatterns(patterns: string[]): RegExp[] {
+  const compiled: RegExp[] = [];
+  for (const pattern of patterns) {
+    try {
+      compiled.push(new RegExp(pattern, 'im'));
+    } catch {
+      console.warn(`⚠️ Ignoring invalid decision pattern: ${pattern}`);
+    }
+  }
+  return compiled;
+}
+
+function parseCommit(record: string): GitCommit {
+  const [sha, parents, authorName, authorEmail, authoredAt, subject, body, nameStatus = ''] = record.split(FIELD);
+
+  const files: GitFileChange[] = [];
+  for (const line of nameStatus.split('\n')) {
+    if (!line.trim()) continue;
+
+    const [status, first, second] = line.split('\t');
+    if (status.startsWith('R') && second) {
+      files.push({ filePath: second, changeType: 'renamed', previousPath: first });
+    } else if (status.startsWith('C') && second) {
+      files.push({ filePath: second, changeType: 'created' });
+    } else if (first) {
+      files.push({ filePath: first, changeType: status === 'A' ? 'created' : status === 'D' ? 'deleted' : 'modified' });
+    }
+  }
+
+  return {
+    sha: sha.trim(),
+    parents: parents ? parents.split(' ').filter(Boolean) : [],
+    authorName,
+    authorEmail,
+    authoredAt: new Date(authoredAt),
+    subject,
+    body: body.trim(),
+    files
+  };
+}
+
+function runGit(cwd: string, args: string[]): Promise<string> {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
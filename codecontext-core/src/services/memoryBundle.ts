@@ -0,0 +1,148 @@
+/**
+ * Memory Bundle - portable, versioned export format for project memory
+ * Used for backups and for moving a project's memory between machines
+ */
+
+import * as crypto from 'crypto';
+
+export const BUNDLE_FORMAT = 'codecontext-memory-bundle';
+// Version 2 added commits, file snapshots, decision anchors and embeddings
+export const BUNDLE_VERSION = 2;
+
+// Exported in dependency order so imports never reference missing parents
+export const BUNDLE_TABLES = [
+  'projects',
+  'conversations',
+  'messages',
+  'outcomes',
+  'architectural_decisions',
+  'file_changes',
+  'code_patterns',
+  'user_preferences',
+  'commits',
+  'file_snapshots',
+  'decision_anchors',
+  'embeddings'
+] as const;
+
+export type BundleTable = typeof BUNDLE_TABLES[number];
+
+export interface BundleKey {
+  /** Columns identifying a row */
+  key: string[];
+  /** Condition, on the target project id, that a matching row must meet */
+  scope: string;
+  /**
+   * Query, on ?1 the row's parent column and ?2 the target project id,
+   * that finds the parent in the project; rows without one are skipped
+   */
+  parent?: { column: string; exists: string };
+}
+
+const IN_PROJECT_CONVERSATION = { column: 'conversation_id', exists: 'SELECT 1 FROM conversations WHERE id = ?1 AND project_id = ?2' };
+
+/**
+ * How imported rows are matched. A row whose key is taken by another
+ * project, or whose parent was skipped, is skipped rather than written.
+ */
+export const BUNDLE_KEYS: Record<BundleTable, BundleKey> = {
+  projects: { key: ['id'], scope: 'id = ?' },
+  conversations: { key: ['id'], scope: 'project_id = ?' },
+  messages: { key: ['id'], scope: 'conversation_id IN (SELECT id FROM conversations WHERE project_id = ?)', parent: IN_PROJECT_CONVERSATION },
+  outcomes: { key: ['id'], scope: 'project_id = ?', parent: IN_PROJECT_CONVERSATION },
+  architectural_decisions: { key: ['id'], scope: 'project_id = ?' },
+  file_changes: { key: ['id'], scope: 'project_id = ?' },
+  code_patterns: { key: ['id'], scope: 'project_id = ?' },
+  user_preferences: { key: ['project_id', 'key'], scope: 'project_id = ?' },
+  commits: { key: ['project_id', 'sha'], scope: 'project_id = ?' },
+  file_snapshots: { key: ['project_id', 'file_path'], scope: 'project_id = ?' },
+  decision_anchors: {
+    key: ['decision_id', 'file_path', 'symbol'],
+    scope: 'project_id = ?',
+    parent: { column: 'decision_id', exists: 'SELECT 1 FROM architectural_decisions WHERE id = ?1 AND project_id = ?2' }
+  },
+  embeddings: {
+    key: ['source_type', 'source_id', 'model'],
+    scope: 'scope_id = ?',
+    parent: {
+      column: 'source_id',
+      exists: `SELECT 1 FROM messages m JOIN conversations c ON c.id = m.conversation_id WHERE m.id = ?1 AND c.project_id = ?2
+        UNION ALL SELECT 1 FROM conversations WHERE id = ?1 AND project_id = ?2
+        UNION ALL SELECT 1 FROM architectural_decisions WHERE id = ?1 AND project_id = ?2
+        UNION ALL SELECT 1 FROM code_patterns WHERE id = ?1 AND project_id = ?2`
+    }
+  }
+};
+
+export type ImportConflictStrategy = 'skip' | 'overwrite' | 'merge';
+
+export interface MemoryBundle {
+  format: typeof BUNDLE_FORMAT;
+  version: number;
+  schemaVersion: number;
+  exportedAt: string;
+  projectId: string;
+  tables: Record<BundleTable, any[]>;
+  checksums: Record<BundleTable, string>;
+}
+
+/** A bundle as read back; older versions lack the tables added since */
+export type MemoryBundleInput = Omit<MemoryBundle, 'tables' | 'checksums'> & {
+  tables: Partial<MemoryBundle['tables']>;
+  checksums: Partial<MemoryBundle['checksums']>;
+};
+
+export interface ImportOptions {
+  conflict?: ImportConflictStrategy;
+  targetProjectId?: string;
+}
+
+export interface ImportResult {
+  inserted: number;
+  skipped: number;
+  overwritten: number;
+  merged: number;
+  tables: Record<string, { inserted: number; skipped: number; overwritten: number; merged: number }>;
+}
+
+export class BundleIntegrityError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'BundleIntegrityError';
+  }
+}
+
+export function checksumRows(rows: any[]): string {
+  return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+}
+
+/**
+ * Throws BundleIntegrityError if the bundle is not a supported format or any
+ * table does not match its recorded checksum.
+ */
+export function verifyBundle(bundle: any): asserts bundle is MemoryBundle {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new BundleIntegrityError('Not a CodeContext memory bundle');
+  }
+  if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+    throw new BundleIntegrityError(
+      `Bundle version ${bundle.version} is not supported (max ${BUNDLE_VERSION}). Please update the extension.`
+    );
+  }
+
+  for (const table of BUNDLE_TABLES) {
+    // Tables added after a bundle was written are simply empty
+    if (bundle.tables && !(table in bundle.tables) && !(table in (bundle.checksums || {}))) {
+      bundle.tables[table] = [];
+      continue;
+    }
+
+    const rows = bundle.tables?.[table];
+    if (!Array.isArray(rows)) {
+      throw new BundleIntegrityError(`Bundle is missing table "${table}"`);
+    }
+    if (checksumRows(rows) !== bundle.checksums?.[table]) {
+      throw new BundleIntegrityError(`Checksum mismatch for table "${table}"; the bundle is corrupt or was modified`);
+    }
+  }
+}
@@ -2,6 +2,33 @@ import * as sqlite3 from 'sqlite3';
 import * as path from 'path';
 import * as fs from 'fs-extra';
 import { v4 as uuidv4 } from 'uuid';
+import * as crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { Migration, MEMORY_MIGRATIONS, SchemaVersionError } from './migrations';
+import { Embedder, cosineSimilarity, decodeVector, encodeVector } from './embeddings';
+import { ENCRYPTED_PLACEHOLDER, ENCRYPTED_PREFIX, EncryptionKeyError, FieldCipher } from './fieldCipher';
+import { RedactionFinding, RedactionResult, Redactor } from './redaction';
+import { fingerprintPattern, normalizePattern, patternSimilarity } from './patternFingerprint';
+import { ScanRules } from './scanRules';
+import { PruneOptions, PruneReport, RetentionPolicy, maxAgeFor } from './retention';
+import { ExtractiveSummarizer, Summarizer } from './summarizer';
+import { AnchorRef, DRIFT_THRESHOLD, lineSimilarity, parseAnchorRef, readAnchor } from './codeAnchors';
+import { ADR_DIRECTORY, ADR_STATUS_WEIGHTS, AdrRecord, AdrStatus, adrFileName, isAdrStatus, parseMadr, renderMadr } from './adr';
+import { DEFAULT_DECISION_PATTERNS, isGitRepository, proposeDecision, readGitLog } from './gitHistory';
+import {
+  BUNDLE_FORMAT,
+  BUNDLE_KEYS,
+  BUNDLE_TABLES,
+  BUNDLE_VERSION,
+  BundleTable,
+  ImportConflictStrategy,
+  ImportOptions,
+  ImportResult,
+  MemoryBundle,
+  MemoryBundleInput,
+  checksumRows,
+  verifyBundle
+} from './memoryBundle';
 
 // Subscription and usage tracking interfaces
 export interface SubscriptionInfo {
@@ -42,6 +69,16 @@ export interface ProjectMemory {
   subscription?: SubscriptionInfo;
 }
 
+export interface ProjectInfo {
+  id: string;
+  name: string;
+  rootPath: string;
+  createdAt: Date;
+  lastActive: Date;
+  /** The root no longer exists, e.g. the project was moved without relocating it */
+  missing: boolean;
+}
+
 export interface Conversation {
   id: string;
   timestamp: Date;
@@ -49,6 +86,12 @@ export interface Conversation {
   context: ConversationContext;
   messages: Message[];
   outcomes: ConversationOutcome[];
+  summary?: string;
+  /** Set on branches: the conversation and message they were branched from */
+  parentId?: string;
+  branchedFromMessageId?: string;
+  /** Set once pruning archived it; archived threads can't be continued */
+  archivedAt?: Date;
 }
 
 export interface Message {
@@ -67,14 +110,96 @@ export interface ArchitecturalDecision {
   alternatives: string[];
   impact: string[];
   filesAffected: string[];
+  /** Where the decision came from, e.g. 'git' for one proposed from a commit */
+  source?: string;
+  sourceRef?: string;
+  /** Defaults to accepted; superseded decisions link to their replacement */
+  status?: AdrStatus;
+  supersededBy?: string;
+  adrNumber?: number;
+}
+
+export interface AdrImportResult {
+  imported: number;
+  updated: number;
+}
+
+export interface DecisionAnchor extends AnchorRef {
+  decisionId: string;
+  anchoredAt: Date;
+  /** False for anchors migrated from files_affected, which have no content fingerprint */
+  hasBaseline: boolean;
+}
+
+export type DriftReason = 'changed' | 'deleted' | 'renamed' | 'symbol_missing';
+
+export interface DecisionDrift {
+  decisionId: string;
+  decision: string;
+  anchor: DecisionAnchor;
+  reason: DriftReason;
+  /** Where a renamed file lives now */
+  currentPath?: string;
+  /** Line similarity to the anchored code, when a baseline exists */
+  similarity?: number;
+  /** Recorded file changes since the decision was anchored */
+  changesSince: number;
 }
 
+export type FileChangeType = 'created' | 'modified' | 'deleted' | 'renamed';
+
 export interface FileChangeHistory {
   id: string;
   filePath: string;
-  changeType: 'created' | 'modified' | 'deleted';
+  changeType: FileChangeType;
   timestamp: Date;
   conversationId?: string;
+  previousPath?: string;
+  contentHash?: string;
+}
+
+export interface GitImportOptions {
+  maxCount?: number;
+  /** Commit messages matching any of these become proposed decisions */
+  decisionPatterns?: RegExp[];
+}
+
+export interface GitImportResult {
+  commits: number;
+  fileChanges: number;
+  proposedDecisions: number;
+}
+
+export type ClearableTable =
+  | 'conversations'
+  | 'messages'
+  | 'outcomes'
+  | 'architectural_decisions'
+  | 'file_changes'
+  | 'code_patterns'
+  | 'user_preferences'
+  | 'commits'
+  | 'file_snapshots';
+
+export interface ClearScope {
+  projectId?: string;
+  /** Only rows recorded at or after this time */
+  from?: Date;
+  /** Only rows recorded before this time */
+  to?: Date;
+  /** Only this assistant's conversations, with their messages and outcomes */
+  aiAssistant?: string;
+  table?: ClearableTable;
+}
+
+/** Deleted row counts per table */
+export type ClearResult = Partial<Record<ClearableTable | 'embeddings', number>>;
+
+export interface DetectedFileChange {
+  filePath: string;
+  changeType: FileChangeType;
+  previousPath?: string;
+  contentHash?: string;
 }
 
 export interface CodePattern {
@@ -82,14 +207,23 @@ export interface CodePattern {
   pattern: string;
   frequency: number;
   context: string;
+  language?: string;
+  success?: boolean;
+  successCount?: number;
+  failureCount?: number;
+  lastSeen?: Date;
 }
 
 export interface UserPreferences {
   codingStyle?: string;
+  preferredLibraries?: string[];
+  forbiddenApis?: string[];
   preferredPatterns?: string[];
   aiAssistantPreferences?: Record<string, any>;
 }
 
+export type PreferenceKey = keyof UserPreferences;
+
 export interface ConversationContext {
   activeFile?: string;
   selectedText?: string;
@@ -97,25 +231,171 @@ export interface ConversationContext {
   openFiles?: string[];
 }
 
+export type OutcomeType =
+  | 'code_generated'
+  | 'decision_made'
+  | 'problem_solved'
+  | 'code_accepted'
+  | 'code_rejected'
+  | 'execution_succeeded'
+  | 'execution_failed'
+  | 'tests_passed'
+  | 'tests_failed'
+  | 'follow_up_bug';
+
 export interface ConversationOutcome {
-  type: 'code_generated' | 'decision_made' | 'problem_solved';
+  id?: string;
+  type: OutcomeType;
   description: string;
+  success?: boolean; // defaults from the outcome type
   filesModified?: string[];
+  metadata?: any;
+  timestamp?: Date;
+}
+
+const NEGATIVE_OUTCOMES: OutcomeType[] = ['code_rejected', 'execution_failed', 'tests_failed', 'follow_up_bug'];
+
+// Time column used for date-range clears; tables without one are left alone
+// by dated clears, and only conversation tables are scoped by assistant
+const CLEARABLE_TABLES: Record<ClearableTable, { timeColumn?: string; conversationScoped?: boolean }> = {
+  conversations: { timeColumn: 'timestamp', conversationScoped: true },
+  messages: { timeColumn: 'timestamp', conversationScoped: true },
+  outcomes: { timeColumn: 'timestamp', conversationScoped: true },
+  architectural_decisions: { timeColumn: 'timestamp' },
+  file_changes: { timeColumn: 'timestamp' },
+  code_patterns: { timeColumn: 'COALESCE(last_seen, first_seen)' },
+  user_preferences: {},
+  commits: { timeColumn: 'authored_at' },
+  file_snapshots: { timeColumn: 'updated_at' }
+};
+
+// Columns holding user content that setCipher() encrypts at rest. Code
+// patterns are left out: they are snippets of the working tree, which is
+// plaintext on disk anyway, and deduplication needs their text
+const ENCRYPTED_FIELDS: Record<string, string[]> = {
+  messages: ['content'],
+  conversations: ['summary'],
+  architectural_decisions: ['decision', 'rationale'],
+  team_memories: ['title', 'content', 'context'],
+  team_memory_revisions: ['title', 'content', 'context'],
+  team_memory_comments: ['content'],
+  team_changes: ['data'],
+  team_sync_conflicts: ['kept', 'discarded']
+};
+
+// Columns redacted on import, as they are when recorded here. JSON columns
+// are redacted value by value
+const IMPORT_REDACTED_FIELDS: Partial<Record<BundleTable, { text?: string[]; json?: string[] }>> = {
+  conversations: { text: ['summary'], json: ['context'] },
+  messages: { text: ['content'] },
+  outcomes: { text: ['description'], json: ['metadata'] },
+  architectural_decisions: { text: ['decision', 'rationale'], json: ['alternatives', 'impact'] },
+  code_patterns: { text: ['pattern'], json: ['context'] }
+};
+
+// Project id derived from the root path, used before projects had id files
+function legacyProjectId(projectPath: string): string {
+  return crypto.createHash('md5').update(projectPath).digest('hex').substring(0, 16);
+}
+
+// Same format as CURRENT_TIMESTAMP so imported rows sort with native ones
+function toSqliteTimestamp(date: Date): string {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// New messages since the last summary before a conversation is re-summarized
+const RESUMMARIZE_AFTER_MESSAGES = 4;
+// Memory schema version that added decision anchors
+const ANCHORS_SCHEMA_VERSION = 12;
+
+// Token-trigram Jaccard similarity above which patterns share a cluster
+const PATTERN_CLUSTER_THRESHOLD = 0.6;
+
+// Full-text search interfaces
+export type SearchSource = 'message' | 'conversation' | 'decision' | 'pattern';
+
+export interface SearchOptions {
+  projectId?: string;
+  sources?: SearchSource[];
+  limit?: number;
+  matchAll?: boolean; // AND terms together instead of OR
+  highlight?: { open: string; close: string };
+}
+
+export interface SearchHit {
+  source: SearchSource;
+  id: string;
+  conversationId?: string;
+  title: string;
+  snippet: string;
+  rank: number; // BM25 score, lower is more relevant
+}
+
+export interface ConversationSearchResult extends Conversation {
+  rank: number;
+  snippets: string[];
+}
+
+// Semantic recall interfaces
+export type EmbeddingSource = SearchSource | 'team_memory';
+
+export interface SemanticHit {
+  source: EmbeddingSource;
+  id: string;
+  score: number; // cosine similarity
 }
 
+export interface RecallOptions {
+  limit?: number;
+  semanticWeight?: number; // 0 = keyword only, 1 = vector only
+  /** Files being worked on; decisions anchored to them are always recalled */
+  files?: string[];
+  /** Recall across these projects instead of one; memories are tagged with their project */
+  projectIds?: string[];
+}
+
+// Identity of a project root, kept with the project so it survives moves and renames
+export const PROJECT_ID_FILE = path.join('.codecontext', 'project-id');
+
 export class MemoryEngine {
   private db: sqlite3.Database | null = null;
   private projectPath: string;
+  private projectId: string;
   private dbPath: string;
+  private searchIndexAvailable = false;
+  private databaseExisted = false;
+  // Databases attached to the connection under a schema name, e.g. the team store
+  private attachedDatabases = new Map<string, { path: string; existed: boolean }>();
+  protected embedder: Embedder | null = null;
+  protected cipher: FieldCipher | null = null;
+  private decryptWarnings = new Set<string>();
+  protected redactor: Redactor | null = new Redactor();
+  protected summarizer: Summarizer | null = null;
+  private fallbackSummarizer: Summarizer = new ExtractiveSummarizer();
+  private activeConversation: { id: string; since: number } | null = null;
+  private scanRules: ScanRules;
+  // Savepoint depth of the transaction the current async call runs in
+  private transactionDepth = new AsyncLocalStorage<number>();
+  // Work that reads the project root and scan rules as it goes, which
+  // useProject waits out; set while the current async call is part of it
+  private projectWork = new Set<Promise<unknown>>();
+  private inProjectWork = new AsyncLocalStorage<boolean>();
+  private projectSwitch: Promise<void> = Promise.resolve();
+  // Transactions and statements made outside one take turns on the connection
+  private transactionQueue: Promise<void> = Promise.resolve();
 
   constructor(projectPath: string) {
     this.projectPath = projectPath;
+    this.projectId = legacyProjectId(projectPath);
     this.dbPath = path.join(projectPath, '.codecontext', 'memory.db');
+    this.scanRules = new ScanRules(projectPath);
   }
 
   async initialize(): Promise<void> {
     // Ensure directory exists
     await fs.ensureDir(path.dirname(this.dbPath));
+    this.databaseExisted = await fs.pathExists(this.dbPath);
+    this.scanRules = await ScanRules.load(this.projectPath);
 
     return new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.dbPath, (err) => {
@@ -123,351 +403,2087 @@ export class MemoryEngine {
           reject(err);
           return;
         }
-        this.createTables().then(resolve).catch(reject);
+        // Readers never block the writer, and a writer waits briefly instead of failing
+        this.db!.configure('busyTimeout', 5000);
+        this.runQuery('PRAGMA journal_mode = WAL')
+          .then(() => this.createTables())
+          .then(resolve)
+          .catch(reject);
       });
     });
   }
 
   private async createTables(): Promise<void> {
-    const tables = [
-      `CREATE TABLE IF NOT EXISTS projects (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        root_path TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
-        metadata TEXT
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS conversations (
-        id TEXT PRIMARY KEY,
-        project_id TEXT,
-        ai_assistant TEXT NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        context TEXT,
-        summary TEXT,
-        FOREIGN KEY (project_id) REFERENCES projects (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS messages (
-        id TEXT PRIMARY KEY,
-        conversation_id TEXT,
-        role TEXT NOT NULL,
-        content TEXT NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        metadata TEXT,
-        FOREIGN KEY (conversation_id) REFERENCES conversations (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS architectural_decisions (
-        id TEXT PRIMARY KEY,
-        project_id TEXT,
-        decision TEXT NOT NULL,
-        rationale TEXT,
-        alternatives TEXT,
-        impact TEXT,
-        files_affected TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (project_id) REFERENCES projects (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS file_changes (
-        id TEXT PRIMARY KEY,
-        project_id TEXT,
-        file_path TEXT NOT NULL,
-        change_type TEXT NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        conversation_id TEXT,
-        FOREIGN KEY (project_id) REFERENCES projects (id),
-        FOREIGN KEY (conversation_id) REFERENCES conversations (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS code_patterns (
-        id TEXT PRIMARY KEY,
-        project_id TEXT,
-        pattern TEXT NOT NULL,
-        frequency INTEGER DEFAULT 1,
-        context TEXT,
-        FOREIGN KEY (project_id) REFERENCES projects (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS user_preferences (
-        id TEXT PRIMARY KEY,
-        project_id TEXT,
-        key TEXT NOT NULL,
-        value TEXT,
-        FOREIGN KEY (project_id) REFERENCES projects (id)
-      )`
-    ];
+    const version = await this.runMigrations('memory', MEMORY_MIGRATIONS);
+    if (version > 0 && version < ANCHORS_SCHEMA_VERSION) {
+      await this.anchorEarlierDecisions();
+    }
+    await this.consolidatePatterns();
+
+    await this.createSearchIndex();
+
+    // Register the workspace itself; a moved project is relocated automatically
+    const project = await this.registerProject(this.projectPath);
+    this.projectId = project.id;
+  }
+
+  getProjectId(): string {
+    return this.projectId;
+  }
+
+  getProjectPath(): string {
+    return this.projectPath;
+  }
 
-    for (const table of tables) {
-      await this.runQuery(table);
+  /**
+   * Register a project root, e.g. a package in a monorepo, with its own
+   * memory in this database. Its id is read from (or written to)
+   * .codecontext/project-id under the root, so registering a moved project
+   * finds its memory again. Registering a known project updates its root.
+   */
+  async registerProject(rootPath: string, name?: string): Promise<ProjectInfo> {
+    const root = path.resolve(rootPath);
+    const idFile = path.join(root, PROJECT_ID_FILE);
+
+    let id = (await fs.readFile(idFile, 'utf8').catch(() => '')).trim();
+    if (!id) {
+      // Projects created before id files existed keep their path-derived id
+      const legacyId = legacyProjectId(rootPath);
+      const legacy = await this.getQuery(`SELECT id FROM projects WHERE id = ?`, [legacyId]);
+      id = legacy ? legacyId : uuidv4().replace(/-/g, '').substring(0, 16);
+      await fs.ensureDir(path.dirname(idFile));
+      await fs.writeFile(idFile, `${id}\n`);
     }
 
-    // Create initial project record
-    const projectId = this.generateProjectId();
-    const projectName = path.basename(this.projectPath);
-    
+    // Keep a name given by renameProject; only the root follows the project
     await this.runQuery(
-      `INSERT OR REPLACE INTO projects (id, name, root_path) VALUES (?, ?, ?)`,
-      [projectId, projectName, this.projectPath]
+      `INSERT INTO projects (id, name, root_path) VALUES (?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET root_path = excluded.root_path`,
+      [id, name || path.basename(root), root]
     );
+    if (name) {
+      await this.runQuery(`UPDATE projects SET name = ? WHERE id = ?`, [name, id]);
+    }
+
+    return (await this.getProject(id))!;
   }
 
-  protected runQuery(sql: string, params: any[] = []): Promise<any> {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error('Database not initialized'));
-        return;
-      }
+  async listProjects(): Promise<ProjectInfo[]> {
+    const rows = await this.allQuery(`SELECT * FROM projects ORDER BY last_active DESC`);
+    return Promise.all(rows.map(row => this.parseProject(row)));
+  }
 
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(this);
-        }
-      });
-    });
+  async getProject(projectId: string): Promise<ProjectInfo | null> {
+    const row = await this.getQuery(`SELECT * FROM projects WHERE id = ?`, [projectId]);
+    return row ? this.parseProject(row) : null;
   }
 
-  protected getQuery(sql: string, params: any[] = []): Promise<any> {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error('Database not initialized'));
-        return;
-      }
+  /**
+   * Find the registered project whose root contains a path, preferring the
+   * most deeply nested one, so files in a monorepo package map to it.
+   */
+  async resolveProjectForPath(filePath: string): Promise<ProjectInfo | null> {
+    const target = path.resolve(filePath);
+    const containing = (await this.listProjects())
+      .filter(project => target === project.rootPath || target.startsWith(project.rootPath + path.sep))
+      .sort((a, b) => b.rootPath.length - a.rootPath.length);
+    return containing[0] || null;
+  }
 
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+  async renameProject(projectId: string, name: string): Promise<void> {
+    if (!name.trim()) {
+      throw new Error('Project name cannot be empty');
+    }
+    const result = await this.runQuery(`UPDATE projects SET name = ? WHERE id = ?`, [name.trim(), projectId]);
+    if (result.changes === 0) {
+      throw new Error(`Project ${projectId} not found`);
+    }
   }
 
-  protected allQuery(sql: string, params: any[] = []): Promise<any[]> {
-    return new Promise((resolve, reject) => {
-      if (!this.db) {
-        reject(new Error('Database not initialized'));
-        return;
+  /**
+   * Point a project at a new root, for projects moved while CodeContext
+   * was not running or registered before id files existed. The id file is
+   * written at the new root. Refuses a root that already belongs to a
+   * different project with memory of its own; one without is replaced.
+   */
+  async relocateProject(projectId: string, newRootPath: string): Promise<ProjectInfo> {
+    const project = await this.getProject(projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+
+    const root = path.resolve(newRootPath);
+    if (!(await fs.pathExists(root))) {
+      throw new Error(`${root} does not exist`);
+    }
+
+    const idFile = path.join(root, PROJECT_ID_FILE);
+    const existingId = (await fs.readFile(idFile, 'utf8').catch(() => '')).trim();
+    const replaced = existingId && existingId !== projectId ? existingId : null;
+    if (replaced && await this.projectHasMemory(replaced)) {
+      throw new Error(`${root} already belongs to another project with its own memory`);
+    }
+
+    const relocate = async () => {
+      if (replaced) {
+        // What a scan recorded for it is recorded again for the relocated project
+        await this.transaction(async () => {
+          for (const table of ['file_snapshots', 'file_changes', 'commits']) {
+            await this.runQuery(`DELETE FROM ${table} WHERE project_id = ?`, [replaced]);
+          }
+          await this.runQuery(`DELETE FROM projects WHERE id = ?`, [replaced]);
+        });
       }
+      await fs.ensureDir(path.dirname(idFile));
+      await fs.writeFile(idFile, `${projectId}\n`);
+      await this.runQuery(`UPDATE projects SET root_path = ? WHERE id = ?`, [root, projectId]);
+    };
 
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
+    // The engine follows its project, or takes over the root it was on
+    if (projectId === this.projectId || replaced === this.projectId) {
+      await this.switchProject(async () => {
+        await relocate();
+        this.projectId = projectId;
+        this.projectPath = root;
+        await this.reloadScanRules();
       });
-    });
+    } else {
+      await relocate();
+    }
+    return (await this.getProject(projectId))!;
   }
 
-  async recordConversation(
-    aiAssistant: string,
-    messages: Message[],
-    context?: ConversationContext
-  ): Promise<string> {
-    const conversationId = uuidv4();
-    const projectId = this.generateProjectId();
+  /**
+   * The project this workspace most likely was before it moved, when it was
+   * registered before id files existed: the one such project whose root is
+   * gone. Null if there isn't exactly one, or if the current project
+   * already has memory. Carry it over with relocateProject.
+   */
+  async findMovedLegacyProject(): Promise<ProjectInfo | null> {
+    if (await this.projectHasMemory(this.projectId)) {
+      return null;
+    }
+    const candidates = (await this.listProjects())
+      .filter(project => project.id !== this.projectId && project.missing && project.id === legacyProjectId(project.rootPath));
+    return candidates.length === 1 ? candidates[0] : null;
+  }
 
-    // Insert conversation
-    await this.runQuery(
-      `INSERT INTO conversations (id, project_id, ai_assistant, context) VALUES (?, ?, ?, ?)`,
-      [conversationId, projectId, aiAssistant, JSON.stringify(context || {})]
+  private async projectHasMemory(projectId: string): Promise<boolean> {
+    const used = await this.getQuery(
+      `SELECT EXISTS(SELECT 1 FROM conversations WHERE project_id = ?)
+         OR EXISTS(SELECT 1 FROM architectural_decisions WHERE project_id = ?) AS used`,
+      [projectId, projectId]
     );
+    return !!used?.used;
+  }
 
-    // Insert messages
-    for (const message of messages) {
-      await this.runQuery(
-        `INSERT INTO messages (id, conversation_id, role, content, metadata) VALUES (?, ?, ?, ?, ?)`,
-        [message.id || uuidv4(), conversationId, message.role, message.content, JSON.stringify(message.metadata || {})]
-      );
+  /**
+   * Scope this engine to another registered project: recording, recall,
+   * file tracking and exports all follow it. The database stays where it is.
+   * File syncs in progress finish against the old project first and new
+   * ones wait for the switch. Other background work, like summaries and
+   * embedding backfill, reads the project id once when it starts.
+   */
+  async useProject(projectId: string): Promise<ProjectInfo> {
+    const project = await this.getProject(projectId);
+    if (!project) {
+      throw new Error(`Project ${projectId} not found`);
+    }
+    if (project.missing) {
+      throw new Error(`${project.rootPath} no longer exists; relocate the project first`);
     }
 
-    // Update project last active
+    await this.switchProject(async () => {
+      this.projectId = project.id;
+      this.projectPath = project.rootPath;
+      this.activeConversation = null;
+      await this.reloadScanRules();
+    });
     await this.updateProjectActivity();
-
-    return conversationId;
+    return project;
   }
 
-  async recordArchitecturalDecision(decision: Omit<ArchitecturalDecision, 'id' | 'timestamp'>): Promise<void> {
-    const projectId = this.generateProjectId();
-    const decisionId = uuidv4();
+  // Change which project or root the engine works on once project work in
+  // flight has finished
+  private async switchProject(apply: () => Promise<void>): Promise<void> {
+    const previous = this.projectSwitch;
+    let switched!: () => void;
+    this.projectSwitch = new Promise(resolve => switched = resolve);
+    try {
+      await previous;
+      await Promise.allSettled([...this.projectWork]);
+      await apply();
+    } finally {
+      switched();
+    }
+  }
 
-    await this.runQuery(
-      `INSERT INTO architectural_decisions (id, project_id, decision, rationale, alternatives, impact, files_affected) 
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        decisionId,
-        projectId,
-        decision.decision,
-        decision.rationale,
-        JSON.stringify(decision.alternatives),
-        JSON.stringify(decision.impact),
-        JSON.stringify(decision.filesAffected)
-      ]
-    );
+  /**
+   * Run work that depends on the current project for its whole length, so
+   * useProject can't switch underneath it. Nested calls join the outer one.
+   */
+  private async withProject<T>(work: () => Promise<T>): Promise<T> {
+    if (this.inProjectWork.getStore()) {
+      return work();
+    }
+    let pendingSwitch: Promise<void>;
+    do {
+      pendingSwitch = this.projectSwitch;
+      await pendingSwitch;
+    } while (pendingSwitch !== this.projectSwitch);
+
+    const running = this.inProjectWork.run(true, work);
+    this.projectWork.add(running);
+    try {
+      return await running;
+    } finally {
+      this.projectWork.delete(running);
+    }
+  }
 
-    await this.updateProjectActivity();
+  private async parseProject(row: any): Promise<ProjectInfo> {
+    return {
+      id: row.id,
+      name: row.name,
+      rootPath: row.root_path,
+      createdAt: new Date(row.created_at),
+      lastActive: new Date(row.last_active),
+      missing: !(await fs.pathExists(row.root_path))
+    };
   }
 
-  async trackFileChange(filePath: string, changeType: 'created' | 'modified' | 'deleted', conversationId?: string): Promise<void> {
-    const projectId = this.generateProjectId();
-    const changeId = uuidv4();
+  /**
+   * Attach another database file to the connection under a schema name.
+   * Its tables are queried as schema.table and share transactions with
+   * memory.db; it keeps its own schema versions and backups.
+   */
+  protected async attachDatabase(schema: string, filePath: string): Promise<void> {
+    if (!/^[a-z_]+$/.test(schema) || schema === 'main' || schema === 'temp') {
+      throw new Error(`Invalid schema name: ${schema}`);
+    }
+    if (this.attachedDatabases.has(schema)) {
+      return;
+    }
 
-    await this.runQuery(
-      `INSERT INTO file_changes (id, project_id, file_path, change_type, conversation_id) VALUES (?, ?, ?, ?, ?)`,
-      [changeId, projectId, filePath, changeType, conversationId]
-    );
+    await fs.ensureDir(path.dirname(filePath));
+    const existed = await fs.pathExists(filePath);
+    await this.runQuery(`ATTACH DATABASE ? AS ${schema}`, [filePath]);
+    await this.runQuery(`PRAGMA ${schema}.journal_mode = WAL`);
+    this.attachedDatabases.set(schema, { path: filePath, existed });
   }
 
-  async getProjectMemory(): Promise<ProjectMemory> {
-    const projectId = this.generateProjectId();
-    
-    // Get project info
-    const project = await this.getQuery(
-      `SELECT * FROM projects WHERE id = ?`,
-      [projectId]
+  /**
+   * Apply pending migrations for a schema scope in version order. Existing
+   * databases are backed up before the first pending migration runs.
+   * Migrations for an attached database must qualify their tables with its
+   * schema name; its versions are recorded inside it. Returns the version
+   * the database was at before, 0 for a new one.
+   */
+  protected async runMigrations(scope: string, migrations: Migration[], schema: string = 'main'): Promise<number> {
+    await this.runQuery(
+      `CREATE TABLE IF NOT EXISTS ${schema}.schema_version (
+        scope TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        description TEXT,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (scope, version)
+      )`
     );
 
-    // Get conversations with messages
-    const conversations = await this.allQuery(
-      `SELECT * FROM conversations WHERE project_id = ? ORDER BY timestamp DESC`,
-      [projectId]
-    );
+    const ordered = [...migrations].sort((a, b) => a.version - b.version);
+    const latestVersion = ordered.length > 0 ? ordered[ordered.length - 1].version : 0;
+    const currentVersion = await this.getSchemaVersion(scope, schema);
 
-    const conversationsWithMessages = await Promise.all(
-      conversations.map(async (conv) => {
-        const messages = await this.allQuery(
-          `SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp`,
-          [conv.id]
+    if (currentVersion > latestVersion) {
+      throw new SchemaVersionError(scope, currentVersion, latestVersion);
+    }
+
+    const pending = ordered.filter(m => m.version > currentVersion);
+    if (pending.length === 0) {
+      return currentVersion;
+    }
+
+    // Fresh databases have nothing worth backing up
+    const existed = schema === 'main' ? this.databaseExisted : this.attachedDatabases.get(schema)?.existed;
+    if (existed) {
+      await this.backupDatabase(`${scope}-v${currentVersion}`, schema);
+    }
+
+    for (const migration of pending) {
+      try {
+        await this.transaction(async () => {
+          for (const statement of migration.up) {
+            await this.runQuery(statement);
+          }
+          await this.runQuery(
+            `INSERT INTO ${schema}.schema_version (scope, version, description) VALUES (?, ?, ?)`,
+            [scope, migration.version, migration.description]
+          );
+        });
+      } catch (error) {
+        throw new Error(
+          `Migration ${scope} v${migration.version} (${migration.description}) failed: ` +
+          `${error instanceof Error ? error.message : String(error)}`
         );
-        
-        return {
-          id: conv.id,
-          timestamp: new Date(conv.timestamp),
-          aiAssistant: conv.ai_assistant,
-          context: JSON.parse(conv.context || '{}'),
-          messages: messages.map(msg => ({
-            id: msg.id,
-            role: msg.role,
-            content: msg.content,
-            timestamp: new Date(msg.timestamp),
-            metadata: JSON.parse(msg.metadata || '{}')
-          })),
-          outcomes: [] // TODO: Implement outcomes tracking
-        };
-      })
-    );
+      }
+      console.log(`🗄️ Applied ${scope} migration v${migration.version}: ${migration.description}`);
+    }
+    return currentVersion;
+  }
 
-    // Get decisions
-    const decisions = await this.allQuery(
-      `SELECT * FROM architectural_decisions WHERE project_id = ? ORDER BY timestamp DESC`,
-      [projectId]
+  async getSchemaVersion(scope: string = 'memory', schema: string = 'main'): Promise<number> {
+    const row = await this.getQuery(
+      `SELECT MAX(version) as version FROM ${schema}.schema_version WHERE scope = ?`,
+      [scope]
     );
+    return row?.version || 0;
+  }
 
-    const parsedDecisions = decisions.map(decision => ({
-      id: decision.id,
-      timestamp: new Date(decision.timestamp),
-      decision: decision.decision,
-      rationale: decision.rationale,
-      alternatives: JSON.parse(decision.alternatives || '[]'),
-      impact: JSON.parse(decision.impact || '[]'),
-      filesAffected: JSON.parse(decision.files_affected || '[]')
-    }));
+  /**
+   * Write a consistent snapshot of the database (or an attached one) to
+   * .codecontext/backups
+   */
+  async backupDatabase(label: string = 'manual', schema: string = 'main'): Promise<string> {
+    const attached = this.attachedDatabases.get(schema);
+    if (schema !== 'main' && !attached) {
+      throw new Error(`No database attached as ${schema}`);
+    }
 
-    // Get file history
-    const fileHistory = await this.allQuery(
-      `SELECT * FROM file_changes WHERE project_id = ? ORDER BY timestamp DESC LIMIT 100`,
-      [projectId]
-    );
+    const dbPath = attached ? attached.path : this.dbPath;
+    const backupDir = path.join(path.dirname(this.dbPath), 'backups');
+    await fs.ensureDir(backupDir);
 
-    const parsedFileHistory = fileHistory.map(file => ({
-      id: file.id,
-      filePath: file.file_path,
-      changeType: file.change_type,
-      timestamp: new Date(file.timestamp),
-      conversationId: file.conversation_id
-    }));
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `${path.basename(dbPath, '.db')}-backup-${label}-${stamp}.db`);
 
-    return {
-      id: project.id,
-      name: project.name,
-      rootPath: project.root_path,
-      createdAt: new Date(project.created_at),
-      lastActive: new Date(project.last_active),
-      conversations: conversationsWithMessages,
-      decisions: parsedDecisions,
-      patterns: [], // TODO: Implement pattern recognition
-      preferences: {}, // TODO: Implement preferences
-      fileHistory: parsedFileHistory
-    };
+    await this.runQuery(`VACUUM ${schema} INTO ?`, [backupPath]);
+    console.log(`💾 Database backed up to ${backupPath}`);
+
+    return backupPath;
   }
 
-  async searchConversations(query: string): Promise<Conversation[]> {
-    const projectId = this.generateProjectId();
-    
-    const conversations = await this.allQuery(
-      `SELECT DISTINCT c.* FROM conversations c 
-       JOIN messages m ON c.id = m.conversation_id 
-       WHERE c.project_id = ? AND (m.content LIKE ? OR c.summary LIKE ?)
-       ORDER BY c.timestamp DESC`,
-      [projectId, `%${query}%`, `%${query}%`]
-    );
-
-    return Promise.all(
-      conversations.map(async (conv) => {
-        const messages = await this.allQuery(
-          `SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp`,
-          [conv.id]
-        );
-        
-        return {
-          id: conv.id,
-          timestamp: new Date(conv.timestamp),
-          aiAssistant: conv.ai_assistant,
-          context: JSON.parse(conv.context || '{}'),
-          messages: messages.map(msg => ({
-            id: msg.id,
-            role: msg.role,
-            content: msg.content,
-            timestamp: new Date(msg.timestamp),
-            metadata: JSON.parse(msg.metadata || '{}')
-          })),
-          outcomes: []
-        };
-      })
+  /**
+   * Build the FTS5 index over messages, conversation summaries, decisions and
+   * patterns. Triggers keep it in sync with the source tables; if the SQLite
+   * build lacks FTS5 we fall back to LIKE scans.
+   */
+  private async createSearchIndex(): Promise<void> {
+    const existing = await this.getQuery(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'memory_fts'`
     );
+
+    try {
+      await this.runQuery(
+        `CREATE VIRTUAL TABLE IF NOT EXISTS memory_fts USING fts5(
+          source UNINDEXED,
+          ref_id UNINDEXED,
+          parent_id UNINDEXED,
+          project_id UNINDEXED,
+          title,
+          body,
+          tokenize = 'porter unicode61'
+        )`
+      );
+    } catch (error) {
+      console.warn('⚠️ FTS5 unavailable, falling back to LIKE search:', error);
+      this.searchIndexAvailable = false;
+      return;
+    }
+
+    // Encrypted fields stay out of the index; they are only found semantically.
+    // Messages copied into a branch are found through their originals
+    const triggers = [
+      `CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages
+       WHEN new.content NOT LIKE '${ENCRYPTED_PREFIX}%' AND new.copied_from IS NULL BEGIN
+        INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+        VALUES ('message', new.id, new.conversation_id,
+          (SELECT project_id FROM conversations WHERE id = new.conversation_id), '', new.content);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+        DELETE FROM memory_fts WHERE source = 'message' AND ref_id = old.id;
+        INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+        SELECT 'message', new.id, new.conversation_id,
+          (SELECT project_id FROM conversations WHERE id = new.conversation_id), '', new.content
+        WHERE new.content NOT LIKE '${ENCRYPTED_PREFIX}%' AND new.copied_from IS NULL;
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+        DELETE FROM memory_fts WHERE source = 'message' AND ref_id = old.id;
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS conversations_fts_insert AFTER INSERT ON conversations
+       WHEN new.summary IS NOT NULL AND new.summary NOT LIKE '${ENCRYPTED_PREFIX}%' BEGIN
+        INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+        VALUES ('conversation', new.id, new.id, new.project_id, new.ai_assistant, new.summary);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS conversations_fts_update AFTER UPDATE OF summary ON conversations BEGIN
+        DELETE FROM memory_fts WHERE source = 'conversation' AND ref_id = old.id;
+        INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+        SELECT 'conversation', new.id, new.id, new.project_id, new.ai_assistant, new.summary
+        WHERE new.summary IS NOT NULL AND new.summary NOT LIKE '${ENCRYPTED_PREFIX}%';
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS conversations_fts_delete AFTER DELETE ON conversations BEGIN
+        DELETE FROM memory_fts WHERE source = 'conversation' AND ref_id = old.id;
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS decisions_fts_insert AFTER INSERT ON architectural_decisions
+       WHEN new.decision NOT LIKE '${ENCRYPTED_PREFIX}%' BEGIN
+        INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+        VALUES ('decision', new.id, NULL, new.project_id, new.decision, COALESCE(new.rationale, ''));
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS decisions_fts_update AFTER UPDATE OF decision, rationale ON architectural_decisions BEGIN
+        DELETE FROM memory_fts WHERE source = 'decision' AND ref_id = old.id;
+        INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+        SELECT 'decision', new.id, NULL, new.project_id, new.decision, COALESCE(new.rationale, '')
+        WHERE new.decision NOT LIKE '${ENCRYPTED_PREFIX}%';
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS decisions_fts_delete AFTER DELETE ON architectural_decisions BEGIN
+        DELETE FROM memory_fts WHERE source = 'decision' AND ref_id = old.id;
+      END`,
+
+      `CREATE TRIGGER IF NOT EXISTS patterns_fts_insert AFTER INSERT ON code_patterns BEGIN
+        INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+        VALUES ('pattern', new.id, NULL, new.project_id, COALESCE(new.context, ''), new.pattern);
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS patterns_fts_update AFTER UPDATE OF pattern, context ON code_patterns BEGIN
+        UPDATE memory_fts SET title = COALESCE(new.context, ''), body = new.pattern
+        WHERE source = 'pattern' AND ref_id = old.id;
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS patterns_fts_delete AFTER DELETE ON code_patterns BEGIN
+        DELETE FROM memory_fts WHERE source = 'pattern' AND ref_id = old.id;
+      END`
+    ];
+
+    // Recreated on every start so definition changes reach existing databases
+    for (const trigger of triggers) {
+      const [, name] = /TRIGGER IF NOT EXISTS (\w+)/.exec(trigger)!;
+      await this.runQuery(`DROP TRIGGER IF EXISTS ${name}`);
+      await this.runQuery(trigger);
+    }
+
+    // Backfill rows written before the index existed
+    if (!existing) {
+      await this.rebuildSearchIndex();
+    }
+
+    this.searchIndexAvailable = true;
   }
 
-  async getStatistics() {
-    const projectId = this.generateProjectId();
-    
-    const conversationCount = await this.getQuery(
-      `SELECT COUNT(*) as count FROM conversations WHERE project_id = ?`,
-      [projectId]
+  async rebuildSearchIndex(): Promise<void> {
+    await this.runQuery(`DELETE FROM memory_fts`);
+
+    await this.runQuery(
+      `INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+       SELECT 'message', m.id, m.conversation_id, c.project_id, '', m.content
+       FROM messages m LEFT JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.content NOT LIKE '${ENCRYPTED_PREFIX}%' AND m.copied_from IS NULL`
     );
-    
-    const messageCount = await this.getQuery(
-      `SELECT COUNT(*) as count FROM messages m 
-       JOIN conversations c ON m.conversation_id = c.id 
-       WHERE c.project_id = ?`,
-      [projectId]
+    await this.runQuery(
+      `INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+       SELECT 'conversation', id, id, project_id, ai_assistant, summary
+       FROM conversations WHERE summary IS NOT NULL AND summary NOT LIKE '${ENCRYPTED_PREFIX}%'`
     );
-    
-    const decisionCount = await this.getQuery(
-      `SELECT COUNT(*) as count FROM architectural_decisions WHERE project_id = ?`,
-      [projectId]
+    await this.runQuery(
+      `INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+       SELECT 'decision', id, NULL, project_id, decision, COALESCE(rationale, '')
+       FROM architectural_decisions WHERE decision NOT LIKE '${ENCRYPTED_PREFIX}%'`
     );
-    
-    const fileCount = await this.getQuery(
-      `SELECT COUNT(DISTINCT file_path) as count FROM file_changes WHERE project_id = ?`,
-      [projectId]
+    await this.runQuery(
+      `INSERT INTO memory_fts (source, ref_id, parent_id, project_id, title, body)
+       SELECT 'pattern', id, NULL, project_id, COALESCE(context, ''), pattern
+       FROM code_patterns`
     );
-    
+  }
+
+  protected runQuery(sql: string, params: any[] = []): Promise<any> {
+    return this.inTurn(() => this.execute('run', sql, params));
+  }
+
+  /**
+   * Run fn in a transaction: committed if it resolves, rolled back if it
+   * throws. Transactions are serialized on the shared connection; calling
+   * transaction() from inside fn nests as a savepoint.
+   */
+  async transaction<T>(fn: () => Promise<T>): Promise<T> {
+    const depth = this.transactionDepth.getStore();
+
+    if (depth !== undefined) {
+      const savepoint = `sp_${depth + 1}`;
+      await this.runQuery(`SAVEPOINT ${savepoint}`);
+      try {
+        const result = await this.transactionDepth.run(depth + 1, fn);
+        await this.runQuery(`RELEASE ${savepoint}`);
+        return result;
+      } catch (error) {
+        await this.runQuery(`ROLLBACK TO ${savepoint}`).catch(() => undefined);
+        await this.runQuery(`RELEASE ${savepoint}`).catch(() => undefined);
+        throw error;
+      }
+    }
+
+    return this.enqueue(async () => {
+      await this.execute('run', 'BEGIN IMMEDIATE');
+      try {
+        const result = await this.transactionDepth.run(0, fn);
+        await this.execute('run', 'COMMIT');
+        return result;
+      } catch (error) {
+        await this.execute('run', 'ROLLBACK').catch(() => undefined);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Reclaim free pages. VACUUM can't run inside a transaction, so it waits
+   * for the open one like any other statement.
+   */
+  protected vacuum(schema: string = 'main'): Promise<void> {
+    return this.runQuery(`VACUUM ${schema}`);
+  }
+
+  private enqueue<T>(task: () => Promise<T>): Promise<T> {
+    const turn = this.transactionQueue.then(task);
+    this.transactionQueue = turn.then(() => undefined, () => undefined);
+    return turn;
+  }
+
+  /**
+   * Statements made inside a transaction run right away; any other waits
+   * its turn, so it can't land inside someone else's open transaction
+   */
+  private inTurn<T>(task: () => Promise<T>): Promise<T> {
+    return this.transactionDepth.getStore() !== undefined ? task() : this.enqueue(task);
+  }
+
+  private execute(method: 'run' | 'get' | 'all', sql: string, params: any[] = []): Promise<any> {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('Database not initialized'));
+        return;
+      }
+
+      const callback = function(this: sqlite3.RunResult, err: Error | null, result?: any) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(method === 'run' ? this : result);
+        }
+      };
+      if (method === 'run') {
+        this.db.run(sql, params, callback);
+      } else if (method === 'get') {
+        this.db.get(sql, params, callback);
+      } else {
+        this.db.all(sql, params, callback);
+      }
+    });
+  }
+
+  protected getQuery(sql: string, params: any[] = []): Promise<any> {
+    return this.inTurn(() => this.execute('get', sql, params));
+  }
+
+  protected allQuery(sql: string, params: any[] = []): Promise<any[]> {
+    return this.inTurn(() => this.execute('all', sql, params));
+  }
+
+  async recordConversation(
+    aiAssistant: string,
+    messages: Message[],
+    context?: ConversationContext,
+    projectId: string = this.getProjectId()
+  ): Promise<string> {
+    const conversationId = uuidv4();
+
+    // Conversation and messages are written together or not at all
+    let stored: { id: string; text: string }[] = [];
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO conversations (id, project_id, ai_assistant, context, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [conversationId, projectId, aiAssistant, JSON.stringify(this.redactValue(context || {}))]
+      );
+
+      stored = await this.insertMessages(conversationId, messages, 0);
+
+      // Update project last active
+      await this.updateProjectActivity(projectId);
+    });
+
+    await this.indexEmbeddings('message', projectId, stored);
+
+    return conversationId;
+  }
+
+  /**
+   * Add follow-up messages to an existing conversation thread, after the
+   * messages it already has. Returns the new message ids.
+   */
+  async appendMessages(conversationId: string, messages: Array<Partial<Message> & Pick<Message, 'role' | 'content'>>): Promise<string[]> {
+    let projectId = '';
+    let stored: { id: string; text: string }[] = [];
+
+    await this.transaction(async () => {
+      const conversation = await this.getQuery(
+        `SELECT c.project_id, c.archived_at, MAX(m.sequence) AS last FROM conversations c
+         LEFT JOIN messages m ON m.conversation_id = c.id WHERE c.id = ? GROUP BY c.id`,
+        [conversationId]
+      );
+      if (!conversation) {
+        throw new Error(`Conversation ${conversationId} not found`);
+      }
+      if (conversation.archived_at) {
+        throw new Error(`Conversation ${conversationId} is archived and can no longer be continued`);
+      }
+
+      projectId = conversation.project_id;
+      stored = await this.insertMessages(conversationId, messages, (conversation.last ?? -1) + 1);
+
+      await this.runQuery(`UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [conversationId]);
+      await this.updateProjectActivity(projectId);
+    });
+
+    await this.indexEmbeddings('message', projectId, stored);
+
+    return stored.map(message => message.id);
+  }
+
+  /**
+   * A conversation with its messages in thread order, or null if it does
+   * not exist.
+   */
+  async getThread(conversationId: string): Promise<Conversation | null> {
+    const conversation = await this.getQuery(`SELECT * FROM conversations WHERE id = ?`, [conversationId]);
+    return conversation ? this.hydrateConversation(conversation) : null;
+  }
+
+  /**
+   * Start a new thread that shares a conversation's history up to and
+   * including one of its messages, so an earlier turn can be explored in a
+   * different direction. The copied messages are neither embedded nor
+   * indexed for keyword search, so recall finds each message once, through
+   * its original.
+   */
+  async branchConversation(conversationId: string, fromMessageId: string): Promise<string> {
+    const branchId = uuidv4();
+
+    await this.transaction(async () => {
+      const conversation = await this.getQuery(`SELECT * FROM conversations WHERE id = ?`, [conversationId]);
+      if (!conversation) {
+        throw new Error(`Conversation ${conversationId} not found`);
+      }
+
+      const branchPoint = await this.getQuery(
+        `SELECT sequence FROM messages WHERE id = ? AND conversation_id = ?`,
+        [fromMessageId, conversationId]
+      );
+      if (!branchPoint) {
+        throw new Error(`Message ${fromMessageId} is not part of conversation ${conversationId}`);
+      }
+
+      await this.runQuery(
+        `INSERT INTO conversations (id, project_id, ai_assistant, context, parent_id, branched_from_message_id, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        [branchId, conversation.project_id, conversation.ai_assistant, conversation.context, conversationId, fromMessageId]
+      );
+
+      // Content is copied as stored: already redacted, and encrypted if it was
+      const history = await this.allQuery(
+        `SELECT * FROM messages WHERE conversation_id = ? AND sequence <= ? ORDER BY sequence`,
+        [conversationId, branchPoint.sequence]
+      );
+      for (const message of history) {
+        await this.runQuery(
+          `INSERT INTO messages (id, conversation_id, role, content, metadata, timestamp, sequence, copied_from) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), branchId, message.role, message.content, message.metadata, message.timestamp, message.sequence, message.copied_from || message.id]
+        );
+      }
+    });
+
+    return branchId;
+  }
+
+  private async insertMessages(
+    conversationId: string,
+    messages: Array<Partial<Message> & Pick<Message, 'role' | 'content'>>,
+    firstSequence: number
+  ): Promise<{ id: string; text: string }[]> {
+    const stored: { id: string; text: string }[] = [];
+
+    for (const [offset, message] of messages.entries()) {
+      const messageId = message.id || uuidv4();
+
+      // Secrets never reach the database, the search index or embeddings
+      const { text: content, findings } = this.redactText(message.content);
+      const metadata = findings.length > 0
+        ? { ...(message.metadata || {}), redactions: findings }
+        : message.metadata || {};
+
+      await this.runQuery(
+        `INSERT INTO messages (id, conversation_id, role, content, metadata, sequence) VALUES (?, ?, ?, ?, ?, ?)`,
+        [messageId, conversationId, message.role, this.encryptField(content), JSON.stringify(metadata), firstSequence + offset]
+      );
+      stored.push({ id: messageId, text: content });
+    }
+
+    return stored;
+  }
+
+  async recordArchitecturalDecision(input: Omit<ArchitecturalDecision, 'id' | 'timestamp'>, timestamp?: Date): Promise<string> {
+    const decision = {
+      ...input,
+      decision: this.redactValue(input.decision),
+      rationale: this.redactValue(input.rationale),
+      alternatives: this.redactValue(input.alternatives),
+      impact: this.redactValue(input.impact)
+    };
+    const projectId = this.getProjectId();
+    const decisionId = uuidv4();
+
+    if (decision.status !== undefined && !isAdrStatus(decision.status)) {
+      throw new Error(`Unknown decision status "${decision.status}"`);
+    }
+
+    // Numbered in the same statement so concurrent writers never share a number
+    await this.runQuery(
+      `INSERT INTO architectural_decisions (id, project_id, decision, rationale, alternatives, impact, files_affected, source, source_ref, timestamp, status, superseded_by, adr_number) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?,
+         COALESCE(?, (SELECT COALESCE(MAX(adr_number), 0) + 1 FROM architectural_decisions WHERE project_id = ?)))`,
+      [
+        decisionId,
+        projectId,
+        this.encryptField(decision.decision),
+        this.encryptField(decision.rationale),
+        JSON.stringify(decision.alternatives),
+        JSON.stringify(decision.impact),
+        JSON.stringify(decision.filesAffected),
+        decision.source,
+        decision.sourceRef,
+        timestamp && toSqliteTimestamp(timestamp),
+        decision.status || 'accepted',
+        decision.supersededBy,
+        decision.adrNumber,
+        projectId
+      ]
+    );
+
+    await this.indexEmbeddings('decision', projectId, [
+      { id: decisionId, text: `${decision.decision}\n${decision.rationale || ''}` }
+    ]);
+
+    // Commits touch many files for many reasons, so only deliberate decisions are anchored
+    if (decision.source !== 'git' && decision.filesAffected.length > 0) {
+      await this.anchorDecision(decisionId, decision.filesAffected.map(parseAnchorRef), { skipMissing: true });
+    }
+
+    await this.updateProjectActivity();
+    return decisionId;
+  }
+
+  async getDecisions(options: { status?: AdrStatus[]; projectId?: string } = {}): Promise<ArchitecturalDecision[]> {
+    const pid = options.projectId || this.getProjectId();
+    let sql = `SELECT * FROM architectural_decisions WHERE project_id = ?`;
+    const params: any[] = [pid];
+
+    if (options.status && options.status.length > 0) {
+      sql += ` AND status IN (${options.status.map(() => '?').join(', ')})`;
+      params.push(...options.status);
+    }
+
+    const rows = await this.allQuery(`${sql} ORDER BY adr_number, timestamp`, params);
+    return rows.map(row => this.parseDecision(row));
+  }
+
+  /**
+   * Move a decision through the ADR lifecycle. Superseding needs the id of
+   * the replacing decision; any other status clears the supersede link.
+   */
+  async setDecisionStatus(decisionId: string, status: AdrStatus, supersededBy?: string): Promise<void> {
+    if (!isAdrStatus(status)) {
+      throw new Error(`Unknown decision status "${status}"`);
+    }
+
+    const decision = await this.getQuery(`SELECT project_id FROM architectural_decisions WHERE id = ?`, [decisionId]);
+    if (!decision) {
+      throw new Error(`Decision ${decisionId} not found`);
+    }
+
+    if (status === 'superseded') {
+      if (!supersededBy || supersededBy === decisionId) {
+        throw new Error('A superseded decision must link to the decision that replaces it');
+      }
+      const replacement = await this.getQuery(
+        `SELECT id FROM architectural_decisions WHERE id = ? AND project_id = ?`,
+        [supersededBy, decision.project_id]
+      );
+      if (!replacement) {
+        throw new Error(`Decision ${supersededBy} not found`);
+      }
+    }
+
+    await this.runQuery(
+      `UPDATE architectural_decisions SET status = ?, superseded_by = ? WHERE id = ?`,
+      [status, status === 'superseded' ? supersededBy : null, decisionId]
+    );
+  }
+
+  async supersedeDecision(decisionId: string, replacementId: string): Promise<void> {
+    await this.setDecisionStatus(decisionId, 'superseded', replacementId);
+  }
+
+  /**
+   * Write every decision as a MADR file, docs/adr/NNNN-title.md by default.
+   * Decisions imported from ADR files are written back to the same file.
+   * Header lines and sections of an existing file that decisions have no
+   * field for are kept. Returns the paths written.
+   */
+  async exportAdrs(directory?: string): Promise<string[]> {
+    const target = directory || path.join(this.projectPath, ADR_DIRECTORY);
+    const decisions = await this.getDecisions();
+
+    const fileNames = new Map<number, string>();
+    const numbers = new Map<string, number>();
+    for (const decision of decisions) {
+      const number = decision.adrNumber!;
+      numbers.set(decision.id, number);
+      fileNames.set(number, decision.source === 'adr' && decision.sourceRef
+        ? decision.sourceRef
+        : adrFileName(number, decision.decision));
+    }
+
+    await fs.ensureDir(target);
+    const written: string[] = [];
+    for (const decision of decisions) {
+      const number = decision.adrNumber!;
+      const record: AdrRecord = {
+        number,
+        title: decision.decision.split('\n')[0],
+        status: decision.status || 'accepted',
+        date: decision.timestamp,
+        rationale: decision.rationale || '',
+        alternatives: decision.alternatives,
+        impact: decision.impact,
+        filesAffected: decision.filesAffected,
+        supersededBy: decision.supersededBy ? numbers.get(decision.supersededBy) : undefined,
+        supersedes: decisions
+          .filter(other => other.supersededBy === decision.id)
+          .map(other => other.adrNumber!)
+      };
+
+      const filePath = path.join(target, fileNames.get(number)!);
+      if (await fs.pathExists(filePath)) {
+        const current = parseMadr(await fs.readFile(filePath, 'utf8'), fileNames.get(number)!);
+        record.otherMetadata = current?.otherMetadata;
+        record.otherSections = current?.otherSections;
+      }
+      await fs.writeFile(filePath, renderMadr(record, fileNames));
+      written.push(filePath);
+    }
+
+    return written;
+  }
+
+  /**
+   * Read ADR files (MADR or Nygard style) into decisions. Files imported
+   * before are updated in place, so editing docs/adr and re-importing keeps
+   * statuses and supersede links in sync.
+   */
+  async importAdrs(directory?: string): Promise<AdrImportResult> {
+    const source = directory || path.join(this.projectPath, ADR_DIRECTORY);
+    const projectId = this.getProjectId();
+    const result: AdrImportResult = { imported: 0, updated: 0 };
+
+    const files = (await fs.readdir(source)).filter(file => /^\d+-.*\.md$/i.test(file)).sort();
+    const records: { record: AdrRecord; file: string }[] = [];
+    for (const file of files) {
+      const parsed = parseMadr(await fs.readFile(path.join(source, file), 'utf8'), file);
+      if (parsed) {
+        const { title, rationale, alternatives, impact } = this.redactValue({ ...parsed, date: undefined });
+        records.push({ record: { ...parsed, title, rationale, alternatives, impact }, file });
+      }
+    }
+
+    const reindex: { id: string; text: string }[] = [];
+    await this.transaction(async () => {
+      const idsByNumber = new Map<number, string>();
+
+      for (const { record, file } of records) {
+        const existing = await this.getQuery(
+          `SELECT id FROM architectural_decisions WHERE project_id = ? AND source = 'adr' AND source_ref = ?`,
+          [projectId, file]
+        );
+
+        if (existing) {
+          await this.runQuery(
+            `UPDATE architectural_decisions SET decision = ?, rationale = ?, alternatives = ?, impact = ?, files_affected = ?, status = ?
+             WHERE id = ?`,
+            [
+              this.encryptField(record.title),
+              this.encryptField(record.rationale),
+              JSON.stringify(record.alternatives),
+              JSON.stringify(record.impact),
+              JSON.stringify(record.filesAffected),
+              record.status,
+              existing.id
+            ]
+          );
+          await this.syncDecisionAnchors(existing.id, record.filesAffected);
+          idsByNumber.set(record.number, existing.id);
+          reindex.push({ id: existing.id, text: `${record.title}\n${record.rationale}` });
+          result.updated++;
+          continue;
+        }
+
+        // Keep the file's number unless a local decision already has it
+        const taken = await this.getQuery(
+          `SELECT id FROM architectural_decisions WHERE project_id = ? AND adr_number = ?`,
+          [projectId, record.number]
+        );
+        const id = await this.recordArchitecturalDecision({
+          decision: record.title,
+          rationale: record.rationale,
+          alternatives: record.alternatives,
+          impact: record.impact,
+          filesAffected: record.filesAffected,
+          source: 'adr',
+          sourceRef: file,
+          status: record.status,
+          adrNumber: taken ? undefined : record.number
+        }, record.date);
+        idsByNumber.set(record.number, id);
+        result.imported++;
+      }
+
+      // Links are resolved once every file has an id
+      for (const { record } of records) {
+        const id = idsByNumber.get(record.number)!;
+        const replacement = record.supersededBy !== undefined ? idsByNumber.get(record.supersededBy) : undefined;
+        await this.runQuery(
+          `UPDATE architectural_decisions SET superseded_by = ? WHERE id = ?`,
+          [record.status === 'superseded' ? replacement || null : null, id]
+        );
+        for (const number of record.supersedes || []) {
+          const older = idsByNumber.get(number);
+          if (older) {
+            await this.runQuery(
+              `UPDATE architectural_decisions SET status = 'superseded', superseded_by = ? WHERE id = ?`,
+              [id, older]
+            );
+          }
+        }
+      }
+    });
+
+    await this.indexEmbeddings('decision', projectId, reindex);
+
+    return result;
+  }
+
+  /**
+   * Anchor a decision to files, or to symbols within them, recording a
+   * fingerprint of the code as it is now. Re-anchoring resets the baseline,
+   * which is how a reviewed drift is acknowledged.
+   */
+  async anchorDecision(
+    decisionId: string,
+    anchors: AnchorRef[],
+    options: { skipMissing?: boolean } = {}
+  ): Promise<DecisionAnchor[]> {
+    const decision = await this.getQuery(`SELECT project_id FROM architectural_decisions WHERE id = ?`, [decisionId]);
+    if (!decision) {
+      throw new Error(`Decision ${decisionId} not found`);
+    }
+
+    const anchored: DecisionAnchor[] = [];
+    for (const anchor of anchors) {
+      const filePath = this.toProjectPath(anchor.filePath);
+      const fingerprint = await readAnchor(path.join(this.projectPath, filePath), anchor.symbol);
+      if (!fingerprint) {
+        if (options.skipMissing) continue;
+        throw new Error(anchor.symbol
+          ? `Cannot anchor to ${anchor.symbol}: not found in ${filePath}`
+          : `Cannot anchor to ${filePath}: file not found`);
+      }
+
+      await this.runQuery(
+        `INSERT INTO decision_anchors (decision_id, project_id, file_path, symbol, content_hash, line_hashes)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(decision_id, file_path, symbol) DO UPDATE SET
+           content_hash = excluded.content_hash, line_hashes = excluded.line_hashes, anchored_at = CURRENT_TIMESTAMP`,
+        [decisionId, decision.project_id, filePath, anchor.symbol || '', fingerprint.contentHash, JSON.stringify(fingerprint.lineHashes)]
+      );
+      anchored.push({ decisionId, filePath, symbol: anchor.symbol, anchoredAt: new Date(), hasBaseline: true });
+    }
+
+    return anchored;
+  }
+
+  /**
+   * Bring a decision's anchors in line with its affected files. Anchors
+   * still listed keep their baseline, so re-importing doesn't hide drift.
+   */
+  private async syncDecisionAnchors(decisionId: string, filesAffected: string[]): Promise<void> {
+    const key = (anchor: AnchorRef) => `${this.toProjectPath(anchor.filePath)}#${anchor.symbol || ''}`;
+    const wanted = filesAffected.map(parseAnchorRef);
+    const wantedKeys = new Set(wanted.map(key));
+    const current = await this.getDecisionAnchors(decisionId);
+    for (const anchor of current.filter(anchor => !wantedKeys.has(key(anchor)))) {
+      await this.removeDecisionAnchor(decisionId, anchor);
+    }
+    const currentKeys = new Set(current.map(key));
+    await this.anchorDecision(decisionId, wanted.filter(anchor => !currentKeys.has(key(anchor))), { skipMissing: true });
+  }
+
+  async removeDecisionAnchor(decisionId: string, anchor: AnchorRef): Promise<boolean> {
+    const result = await this.runQuery(
+      `DELETE FROM decision_anchors WHERE decision_id = ? AND file_path = ? AND symbol = ?`,
+      [decisionId, this.toProjectPath(anchor.filePath), anchor.symbol || '']
+    );
+    return result.changes > 0;
+  }
+
+  async getDecisionAnchors(decisionId: string): Promise<DecisionAnchor[]> {
+    const rows = await this.allQuery(
+      `SELECT * FROM decision_anchors WHERE decision_id = ? ORDER BY file_path, symbol`,
+      [decisionId]
+    );
+    return rows.map(row => this.parseAnchor(row));
+  }
+
+  /**
+   * Report anchored code that has moved on since its decision: files deleted
+   * or renamed, symbols gone, or code whose lines are less than
+   * DRIFT_THRESHOLD similar to the anchored version. Anchors without a
+   * baseline drift once their file has recorded changes. Only current
+   * (accepted or proposed) decisions are checked unless a decisionId is given.
+   */
+  async checkDecisionDrift(options: { decisionId?: string; projectId?: string } = {}): Promise<DecisionDrift[]> {
+    const pid = options.projectId || this.getProjectId();
+    const rows = await this.allQuery(
+      `SELECT a.*, d.decision FROM decision_anchors a
+       JOIN architectural_decisions d ON d.id = a.decision_id
+       WHERE a.project_id = ? AND ${options.decisionId ? 'a.decision_id = ?' : `d.status IN ('accepted', 'proposed')`}
+       ORDER BY d.adr_number, a.file_path`,
+      options.decisionId ? [pid, options.decisionId] : [pid]
+    );
+
+    const drifts: DecisionDrift[] = [];
+    for (const row of rows) {
+      const anchor = this.parseAnchor(row);
+      const changes = await this.getQuery(
+        `SELECT COUNT(*) AS count FROM file_changes
+         WHERE project_id = ? AND (file_path = ? OR previous_path = ?) AND timestamp > ?`,
+        [pid, anchor.filePath, anchor.filePath, row.anchored_at]
+      );
+      const drift = { decisionId: anchor.decisionId, decision: this.decryptField(row.decision), anchor, changesSince: changes.count };
+
+      let filePath = anchor.filePath;
+      let renamedTo: string | undefined;
+      if (!(await fs.pathExists(path.join(this.projectPath, filePath)))) {
+        const rename = await this.getQuery(
+          `SELECT file_path FROM file_changes WHERE project_id = ? AND change_type = 'renamed' AND previous_path = ?
+           ORDER BY timestamp DESC LIMIT 1`,
+          [pid, filePath]
+        );
+        if (!rename || !(await fs.pathExists(path.join(this.projectPath, rename.file_path)))) {
+          drifts.push({ ...drift, reason: 'deleted' });
+          continue;
+        }
+        filePath = renamedTo = rename.file_path;
+      }
+
+      if (!row.line_hashes) {
+        if (renamedTo || drift.changesSince > 0) {
+          drifts.push({ ...drift, reason: renamedTo ? 'renamed' : 'changed', currentPath: renamedTo });
+        }
+        continue;
+      }
+
+      const current = await readAnchor(path.join(this.projectPath, filePath), anchor.symbol);
+      if (!current) {
+        drifts.push({ ...drift, reason: 'symbol_missing', currentPath: renamedTo });
+        continue;
+      }
+      if (current.contentHash === row.content_hash && !renamedTo) {
+        continue;
+      }
+
+      const similarity = lineSimilarity(JSON.parse(row.line_hashes), current.lineHashes);
+      if (renamedTo || similarity < DRIFT_THRESHOLD) {
+        drifts.push({ ...drift, reason: renamedTo ? 'renamed' : 'changed', currentPath: renamedTo, similarity });
+      }
+    }
+
+    return drifts;
+  }
+
+  /**
+   * Decisions anchored to any of the given files, current ones first.
+   */
+  async getDecisionsForFiles(files: string[], projectId?: string): Promise<ArchitecturalDecision[]> {
+    const pid = projectId || this.getProjectId();
+    const paths = [...new Set(files.map(file => this.toProjectPath(file)))];
+    if (paths.length === 0) {
+      return [];
+    }
+
+    const rows = await this.allQuery(
+      `SELECT DISTINCT d.* FROM architectural_decisions d
+       JOIN decision_anchors a ON a.decision_id = d.id
+       WHERE d.project_id = ? AND a.file_path IN (${paths.map(() => '?').join(', ')})
+       ORDER BY CASE d.status WHEN 'accepted' THEN 0 WHEN 'proposed' THEN 1 ELSE 2 END, d.timestamp DESC`,
+      [pid, ...paths]
+    );
+    return rows.map(row => this.parseDecision(row));
+  }
+
+  private parseAnchor(row: any): DecisionAnchor {
+    return {
+      decisionId: row.decision_id,
+      filePath: row.file_path,
+      symbol: row.symbol || undefined,
+      anchoredAt: new Date(row.anchored_at),
+      hasBaseline: !!row.line_hashes
+    };
+  }
+
+  // Anchors and file changes store paths relative to the project root
+  private toProjectPath(filePath: string, root: string = this.projectPath): string {
+    return path.normalize(path.isAbsolute(filePath) ? path.relative(root, filePath) : filePath);
+  }
+
+  /**
+   * Anchor decisions recorded before anchors existed to their affected
+   * files. They get no baseline; drift for those is judged from
+   * file_changes alone.
+   */
+  private async anchorEarlierDecisions(): Promise<void> {
+    const decisions = await this.allQuery(
+      `SELECT d.id, d.project_id, d.files_affected, d.timestamp, p.root_path FROM architectural_decisions d
+       LEFT JOIN projects p ON p.id = d.project_id
+       WHERE json_valid(d.files_affected) AND d.source IS NOT 'git'`
+    );
+    await this.transaction(async () => {
+      for (const decision of decisions) {
+        const refs: unknown[] = JSON.parse(decision.files_affected);
+        for (const ref of refs.filter((ref): ref is string => typeof ref === 'string' && ref.length > 0).map(parseAnchorRef)) {
+          await this.runQuery(
+            `INSERT OR IGNORE INTO decision_anchors (decision_id, project_id, file_path, symbol, anchored_at) VALUES (?, ?, ?, ?, ?)`,
+            [decision.id, decision.project_id, this.toProjectPath(ref.filePath, decision.root_path || this.projectPath), ref.symbol || '', decision.timestamp]
+          );
+        }
+      }
+    });
+  }
+
+  private parseDecision(row: any): ArchitecturalDecision {
+    return {
+      id: row.id,
+      timestamp: new Date(row.timestamp),
+      decision: this.decryptField(row.decision),
+      rationale: this.decryptField(row.rationale),
+      alternatives: JSON.parse(row.alternatives || '[]'),
+      impact: JSON.parse(row.impact || '[]'),
+      filesAffected: JSON.parse(row.files_affected || '[]'),
+      source: row.source || undefined,
+      sourceRef: row.source_ref || undefined,
+      status: row.status || 'accepted',
+      supersededBy: row.superseded_by || undefined,
+      adrNumber: row.adr_number ?? undefined
+    };
+  }
+
+  /**
+   * Import commits from the local git log. Each commit's files are linked
+   * into file_changes, and commits whose messages look like design decisions
+   * are proposed as architectural decisions. Safe to re-run; only new
+   * commits are imported.
+   */
+  async importGitHistory(options: GitImportOptions = {}): Promise<GitImportResult> {
+    const projectId = this.getProjectId();
+    const result: GitImportResult = { commits: 0, fileChanges: 0, proposedDecisions: 0 };
+
+    if (!(await isGitRepository(this.projectPath))) {
+      throw new Error(`${this.projectPath} is not a git repository`);
+    }
+
+    const latest = await this.getQuery(
+      `SELECT sha FROM commits WHERE project_id = ? ORDER BY authored_at DESC, imported_at DESC LIMIT 1`,
+      [projectId]
+    );
+
+    // History may have been rewritten since the last import; fall back to a full walk
+    const commits = await readGitLog(this.projectPath, { since: latest?.sha, maxCount: options.maxCount })
+      .catch(() => readGitLog(this.projectPath, { maxCount: options.maxCount }));
+
+    const patterns = options.decisionPatterns || DEFAULT_DECISION_PATTERNS;
+
+    // Oldest first so file history reads in order, in one transaction so
+    // large histories import quickly
+    await this.transaction(async () => {
+      for (const commit of commits.reverse()) {
+        const known = await this.getQuery(
+          `SELECT sha FROM commits WHERE project_id = ? AND sha = ?`,
+          [projectId, commit.sha]
+        );
+        if (known) continue;
+
+        await this.runQuery(
+          `INSERT INTO commits (project_id, sha, parents, author_name, author_email, authored_at, subject, body, files)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            projectId,
+            commit.sha,
+            JSON.stringify(commit.parents),
+            commit.authorName,
+            commit.authorEmail,
+            toSqliteTimestamp(commit.authoredAt),
+            commit.subject,
+            commit.body,
+            JSON.stringify(commit.files)
+          ]
+        );
+        result.commits++;
+
+        for (const file of commit.files) {
+          await this.runQuery(
+            `INSERT INTO file_changes (id, project_id, file_path, change_type, timestamp, previous_path, commit_sha)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [uuidv4(), projectId, file.filePath, file.changeType, toSqliteTimestamp(commit.authoredAt), file.previousPath, commit.sha]
+          );
+          result.fileChanges++;
+        }
+
+        const proposal = proposeDecision(commit, patterns);
+        if (proposal) {
+          const existing = await this.getQuery(
+            `SELECT id FROM architectural_decisions WHERE project_id = ? AND source = 'git' AND source_ref = ?`,
+            [projectId, commit.sha]
+          );
+          if (!existing) {
+            await this.recordArchitecturalDecision(
+              { ...proposal, source: 'git', sourceRef: commit.sha, status: 'proposed' },
+              commit.authoredAt
+            );
+            result.proposedDecisions++;
+          }
+        }
+      }
+    });
+
+    return result;
+  }
+
+  async trackFileChange(
+    filePath: string,
+    changeType: FileChangeType,
+    conversationId?: string,
+    details: { previousPath?: string; contentHash?: string } = {}
+  ): Promise<void> {
+    const projectId = this.getProjectId();
+    const changeId = uuidv4();
+
+    // A conversation that has since been deleted isn't referenced
+    if (conversationId && !(await this.getQuery(`SELECT 1 FROM conversations WHERE id = ?`, [conversationId]))) {
+      conversationId = undefined;
+    }
+
+    await this.runQuery(
+      `INSERT INTO file_changes (id, project_id, file_path, change_type, conversation_id, previous_path, content_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [changeId, projectId, filePath, changeType, conversationId, details.previousPath, details.contentHash]
+    );
+
+    // A file the conversation was about, written after it, means its
+    // suggestion was applied
+    if (conversationId && changeType !== 'deleted' && await this.isConversationAbout(conversationId, filePath)) {
+      const accepted = await this.getQuery(
+        `SELECT * FROM outcomes WHERE conversation_id = ? AND type = 'code_accepted'`,
+        [conversationId]
+      );
+
+      if (accepted) {
+        const files: string[] = JSON.parse(accepted.files_modified || '[]');
+        if (!files.includes(filePath)) {
+          files.push(filePath);
+          await this.runQuery(`UPDATE outcomes SET files_modified = ? WHERE id = ?`, [JSON.stringify(files), accepted.id]);
+        }
+      } else {
+        await this.recordOutcome(conversationId, {
+          type: 'code_accepted',
+          description: `Changes applied to ${filePath}`,
+          filesModified: [filePath]
+        });
+      }
+    }
+  }
+
+  /**
+   * Whether a conversation concerns a file: it was open when the
+   * conversation started, or a message names it
+   */
+  private async isConversationAbout(conversationId: string, filePath: string): Promise<boolean> {
+    const conversation = await this.getQuery(`SELECT context FROM conversations WHERE id = ?`, [conversationId]);
+    if (!conversation) {
+      return false;
+    }
+
+    const context: ConversationContext = JSON.parse(conversation.context || '{}');
+    const openFiles = [context.activeFile, ...(context.openFiles || [])].filter((file): file is string => !!file);
+    if (openFiles.some(file => this.toProjectPath(file) === filePath)) {
+      return true;
+    }
+
+    const names = [filePath, filePath.split(path.sep).join('/'), path.basename(filePath)];
+    const messages = await this.allQuery(`SELECT content FROM messages WHERE conversation_id = ?`, [conversationId]);
+    return messages.some(row => {
+      const content = this.decryptField(row.content);
+      return names.some(name => content.includes(name));
+    });
+  }
+
+  // Conversation outcomes
+  async recordOutcome(conversationId: string, outcome: ConversationOutcome): Promise<string> {
+    const outcomeId = outcome.id || uuidv4();
+    const success = outcome.success ?? !NEGATIVE_OUTCOMES.includes(outcome.type);
+
+    const conversation = await this.getQuery(`SELECT project_id FROM conversations WHERE id = ?`, [conversationId]);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    await this.runQuery(
+      `INSERT INTO outcomes (id, conversation_id, project_id, type, description, success, files_modified, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        outcomeId,
+        conversationId,
+        conversation.project_id,
+        outcome.type,
+        this.redactValue(outcome.description),
+        success ? 1 : 0,
+        JSON.stringify(outcome.filesModified || []),
+        JSON.stringify(this.redactValue(outcome.metadata || {}))
+      ]
+    );
+
+    return outcomeId;
+  }
+
+  async getOutcomes(conversationId: string): Promise<ConversationOutcome[]> {
+    const rows = await this.allQuery(
+      `SELECT * FROM outcomes WHERE conversation_id = ? ORDER BY timestamp`,
+      [conversationId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      description: row.description,
+      success: row.success === 1,
+      filesModified: JSON.parse(row.files_modified || '[]'),
+      metadata: JSON.parse(row.metadata || '{}'),
+      timestamp: new Date(row.timestamp)
+    }));
+  }
+
+  /**
+   * Smoothed success rate per conversation: (successes + 1) / (outcomes + 2).
+   * Conversations without outcomes score a neutral 0.5.
+   */
+  async getOutcomeScores(conversationIds: string[]): Promise<Map<string, number>> {
+    const scores = new Map<string, number>();
+    const ids = [...new Set(conversationIds)];
+    if (ids.length === 0) {
+      return scores;
+    }
+
+    const rows = await this.allQuery(
+      `SELECT conversation_id, SUM(success) as successes, COUNT(*) as total FROM outcomes
+       WHERE conversation_id IN (${ids.map(() => '?').join(', ')})
+       GROUP BY conversation_id`,
+      ids
+    );
+
+    for (const id of ids) {
+      scores.set(id, 0.5);
+    }
+    for (const row of rows) {
+      scores.set(row.conversation_id, (row.successes + 1) / (row.total + 2));
+    }
+
+    return scores;
+  }
+
+  async getProjectMemory(): Promise<ProjectMemory> {
+    const projectId = this.getProjectId();
+    
+    // Get project info
+    const project = await this.getQuery(
+      `SELECT * FROM projects WHERE id = ?`,
+      [projectId]
+    );
+
+    // Get conversations with messages
+    const conversations = await this.allQuery(
+      `SELECT * FROM conversations WHERE project_id = ? ORDER BY timestamp DESC`,
+      [projectId]
+    );
+
+    const conversationsWithMessages = await Promise.all(
+      conversations.map(conv => this.hydrateConversation(conv))
+    );
+
+    // Get decisions
+    const decisions = await this.allQuery(
+      `SELECT * FROM architectural_decisions WHERE project_id = ? ORDER BY timestamp DESC`,
+      [projectId]
+    );
+
+    const parsedDecisions = decisions.map(decision => this.parseDecision(decision));
+
+    // Get file history
+    const fileHistory = await this.allQuery(
+      `SELECT * FROM file_changes WHERE project_id = ? ORDER BY timestamp DESC LIMIT 100`,
+      [projectId]
+    );
+
+    const parsedFileHistory = fileHistory.map(file => ({
+      id: file.id,
+      filePath: file.file_path,
+      changeType: file.change_type,
+      timestamp: new Date(file.timestamp),
+      conversationId: file.conversation_id,
+      previousPath: file.previous_path || undefined,
+      contentHash: file.content_hash || undefined
+    }));
+
+    return {
+      id: project.id,
+      name: project.name,
+      rootPath: project.root_path,
+      createdAt: new Date(project.created_at),
+      lastActive: new Date(project.last_active),
+      conversations: conversationsWithMessages,
+      decisions: parsedDecisions,
+      patterns: await this.getCodePatterns(),
+      preferences: await this.getPreferences(),
+      fileHistory: parsedFileHistory
+    };
+  }
+
+  async searchConversations(query: string): Promise<ConversationSearchResult[]> {
+    const projectId = this.getProjectId();
+
+    if (!this.searchIndexAvailable) {
+      const conversations = await this.allQuery(
+        `SELECT DISTINCT c.* FROM conversations c 
+         LEFT JOIN messages m ON c.id = m.conversation_id 
+         WHERE c.project_id = ? AND (m.content LIKE ? OR c.summary LIKE ?)
+         ORDER BY c.timestamp DESC`,
+        [projectId, `%${query}%`, `%${query}%`]
+      );
+
+      return Promise.all(
+        conversations.map(async (conv) => ({
+          ...(await this.hydrateConversation(conv)),
+          rank: 0,
+          snippets: []
+        }))
+      );
+    }
+
+    const hits = await this.searchMemory(query, {
+      projectId,
+      sources: ['message', 'conversation'],
+      matchAll: true,
+      limit: 200
+    });
+
+    // Group hits by conversation, keeping the best rank first
+    const grouped = new Map<string, { rank: number; snippets: string[] }>();
+    for (const hit of hits) {
+      if (!hit.conversationId) continue;
+      const entry = grouped.get(hit.conversationId);
+      if (entry) {
+        entry.snippets.push(hit.snippet);
+      } else {
+        grouped.set(hit.conversationId, { rank: hit.rank, snippets: [hit.snippet] });
+      }
+    }
+
+    const results: ConversationSearchResult[] = [];
+    for (const [conversationId, entry] of grouped) {
+      const conv = await this.getQuery(`SELECT * FROM conversations WHERE id = ?`, [conversationId]);
+      if (!conv) continue;
+      results.push({ ...(await this.hydrateConversation(conv)), ...entry });
+    }
+
+    return results;
+  }
+
+  /**
+   * Ranked full-text search across memory. Supports "quoted phrases" and
+   * prefix* terms; everything else is matched as literal tokens.
+   */
+  async searchMemory(query: string, options: SearchOptions = {}): Promise<SearchHit[]> {
+    if (!this.searchIndexAvailable) {
+      return [];
+    }
+
+    const matchExpression = this.buildFtsQuery(query, options.matchAll ? 'AND' : 'OR');
+    if (!matchExpression) {
+      return [];
+    }
+
+    const pid = options.projectId || this.getProjectId();
+    const open = options.highlight?.open ?? '**';
+    const close = options.highlight?.close ?? '**';
+
+    let sql = `SELECT source, ref_id, parent_id, title,
+        snippet(memory_fts, -1, ?, ?, '…', 16) AS snippet,
+        bm25(memory_fts, 0, 0, 0, 0, 2.0, 1.0) AS rank
+       FROM memory_fts
+       WHERE memory_fts MATCH ? AND project_id = ?`;
+    const params: any[] = [open, close, matchExpression, pid];
+
+    if (options.sources && options.sources.length > 0) {
+      sql += ` AND source IN (${options.sources.map(() => '?').join(', ')})`;
+      params.push(...options.sources);
+    }
+
+    sql += ` ORDER BY rank LIMIT ?`;
+    params.push(options.limit || 50);
+
+    const rows = await this.allQuery(sql, params);
+
+    return rows.map(row => ({
+      source: row.source,
+      id: row.ref_id,
+      conversationId: row.parent_id || undefined,
+      title: row.title,
+      snippet: row.snippet,
+      rank: row.rank
+    }));
+  }
+
+  protected buildFtsQuery(query: string, operator: 'AND' | 'OR'): string {
+    const clauses: string[] = [];
+    const tokenRegex = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = tokenRegex.exec(query)) !== null) {
+      if (match[1] !== undefined) {
+        // Quoted phrase
+        const phrase = match[1].replace(/[^\w\s]/g, ' ').trim();
+        if (phrase) clauses.push(`"${phrase}"`);
+        continue;
+      }
+
+      const isPrefix = match[2].endsWith('*');
+      const words = match[2].replace(/[^\w]/g, ' ').trim().split(/\s+/).filter(Boolean);
+      if (words.length === 0) continue;
+
+      const clause = words.length > 1 ? `"${words.join(' ')}"` : `"${words[0]}"`;
+      clauses.push(isPrefix ? `${clause}*` : clause);
+    }
+
+    return clauses.join(` ${operator} `);
+  }
+
+  /**
+   * Plug in an embedding backend. Vectors are tagged with the embedder id, so
+   * switching backends only needs a backfillEmbeddings() run.
+   */
+  setEmbedder(embedder: Embedder | null): void {
+    this.embedder = embedder;
+  }
+
+  /**
+   * Replace the redaction pipeline applied to stored messages, summaries,
+   * decisions, patterns, outcomes and team memories; null stores them
+   * verbatim.
+   */
+  setRedactor(redactor: Redactor | null): void {
+    this.redactor = redactor;
+  }
+
+  redactText(text: string): RedactionResult {
+    return this.redactor ? this.redactor.redact(text) : { text, findings: [] };
+  }
+
+  /**
+   * Redact every string in a value, including those nested in arrays and
+   * plain objects, for user or model text stored outside messages.
+   */
+  protected redactValue<T>(value: T): T {
+    if (typeof value === 'string') {
+      return this.redactText(value).text as unknown as T;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item)) as unknown as T;
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item)])) as T;
+    }
+    return value;
+  }
+
+  /**
+   * What was redacted from each message of a conversation. Only rule ids,
+   * placeholders and counts are kept, never the redacted values.
+   */
+  async getRedactionReport(conversationId: string): Promise<{ messageId: string; role: string; findings: RedactionFinding[] }[]> {
+    const messages = await this.allQuery(
+      `SELECT id, role, metadata FROM messages WHERE conversation_id = ? ORDER BY sequence, timestamp`,
+      [conversationId]
+    );
+
+    return messages
+      .map(message => ({
+        messageId: message.id,
+        role: message.role,
+        findings: (JSON.parse(message.metadata || '{}').redactions || []) as RedactionFinding[]
+      }))
+      .filter(entry => entry.findings.length > 0);
+  }
+
+  /**
+   * Summarize conversations with an AI-backed summarizer. Failures and a
+   * null summarizer fall back to offline extractive summaries.
+   */
+  setSummarizer(summarizer: Summarizer | null): void {
+    this.summarizer = summarizer;
+  }
+
+  /**
+   * Write a compact summary of a conversation to conversations.summary.
+   * Existing summaries are kept until the conversation has grown by
+   * RESUMMARIZE_AFTER_MESSAGES messages, unless force is set. Archived
+   * conversations keep the summary they were archived with.
+   */
+  async summarizeConversation(conversationId: string, options: { force?: boolean } = {}): Promise<string | null> {
+    const conversation = await this.getQuery(
+      `SELECT project_id, summary, summary_message_count, archived_at FROM conversations WHERE id = ?`,
+      [conversationId]
+    );
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    const existing = this.decryptField(conversation.summary) || null;
+    if (conversation.archived_at) {
+      return existing;
+    }
+
+    const messages = (await this.allQuery(
+      `SELECT role, content FROM messages WHERE conversation_id = ? ORDER BY sequence, timestamp`,
+      [conversationId]
+    )).map(row => ({ role: row.role, content: this.decryptField(row.content) }));
+
+    const grown = messages.length - (conversation.summary_message_count || 0) >= RESUMMARIZE_AFTER_MESSAGES;
+    if (messages.length === 0 || (existing && !grown && !options.force)) {
+      return existing;
+    }
+
+    let summarizer = this.summarizer || this.fallbackSummarizer;
+    let summary = '';
+    try {
+      summary = (await summarizer.summarize(messages)).trim();
+    } catch (error) {
+      console.warn(`⚠️ ${summarizer.id} summarization failed, using extractive summary:`, error);
+    }
+    if (!summary && summarizer !== this.fallbackSummarizer) {
+      summarizer = this.fallbackSummarizer;
+      summary = await summarizer.summarize(messages);
+    }
+
+    // Provider output can quote the conversation, so it is redacted like messages are
+    summary = this.redactText(summary).text;
+    if (!summary) {
+      return existing;
+    }
+
+    await this.runQuery(
+      `UPDATE conversations SET summary = ?, summary_message_count = ?, summarized_at = CURRENT_TIMESTAMP, summarizer = ?
+       WHERE id = ?`,
+      [this.encryptField(summary), messages.length, summarizer.id, conversationId]
+    );
+    await this.indexEmbeddings('conversation', conversation.project_id, [{ id: conversationId, text: summary }]);
+
+    return summary;
+  }
+
+  /**
+   * Summarize conversations that have no summary yet or have grown since
+   * theirs was written, most recent first. Returns how many were updated.
+   */
+  async summarizeStaleConversations(limit: number = 20, projectId?: string): Promise<number> {
+    const pid = projectId || this.getProjectId();
+    const stale = await this.allQuery(
+      `SELECT c.id FROM conversations c JOIN messages m ON m.conversation_id = c.id
+       WHERE c.project_id = ? AND c.archived_at IS NULL
+       GROUP BY c.id
+       HAVING c.summary IS NULL OR COUNT(m.id) - COALESCE(c.summary_message_count, 0) >= ?
+       ORDER BY c.timestamp DESC LIMIT ?`,
+      [pid, RESUMMARIZE_AFTER_MESSAGES, limit]
+    );
+
+    let updated = 0;
+    for (const row of stale) {
+      if (await this.summarizeConversation(row.id)) {
+        updated++;
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Encrypt message content, decision text, summaries, team memories and
+   * embedding vectors on write. Existing rows stay as they are until
+   * applyEncryption() runs; plaintext rows remain readable either way.
+   *
+   * Encrypted rows are left out of the keyword search index, so they are
+   * found by semantic recall only. Code patterns, file paths and commit
+   * history are not encrypted.
+   */
+  setCipher(cipher: FieldCipher | null): void {
+    this.cipher = cipher;
+  }
+
+  protected encryptField(value: string): string;
+  protected encryptField(value: string | null | undefined): string | null | undefined;
+  protected encryptField(value: string | null | undefined): string | null | undefined {
+    return this.cipher && typeof value === 'string' ? this.cipher.encrypt(value) : value;
+  }
+
+  protected decryptField(value: string): string;
+  protected decryptField(value: string | null | undefined): string | null | undefined;
+  protected decryptField(value: string | null | undefined): string | null | undefined {
+    try {
+      return this.decryptFieldOrThrow(value);
+    } catch (error) {
+      // One unreadable row should not take down recall, so it shows as a
+      // placeholder; the cause is logged once
+      const message = error instanceof Error ? error.message : String(error);
+      if (!this.decryptWarnings.has(message)) {
+        this.decryptWarnings.add(message);
+        console.warn(`⚠️ Could not decrypt stored memory: ${message}`);
+      }
+      return ENCRYPTED_PLACEHOLDER;
+    }
+  }
+
+  /**
+   * Like decryptField, but throws when the key is missing or wrong. For
+   * values that are written back or sent on, where a placeholder would
+   * replace the real content.
+   */
+  protected decryptFieldOrThrow(value: string): string;
+  protected decryptFieldOrThrow(value: string | null | undefined): string | null | undefined;
+  protected decryptFieldOrThrow(value: string | null | undefined): string | null | undefined {
+    if (!FieldCipher.isEncrypted(value)) {
+      return value;
+    }
+    if (!this.cipher) {
+      throw new EncryptionKeyError('Memory is encrypted but no encryption key is configured');
+    }
+    try {
+      return this.cipher.decrypt(value);
+    } catch (error) {
+      if (error instanceof EncryptionKeyError) throw error;
+      throw new EncryptionKeyError('Memory could not be decrypted; the encryption key does not match');
+    }
+  }
+
+  /**
+   * Bring every encrypted field up to the active key: plaintext rows are
+   * encrypted and rows under a retired key are re-encrypted. Used both to
+   * migrate an existing database and to finish a key rotation. Backups taken
+   * earlier are not touched and may still hold plaintext.
+   */
+  async applyEncryption(): Promise<{ encrypted: number; rotated: number }> {
+    const cipher = this.cipher;
+    if (!cipher) {
+      throw new EncryptionKeyError('No encryption key is configured');
+    }
+
+    const result = { encrypted: 0, rotated: 0 };
+    await this.transaction(async () => {
+      for (const [table, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+        // Tables of attached databases count too
+        const exists = await this.getQuery(`SELECT 1 FROM pragma_table_info(?) LIMIT 1`, [table]);
+        if (!exists) continue;
+
+        const rows = await this.allQuery(`SELECT rowid AS row_id, ${fields.join(', ')} FROM ${table}`);
+        for (const row of rows) {
+          const stale = fields.filter(field => typeof row[field] === 'string' && cipher.needsRewrap(row[field]));
+          if (stale.length === 0) continue;
+
+          for (const field of stale) {
+            if (FieldCipher.isEncrypted(row[field])) {
+              result.rotated++;
+            } else {
+              result.encrypted++;
+            }
+          }
+
+          await this.runQuery(
+            `UPDATE ${table} SET ${stale.map(field => `${field} = ?`).join(', ')} WHERE rowid = ?`,
+            [...stale.map(field => cipher.encrypt(this.decryptFieldOrThrow(row[field]))), row.row_id]
+          );
+        }
+      }
+
+      // Vectors of hashed words can be matched back to the words, and a bare
+      // hash of the text confirms a guess at it. The hash is cleared, so the
+      // next indexing replaces it with a keyed one
+      for (const schema of ['main', ...this.attachedDatabases.keys()]) {
+        const exists = await this.getQuery(`SELECT 1 FROM ${schema}.sqlite_master WHERE type = 'table' AND name = 'embeddings'`);
+        if (!exists) continue;
+
+        const rows = await this.allQuery(`SELECT rowid AS row_id, vector FROM ${schema}.embeddings`);
+        for (const row of rows) {
+          const encrypted = typeof row.vector === 'string';
+          if (encrypted && !cipher.needsRewrap(row.vector)) continue;
+
+          const plain = encrypted ? Buffer.from(this.decryptFieldOrThrow(row.vector), 'base64') : row.vector as Buffer;
+          if (encrypted) {
+            result.rotated++;
+          } else {
+            result.encrypted++;
+          }
+          await this.runQuery(
+            `UPDATE ${schema}.embeddings SET vector = ?, content_hash = '' WHERE rowid = ?`,
+            [cipher.encrypt(plain.toString('base64')), row.row_id]
+          );
+        }
+      }
+    });
+
+    // Purge plaintext left in the search index, free pages and the WAL
+    if (result.encrypted > 0) {
+      if (this.searchIndexAvailable) {
+        await this.rebuildSearchIndex();
+        await this.runQuery(`INSERT INTO memory_fts (memory_fts) VALUES ('optimize')`);
+      }
+      for (const schema of ['main', ...this.attachedDatabases.keys()]) {
+        await this.vacuum(schema);
+        await this.runQuery(`PRAGMA ${schema}.wal_checkpoint(TRUNCATE)`);
+      }
+    }
+    return result;
+  }
+
+  protected async indexEmbeddings(
+    sourceType: EmbeddingSource,
+    scopeId: string,
+    items: { id: string; text: string }[]
+  ): Promise<void> {
+    if (!this.embedder || items.length === 0) {
+      return;
+    }
+
+    try {
+      const model = this.embedder.id;
+      const table = this.embeddingsTable(sourceType);
+      const pending: { id: string; text: string; hash: string }[] = [];
+
+      for (const item of items) {
+        const hash = this.cipher ? this.cipher.digest(item.text) : crypto.createHash('sha1').update(item.text).digest('hex');
+        const existing = await this.getQuery(
+          `SELECT content_hash FROM ${table} WHERE source_type = ? AND source_id = ? AND model = ?`,
+          [sourceType, item.id, model]
+        );
+        if (existing?.content_hash !== hash) {
+          pending.push({ ...item, hash });
+        }
+      }
+
+      if (pending.length === 0) {
+        return;
+      }
+
+      const vectors = await this.embedder.embed(pending.map(item => item.text));
+
+      for (let i = 0; i < pending.length; i++) {
+        await this.runQuery(
+          `INSERT INTO ${table} (id, source_type, source_id, scope_id, model, dimensions, vector, content_hash)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT(source_type, source_id, model) DO UPDATE SET
+             scope_id = excluded.scope_id, dimensions = excluded.dimensions,
+             vector = excluded.vector, content_hash = excluded.content_hash`,
+          [uuidv4(), sourceType, pending[i].id, scopeId, model, vectors[i].length, this.encodeStoredVector(vectors[i]), pending[i].hash]
+        );
+      }
+    } catch (error) {
+      // Semantic recall is an enhancement; never fail the write because of it
+      console.warn(`⚠️ Failed to index ${sourceType} embeddings:`, error);
+    }
+  }
+
+  /**
+   * Table holding vectors for a source type; subclasses with an attached
+   * store keep that store's vectors inside it.
+   */
+  protected embeddingsTable(sourceType: EmbeddingSource): string {
+    return 'embeddings';
+  }
+
+  /**
+   * Embed anything stored before an embedder was configured (or under a
+   * different embedder). Returns the number of rows considered.
+   */
+  async backfillEmbeddings(projectId?: string): Promise<number> {
+    if (!this.embedder) {
+      return 0;
+    }
+
+    const pid = projectId || this.getProjectId();
+
+    const messages = (await this.allQuery(
+      `SELECT m.id, m.content AS text FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id WHERE c.project_id = ? AND m.copied_from IS NULL`,
+      [pid]
+    )).map(row => ({ id: row.id, text: this.decryptField(row.text) }));
+    const decisions = (await this.allQuery(
+      `SELECT id, decision, rationale FROM architectural_decisions WHERE project_id = ?`,
+      [pid]
+    )).map(row => ({ id: row.id, text: `${this.decryptField(row.decision)}\n${this.decryptField(row.rationale) || ''}` }));
+    const patterns = await this.allQuery(
+      `SELECT id, pattern, context FROM code_patterns WHERE project_id = ?`,
+      [pid]
+    );
+    const summaries = (await this.allQuery(
+      `SELECT id, summary AS text FROM conversations WHERE project_id = ? AND summary IS NOT NULL`,
+      [pid]
+    )).map(row => ({ id: row.id, text: this.decryptField(row.text) }));
+
+    await this.indexEmbeddings('message', pid, messages);
+    await this.indexEmbeddings('conversation', pid, summaries);
+    await this.indexEmbeddings('decision', pid, decisions);
+    await this.indexEmbeddings('pattern', pid, patterns.map(p => {
+      const context = JSON.parse(p.context || '{}');
+      return { id: p.id, text: `${context.context || ''}\n${p.pattern}` };
+    }));
+
+    return messages.length + decisions.length + patterns.length + summaries.length;
+  }
+
+  /**
+   * Cosine top-k over stored vectors for one project (or team) scope.
+   */
+  async semanticSearch(
+    query: string,
+    options: { scopeId?: string; sources?: EmbeddingSource[]; limit?: number } = {}
+  ): Promise<SemanticHit[]> {
+    if (!this.embedder) {
+      return [];
+    }
+
+    const scopeId = options.scopeId || this.getProjectId();
+    const [queryVector] = await this.embedder.embed([query]);
+
+    // Sources may live in different databases; query each one's table
+    const bySources = new Map<string, EmbeddingSource[]>();
+    for (const source of options.sources || []) {
+      const table = this.embeddingsTable(source);
+      bySources.set(table, [...(bySources.get(table) || []), source]);
+    }
+    if (bySources.size === 0) {
+      bySources.set('embeddings', []);
+    }
+
+    const rows: any[] = [];
+    for (const [table, sources] of bySources) {
+      let sql = `SELECT source_type, source_id, vector FROM ${table} WHERE scope_id = ? AND model = ?`;
+      const params: any[] = [scopeId, this.embedder.id];
+
+      if (sources.length > 0) {
+        sql += ` AND source_type IN (${sources.map(() => '?').join(', ')})`;
+        params.push(...sources);
+      }
+
+      rows.push(...await this.allQuery(sql, params));
+    }
+
+    const scored: SemanticHit[] = [];
+    for (const row of rows) {
+      const vector = this.decodeStoredVector(row.vector);
+      if (vector) {
+        scored.push({ source: row.source_type, id: row.source_id, score: cosineSimilarity(queryVector, vector) });
+      }
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, options.limit || 20);
+  }
+
+  // Vectors are stored as a blob, or as an encrypted base64 string when a
+  // cipher is set
+  private encodeStoredVector(vector: number[]): Buffer | string {
+    const blob = encodeVector(vector);
+    return this.cipher ? this.cipher.encrypt(blob.toString('base64')) : blob;
+  }
+
+  private decodeStoredVector(stored: Buffer | string): Float32Array | null {
+    if (typeof stored !== 'string') {
+      return decodeVector(stored);
+    }
+    const base64 = this.decryptField(stored);
+    return base64 === ENCRYPTED_PLACEHOLDER ? null : decodeVector(Buffer.from(base64, 'base64'));
+  }
+
+  private async hydrateConversation(conv: any): Promise<Conversation> {
+    const messages = await this.allQuery(
+      `SELECT * FROM messages WHERE conversation_id = ? ORDER BY sequence, timestamp`,
+      [conv.id]
+    );
+
+    return {
+      id: conv.id,
+      timestamp: new Date(conv.timestamp),
+      aiAssistant: conv.ai_assistant,
+      context: JSON.parse(conv.context || '{}'),
+      messages: messages.map(msg => ({
+        id: msg.id,
+        role: msg.role,
+        content: this.decryptField(msg.content),
+        timestamp: new Date(msg.timestamp),
+        metadata: JSON.parse(msg.metadata || '{}')
+      })),
+      outcomes: await this.getOutcomes(conv.id),
+      summary: this.decryptField(conv.summary) || undefined,
+      parentId: conv.parent_id || undefined,
+      branchedFromMessageId: conv.branched_from_message_id || undefined,
+      archivedAt: conv.archived_at ? new Date(conv.archived_at) : undefined
+    };
+  }
+
+  async getStatistics() {
+    const projectId = this.getProjectId();
+    
+    const conversationCount = await this.getQuery(
+      `SELECT COUNT(*) as count FROM conversations WHERE project_id = ?`,
+      [projectId]
+    );
+    
+    const messageCount = await this.getQuery(
+      `SELECT COUNT(*) as count FROM messages m 
+       JOIN conversations c ON m.conversation_id = c.id 
+       WHERE c.project_id = ?`,
+      [projectId]
+    );
+    
+    const decisionCount = await this.getQuery(
+      `SELECT COUNT(*) as count FROM architectural_decisions WHERE project_id = ?`,
+      [projectId]
+    );
+    
+    const fileCount = await this.getQuery(
+      `SELECT COUNT(DISTINCT file_path) as count FROM file_changes WHERE project_id = ?`,
+      [projectId]
+    );
+    
     const lastActivity = await this.getQuery(
       `SELECT last_active FROM projects WHERE id = ?`,
       [projectId]
@@ -475,101 +2491,770 @@ export class MemoryEngine {
 
     const dbStats = fs.statSync(this.dbPath);
 
-    return {
-      conversationCount: conversationCount.count,
-      messageCount: messageCount.count,
-      decisionCount: decisionCount.count,
-      fileCount: fileCount.count,
-      lastActivity: lastActivity?.last_active,
-      databaseSize: `${(dbStats.size / 1024).toFixed(1)} KB`
+    return {
+      conversationCount: conversationCount.count,
+      messageCount: messageCount.count,
+      decisionCount: decisionCount.count,
+      fileCount: fileCount.count,
+      lastActivity: lastActivity?.last_active,
+      databaseSize: `${(dbStats.size / 1024).toFixed(1)} KB`
+    };
+  }
+
+  async performInitialScan(): Promise<DetectedFileChange[]> {
+    return this.withProject(async () => {
+      // Scan project structure and record what changed since the last scan
+      const files = await this.scanProjectFiles();
+
+      const known = await this.allQuery(
+        `SELECT file_path FROM file_snapshots WHERE project_id = ?`,
+        [this.getProjectId()]
+      );
+
+      return this.syncFileStates([...files, ...known.map(row => row.file_path)]);
+    });
+  }
+
+  /**
+   * Compare files on disk against their stored snapshots and record real
+   * changes. Saves that leave content unchanged are ignored, and a delete plus
+   * create with identical content is recorded as a rename. Given the
+   * project the paths belong to, nothing is recorded once the engine has
+   * switched to another.
+   */
+  async syncFileStates(relativePaths: string[], conversationId?: string, projectId?: string): Promise<DetectedFileChange[]> {
+    return this.withProject(async () => projectId && projectId !== this.projectId
+      ? []
+      : this.compareFileStates(relativePaths, conversationId));
+  }
+
+  private async compareFileStates(relativePaths: string[], conversationId?: string): Promise<DetectedFileChange[]> {
+    const projectId = this.getProjectId();
+    const created: DetectedFileChange[] = [];
+    const modified: DetectedFileChange[] = [];
+    const deleted: DetectedFileChange[] = [];
+    const sizes = new Map<string, number>();
+
+    for (const filePath of await this.expandDirectories(relativePaths)) {
+      const snapshot = await this.getQuery(
+        `SELECT content_hash FROM file_snapshots WHERE project_id = ? AND file_path = ?`,
+        [projectId, filePath]
+      );
+
+      const fullPath = path.join(this.projectPath, filePath);
+      const stat = await fs.stat(fullPath).catch(() => null);
+
+      if (!stat || !stat.isFile() || !this.isTrackedPath(filePath) || !this.scanRules.isWithinSizeLimit(stat.size)) {
+        if (snapshot) {
+          deleted.push({ filePath, changeType: 'deleted', contentHash: snapshot.content_hash });
+        }
+        continue;
+      }
+
+      const content = await fs.readFile(fullPath).catch(() => null);
+      if (!content) continue;
+
+      const contentHash = crypto.createHash('sha1').update(content).digest('hex');
+      sizes.set(filePath, stat.size);
+
+      if (!snapshot) {
+        created.push({ filePath, changeType: 'created', contentHash });
+      } else if (snapshot.content_hash !== contentHash) {
+        modified.push({ filePath, changeType: 'modified', contentHash });
+      }
+    }
+
+    // Pair deletes with creates of identical content. Empty files all look
+    // alike, so they are never paired
+    const changes: DetectedFileChange[] = [...modified];
+    const unmatchedDeletes = [...deleted];
+    for (const change of created) {
+      const index = sizes.get(change.filePath) === 0 ? -1 : unmatchedDeletes.findIndex(d => d.contentHash === change.contentHash);
+      if (index >= 0) {
+        const [source] = unmatchedDeletes.splice(index, 1);
+        changes.push({ ...change, changeType: 'renamed', previousPath: source.filePath });
+      } else {
+        changes.push(change);
+      }
+    }
+    changes.push(...unmatchedDeletes);
+
+    await this.transaction(async () => {
+      for (const change of changes) {
+        if (change.changeType === 'deleted' || change.changeType === 'renamed') {
+          await this.runQuery(
+            `DELETE FROM file_snapshots WHERE project_id = ? AND file_path = ?`,
+            [projectId, change.previousPath || change.filePath]
+          );
+        }
+        if (change.changeType !== 'deleted') {
+          await this.runQuery(
+            `INSERT INTO file_snapshots (project_id, file_path, content_hash, size) VALUES (?, ?, ?, ?)
+             ON CONFLICT(project_id, file_path) DO UPDATE SET
+               content_hash = excluded.content_hash, size = excluded.size, updated_at = CURRENT_TIMESTAMP`,
+            [projectId, change.filePath, change.contentHash, sizes.get(change.filePath)]
+          );
+        }
+
+        await this.trackFileChange(change.filePath, change.changeType, conversationId, {
+          previousPath: change.previousPath,
+          contentHash: change.contentHash
+        });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Remember which conversation file edits should be attributed to.
+   */
+  setActiveConversation(conversationId: string | null): void {
+    this.activeConversation = conversationId ? { id: conversationId, since: Date.now() } : null;
+  }
+
+  /**
+   * A directory event stands for every file under it: the tracked files
+   * now on disk, plus those with snapshots, which a delete or rename took
+   * away.
+   */
+  private async expandDirectories(relativePaths: string[]): Promise<Set<string>> {
+    const projectId = this.getProjectId();
+    const expanded = new Set<string>();
+
+    for (const relativePath of relativePaths) {
+      const stat = await fs.stat(path.join(this.projectPath, relativePath)).catch(() => null);
+      if (stat?.isDirectory()) {
+        if (!this.scanRules.isIgnored(relativePath, true)) {
+          (await this.scanProjectFiles(relativePath)).forEach(file => expanded.add(file));
+        }
+      } else {
+        expanded.add(relativePath);
+      }
+
+      if (!stat?.isFile()) {
+        const prefix = `${relativePath}${path.sep}`;
+        const snapshots = await this.allQuery(
+          `SELECT file_path FROM file_snapshots WHERE project_id = ? AND substr(file_path, 1, ?) = ?`,
+          [projectId, prefix.length, prefix]
+        );
+        snapshots.forEach(row => expanded.add(row.file_path));
+      }
+    }
+
+    return expanded;
+  }
+
+  getActiveConversationId(maxAgeMs?: number): string | undefined {
+    if (!this.activeConversation) {
+      return undefined;
+    }
+    if (maxAgeMs !== undefined && Date.now() - this.activeConversation.since > maxAgeMs) {
+      return undefined;
+    }
+    return this.activeConversation.id;
+  }
+
+  async clearAllMemory(): Promise<ClearResult> {
+    return this.clearMemory();
+  }
+
+  /**
+   * Delete memory for the project, optionally limited to a date range, one
+   * assistant's conversations or a single table. Deleting a conversation
+   * also deletes its messages and outcomes. Runs in one transaction and
+   * returns how many rows were deleted from each table.
+   */
+  async clearMemory(scope: ClearScope = {}): Promise<ClearResult> {
+    const pid = scope.projectId || this.getProjectId();
+    if (scope.table && !(scope.table in CLEARABLE_TABLES)) {
+      throw new Error(`Unknown memory table "${scope.table}"`);
+    }
+
+    const tables = scope.table ? [scope.table] : Object.keys(CLEARABLE_TABLES) as ClearableTable[];
+    const result: ClearResult = {};
+    const count = (table: keyof ClearResult, statement: any) => {
+      result[table] = (result[table] || 0) + statement.changes;
+    };
+
+    await this.transaction(async () => {
+      for (const table of tables) {
+        const filter = this.clearFilter(table, pid, scope);
+        if (!filter) continue;
+
+        if (table === 'conversations') {
+          const targets = `SELECT id FROM conversations WHERE ${filter.sql}`;
+          count('messages', await this.runQuery(`DELETE FROM messages WHERE conversation_id IN (${targets})`, filter.params));
+          count('outcomes', await this.runQuery(`DELETE FROM outcomes WHERE conversation_id IN (${targets})`, filter.params));
+          count('embeddings', await this.runQuery(
+            `DELETE FROM embeddings WHERE source_type = 'conversation' AND source_id IN (${targets})`,
+            filter.params
+          ));
+          // File history outlives the conversation that caused it
+          await this.runQuery(
+            `UPDATE file_changes SET conversation_id = NULL WHERE conversation_id IN (${targets})`,
+            filter.params
+          );
+        }
+
+        count(table, await this.runQuery(`DELETE FROM ${table} WHERE ${filter.sql}`, filter.params));
+      }
+    });
+
+    if (result.conversations) {
+      this.activeConversation = null;
+    }
+    return result;
+  }
+
+  // WHERE clause for one table of a scoped clear, or null if the scope excludes it
+  private clearFilter(table: ClearableTable, pid: string, scope: ClearScope): { sql: string; params: any[] } | null {
+    const spec = CLEARABLE_TABLES[table];
+    if ((scope.from || scope.to) && !spec.timeColumn) return null;
+    if (scope.aiAssistant && !spec.conversationScoped) return null;
+
+    const conditions: string[] = [];
+    const params: any[] = [];
+
+    if (table === 'messages' || table === 'outcomes') {
+      conditions.push(`conversation_id IN (SELECT id FROM conversations WHERE project_id = ?${scope.aiAssistant ? ' AND ai_assistant = ?' : ''})`);
+    } else {
+      conditions.push('project_id = ?');
+      if (scope.aiAssistant) conditions.push('ai_assistant = ?');
+    }
+    params.push(pid);
+    if (scope.aiAssistant) params.push(scope.aiAssistant);
+
+    if (scope.from) {
+      conditions.push(`${spec.timeColumn} >= ?`);
+      params.push(toSqliteTimestamp(scope.from));
+    }
+    if (scope.to) {
+      conditions.push(`${spec.timeColumn} < ?`);
+      params.push(toSqliteTimestamp(scope.to));
+    }
+
+    return { sql: conditions.join(' AND '), params };
+  }
+
+  /**
+   * Apply a retention policy. Conversations past the limits are summarized
+   * and their messages deleted; decisions, file changes and patterns past
+   * their age limit are deleted outright. With dryRun nothing is changed and
+   * the report lists what would be removed.
+   */
+  async pruneMemory(policy: RetentionPolicy, options: PruneOptions = {}): Promise<PruneReport> {
+    const pid = options.projectId || this.getProjectId();
+    const dryRun = options.dryRun ?? false;
+    const cutoff = (days: number) => `-${Math.floor(days)} days`;
+
+    const report: PruneReport = {
+      dryRun,
+      conversationIds: [],
+      messages: 0,
+      decisions: 0,
+      fileChanges: 0,
+      patterns: 0,
+      sizeLimitUnreachable: false,
+      sizeBefore: await this.getDatabaseSize(),
+      sizeAfter: 0
+    };
+
+    // Conversations: by age, by count, then oldest first until under the size limit
+    const archive = new Set<string>();
+    if (!policy.types?.conversations?.keepForever) {
+      const maxAge = maxAgeFor(policy, 'conversations');
+      if (maxAge) {
+        const rows = await this.allQuery(
+          `SELECT id FROM conversations WHERE project_id = ? AND archived_at IS NULL
+           AND timestamp < datetime('now', ?)`,
+          [pid, cutoff(maxAge)]
+        );
+        rows.forEach(row => archive.add(row.id));
+      }
+
+      if (policy.maxConversations) {
+        const rows = await this.allQuery(
+          `SELECT id FROM conversations WHERE project_id = ? AND archived_at IS NULL
+           ORDER BY timestamp DESC LIMIT -1 OFFSET ?`,
+          [pid, policy.maxConversations]
+        );
+        rows.forEach(row => archive.add(row.id));
+      }
+
+      if (policy.maxDatabaseSizeMB) {
+        const excess = await this.getLiveDatabaseSize() - policy.maxDatabaseSizeMB * 1024 * 1024;
+        if (excess > 0) {
+          const bytesPerChar = await this.measureMessageStorage();
+          const rows = await this.allQuery(
+            `SELECT c.id, COALESCE(SUM(LENGTH(m.content)), 0) AS chars
+             FROM conversations c LEFT JOIN messages m ON m.conversation_id = c.id
+             WHERE c.project_id = ? AND c.archived_at IS NULL
+             GROUP BY c.id ORDER BY c.timestamp ASC`,
+            [pid]
+          );
+          // Only take conversations that free space, and only if together
+          // they reach the limit: archiving everything and still missing it
+          // loses history for nothing
+          const picked: string[] = [];
+          let remaining = excess;
+          for (const row of rows) {
+            if (remaining <= 0) break;
+            const bytes = row.chars * bytesPerChar;
+            if (bytes > 0 && !archive.has(row.id)) {
+              picked.push(row.id);
+              remaining -= bytes;
+            }
+          }
+          if (remaining <= 0) {
+            picked.forEach(id => archive.add(id));
+          } else {
+            report.sizeLimitUnreachable = true;
+          }
+        }
+      }
+    }
+    report.conversationIds = Array.from(archive);
+
+    for (const id of report.conversationIds) {
+      const count = await this.getQuery(`SELECT COUNT(*) AS count FROM messages WHERE conversation_id = ?`, [id]);
+      report.messages += count.count;
+    }
+
+    const expired = async (table: string, column: string, days?: number) => {
+      if (!days) return [] as string[];
+      const rows = await this.allQuery(
+        `SELECT id FROM ${table} WHERE project_id = ? AND ${column} < datetime('now', ?)`,
+        [pid, cutoff(days)]
+      );
+      return rows.map(row => row.id as string);
     };
-  }
 
-  async performInitialScan(): Promise<void> {
-    // Scan project structure and record initial state
-    const files = await this.scanProjectFiles();
-    
-    for (const file of files) {
-      await this.trackFileChange(file, 'created');
+    const decisionIds = await expired('architectural_decisions', 'timestamp', maxAgeFor(policy, 'decisions'));
+    const fileChangeIds = await expired('file_changes', 'timestamp', maxAgeFor(policy, 'fileChanges'));
+    const patternIds = await expired('code_patterns', 'COALESCE(last_seen, first_seen)', maxAgeFor(policy, 'patterns'));
+    report.decisions = decisionIds.length;
+    report.fileChanges = fileChangeIds.length;
+    report.patterns = patternIds.length;
+
+    if (dryRun) {
+      report.sizeAfter = report.sizeBefore;
+      return report;
+    }
+
+    // Summaries stand in for the deleted messages in recall. They are brought
+    // up to date first, outside the transaction, as a provider may be slow
+    for (const id of report.conversationIds) {
+      await this.summarizeConversation(id);
+    }
+
+    await this.transaction(async () => {
+      for (const id of report.conversationIds) {
+        await this.runQuery(`UPDATE conversations SET archived_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+        await this.runQuery(`DELETE FROM messages WHERE conversation_id = ?`, [id]);
+      }
+
+      for (const id of decisionIds) {
+        await this.runQuery(`DELETE FROM architectural_decisions WHERE id = ?`, [id]);
+      }
+      for (const id of fileChangeIds) {
+        await this.runQuery(`DELETE FROM file_changes WHERE id = ?`, [id]);
+      }
+      for (const id of patternIds) {
+        await this.runQuery(`DELETE FROM code_patterns WHERE id = ?`, [id]);
+      }
+    });
+
+    const removed = report.conversationIds.length + report.decisions + report.fileChanges + report.patterns;
+    if (removed > 0) {
+      await this.vacuum();
     }
+    report.sizeAfter = await this.getDatabaseSize();
+    return report;
   }
 
-  async clearAllMemory(): Promise<void> {
-    const projectId = this.generateProjectId();
-    
-    const tables = ['messages', 'conversations', 'architectural_decisions', 'file_changes', 'code_patterns', 'user_preferences'];
-    
-    for (const table of tables) {
-      await this.runQuery(`DELETE FROM ${table} WHERE project_id = ?`, [projectId]);
+  private async getDatabaseSize(): Promise<number> {
+    const stat = await fs.stat(this.dbPath).catch(() => null);
+    return stat ? stat.size : 0;
+  }
+
+  // Bytes in use, excluding free pages that VACUUM would reclaim
+  private async getLiveDatabaseSize(): Promise<number> {
+    const pageSize = await this.getQuery('PRAGMA page_size');
+    const pageCount = await this.getQuery('PRAGMA page_count');
+    const freePages = await this.getQuery('PRAGMA freelist_count');
+    return (pageCount.page_count - freePages.freelist_count) * pageSize.page_size;
+  }
+
+  /**
+   * Bytes of database pages used per character of message text: the
+   * messages table and its indexes, plus the messages' share of the search
+   * index and of the embeddings. Falls back to counting the text twice
+   * (row and search index) when SQLite is built without dbstat.
+   */
+  private async measureMessageStorage(): Promise<number> {
+    const text = await this.getQuery(`SELECT COALESCE(SUM(LENGTH(content)), 0) AS chars FROM messages`);
+    if (!text.chars) {
+      return 0;
+    }
+
+    try {
+      const used = async (where: string, params: any[] = []) => {
+        const row = await this.getQuery(
+          `SELECT COALESCE(SUM(pgsize - unused), 0) AS bytes FROM dbstat
+           WHERE name IN (SELECT name FROM sqlite_master WHERE ${where})`,
+          params
+        );
+        return row.bytes as number;
+      };
+      const share = async (sql: string) => {
+        const row = await this.getQuery(sql);
+        return row.total ? row.part / row.total : 0;
+      };
+
+      const embeddings = this.embeddingsTable('message');
+      const [schema, table] = embeddings.includes('.') ? embeddings.split('.') : ['main', embeddings];
+      let bytes = await used(`tbl_name = 'messages'`);
+      bytes += await used(`name LIKE 'memory\\_fts\\_%' ESCAPE '\\'`) * await share(
+        `SELECT SUM(CASE WHEN source = 'message' THEN LENGTH(body) ELSE 0 END) AS part,
+                SUM(LENGTH(title) + LENGTH(body)) AS total FROM memory_fts`
+      );
+      if (schema === 'main') {
+        bytes += await used(`tbl_name = ?`, [table]) * await share(
+          `SELECT SUM(source_type = 'message') AS part, COUNT(*) AS total FROM ${table}`
+        );
+      }
+      return bytes / text.chars;
+    } catch {
+      return 2;
     }
   }
 
-  private async scanProjectFiles(): Promise<string[]> {
+  private async scanProjectFiles(relativeDir: string = ''): Promise<string[]> {
     const files: string[] = [];
-    const extensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.go', '.rs', '.java', '.cpp', '.c', '.h'];
+    const rules = this.scanRules;
+    // Real paths of directories already walked, so symlink cycles end
+    const visited = new Set<string>();
     
     const scanDir = async (dir: string) => {
+      const realDir = await fs.realpath(dir).catch(() => null);
+      if (!realDir || visited.has(realDir)) {
+        return;
+      }
+      visited.add(realDir);
+
       const entries = await fs.readdir(dir, { withFileTypes: true });
       
       for (const entry of entries) {
         const fullPath = path.join(dir, entry.name);
         const relativePath = path.relative(this.projectPath, fullPath);
+
+        let isDirectory = entry.isDirectory();
+        let isFile = entry.isFile();
+        if (entry.isSymbolicLink()) {
+          if (!rules.config.followSymlinks) continue;
+          const target = await fs.stat(fullPath).catch(() => null);
+          if (!target) continue;
+          isDirectory = target.isDirectory();
+          isFile = target.isFile();
+        }
         
-        // Skip node_modules, .git, etc.
-        if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+        // Skip node_modules, .git, .gitignore'd and excluded paths
+        if (rules.isIgnored(relativePath, isDirectory)) {
           continue;
         }
         
-        if (entry.isDirectory()) {
+        if (isDirectory) {
           await scanDir(fullPath);
-        } else if (extensions.some(ext => entry.name.endsWith(ext))) {
-          files.push(relativePath);
+        } else if (isFile && rules.isTrackedFile(relativePath)) {
+          const stat = await fs.stat(fullPath).catch(() => null);
+          if (stat && rules.isWithinSizeLimit(stat.size)) {
+            files.push(relativePath);
+          }
         }
       }
     };
     
-    await scanDir(this.projectPath);
+    await scanDir(path.join(this.projectPath, relativeDir));
     return files;
   }
 
-  private async updateProjectActivity(): Promise<void> {
-    const projectId = this.generateProjectId();
+  /**
+   * Same rules as scanProjectFiles, for a single project-relative path.
+   * Used by the file watcher so both paths agree on what is tracked.
+   */
+  isTrackedPath(relativePath: string): boolean {
+    return this.scanRules.isTrackedFile(relativePath);
+  }
+
+  /**
+   * Whether a path, taken as a directory, could hold tracked files. The
+   * file watcher reports a deleted or renamed directory as one event.
+   */
+  isTrackedDirectory(relativePath: string): boolean {
+    return !this.scanRules.isIgnored(relativePath, true);
+  }
+
+  /**
+   * Re-read .codecontext/config and .gitignore files after they change.
+   */
+  async reloadScanRules(): Promise<void> {
+    this.scanRules = await ScanRules.load(this.projectPath);
+  }
+
+  private async updateProjectActivity(projectId: string = this.getProjectId()): Promise<void> {
     await this.runQuery(
       `UPDATE projects SET last_active = CURRENT_TIMESTAMP WHERE id = ?`,
       [projectId]
     );
   }
 
-  private generateProjectId(): string {
-    const crypto = require('crypto');
-    return crypto.createHash('md5').update(this.projectPath).digest('hex').substring(0, 16);
-  }
-
   // AI Provider Integration Methods
-  async recall(message: string, projectId?: string): Promise<any[]> {
-    const pid = projectId || this.generateProjectId();
+  async recall(message: string, projectId?: string, options: RecallOptions = {}): Promise<any[]> {
+    if (options.projectIds && options.projectIds.length > 0) {
+      return this.recallAcrossProjects(message, options.projectIds, options);
+    }
+
+    const pid = projectId || this.getProjectId();
+    const limit = options.limit || 15;
+    const anchored = options.files?.length ? await this.recallByFiles(pid, options.files) : [];
+
+    if (this.embedder) {
+      return this.hybridRecall(message, pid, limit, options.semanticWeight ?? 0.5, anchored);
+    }
     
     // Extract key terms for better search
     const searchTerms = this.extractSearchTerms(message);
-    const memories: any[] = [];
-    
-    // Search recent conversations (broader search)
+    // Decisions about the files being worked on lead, whatever the wording
+    const memories: any[] = [...anchored];
+
+    // Ranked full-text matches come first
+    if (this.searchIndexAvailable && searchTerms.length > 0) {
+      const hits = await this.searchMemory(searchTerms.join(' '), { projectId: pid, limit: 30 });
+      for (const hit of hits) {
+        const memory = await this.loadSearchHitMemory(hit.source, hit.id, hit.snippet);
+        if (memory) {
+          memories.push(memory);
+        }
+      }
+    }
+
+    if (!this.searchIndexAvailable) {
+      await this.recallByKeyword(pid, searchTerms, memories);
+    }
+
+    // Positional relevance, then adjusted by how those conversations turned out
+    const scored = memories.map((memory, i) => ({ ...memory, score: 1 - i / memories.length }));
+    const weighted = await this.weightByOutcomes(this.weightByStatus(scored));
+
+    // Remove duplicates and return most relevant
+    const uniqueMemories = this.deduplicateMemories(weighted);
+    return uniqueMemories.slice(0, limit);
+  }
+
+  /**
+   * Recall from each selected project and merge by score. Memories carry
+   * projectId and projectName so callers can tell where they came from.
+   */
+  private async recallAcrossProjects(message: string, projectIds: string[], options: RecallOptions): Promise<any[]> {
+    const limit = options.limit || 15;
+    const merged: any[] = [];
+
+    for (const projectId of new Set(projectIds)) {
+      const project = await this.getProject(projectId);
+      if (!project) continue;
+
+      // Anchored files are paths in the current project only
+      const memories = await this.recall(message, projectId, {
+        ...options,
+        projectIds: undefined,
+        files: projectId === this.projectId ? options.files : undefined
+      });
+      merged.push(...memories.map(memory => ({ ...memory, projectId, projectName: project.name })));
+    }
+
+    merged.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    return this.deduplicateMemories(merged).slice(0, limit);
+  }
+
+  /**
+   * Blend normalized BM25 keyword scores with cosine similarity. Only
+   * candidates that match on at least one signal are returned.
+   */
+  private async hybridRecall(message: string, pid: string, limit: number, semanticWeight: number, anchored: any[] = []): Promise<any[]> {
+    const candidates = new Map<string, { source: EmbeddingSource; id: string; snippet: string; keyword: number; vector: number }>();
+    const searchTerms = this.extractSearchTerms(message);
+
+    if (this.searchIndexAvailable && searchTerms.length > 0) {
+      const hits = await this.searchMemory(searchTerms.join(' '), { projectId: pid, limit: 30 });
+      const best = Math.max(0, ...hits.map(hit => -hit.rank));
+      for (const hit of hits) {
+        candidates.set(`${hit.source}:${hit.id}`, {
+          source: hit.source,
+          id: hit.id,
+          snippet: hit.snippet,
+          keyword: best > 0 ? -hit.rank / best : 0,
+          vector: 0
+        });
+      }
+    }
+
+    const semanticHits = await this.semanticSearch(message, {
+      scopeId: pid,
+      sources: ['message', 'conversation', 'decision', 'pattern'],
+      limit: 30
+    });
+    for (const hit of semanticHits) {
+      const key = `${hit.source}:${hit.id}`;
+      const existing = candidates.get(key);
+      if (existing) {
+        existing.vector = Math.max(0, hit.score);
+      } else {
+        candidates.set(key, { source: hit.source, id: hit.id, snippet: '', keyword: 0, vector: Math.max(0, hit.score) });
+      }
+    }
+
+    const ranked = [...candidates.values()]
+      .map(c => ({ ...c, score: semanticWeight * c.vector + (1 - semanticWeight) * c.keyword }))
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const memories: any[] = anchored.map(memory => ({ ...memory, score: 1 }));
+    for (const candidate of ranked) {
+      const memory = await this.loadSearchHitMemory(candidate.source, candidate.id, candidate.snippet);
+      if (memory) {
+        memories.push({ ...memory, score: candidate.score });
+      }
+      if (memories.length >= limit * 2) break;
+    }
+
+    const weighted = await this.weightByOutcomes(this.weightByStatus(memories));
+    return this.deduplicateMemories(weighted).slice(0, limit);
+  }
+
+  /**
+   * Scale decision scores by ADR status so superseded and deprecated
+   * decisions rank below the ones that replaced them.
+   */
+  private weightByStatus(memories: any[]): any[] {
+    return memories.map(memory => memory.type === 'decision' && isAdrStatus(memory.status)
+      ? { ...memory, score: memory.score * ADR_STATUS_WEIGHTS[memory.status as AdrStatus] }
+      : memory);
+  }
+
+  /**
+   * Scale conversation scores by their outcome success rate (x0.5 for
+   * consistent failures up to x1.5 for consistent successes) and re-sort.
+   */
+  private async weightByOutcomes(memories: any[]): Promise<any[]> {
+    const outcomeScores = await this.getOutcomeScores(
+      memories.filter(m => m.conversationId).map(m => m.conversationId)
+    );
+
+    return memories
+      .map(memory => {
+        const outcomeScore = memory.conversationId ? outcomeScores.get(memory.conversationId) : undefined;
+        return outcomeScore === undefined
+          ? memory
+          : { ...memory, outcomeScore, score: memory.score * (0.5 + outcomeScore) };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  private async loadSearchHitMemory(source: EmbeddingSource, id: string, snippet: string): Promise<any | null> {
+    switch (source) {
+      case 'message': {
+        const row = await this.getQuery(
+          `SELECT m.*, c.ai_assistant, c.summary FROM messages m
+           JOIN conversations c ON c.id = m.conversation_id WHERE m.id = ?`,
+          [id]
+        );
+        // The summary stands in for the message, so several hits in one
+        // conversation collapse to one memory; the snippet keeps the match
+        return row ? {
+          type: 'conversation',
+          content: row.summary
+            ? `summary: ${this.decryptField(row.summary)}`
+            : `${row.role}: ${this.decryptField(row.content)}`,
+          snippet: snippet,
+          timestamp: row.timestamp,
+          aiAssistant: row.ai_assistant,
+          conversationId: row.conversation_id
+        } : null;
+      }
+      case 'conversation': {
+        const row = await this.getQuery(`SELECT * FROM conversations WHERE id = ?`, [id]);
+        return row ? {
+          type: 'conversation',
+          content: `summary: ${this.decryptField(row.summary)}`,
+          snippet: snippet,
+          timestamp: row.timestamp,
+          aiAssistant: row.ai_assistant,
+          conversationId: row.id
+        } : null;
+      }
+      case 'decision': {
+        const row = await this.getQuery(`SELECT * FROM architectural_decisions WHERE id = ?`, [id]);
+        return row ? { ...this.decisionMemory(row), snippet: snippet } : null;
+      }
+      case 'pattern': {
+        const row = await this.getQuery(`SELECT * FROM code_patterns WHERE id = ?`, [id]);
+        return row ? this.loadPatternRepresentative(row, snippet) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  private async recallByFiles(pid: string, files: string[]): Promise<any[]> {
+    const paths = [...new Set(files.map(file => this.toProjectPath(file)))];
+    const rows = await this.allQuery(
+      `SELECT d.*, json_group_array(DISTINCT a.file_path) AS anchored_files FROM architectural_decisions d
+       JOIN decision_anchors a ON a.decision_id = d.id
+       WHERE d.project_id = ? AND a.file_path IN (${paths.map(() => '?').join(', ')})
+       GROUP BY d.id ORDER BY d.timestamp DESC LIMIT 10`,
+      [pid, ...paths]
+    );
+    return rows.map(row => ({ ...this.decisionMemory(row), anchoredFiles: JSON.parse(row.anchored_files) }));
+  }
+
+  // Decisions that are no longer current say so, so the model doesn't follow them
+  private decisionMemory(row: any): any {
+    const status: AdrStatus = row.status || 'accepted';
+    const decision = this.decryptField(row.decision);
+    return {
+      type: 'decision',
+      content: status === 'accepted' ? decision : `[${status}] ${decision}`,
+      rationale: this.decryptField(row.rationale),
+      status,
+      timestamp: row.timestamp
+    };
+  }
+
+  // LIKE-based fallback for SQLite builds without FTS5
+  private async recallByKeyword(pid: string, searchTerms: string[], memories: any[]): Promise<void> {
+    // Recent conversations that mention a term; summarized ones contribute
+    // their summary instead of every message. Matched after decrypting.
     const recentConversations = await this.allQuery(
-      `SELECT c.*, m.content, m.role FROM conversations c 
-       JOIN messages m ON c.id = m.conversation_id 
-       WHERE c.project_id = ? 
-       ORDER BY c.timestamp DESC LIMIT 20`,
+      `SELECT c.*, m.content, m.role FROM conversations c
+       LEFT JOIN messages m ON c.id = m.conversation_id AND c.summary IS NULL AND m.copied_from IS NULL
+       WHERE c.project_id = ? AND (c.summary IS NOT NULL OR m.id IS NOT NULL)
+       ORDER BY c.timestamp DESC, m.sequence LIMIT 200`,
       [pid]
     );
-
-    // Add relevant recent conversations
     for (const conv of recentConversations) {
-      memories.push({
-        type: 'conversation',
-        content: `${conv.role}: ${conv.content}`,
-        timestamp: conv.timestamp,
-        aiAssistant: conv.ai_assistant
-      });
+      const content = conv.summary
+        ? `summary: ${this.decryptField(conv.summary)}`
+        : `${conv.role}: ${this.decryptField(conv.content)}`;
+      if (searchTerms.some(term => content.toLowerCase().includes(term))) {
+        memories.push({
+          type: 'conversation',
+          content,
+          timestamp: conv.timestamp,
+          aiAssistant: conv.ai_assistant,
+          conversationId: conv.id
+        });
+      }
     }
 
     // Search for architectural decisions with multiple term matching
@@ -582,12 +3267,7 @@ export class MemoryEngine {
       );
 
       for (const decision of decisions) {
-        memories.push({
-          type: 'decision',
-          content: decision.decision,
-          rationale: decision.rationale,
-          timestamp: decision.timestamp
-        });
+        memories.push(this.decisionMemory(decision));
       }
     }
 
@@ -601,18 +3281,9 @@ export class MemoryEngine {
       );
 
       for (const pattern of patterns) {
-        memories.push({
-          type: 'pattern',
-          content: pattern.pattern,
-          context: pattern.context,
-          frequency: pattern.frequency
-        });
+        memories.push(await this.loadPatternRepresentative(pattern));
       }
     }
-
-    // Remove duplicates and return most relevant
-    const uniqueMemories = this.deduplicateMemories(memories);
-    return uniqueMemories.slice(0, 15); // Limit to top 15 most relevant
   }
 
   protected extractSearchTerms(message: string): string[] {
@@ -629,42 +3300,163 @@ export class MemoryEngine {
   protected deduplicateMemories(memories: any[]): any[] {
     const seen = new Set();
     return memories.filter(memory => {
-      const key = `${memory.type}:${memory.content?.substring(0, 50)}`;
+      const key = memory.clusterId
+        ? `cluster:${memory.clusterId}`
+        : `${memory.type}:${memory.content?.substring(0, 50)}`;
       if (seen.has(key)) return false;
       seen.add(key);
       return true;
     });
   }
 
-  async storeCodePattern(pattern: {
+  /**
+   * Store a code pattern, folding repeats into the existing row. Patterns are
+   * matched by a structural fingerprint, so renamed variables or reformatted
+   * code count as the same pattern; near-duplicates share a cluster.
+   */
+  async storeCodePattern(input: {
     pattern: string;
     language: string;
     context: string;
     success: boolean;
     projectId?: string;
-  }): Promise<void> {
-    const pid = pattern.projectId || this.generateProjectId();
+  }): Promise<string> {
+    const pattern = { ...input, pattern: this.redactText(input.pattern).text, context: this.redactValue(input.context) };
+    const pid = pattern.projectId || this.getProjectId();
+    const fingerprint = fingerprintPattern(pattern.pattern, pattern.language);
+
+    const existing = await this.getQuery(
+      `SELECT id FROM code_patterns WHERE project_id = ? AND fingerprint = ?`,
+      [pid, fingerprint]
+    );
+
+    if (existing) {
+      await this.runQuery(
+        `UPDATE code_patterns SET
+          frequency = frequency + 1,
+          success_count = success_count + ?,
+          failure_count = failure_count + ?,
+          last_seen = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [pattern.success ? 1 : 0, pattern.success ? 0 : 1, existing.id]
+      );
+      return existing.id;
+    }
+
     const patternId = uuidv4();
+    const clusterId = await this.findPatternCluster(pid, pattern.pattern, pattern.language) || patternId;
 
     await this.runQuery(
-      `INSERT INTO code_patterns (id, project_id, pattern, context, frequency) VALUES (?, ?, ?, ?, ?)`,
+      `INSERT INTO code_patterns (id, project_id, pattern, context, frequency, fingerprint, language,
+         success_count, failure_count, first_seen, last_seen, cluster_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, ?)`,
       [patternId, pid, pattern.pattern, JSON.stringify({
         language: pattern.language,
         context: pattern.context,
         success: pattern.success
-      }), 1]
+      }), 1, fingerprint, pattern.language, pattern.success ? 1 : 0, pattern.success ? 0 : 1, clusterId]
+    );
+
+    await this.indexEmbeddings('pattern', pid, [
+      { id: patternId, text: `${pattern.context}\n${pattern.pattern}` }
+    ]);
+
+    return patternId;
+  }
+
+  private async findPatternCluster(pid: string, code: string, language?: string): Promise<string | null> {
+    const tokens = normalizePattern(code, language);
+
+    // Compare against cluster representatives only, most used first
+    const representatives = await this.allQuery(
+      `SELECT id, pattern, language FROM code_patterns
+       WHERE project_id = ? AND id = cluster_id AND COALESCE(language, '') = ?
+       ORDER BY frequency DESC LIMIT 200`,
+      [pid, language || '']
+    );
+
+    let best: { id: string; similarity: number } | null = null;
+    for (const rep of representatives) {
+      const similarity = patternSimilarity(tokens, normalizePattern(rep.pattern, rep.language));
+      if (similarity >= PATTERN_CLUSTER_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { id: rep.id, similarity };
+      }
+    }
+
+    return best?.id || null;
+  }
+
+  /**
+   * Fingerprint patterns stored before fingerprinting existed and fold exact
+   * duplicates together.
+   */
+  private async consolidatePatterns(): Promise<void> {
+    const rows = await this.allQuery(
+      `SELECT * FROM code_patterns WHERE fingerprint IS NULL ORDER BY rowid`
+    );
+
+    for (const row of rows) {
+      const fingerprint = fingerprintPattern(row.pattern, row.language || undefined);
+      const duplicate = await this.getQuery(
+        `SELECT id FROM code_patterns WHERE project_id = ? AND fingerprint = ?`,
+        [row.project_id, fingerprint]
+      );
+
+      if (duplicate) {
+        await this.runQuery(
+          `UPDATE code_patterns SET
+            frequency = frequency + ?,
+            success_count = success_count + ?,
+            failure_count = failure_count + ?
+           WHERE id = ?`,
+          [row.frequency, row.success_count || 0, row.failure_count || 0, duplicate.id]
+        );
+        await this.runQuery(`DELETE FROM code_patterns WHERE id = ?`, [row.id]);
+      } else {
+        await this.runQuery(`UPDATE code_patterns SET fingerprint = ? WHERE id = ?`, [fingerprint, row.id]);
+      }
+    }
+  }
+
+  /**
+   * Memory entry for the most frequent member of a pattern's cluster, with the
+   * cluster's combined frequency.
+   */
+  private async loadPatternRepresentative(row: any, snippet?: string): Promise<any> {
+    const clusterId = row.cluster_id || row.id;
+    const representative = await this.getQuery(
+      `SELECT * FROM code_patterns WHERE COALESCE(cluster_id, id) = ? ORDER BY frequency DESC LIMIT 1`,
+      [clusterId]
+    ) || row;
+    const totals = await this.getQuery(
+      `SELECT SUM(frequency) as frequency, COUNT(*) as variants FROM code_patterns WHERE COALESCE(cluster_id, id) = ?`,
+      [clusterId]
     );
+
+    return {
+      type: 'pattern',
+      content: representative.pattern,
+      context: representative.context,
+      snippet,
+      frequency: totals?.frequency || representative.frequency,
+      variants: totals?.variants || 1,
+      clusterId
+    };
   }
 
+  /**
+   * Store one exchange. With a conversationId it is appended to that thread,
+   * in whatever project the thread belongs to; otherwise a new conversation
+   * is started in projectId, or the current project.
+   */
   async storeConversation(conversation: {
     message: string;
     response: string;
     projectId?: string;
     aiProvider?: string;
     timestamp: Date;
-  }): Promise<void> {
-    const pid = conversation.projectId || this.generateProjectId();
-    
+    conversationId?: string;
+  }): Promise<string> {
     const messages = [
       {
         id: uuidv4(),
@@ -680,15 +3472,98 @@ export class MemoryEngine {
       }
     ];
 
-    await this.recordConversation(
+    if (conversation.conversationId) {
+      await this.appendMessages(conversation.conversationId, messages);
+      return conversation.conversationId;
+    }
+
+    if (conversation.projectId && !(await this.getProject(conversation.projectId))) {
+      throw new Error(`Project ${conversation.projectId} not found`);
+    }
+
+    return this.recordConversation(
       conversation.aiProvider || 'unknown',
-      messages
+      messages,
+      undefined,
+      conversation.projectId
+    );
+  }
+
+  async getCodePatterns(limit: number = 50, projectId?: string): Promise<CodePattern[]> {
+    const pid = projectId || this.getProjectId();
+
+    // One representative (the most frequent variant) per cluster
+    const patterns = await this.allQuery(
+      `SELECT * FROM (
+         SELECT *,
+           ROW_NUMBER() OVER (PARTITION BY COALESCE(cluster_id, id) ORDER BY frequency DESC) AS cluster_rank,
+           SUM(frequency) OVER (PARTITION BY COALESCE(cluster_id, id)) AS cluster_frequency,
+           SUM(success_count) OVER (PARTITION BY COALESCE(cluster_id, id)) AS cluster_successes,
+           SUM(failure_count) OVER (PARTITION BY COALESCE(cluster_id, id)) AS cluster_failures
+         FROM code_patterns WHERE project_id = ?
+       ) WHERE cluster_rank = 1
+       ORDER BY cluster_frequency DESC LIMIT ?`,
+      [pid, limit]
+    );
+
+    return patterns.map((pattern: any) => {
+      const context = JSON.parse(pattern.context || '{}');
+      return {
+        id: pattern.id,
+        pattern: pattern.pattern,
+        frequency: pattern.cluster_frequency,
+        context: context.context || '',
+        language: pattern.language || context.language,
+        success: pattern.cluster_successes >= pattern.cluster_failures,
+        successCount: pattern.cluster_successes,
+        failureCount: pattern.cluster_failures,
+        lastSeen: pattern.last_seen ? new Date(pattern.last_seen) : undefined
+      };
+    });
+  }
+
+  // Per-project preferences
+  async getPreferences(projectId?: string): Promise<UserPreferences> {
+    const pid = projectId || this.getProjectId();
+    const rows = await this.allQuery(`SELECT key, value FROM user_preferences WHERE project_id = ?`, [pid]);
+
+    const preferences: Record<string, any> = {};
+    for (const row of rows) {
+      preferences[row.key] = JSON.parse(row.value);
+    }
+    return preferences as UserPreferences;
+  }
+
+  async getPreference<K extends PreferenceKey>(key: K, projectId?: string): Promise<UserPreferences[K] | undefined> {
+    const pid = projectId || this.getProjectId();
+    const row = await this.getQuery(
+      `SELECT value FROM user_preferences WHERE project_id = ? AND key = ?`,
+      [pid, key]
+    );
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async setPreference<K extends PreferenceKey>(key: K, value: UserPreferences[K], projectId?: string): Promise<void> {
+    const pid = projectId || this.getProjectId();
+    await this.runQuery(
+      `INSERT INTO user_preferences (id, project_id, key, value) VALUES (?, ?, ?, ?)
+       ON CONFLICT(project_id, key) DO UPDATE SET value = excluded.value`,
+      [uuidv4(), pid, key, JSON.stringify(value)]
+    );
+  }
+
+  async deletePreference(key: PreferenceKey, projectId?: string): Promise<boolean> {
+    const pid = projectId || this.getProjectId();
+    const result = await this.runQuery(
+      `DELETE FROM user_preferences WHERE project_id = ? AND key = ?`,
+      [pid, key]
     );
+    return result.changes > 0;
   }
 
   // Additional methods for VS Code integration
   async getRecentConversations(limit: number = 10): Promise<any[]> {
-    const projectId = this.generateProjectId();
+    const projectId = this.getProjectId();
     
     const conversations = await this.allQuery(
       `SELECT c.*, m.content, m.role FROM conversations c 
@@ -699,30 +3574,256 @@ export class MemoryEngine {
     );
 
     return conversations.map((conv: any) => ({
-      message: conv.content || 'No message',
+      message: this.decryptField(conv.content) || 'No message',
       aiProvider: conv.ai_assistant || 'unknown',
       timestamp: new Date(conv.timestamp)
     }));
   }
 
   async getSuccessfulPatterns(limit: number = 10): Promise<any[]> {
-    const projectId = this.generateProjectId();
-    
-    const patterns = await this.allQuery(
-      `SELECT * FROM code_patterns 
-       WHERE project_id = ?
-       ORDER BY frequency DESC LIMIT ?`,
-      [projectId, limit]
-    );
+    const patterns = await this.getCodePatterns(limit);
 
-    return patterns.map((pattern: any) => {
-      const context = JSON.parse(pattern.context || '{}');
-      return {
-        language: context.language || 'unknown',
-        context: context.context || 'No context',
-        pattern: pattern.pattern || 'No pattern'
-      };
+    return patterns.map(pattern => ({
+      language: pattern.language || 'unknown',
+      context: pattern.context || 'No context',
+      pattern: pattern.pattern || 'No pattern',
+      frequency: pattern.frequency
+    }));
+  }
+
+  /**
+   * Export / import of portable memory bundles. Encrypted fields are
+   * exported decrypted, so the bundle should be stored with care.
+   */
+  async exportMemory(projectId?: string): Promise<MemoryBundle> {
+    const pid = projectId || this.getProjectId();
+
+    const tables = {
+      projects: await this.allQuery(`SELECT * FROM projects WHERE id = ? ORDER BY id`, [pid]),
+      conversations: await this.allQuery(`SELECT * FROM conversations WHERE project_id = ? ORDER BY id`, [pid]),
+      messages: await this.allQuery(
+        `SELECT m.* FROM messages m JOIN conversations c ON c.id = m.conversation_id
+         WHERE c.project_id = ? ORDER BY m.id`,
+        [pid]
+      ),
+      outcomes: await this.allQuery(`SELECT * FROM outcomes WHERE project_id = ? ORDER BY id`, [pid]),
+      architectural_decisions: await this.allQuery(`SELECT * FROM architectural_decisions WHERE project_id = ? ORDER BY id`, [pid]),
+      file_changes: await this.allQuery(`SELECT * FROM file_changes WHERE project_id = ? ORDER BY id`, [pid]),
+      code_patterns: await this.allQuery(`SELECT * FROM code_patterns WHERE project_id = ? ORDER BY id`, [pid]),
+      user_preferences: await this.allQuery(`SELECT * FROM user_preferences WHERE project_id = ? ORDER BY id`, [pid]),
+      commits: await this.allQuery(`SELECT * FROM commits WHERE project_id = ? ORDER BY sha`, [pid]),
+      file_snapshots: await this.allQuery(`SELECT * FROM file_snapshots WHERE project_id = ? ORDER BY file_path`, [pid]),
+      decision_anchors: await this.allQuery(
+        `SELECT * FROM decision_anchors WHERE project_id = ? ORDER BY decision_id, file_path, symbol`,
+        [pid]
+      ),
+      // Vectors travel as base64 so the bundle stays plain JSON
+      embeddings: (await this.allQuery(`SELECT * FROM embeddings WHERE scope_id = ? ORDER BY id`, [pid])).map(row => ({
+        ...row,
+        vector: typeof row.vector === 'string' ? this.decryptFieldOrThrow(row.vector) : (row.vector as Buffer).toString('base64')
+      }))
+    };
+
+    // A bundle moves memory to machines without this key, so it carries
+    // plaintext; importing encrypts it again under the importer's key
+    for (const [table, rows] of Object.entries(tables)) {
+      for (const field of ENCRYPTED_FIELDS[table] || []) {
+        rows.forEach(row => (row[field] = this.decryptFieldOrThrow(row[field])));
+      }
+    }
+
+    const checksums = {} as Record<BundleTable, string>;
+    for (const table of BUNDLE_TABLES) {
+      checksums[table] = checksumRows(tables[table]);
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      schemaVersion: await this.getSchemaVersion(),
+      exportedAt: new Date().toISOString(),
+      projectId: pid,
+      tables,
+      checksums
+    };
+  }
+
+  async exportMemoryToFile(filePath: string, projectId?: string): Promise<MemoryBundle> {
+    const bundle = await this.exportMemory(projectId);
+    await fs.writeJson(filePath, bundle, { spaces: 2 });
+    return bundle;
+  }
+
+  /**
+   * Import a bundle into this project. Rows are matched by their key within
+   * the project (BUNDLE_KEYS); the conflict strategy decides what happens to
+   * rows that already exist. Content is redacted as if it were recorded
+   * here. The whole import is rolled back if any row fails.
+   */
+  async importMemory(input: MemoryBundleInput, options: ImportOptions = {}): Promise<ImportResult> {
+    // Verifying fills in tables older bundles lack; the caller's copy is left alone
+    const bundle = JSON.parse(JSON.stringify(input));
+    verifyBundle(bundle);
+
+    const strategy = options.conflict || 'skip';
+    const pid = options.targetProjectId || this.getProjectId();
+    const result: ImportResult = { inserted: 0, skipped: 0, overwritten: 0, merged: 0, tables: {} };
+
+    await this.transaction(async () => {
+      // Keep the local project identity; only carry over the original creation date
+      const [sourceProject] = bundle.tables.projects;
+      if (sourceProject?.created_at) {
+        await this.runQuery(
+          `UPDATE projects SET created_at = MIN(created_at, ?) WHERE id = ?`,
+          [sourceProject.created_at, pid]
+        );
+      }
+
+      // Vectors of redacted rows would still encode the secrets; those rows
+      // are embedded again afterwards instead
+      const redacted = new Set<string>();
+
+      for (const table of BUNDLE_TABLES) {
+        if (table === 'projects') continue;
+
+        const rows = bundle.tables[table].map(row => {
+          const imported = 'project_id' in row ? { ...row, project_id: pid } : { ...row };
+          if (this.redactImportedRow(table, imported)) {
+            redacted.add(imported.id);
+          }
+          for (const field of ENCRYPTED_FIELDS[table] || []) {
+            // Older bundles carry fields as they were stored
+            if (!FieldCipher.isEncrypted(imported[field])) {
+              imported[field] = this.encryptField(imported[field]);
+            }
+          }
+          if (table === 'embeddings') {
+            imported.scope_id = pid;
+            imported.vector = this.cipher ? this.cipher.encrypt(row.vector) : Buffer.from(row.vector, 'base64');
+            // A bare hash would give the plaintext away; clearing it re-embeds on next index
+            if (this.cipher) imported.content_hash = '';
+          }
+          return imported;
+        }).filter(row => table !== 'embeddings' || !redacted.has(row.source_id));
+        const counts = await this.importRows(table, rows, pid, strategy);
+
+        result.tables[table] = counts;
+        result.inserted += counts.inserted;
+        result.skipped += counts.skipped;
+        result.overwritten += counts.overwritten;
+        result.merged += counts.merged;
+      }
     });
+
+    await this.backfillEmbeddings(pid);
+    await this.updateProjectActivity();
+
+    return result;
+  }
+
+  async importMemoryFromFile(filePath: string, options: ImportOptions = {}): Promise<ImportResult> {
+    const bundle = await fs.readJson(filePath);
+    return this.importMemory(bundle, options);
+  }
+
+  // Redact a bundle row in place; true if anything was redacted
+  private redactImportedRow(table: BundleTable, row: any): boolean {
+    const fields = IMPORT_REDACTED_FIELDS[table];
+    let redacted = false;
+
+    for (const field of fields?.text || []) {
+      // Encrypted fields were redacted by the store that wrote them
+      if (typeof row[field] !== 'string' || FieldCipher.isEncrypted(row[field])) continue;
+      const { text } = this.redactText(row[field]);
+      if (text !== row[field]) {
+        row[field] = text;
+        redacted = true;
+      }
+    }
+
+    for (const field of fields?.json || []) {
+      if (typeof row[field] !== 'string') continue;
+      let value: unknown;
+      try {
+        value = JSON.parse(row[field]);
+      } catch {
+        continue;
+      }
+      const cleaned = JSON.stringify(this.redactValue(value));
+      if (cleaned !== JSON.stringify(value)) {
+        row[field] = cleaned;
+        redacted = true;
+      }
+    }
+
+    return redacted;
+  }
+
+  private async importRows(
+    table: BundleTable,
+    rows: any[],
+    projectId: string,
+    strategy: ImportConflictStrategy
+  ): Promise<{ inserted: number; skipped: number; overwritten: number; merged: number }> {
+    const counts = { inserted: 0, skipped: 0, overwritten: 0, merged: 0 };
+    const { key, scope, parent } = BUNDLE_KEYS[table];
+    const keyMatch = key.map(column => `${column} = ?`).join(' AND ');
+
+    // Only columns the local schema knows about, so older bundles still import
+    const columnInfo = await this.allQuery(`PRAGMA table_info(${table})`);
+    const knownColumns = new Set(columnInfo.map(c => c.name));
+
+    for (const row of rows) {
+      const columns = Object.keys(row).filter(c => knownColumns.has(c));
+      const keyValues = key.map(column => row[column]);
+      const existing = await this.getQuery(
+        `SELECT rowid AS row_id, * FROM ${table} WHERE ${keyMatch} AND ${scope}`,
+        [...keyValues, projectId]
+      );
+
+      if (!existing) {
+        // The key belongs to another project's row, which is not ours to
+        // change, or the row would hang off one
+        const elsewhere = await this.getQuery(`SELECT 1 FROM ${table} WHERE ${keyMatch}`, keyValues);
+        const orphan = parent && !await this.getQuery(parent.exists, [row[parent.column], projectId]);
+        if (elsewhere || orphan) {
+          counts.skipped++;
+          continue;
+        }
+
+        await this.runQuery(
+          `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+          columns.map(c => row[c])
+        );
+        counts.inserted++;
+        continue;
+      }
+
+      if (strategy === 'skip') {
+        counts.skipped++;
+        continue;
+      }
+
+      const updates = columns.filter(c => c !== 'id' && !key.includes(c)).map(c => {
+        const isEmpty = existing[c] === null || existing[c] === undefined || existing[c] === '';
+        return { column: c, value: strategy === 'merge' && !isEmpty ? existing[c] : row[c] };
+      });
+
+      if (updates.length > 0) {
+        await this.runQuery(
+          `UPDATE ${table} SET ${updates.map(u => `${u.column} = ?`).join(', ')} WHERE rowid = ?`,
+          [...updates.map(u => u.value), existing.row_id]
+        );
+      }
+
+      if (strategy === 'overwrite') {
+        counts.overwritten++;
+      } else {
+        counts.merged++;
+      }
+    }
+
+    return counts;
   }
 
   async close(): Promise<void> {
@@ -0,0 +1,656 @@
+/**
+ * Memory Permissions & Access Control System
+ * Enterprise-grade security for $1,000/seat/month teams
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { TeamMemoryEngine, TeamRole } from './teamMemoryEngine';
+
+export type PermissionAction = 'read' | 'write' | 'delete' | 'share' | 'vote' | 'comment' | 'moderate' | 'admin';
+
+export type ResourceType = 'memory' | 'project' | 'team';
+
+export interface Permission {
+  action: PermissionAction;
+  granted: boolean;
+}
+
+export interface PermissionCondition {
+  type: 'time_window' | 'memory_type' | 'approval_required';
+  value?: any;
+}
+
+export interface PermissionRule {
+  id: string;
+  resourceType: ResourceType;
+  /** Unset to cover every resource of the type */
+  resourceId?: string;
+  subjectType: 'user' | 'role';
+  subjectId: string;
+  permissions: Permission[];
+  conditions?: PermissionCondition[];
+  createdBy: string;
+  createdAt: Date;
+  expiresAt?: Date;
+  isActive: boolean;
+}
+
+export type AccessRequestStatus = 'pending' | 'approved' | 'denied';
+
+export interface AccessRequest {
+  id: string;
+  requesterId: string;
+  resourceType: ResourceType;
+  resourceId?: string;
+  requestedPermissions: Permission[];
+  reason?: string;
+  status: AccessRequestStatus;
+  createdAt: Date;
+  /** When the access granted on approval runs out */
+  expiresAt?: Date;
+  approvedAt?: Date;
+  approvedBy?: string;
+  denyReason?: string;
+}
+
+export interface AuditLog {
+  id: string;
+  userId: string;
+  userName: string;
+  action: string;
+  resourceType: string;
+  resourceId: string;
+  resourceName: string;
+  timestamp: Date;
+  success: boolean;
+  errorMessage?: string;
+  metadata?: any;
+}
+
+export interface PageOptions {
+  limit?: number;
+  offset?: number;
+}
+
+export interface PermissionRuleFilter extends PageOptions {
+  resourceType?: ResourceType;
+  resourceId?: string;
+  subjectType?: PermissionRule['subjectType'];
+  subjectId?: string;
+  isActive?: boolean;
+}
+
+export interface AccessRequestFilter extends PageOptions {
+  requesterId?: string;
+  status?: AccessRequestStatus;
+  resourceType?: ResourceType;
+  resourceId?: string;
+}
+
+export interface AuditLogFilter extends PageOptions {
+  userId?: string;
+  action?: string;
+  resourceType?: string;
+  resourceId?: string;
+  success?: boolean;
+  startDate?: Date;
+  endDate?: Date;
+  /** Failures, deletions and admin actions only */
+  risky?: boolean;
+}
+
+export interface AuditSummary {
+  totalActions: number;
+  uniqueUsers: number;
+  permissionChanges: number;
+  accessRequests: number;
+  securityEvents: number;
+  topActions: { action: string; count: number }[];
+}
+
+export interface ComplianceReport extends AuditSummary {
+  riskEvents: AuditLog[];
+}
+
+/**
+ * Thrown by SecureTeamMemory when a member may not perform an action, and
+ * by MemoryPermissionsEngine when a member may not change permissions
+ */
+export class PermissionDeniedError extends Error {
+  constructor(
+    public readonly userId: string,
+    public readonly action: string,
+    public readonly resourceType: string,
+    public readonly resourceId?: string
+  ) {
+    super(`Member ${userId} is not allowed to ${action} ${resourceType}${resourceId ? ` ${resourceId}` : ''}`);
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+// Risk events included in a compliance report, most recent first
+const MAX_RISK_EVENTS = 500;
+
+// Default permission matrix for different roles
+export const ROLE_PERMISSIONS: Record<TeamRole, Record<PermissionAction, boolean>> = {
+  'admin': {
+    'read': true,
+    'write': true,
+    'delete': true,
+    'share': true,
+    'vote': true,
+    'comment': true,
+    'moderate': true,
+    'admin': true
+  },
+  'developer': {
+    'read': true,
+    'write': true,
+    'delete': false,
+    'share': true,
+    'vote': true,
+    'comment': true,
+    'moderate': false,
+    'admin': false
+  },
+  'observer': {
+    'read': true,
+    'write': false,
+    'delete': false,
+    'share': false,
+    'vote': true,
+    'comment': true,
+    'moderate': false,
+    'admin': false
+  }
+};
+
+/**
+ * Decide an action the way checkPermission does once the member is known:
+ * the first rule that names the action wins, otherwise the role's default.
+ * The rules must be the member's applicable ones with conditions met.
+ */
+export function decidePermission(role: TeamRole, action: PermissionAction, rules: PermissionRule[]): boolean {
+  for (const rule of rules) {
+    const permission = rule.permissions.find(p => p.action === action);
+    if (permission) {
+      return permission.granted;
+    }
+  }
+  return ROLE_PERMISSIONS[role]?.[action] || false;
+}
+
+/**
+ * Rules, access requests and the audit log live in the team database, so
+ * they survive restarts and are queried with indexes rather than in memory
+ */
+export class MemoryPermissionsEngine {
+  constructor(private teamMemoryEngine: TeamMemoryEngine) {}
+
+  /**
+   * Core Permission Checking
+   */
+  async checkPermission(userId: string, action: PermissionAction, resourceType: ResourceType, resourceId?: string, context?: any): Promise<boolean> {
+    try {
+      // Get user's team membership
+      const members = await this.teamMemoryEngine.getTeamMembers();
+      const user = members.find(m => m.id === userId);
+      if (!user) {
+        await this.logAudit(userId, 'permission_check', resourceType, resourceId || '', false, 'User not found');
+        return false;
+      }
+
+      // Check if user has explicit permission rules
+      const explicitPermission = await this.checkExplicitPermissions(userId, action, resourceType, resourceId);
+      if (explicitPermission !== null) {
+        await this.logAudit(userId, 'permission_check', resourceType, resourceId || '', explicitPermission);
+        return explicitPermission;
+      }
+
+      // Check role-based permissions
+      const rolePermission = this.checkRolePermissions(user.role, action);
+
+      // Check memory-specific permissions
+      if (resourceType === 'memory' && resourceId) {
+        const memoryPermission = await this.checkMemoryPermissions(userId, action, resourceId);
+        const result = rolePermission && memoryPermission;
+        await this.logAudit(userId, 'permission_check', resourceType, resourceId, result);
+        return result;
+      }
+
+      await this.logAudit(userId, 'permission_check', resourceType, resourceId || '', rolePermission);
+      return rolePermission;
+    } catch (error: any) {
+      await this.logAudit(userId, 'permission_check', resourceType, resourceId || '', false, error.message);
+      return false;
+    }
+  }
+
+  private async checkExplicitPermissions(
+    userId: string,
+    action: PermissionAction,
+    resourceType: ResourceType,
+    resourceId?: string
+  ): Promise<boolean | null> {
+    const rules = await this.teamMemoryEngine.findApplicablePermissionRules(userId, resourceType, resourceId);
+
+    for (const rule of rules) {
+      const permission = rule.permissions.find(p => p.action === action);
+      if (permission) {
+        // Check conditions
+        if (rule.conditions && rule.conditions.length > 0) {
+          const conditionsMet = await this.evaluateConditions(rule.conditions, userId, resourceType, resourceId);
+          if (!conditionsMet) continue;
+        }
+        return permission.granted;
+      }
+    }
+
+    return null; // No explicit permission found
+  }
+
+  private checkRolePermissions(role: TeamRole, action: PermissionAction): boolean {
+    return ROLE_PERMISSIONS[role]?.[action] || false;
+  }
+
+  private async checkMemoryPermissions(userId: string, action: PermissionAction, memoryId: string): Promise<boolean> {
+    const memory = await this.teamMemoryEngine.getTeamMemory(memoryId);
+    if (!memory) return false;
+    return this.checkVisibility(userId, memory);
+  }
+
+  checkVisibility(userId: string, memory: { createdBy?: string; created_by?: string; visibility: string }): boolean {
+    // Memory owner has full permissions; search results are raw rows
+    if ((memory.createdBy ?? memory.created_by) === userId) {
+      return true;
+    }
+
+    // Check visibility settings
+    switch (memory.visibility) {
+      case 'private':
+        return false; // Only owner can access private memories
+      case 'team_only':
+        return true; // Team members can access team-only memories
+      case 'public':
+        return true; // Everyone can access public memories
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Keep the memories a member may read, by the same rules as
+   * checkPermission: explicit rules such as shares first, then role and
+   * visibility. The batch is audited as one entry.
+   */
+  async filterReadable<T extends { id: string; createdBy?: string; created_by?: string; visibility: string }>(
+    userId: string,
+    memories: T[]
+  ): Promise<T[]> {
+    const members = await this.teamMemoryEngine.getTeamMembers();
+    const user = members.find(m => m.id === userId);
+    if (!user) {
+      await this.logAudit(userId, 'filter_memories', 'memory', '', false, 'User not found');
+      return [];
+    }
+
+    const canRead = this.checkRolePermissions(user.role, 'read');
+    const readable: T[] = [];
+    for (const memory of memories) {
+      const explicitPermission = await this.checkExplicitPermissions(userId, 'read', 'memory', memory.id);
+      if (explicitPermission ?? (canRead && this.checkVisibility(userId, memory))) {
+        readable.push(memory);
+      }
+    }
+
+    await this.logAudit(userId, 'filter_memories', 'memory', '', true, undefined, { checked: memories.length, readable: readable.length });
+    return readable;
+  }
+
+  private async evaluateConditions(
+    conditions: PermissionCondition[],
+    userId: string,
+    resourceType: ResourceType,
+    resourceId?: string
+  ): Promise<boolean> {
+    for (const condition of conditions) {
+      switch (condition.type) {
+        case 'time_window':
+          if (!this.isInTimeWindow(condition.value)) return false;
+          break;
+        case 'memory_type':
+          if (resourceType === 'memory' && resourceId) {
+            const memory = await this.teamMemoryEngine.getTeamMemory(resourceId);
+            if (memory && memory.type !== condition.value) return false;
+          }
+          break;
+        case 'approval_required':
+          const hasApproval = await this.checkApprovalStatus(userId, resourceType, resourceId);
+          if (!hasApproval) return false;
+          break;
+      }
+    }
+    return true;
+  }
+
+  private isInTimeWindow(timeWindow: { start: string | Date; end: string | Date }): boolean {
+    const now = new Date();
+    const start = new Date(timeWindow.start);
+    const end = new Date(timeWindow.end);
+    return now >= start && now <= end;
+  }
+
+  private async checkApprovalStatus(userId: string, resourceType: ResourceType, resourceId?: string): Promise<boolean> {
+    const requests = await this.teamMemoryEngine.queryAccessRequests({
+      requesterId: userId,
+      resourceType,
+      resourceId,
+      status: 'approved',
+      limit: 1
+    });
+    return requests.length > 0;
+  }
+
+  /**
+   * Changing who may do what needs admin or moderate on the resource.
+   * Grants are limited to actions the actor holds there, and nobody
+   * changes their own permissions, so a member can't escalate themselves.
+   */
+  private async authorizeGrant(
+    actorId: string,
+    resourceType: ResourceType,
+    resourceId: string | undefined,
+    subject: Pick<PermissionRule, 'subjectType' | 'subjectId'>,
+    permissions: Permission[]
+  ): Promise<void> {
+    let denied: PermissionDeniedError | null = null;
+    if (!(await this.checkPermission(actorId, 'admin', resourceType, resourceId))
+      && !(await this.checkPermission(actorId, 'moderate', resourceType, resourceId))) {
+      denied = new PermissionDeniedError(actorId, 'manage permissions on', resourceType, resourceId);
+    } else if (subject.subjectType === 'user' && subject.subjectId === actorId) {
+      denied = new PermissionDeniedError(actorId, 'change their own permissions on', resourceType, resourceId);
+    } else {
+      for (const permission of permissions.filter(p => p.granted)) {
+        if (!(await this.checkPermission(actorId, permission.action, resourceType, resourceId))) {
+          denied = new PermissionDeniedError(actorId, `grant ${permission.action} on`, resourceType, resourceId);
+          break;
+        }
+      }
+    }
+
+    if (denied) {
+      await this.logAudit(actorId, 'change_permissions', resourceType, resourceId || '', false, denied.message);
+      throw denied;
+    }
+  }
+
+  /**
+   * Permission Rule Management - throws PermissionDeniedError unless
+   * rule.createdBy may grant the rule
+   */
+  async createPermissionRule(rule: Omit<PermissionRule, 'id' | 'createdAt'>): Promise<string> {
+    await this.authorizeGrant(rule.createdBy, rule.resourceType, rule.resourceId, rule, rule.permissions);
+    return this.saveNewRule(rule);
+  }
+
+  private async saveNewRule(rule: Omit<PermissionRule, 'id' | 'createdAt'>): Promise<string> {
+    const ruleId = uuidv4();
+    const permissionRule: PermissionRule = {
+      ...rule,
+      id: ruleId,
+      createdAt: new Date()
+    };
+
+    await this.teamMemoryEngine.savePermissionRule(permissionRule);
+    await this.logAudit(rule.createdBy, 'create_permission_rule', 'permission_rule', ruleId, true);
+    return ruleId;
+  }
+
+  async updatePermissionRule(ruleId: string, updates: Partial<PermissionRule>, updatedBy: string): Promise<boolean> {
+    const rule = await this.teamMemoryEngine.getPermissionRule(ruleId);
+    if (!rule) return false;
+
+    // The actor needs rights over the rule as it was and as it will be
+    const updated: PermissionRule = { ...rule, ...updates, id: ruleId, createdBy: rule.createdBy, createdAt: rule.createdAt };
+    await this.authorizeGrant(updatedBy, rule.resourceType, rule.resourceId, rule, []);
+    await this.authorizeGrant(updatedBy, updated.resourceType, updated.resourceId, updated, updated.permissions);
+
+    await this.teamMemoryEngine.savePermissionRule(updated);
+    await this.logAudit(updatedBy, 'update_permission_rule', 'permission_rule', ruleId, true);
+    return true;
+  }
+
+  async deletePermissionRule(ruleId: string, deletedBy: string): Promise<boolean> {
+    const rule = await this.teamMemoryEngine.getPermissionRule(ruleId);
+    if (!rule) return false;
+
+    await this.authorizeGrant(deletedBy, rule.resourceType, rule.resourceId, rule, []);
+    await this.teamMemoryEngine.savePermissionRule({ ...rule, isActive: false });
+    await this.logAudit(deletedBy, 'delete_permission_rule', 'permission_rule', ruleId, true);
+    return true;
+  }
+
+  /**
+   * Rules matching the filters, oldest first; page with limit and offset
+   */
+  async getPermissionRules(filters?: PermissionRuleFilter): Promise<PermissionRule[]> {
+    return this.teamMemoryEngine.queryPermissionRules(filters);
+  }
+
+  /**
+   * Access Request Management
+   */
+  async createAccessRequest(request: Omit<AccessRequest, 'id' | 'createdAt' | 'status'>): Promise<string> {
+    const requestId = uuidv4();
+    const accessRequest: AccessRequest = {
+      ...request,
+      id: requestId,
+      createdAt: new Date(),
+      status: 'pending'
+    };
+
+    await this.teamMemoryEngine.saveAccessRequest(accessRequest);
+    await this.logAudit(request.requesterId, 'create_access_request', request.resourceType, request.resourceId || '', true);
+    return requestId;
+  }
+
+  /**
+   * Approving needs the same rights as granting the requested permissions
+   * directly; members can't approve their own requests. Other replicas
+   * only accept approvals and rules beyond memory shares from admins.
+   */
+  async approveAccessRequest(requestId: string, approverId: string, approverName: string): Promise<boolean> {
+    const request = await this.teamMemoryEngine.getAccessRequest(requestId);
+    if (!request || request.status !== 'pending') return false;
+
+    const requester = { subjectType: 'user' as const, subjectId: request.requesterId };
+    await this.authorizeGrant(approverId, request.resourceType, request.resourceId, requester, request.requestedPermissions);
+
+    request.status = 'approved';
+    request.approvedAt = new Date();
+    request.approvedBy = approverId;
+    await this.teamMemoryEngine.saveAccessRequest(request);
+
+    await this.logAudit(approverId, 'approve_access_request', request.resourceType, request.resourceId || '', true);
+
+    // Create temporary permission rule
+    await this.saveNewRule({
+      resourceType: request.resourceType,
+      resourceId: request.resourceId,
+      subjectType: 'user',
+      subjectId: request.requesterId,
+      permissions: request.requestedPermissions,
+      createdBy: approverId,
+      expiresAt: request.expiresAt,
+      isActive: true
+    });
+
+    return true;
+  }
+
+  async denyAccessRequest(requestId: string, denierId: string, reason?: string): Promise<boolean> {
+    const request = await this.teamMemoryEngine.getAccessRequest(requestId);
+    if (!request || request.status !== 'pending') return false;
+
+    await this.authorizeGrant(denierId, request.resourceType, request.resourceId, { subjectType: 'user', subjectId: request.requesterId }, []);
+
+    request.status = 'denied';
+    request.denyReason = reason;
+    await this.teamMemoryEngine.saveAccessRequest(request);
+
+    await this.logAudit(denierId, 'deny_access_request', request.resourceType, request.resourceId || '', true);
+    return true;
+  }
+
+  /**
+   * Requests matching the filters, newest first; page with limit and offset
+   */
+  async getAccessRequests(filters?: AccessRequestFilter): Promise<AccessRequest[]> {
+    return this.teamMemoryEngine.queryAccessRequests(filters);
+  }
+
+  /**
+   * Memory Sharing Functions - a share passes on actions the sharer holds
+   * on the memory, to other members only
+   */
+  async shareMemory(memoryId: string, sharedBy: string, sharedWith: string[], permissions: Permission[], message?: string): Promise<boolean> {
+    const hasPermission = await this.checkPermission(sharedBy, 'share', 'memory', memoryId);
+    if (!hasPermission) return false;
+
+    let denied: PermissionDeniedError | null = null;
+    if (sharedWith.includes(sharedBy)) {
+      denied = new PermissionDeniedError(sharedBy, 'share with themselves', 'memory', memoryId);
+    }
+    for (const permission of permissions) {
+      if (denied) break;
+      if (!permission.granted || !(await this.checkPermission(sharedBy, permission.action, 'memory', memoryId))) {
+        denied = new PermissionDeniedError(sharedBy, `share ${permission.action} on`, 'memory', memoryId);
+      }
+    }
+    if (denied) {
+      await this.logAudit(sharedBy, 'share_memory', 'memory', memoryId, false, denied.message);
+      throw denied;
+    }
+
+    for (const userId of sharedWith) {
+      await this.saveNewRule({
+        resourceType: 'memory',
+        resourceId: memoryId,
+        subjectType: 'user',
+        subjectId: userId,
+        permissions,
+        createdBy: sharedBy,
+        isActive: true
+      });
+    }
+
+    await this.logAudit(sharedBy, 'share_memory', 'memory', memoryId, true, undefined, { sharedWith, message });
+    return true;
+  }
+
+  async revokeMemoryAccess(memoryId: string, revokedBy: string, revokedFrom: string): Promise<boolean> {
+    const hasPermission = await this.checkPermission(revokedBy, 'admin', 'memory', memoryId);
+    if (!hasPermission) return false;
+
+    const rules = await this.getPermissionRules({
+      resourceType: 'memory',
+      resourceId: memoryId,
+      subjectId: revokedFrom,
+      isActive: true
+    });
+
+    for (const rule of rules) {
+      await this.deletePermissionRule(rule.id, revokedBy);
+    }
+
+    await this.logAudit(revokedBy, 'revoke_memory_access', 'memory', memoryId, true, undefined, { revokedFrom });
+    return true;
+  }
+
+  /**
+   * Audit Logging
+   */
+  async logAudit(
+    userId: string,
+    action: string,
+    resourceType: string,
+    resourceId: string,
+    success: boolean,
+    errorMessage?: string,
+    metadata?: any
+  ): Promise<void> {
+    const members = await this.teamMemoryEngine.getTeamMembers();
+    const user = members.find(m => m.id === userId);
+
+    const auditLog: AuditLog = {
+      id: uuidv4(),
+      userId,
+      userName: user?.name || 'Unknown',
+      action,
+      resourceType,
+      resourceId,
+      resourceName: resourceId,
+      timestamp: new Date(),
+      success,
+      errorMessage,
+      metadata
+    };
+
+    await this.teamMemoryEngine.appendAuditLog(auditLog);
+  }
+
+  /**
+   * Audit entries matching the filters, newest first. The log is kept in
+   * full; page through it with limit and offset, and use countAuditLogs
+   * for the total.
+   */
+  async getAuditLogs(filters?: AuditLogFilter): Promise<AuditLog[]> {
+    return this.teamMemoryEngine.queryAuditLogs(filters);
+  }
+
+  async countAuditLogs(filters?: AuditLogFilter): Promise<number> {
+    return this.teamMemoryEngine.countAuditLogs(filters);
+  }
+
+  /**
+   * Bulk Operations - every update is authorized before any is written
+   */
+  async bulkUpdatePermissions(
+    updates: Array<{ userId: string; resourceType: ResourceType; resourceId?: string; permissions: Permission[] }>,
+    updatedBy: string
+  ): Promise<boolean> {
+    for (const update of updates) {
+      await this.authorizeGrant(updatedBy, update.resourceType, update.resourceId, { subjectType: 'user', subjectId: update.userId }, update.permissions);
+    }
+
+    for (const update of updates) {
+      await this.saveNewRule({
+        resourceType: update.resourceType,
+        resourceId: update.resourceId,
+        subjectType: 'user',
+        subjectId: update.userId,
+        permissions: update.permissions,
+        createdBy: updatedBy,
+        isActive: true
+      });
+    }
+
+    await this.logAudit(updatedBy, 'bulk_update_permissions', 'permission_rule', 'bulk', true, undefined, { count: updates.length });
+    return true;
+  }
+
+  /**
+   * Compliance & Reporting
+   */
+  async generateComplianceReport(startDate: Date, endDate: Date): Promise<ComplianceReport> {
+    const summary = await this.teamMemoryEngine.summarizeAuditLogs({ startDate, endDate });
+    const riskEvents = await this.teamMemoryEngine.queryAuditLogs({ startDate, endDate, risky: true, limit: MAX_RISK_EVENTS });
+
+    return {
+      ...summary,
+      riskEvents
+    };
+  }
+}
+
+export default MemoryPermissionsEngine;
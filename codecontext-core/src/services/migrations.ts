@@ -0,0 +1,302 @@
+/**
+ * Schema Migrations - ordered, versioned changes to .codecontext databases
+ * Append new migrations to the end of a list; never edit a shipped one.
+ */
+
+export interface Migration {
+  version: number;
+  description: string;
+  up: string[];
+}
+
+export class SchemaVersionError extends Error {
+  constructor(
+    public readonly scope: string,
+    public readonly databaseVersion: number,
+    public readonly supportedVersion: number
+  ) {
+    super(
+      `The ${scope} schema is at version ${databaseVersion}, but this version of CodeContext Pro ` +
+      `only supports up to version ${supportedVersion}. Please update the extension.`
+    );
+    this.name = 'SchemaVersionError';
+  }
+}
+
+export const MEMORY_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'Initial memory schema',
+    up: [
+      `CREATE TABLE IF NOT EXISTS projects (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        root_path TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+        metadata TEXT
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        ai_assistant TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        context TEXT,
+        summary TEXT,
+        FOREIGN KEY (project_id) REFERENCES projects (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        metadata TEXT,
+        FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS architectural_decisions (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        decision TEXT NOT NULL,
+        rationale TEXT,
+        alternatives TEXT,
+        impact TEXT,
+        files_affected TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS file_changes (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        file_path TEXT NOT NULL,
+        change_type TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        conversation_id TEXT,
+        FOREIGN KEY (project_id) REFERENCES projects (id),
+        FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS code_patterns (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        pattern TEXT NOT NULL,
+        frequency INTEGER DEFAULT 1,
+        context TEXT,
+        FOREIGN KEY (project_id) REFERENCES projects (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS user_preferences (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        key TEXT NOT NULL,
+        value TEXT,
+        FOREIGN KEY (project_id) REFERENCES projects (id)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    description: 'Add embeddings for semantic recall',
+    up: [
+      `CREATE TABLE IF NOT EXISTS embeddings (
+        id TEXT PRIMARY KEY,
+        source_type TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        scope_id TEXT NOT NULL,
+        model TEXT NOT NULL,
+        dimensions INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        content_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_type, source_id, model)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_embeddings_scope ON embeddings (scope_id, model, source_type)`,
+      `CREATE TRIGGER IF NOT EXISTS messages_embeddings_delete AFTER DELETE ON messages BEGIN
+        DELETE FROM embeddings WHERE source_type = 'message' AND source_id = old.id;
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS decisions_embeddings_delete AFTER DELETE ON architectural_decisions BEGIN
+        DELETE FROM embeddings WHERE source_type = 'decision' AND source_id = old.id;
+      END`,
+      `CREATE TRIGGER IF NOT EXISTS patterns_embeddings_delete AFTER DELETE ON code_patterns BEGIN
+        DELETE FROM embeddings WHERE source_type = 'pattern' AND source_id = old.id;
+      END`
+    ]
+  },
+  {
+    version: 3,
+    description: 'Add conversation outcomes',
+    up: [
+      `CREATE TABLE IF NOT EXISTS outcomes (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        project_id TEXT,
+        type TEXT NOT NULL,
+        description TEXT,
+        success INTEGER NOT NULL,
+        files_modified TEXT,
+        metadata TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conversation_id) REFERENCES conversations (id),
+        FOREIGN KEY (project_id) REFERENCES projects (id)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_outcomes_conversation ON outcomes (conversation_id)`
+    ]
+  },
+  {
+    version: 4,
+    description: 'One value per preference key',
+    up: [
+      `DELETE FROM user_preferences WHERE rowid NOT IN (
+        SELECT MAX(rowid) FROM user_preferences GROUP BY project_id, key
+      )`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_user_preferences_key ON user_preferences (project_id, key)`
+    ]
+  },
+  {
+    version: 5,
+    description: 'Pattern fingerprints, success tracking and clusters',
+    up: [
+      `ALTER TABLE code_patterns ADD COLUMN fingerprint TEXT`,
+      `ALTER TABLE code_patterns ADD COLUMN language TEXT`,
+      `ALTER TABLE code_patterns ADD COLUMN success_count INTEGER DEFAULT 0`,
+      `ALTER TABLE code_patterns ADD COLUMN failure_count INTEGER DEFAULT 0`,
+      `ALTER TABLE code_patterns ADD COLUMN first_seen DATETIME`,
+      `ALTER TABLE code_patterns ADD COLUMN last_seen DATETIME`,
+      `ALTER TABLE code_patterns ADD COLUMN cluster_id TEXT`,
+      `UPDATE code_patterns SET
+        cluster_id = id,
+        first_seen = CURRENT_TIMESTAMP,
+        last_seen = CURRENT_TIMESTAMP,
+        language = CASE WHEN json_valid(context) THEN json_extract(context, '$.language') END,
+        success_count = CASE WHEN json_valid(context) AND json_extract(context, '$.success') THEN frequency ELSE 0 END,
+        failure_count = CASE WHEN json_valid(context) AND NOT json_extract(context, '$.success') THEN frequency ELSE 0 END`,
+      `CREATE INDEX IF NOT EXISTS idx_code_patterns_fingerprint ON code_patterns (project_id, fingerprint)`,
+      `CREATE INDEX IF NOT EXISTS idx_code_patterns_cluster ON code_patterns (cluster_id)`
+    ]
+  },
+  {
+    version: 6,
+    description: 'File snapshots for incremental change tracking',
+    up: [
+      `ALTER TABLE file_changes ADD COLUMN previous_path TEXT`,
+      `ALTER TABLE file_changes ADD COLUMN content_hash TEXT`,
+      `CREATE TABLE IF NOT EXISTS file_snapshots (
+        project_id TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        size INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, file_path),
+        FOREIGN KEY (project_id) REFERENCES projects (id)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_file_snapshots_hash ON file_snapshots (project_id, content_hash)`
+    ]
+  },
+  {
+    version: 7,
+    description: 'Git history ingestion',
+    up: [
+      `CREATE TABLE IF NOT EXISTS commits (
+        project_id TEXT NOT NULL,
+        sha TEXT NOT NULL,
+        parents TEXT,
+        author_name TEXT,
+        author_email TEXT,
+        authored_at DATETIME,
+        subject TEXT NOT NULL,
+        body TEXT,
+        files TEXT,
+        imported_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, sha),
+        FOREIGN KEY (project_id) REFERENCES projects (id)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_commits_authored ON commits (project_id, authored_at)`,
+      `ALTER TABLE file_changes ADD COLUMN commit_sha TEXT`,
+      `CREATE INDEX IF NOT EXISTS idx_file_changes_commit ON file_changes (commit_sha)`,
+      `ALTER TABLE architectural_decisions ADD COLUMN source TEXT`,
+      `ALTER TABLE architectural_decisions ADD COLUMN source_ref TEXT`
+    ]
+  },
+  {
+    version: 8,
+    description: 'Track conversations compacted by retention',
+    up: [
+      `ALTER TABLE conversations ADD COLUMN archived_at DATETIME`
+    ]
+  },
+  {
+    version: 9,
+    description: 'Track when conversation summaries were generated',
+    up: [
+      `ALTER TABLE conversations ADD COLUMN summary_message_count INTEGER DEFAULT 0`,
+      `ALTER TABLE conversations ADD COLUMN summarized_at DATETIME`,
+      `ALTER TABLE conversations ADD COLUMN summarizer TEXT`
+    ]
+  },
+  {
+    version: 10,
+    description: 'Multi-turn threads and branches',
+    up: [
+      `ALTER TABLE messages ADD COLUMN sequence INTEGER`,
+      // Existing conversations keep the order they were written in
+      `UPDATE messages SET sequence = (
+        SELECT COUNT(*) FROM messages earlier
+        WHERE earlier.conversation_id = messages.conversation_id
+        AND (earlier.timestamp < messages.timestamp
+          OR (earlier.timestamp = messages.timestamp AND earlier.rowid < messages.rowid))
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_messages_sequence ON messages (conversation_id, sequence)`,
+      `ALTER TABLE conversations ADD COLUMN parent_id TEXT`,
+      `ALTER TABLE conversations ADD COLUMN branched_from_message_id TEXT`,
+      `ALTER TABLE conversations ADD COLUMN updated_at DATETIME`,
+      `UPDATE conversations SET updated_at = timestamp`,
+      // Messages copied into a branch point at their originals
+      `ALTER TABLE messages ADD COLUMN copied_from TEXT`
+    ]
+  },
+  {
+    version: 11,
+    description: 'ADR statuses, numbers and supersede links',
+    up: [
+      `ALTER TABLE architectural_decisions ADD COLUMN status TEXT DEFAULT 'accepted'`,
+      `ALTER TABLE architectural_decisions ADD COLUMN superseded_by TEXT`,
+      `ALTER TABLE architectural_decisions ADD COLUMN adr_number INTEGER`,
+      // Decisions proposed from commit messages were never reviewed
+      `UPDATE architectural_decisions SET status = 'proposed' WHERE source = 'git'`,
+      `UPDATE architectural_decisions SET adr_number = (
+        SELECT COUNT(*) FROM architectural_decisions earlier
+        WHERE earlier.project_id = architectural_decisions.project_id
+        AND (earlier.timestamp < architectural_decisions.timestamp
+          OR (earlier.timestamp = architectural_decisions.timestamp AND earlier.rowid <= architectural_decisions.rowid))
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_decisions_adr_number ON architectural_decisions (project_id, adr_number)`
+    ]
+  },
+  {
+    version: 12,
+    description: 'Anchor decisions to files and symbols',
+    up: [
+      `CREATE TABLE IF NOT EXISTS decision_anchors (
+        decision_id TEXT NOT NULL,
+        project_id TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        symbol TEXT NOT NULL DEFAULT '',
+        content_hash TEXT,
+        line_hashes TEXT,
+        anchored_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (decision_id, file_path, symbol),
+        FOREIGN KEY (decision_id) REFERENCES architectural_decisions (id)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_decision_anchors_file ON decision_anchors (project_id, file_path)`,
+      `CREATE TRIGGER IF NOT EXISTS decisions_anchors_delete AFTER DELETE ON architectural_decisions BEGIN
+        DELETE FROM decision_anchors WHERE decision_id = old.id;
+      END`
+      // Existing decisions are anchored by MemoryEngine once this has run,
+      // since their paths are normalized against each project's root
+    ]
+  }
+];
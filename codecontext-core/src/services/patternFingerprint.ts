@@ -0,0 +1,83 @@
+/**
+ * Pattern Fingerprinting - recognise the same code pattern across renames
+ * and formatting changes so repeated patterns accumulate frequency
+ */
+
+import * as crypto from 'crypto';
+
+// Keywords survive normalization; every other identifier collapses to ID
+const KEYWORDS = new Set([
+  // JavaScript / TypeScript
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+  'in', 'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super',
+  'switch', 'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void',
+  'while', 'yield', 'from', 'implements', 'private', 'protected', 'public', 'readonly',
+  // Python
+  'and', 'as', 'def', 'elif', 'except', 'lambda', 'None', 'not', 'or', 'pass', 'raise',
+  'self', 'with', 'True', 'False', 'is', 'global', 'nonlocal',
+  // Go / Rust / C family
+  'func', 'go', 'chan', 'defer', 'map', 'struct', 'range', 'select', 'package', 'fn', 'impl',
+  'match', 'mut', 'pub', 'trait', 'use', 'mod', 'enum', 'int', 'char', 'float', 'double',
+  'long', 'unsigned', 'sizeof', 'template', 'typename', 'namespace'
+]);
+
+const HASH_COMMENT_LANGUAGES = new Set(['python', 'py', 'ruby', 'rb', 'shell', 'bash', 'sh', 'yaml']);
+
+/**
+ * Reduce code to a structural token stream: comments dropped, literals and
+ * identifiers replaced by placeholders, whitespace ignored.
+ */
+export function normalizePattern(code: string, language?: string): string[] {
+  let source = code
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/(^|[^:])\/\/.*$/gm, '$1');
+
+  if (language && HASH_COMMENT_LANGUAGES.has(language.toLowerCase())) {
+    source = source.replace(/#.*$/gm, '');
+  }
+
+  const tokens = source.match(/`(?:\\.|[^`\\])*`|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\d[\w.]*|[A-Za-z_$][\w$]*|[^\s\w]/g) || [];
+
+  return tokens.map(token => {
+    if (/^["'`]/.test(token)) return 'STR';
+    if (/^\d/.test(token)) return 'NUM';
+    if (/^[A-Za-z_$]/.test(token)) return KEYWORDS.has(token) ? token : 'ID';
+    return token;
+  });
+}
+
+export function fingerprintPattern(code: string, language?: string): string {
+  const normalized = normalizePattern(code, language).join(' ');
+  return crypto.createHash('sha1').update(`${(language || '').toLowerCase()}:${normalized}`).digest('hex');
+}
+
+/**
+ * Jaccard similarity of token trigrams, used to cluster near-duplicates that
+ * differ by a statement or two.
+ */
+export function patternSimilarity(a: string[], b: string[]): number {
+  const shinglesA = shingles(a);
+  const shinglesB = shingles(b);
+  if (shinglesA.size === 0 && shinglesB.size === 0) {
+    return 1;
+  }
+
+  let intersection = 0;
+  for (const shingle of shinglesA) {
+    if (shinglesB.has(shingle)) intersection++;
+  }
+  return intersection / (shinglesA.size + shinglesB.size - intersection);
+}
+
+function shingles(tokens: string[], size: number = 3): Set<string> {
+  const result = new Set<string>();
+  if (tokens.length < size) {
+    if (tokens.length > 0) result.add(tokens.join(' '));
+    return result;
+  }
+  for (let i = 0; i + size <= tokens.length; i++) {
+    result.add(tokens.slice(i, i + size).join(' '));
+  }
+  return result;
+}
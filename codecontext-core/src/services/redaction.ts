@@ -0,0 +1,149 @@
+/**
+ * Redaction - strip secrets and personal data from text before it is stored
+ * Matches are replaced by numbered placeholders such as [REDACTED:EMAIL_1]
+ */
+
+export interface RedactionRule {
+  id: string;
+  /** Placeholder label, e.g. AWS_ACCESS_KEY */
+  label: string;
+  pattern: RegExp;
+  /** Named group holding the secret; the whole match is redacted if unset */
+  group?: string;
+}
+
+export interface RedactionFinding {
+  ruleId: string;
+  placeholder: string;
+  occurrences: number;
+}
+
+export interface RedactionResult {
+  text: string;
+  findings: RedactionFinding[];
+}
+
+export interface CustomRedactionRule {
+  name: string;
+  pattern: string;
+  flags?: string;
+}
+
+export const BUILTIN_REDACTION_RULES: RedactionRule[] = [
+  {
+    id: 'private_key',
+    label: 'PRIVATE_KEY',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  {
+    id: 'aws_access_key',
+    label: 'AWS_ACCESS_KEY',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g
+  },
+  {
+    id: 'aws_secret_key',
+    label: 'AWS_SECRET_KEY',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})/gi,
+    group: 'secret'
+  },
+  {
+    id: 'jwt',
+    label: 'JWT',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+  },
+  {
+    id: 'api_token',
+    label: 'API_TOKEN',
+    pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abpr]-[A-Za-z0-9-]{10,})/g
+  },
+  {
+    id: 'env_assignment',
+    label: 'SECRET',
+    pattern: /^(?:export\s+)?[A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PWD|CREDENTIALS?)[A-Z0-9_]*\s*=\s*(["']?)(?<secret>[^\s"'#]+)\1/gm,
+    group: 'secret'
+  },
+  {
+    id: 'email',
+    label: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  }
+];
+
+const PLACEHOLDER = /^\[REDACTED:[A-Z0-9_]+\]$/;
+
+export class Redactor {
+  private rules: RedactionRule[];
+
+  constructor(rules: RedactionRule[] = BUILTIN_REDACTION_RULES) {
+    this.rules = rules;
+  }
+
+  /**
+   * Build a redactor from built-ins (minus any disabled ids) plus custom
+   * rules. Invalid custom patterns are reported and skipped.
+   */
+  static fromConfig(options: { disabledRules?: string[]; customRules?: CustomRedactionRule[] } = {}): Redactor {
+    const disabled = new Set(options.disabledRules || []);
+    const rules = BUILTIN_REDACTION_RULES.filter(rule => !disabled.has(rule.id));
+
+    for (const custom of options.customRules || []) {
+      try {
+        const flags = Array.from(new Set(`g${custom.flags || ''}`)).join('');
+        rules.push({
+          id: `custom:${custom.name}`,
+          label: custom.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+          pattern: new RegExp(custom.pattern, flags),
+          group: /\(\?<secret>/.test(custom.pattern) ? 'secret' : undefined
+        });
+      } catch (error) {
+        console.warn(`⚠️ Ignoring invalid redaction rule "${custom.name}":`, error);
+      }
+    }
+
+    return new Redactor(rules);
+  }
+
+  /**
+   * Replace every match with a placeholder. The same value always gets the
+   * same placeholder within one text, so references stay consistent.
+   */
+  redact(text: string): RedactionResult {
+    const findings = new Map<string, RedactionFinding>();
+    const placeholders = new Map<string, string>();
+    const counters = new Map<string, number>();
+    let result = text;
+
+    for (const rule of this.rules) {
+      rule.pattern.lastIndex = 0;
+      result = result.replace(rule.pattern, (...args: any[]) => {
+        const match: string = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+        const secret: string | undefined = rule.group ? groups?.[rule.group] : match;
+        if (!secret || PLACEHOLDER.test(secret)) {
+          return match;
+        }
+
+        const key = `${rule.label}\u0000${secret}`;
+        let placeholder = placeholders.get(key);
+        if (!placeholder) {
+          const index = (counters.get(rule.label) || 0) + 1;
+          counters.set(rule.label, index);
+          placeholder = `[REDACTED:${rule.label}_${index}]`;
+          placeholders.set(key, placeholder);
+        }
+
+        const finding = findings.get(placeholder) || { ruleId: rule.id, placeholder, occurrences: 0 };
+        finding.occurrences++;
+        findings.set(placeholder, finding);
+
+        if (secret === match) {
+          return placeholder;
+        }
+        const offset = match.lastIndexOf(secret);
+        return match.substring(0, offset) + placeholder + match.substring(offset + secret.length);
+      });
+    }
+
+    return { text: result, findings: Array.from(findings.values()) };
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Retention - policies that bound how much memory a project keeps
+ * Old conversations are compacted to a summary; other records are deleted
+ */
+
+export interface TypeRetention {
+  /** Never prune this type, whatever the global limits say */
+  keepForever?: boolean;
+  /** Overrides the global maxAgeDays for this type */
+  maxAgeDays?: number;
+}
+
+export interface RetentionPolicy {
+  maxAgeDays?: number;
+  /** Most recent conversations kept in full; older ones are compacted */
+  maxConversations?: number;
+  maxDatabaseSizeMB?: number;
+  types?: {
+    conversations?: TypeRetention;
+    decisions?: TypeRetention;
+    fileChanges?: TypeRetention;
+    patterns?: TypeRetention;
+  };
+}
+
+export const DEFAULT_RETENTION_POLICY: RetentionPolicy = {
+  types: {
+    decisions: { keepForever: true }
+  }
+};
+
+export interface PruneOptions {
+  /** Report what would be removed without changing anything */
+  dryRun?: boolean;
+  projectId?: string;
+}
+
+export interface PruneReport {
+  dryRun: boolean;
+  /** Conversations whose messages are replaced by a summary */
+  conversationIds: string[];
+  messages: number;
+  decisions: number;
+  fileChanges: number;
+  patterns: number;
+  /**
+   * Archiving every conversation would still leave the database over
+   * maxDatabaseSizeMB, so none were archived for size
+   */
+  sizeLimitUnreachable: boolean;
+  sizeBefore: number;
+  sizeAfter: number;
+}
+
+export function hasRetentionLimits(policy: RetentionPolicy): boolean {
+  const types = Object.values(policy.types || {});
+  return !!(policy.maxAgeDays || policy.maxConversations || policy.maxDatabaseSizeMB) ||
+    types.some(type => !!type?.maxAgeDays);
+}
+
+/**
+ * Age limit in days for a record type, or undefined if it is not pruned
+ * by age.
+ */
+export function maxAgeFor(policy: RetentionPolicy, type: keyof NonNullable<RetentionPolicy['types']>): number | undefined {
+  const typePolicy = policy.types?.[type];
+  if (typePolicy?.keepForever) {
+    return undefined;
+  }
+  return typePolicy?.maxAgeDays ?? policy.maxAgeDays;
+}
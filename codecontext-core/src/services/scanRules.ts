@@ -0,0 +1,279 @@
+/**
+ * Scan Rules - decide which project files CodeContext tracks
+ * Combines built-in defaults, .gitignore files and .codecontext/config
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface ScanConfig {
+  /** If non-empty, only files matching one of these globs are tracked */
+  include: string[];
+  /** Globs excluded in addition to the built-in and .gitignore rules */
+  exclude: string[];
+  extensions: string[];
+  /** Files larger than this many bytes are skipped */
+  maxFileSize: number;
+  respectGitignore: boolean;
+  followSymlinks: boolean;
+}
+
+export const DEFAULT_SCAN_CONFIG: ScanConfig = {
+  include: [],
+  exclude: [],
+  extensions: ['.js', '.ts', '.jsx', '.tsx', '.py', '.go', '.rs', '.java', '.cpp', '.c', '.h'],
+  maxFileSize: 1024 * 1024,
+  respectGitignore: true,
+  followSymlinks: true
+};
+
+// Always skipped, whatever the project config says
+const BUILTIN_EXCLUDES = ['.*', 'node_modules/'];
+
+export const SCAN_CONFIG_FILE = path.join('.codecontext', 'config');
+
+interface IgnoreRule {
+  regex: RegExp;
+  negate: boolean;
+  directoryOnly: boolean;
+}
+
+/**
+ * Convert a gitignore-style glob to a regular expression over
+ * forward-slash separated relative paths.
+ */
+export function globToRegExp(glob: string): RegExp {
+  let pattern = glob;
+  const anchored = pattern.startsWith('/') || pattern.replace(/\/+$/, '').includes('/');
+  pattern = pattern.replace(/^\/+/, '').replace(/\/+$/, '');
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      const atStart = i === 0 || pattern[i - 1] === '/';
+      const atEnd = i + 2 === pattern.length || pattern[i + 2] === '/';
+      if (atStart && atEnd) {
+        if (i + 2 === pattern.length) {
+          source += '.*';
+        } else {
+          source += '(?:.*/)?';
+          i++;
+        }
+        i++;
+        continue;
+      }
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        i = close;
+      }
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+export function parseIgnoreRules(content: string): IgnoreRule[] {
+  const rules: IgnoreRule[] = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    const directoryOnly = line.endsWith('/');
+    if (!line.replace(/\//g, '')) {
+      continue;
+    }
+
+    rules.push({ regex: globToRegExp(line), negate, directoryOnly });
+  }
+
+  return rules;
+}
+
+function matchRules(rules: IgnoreRule[], relativePath: string, isDirectory: boolean): boolean | undefined {
+  let result: boolean | undefined;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) {
+      result = !rule.negate;
+    }
+  }
+  return result;
+}
+
+export class ScanRules {
+  private gitignoreCache = new Map<string, IgnoreRule[]>();
+  private builtinRules = parseIgnoreRules(BUILTIN_EXCLUDES.join('\n'));
+  private excludeRules: IgnoreRule[];
+  private includeRules: IgnoreRule[];
+
+  constructor(private projectPath: string, readonly config: ScanConfig = DEFAULT_SCAN_CONFIG) {
+    this.excludeRules = parseIgnoreRules(config.exclude.join('\n'));
+    this.includeRules = parseIgnoreRules(config.include.join('\n'));
+  }
+
+  /**
+   * Read .codecontext/config (JSON) from the project. Missing keys fall back
+   * to the defaults; a malformed file is reported and ignored. The
+   * project's .gitignore files are read up front, so matching never touches
+   * the disk; load again after one of them changes.
+   */
+  static async load(projectPath: string): Promise<ScanRules> {
+    const configPath = path.join(projectPath, SCAN_CONFIG_FILE);
+    let overrides: Partial<ScanConfig> = {};
+
+    try {
+      const raw = await fs.promises.readFile(configPath, 'utf8');
+      const parsed = JSON.parse(raw);
+      overrides = parsed.scan ?? parsed;
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring invalid ${SCAN_CONFIG_FILE}:`, error.message || error);
+      }
+    }
+
+    const rules = new ScanRules(projectPath, normalizeConfig(overrides));
+    if (rules.config.respectGitignore) {
+      await rules.readGitignores('');
+    }
+    return rules;
+  }
+
+  /**
+   * Whether a directory or file is excluded. A path inside an excluded
+   * directory is excluded too, as with git.
+   */
+  isIgnored(relativePath: string, isDirectory: boolean = false): boolean {
+    const segments = toSegments(relativePath);
+    if (segments.length === 0 || segments[0] === '..') {
+      return true;
+    }
+
+    for (let i = 1; i < segments.length; i++) {
+      if (this.isIgnoredEntry(segments.slice(0, i), true)) {
+        return true;
+      }
+    }
+    return this.isIgnoredEntry(segments, isDirectory);
+  }
+
+  /**
+   * Full check for a file: not ignored, has a tracked extension and passes
+   * the include list.
+   */
+  isTrackedFile(relativePath: string): boolean {
+    if (this.isIgnored(relativePath)) {
+      return false;
+    }
+
+    const posixPath = toSegments(relativePath).join('/');
+    if (!this.config.extensions.some(ext => posixPath.endsWith(ext))) {
+      return false;
+    }
+    return this.includeRules.length === 0 || matchRules(this.includeRules, posixPath, false) === true;
+  }
+
+  isWithinSizeLimit(size: number): boolean {
+    return size <= this.config.maxFileSize;
+  }
+
+  private isIgnoredEntry(segments: string[], isDirectory: boolean): boolean {
+    const posixPath = segments.join('/');
+
+    if (matchRules(this.builtinRules, posixPath, isDirectory)) {
+      return true;
+    }
+
+    if (this.config.respectGitignore) {
+      // Deeper .gitignore files override shallower ones
+      let ignored: boolean | undefined;
+      for (let depth = 0; depth < segments.length; depth++) {
+        const base = segments.slice(0, depth).join('/');
+        const result = matchRules(this.gitignoreRules(base), segments.slice(depth).join('/'), isDirectory);
+        if (result !== undefined) {
+          ignored = result;
+        }
+      }
+      if (ignored) {
+        return true;
+      }
+    }
+
+    return matchRules(this.excludeRules, posixPath, isDirectory) === true;
+  }
+
+  private gitignoreRules(directory: string): IgnoreRule[] {
+    return this.gitignoreCache.get(directory) || [];
+  }
+
+  // Directories are keyed like the paths they are matched against; ignored
+  // ones aren't entered, as their files are never tracked
+  private async readGitignores(directory: string): Promise<void> {
+    const fullPath = path.join(this.projectPath, directory);
+    try {
+      this.gitignoreCache.set(directory, parseIgnoreRules(await fs.promises.readFile(path.join(fullPath, '.gitignore'), 'utf8')));
+    } catch {
+      // No .gitignore here
+    }
+
+    const entries = await fs.promises.readdir(fullPath, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const child = directory ? `${directory}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !this.isIgnored(child, true)) {
+        await this.readGitignores(child);
+      }
+    }
+  }
+}
+
+function normalizeConfig(overrides: Partial<ScanConfig>): ScanConfig {
+  const stringList = (value: unknown, fallback: string[]) =>
+    Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string') : fallback;
+
+  return {
+    include: stringList(overrides.include, DEFAULT_SCAN_CONFIG.include),
+    exclude: stringList(overrides.exclude, DEFAULT_SCAN_CONFIG.exclude),
+    extensions: stringList(overrides.extensions, DEFAULT_SCAN_CONFIG.extensions)
+      .map(ext => ext.startsWith('.') ? ext : `.${ext}`),
+    maxFileSize: typeof overrides.maxFileSize === 'number' && overrides.maxFileSize > 0
+      ? overrides.maxFileSize
+      : DEFAULT_SCAN_CONFIG.maxFileSize,
+    respectGitignore: overrides.respectGitignore ?? DEFAULT_SCAN_CONFIG.respectGitignore,
+    followSymlinks: overrides.followSymlinks ?? DEFAULT_SCAN_CONFIG.followSymlinks
+  };
+}
+
+function toSegments(relativePath: string): string[] {
+  return relativePath.split(/[\\/]/).filter(segment => segment && segment !== '.');
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
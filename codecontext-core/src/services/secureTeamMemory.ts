@@ -0,0 +1,133 @@
+/**
+ * Secure Team Memory - permission-enforcing facade over TeamMemoryEngine
+ * Every team read and write names the acting member and goes through
+ * MemoryPermissionsEngine first; denials throw PermissionDeniedError.
+ */
+
+import { MemoryPermissionsEngine, PermissionAction, PermissionDeniedError, ResourceType } from './memoryPermissions';
+import {
+  TeamAnalytics,
+  TeamMember,
+  TeamMemory,
+  TeamMemoryEngine,
+  TeamMemoryFilter,
+  TeamMemoryInput,
+  TeamMemoryRevision,
+  TeamMemoryRow,
+  RevisionDiff,
+  UnifiedRecallOptions
+} from './teamMemoryEngine';
+
+// Team matches fetched per requested result, so filtering still fills a page
+const SEARCH_OVERFETCH = 3;
+
+export class SecureTeamMemory {
+  readonly permissions: MemoryPermissionsEngine;
+
+  constructor(private teamMemoryEngine: TeamMemoryEngine, permissions?: MemoryPermissionsEngine) {
+    this.permissions = permissions || new MemoryPermissionsEngine(teamMemoryEngine);
+  }
+
+  async authorize(memberId: string, action: PermissionAction, resourceType: ResourceType, resourceId?: string): Promise<void> {
+    if (!(await this.permissions.checkPermission(memberId, action, resourceType, resourceId))) {
+      throw new PermissionDeniedError(memberId, action, resourceType, resourceId);
+    }
+  }
+
+  /**
+   * Team Members
+   */
+  async getTeamMembers(memberId: string): Promise<TeamMember[]> {
+    await this.authorize(memberId, 'read', 'team');
+    return this.teamMemoryEngine.getTeamMembers();
+  }
+
+  async addTeamMember(memberId: string, member: Omit<TeamMember, 'id' | 'joinedAt' | 'lastActive'>): Promise<string> {
+    await this.authorize(memberId, 'admin', 'team');
+    return this.teamMemoryEngine.addTeamMember(member);
+  }
+
+  async getTeamAnalytics(memberId: string): Promise<TeamAnalytics> {
+    await this.authorize(memberId, 'read', 'team');
+    return this.teamMemoryEngine.getTeamAnalytics();
+  }
+
+  /**
+   * Team Memories - reads return only what the member may see
+   */
+  async createTeamMemory(memberId: string, memory: Omit<TeamMemoryInput, 'createdBy'>): Promise<string> {
+    await this.authorize(memberId, 'write', 'memory');
+    return this.teamMemoryEngine.createTeamMemory({ ...memory, createdBy: memberId });
+  }
+
+  async getTeamMemory(memberId: string, memoryId: string): Promise<TeamMemory | null> {
+    await this.authorize(memberId, 'read', 'memory', memoryId);
+    return this.teamMemoryEngine.getTeamMemory(memoryId);
+  }
+
+  async getTeamMemories(memberId: string, filter?: TeamMemoryFilter): Promise<TeamMemory[]> {
+    return this.permissions.filterReadable(memberId, await this.teamMemoryEngine.getTeamMemories(filter));
+  }
+
+  async searchTeamMemories(memberId: string, query: string, limit: number = 15): Promise<TeamMemoryRow[]> {
+    const matches = await this.teamMemoryEngine.searchTeamMemories(query, limit * SEARCH_OVERFETCH, true);
+    return (await this.permissions.filterReadable(memberId, matches)).slice(0, limit);
+  }
+
+  async recallUnified(memberId: string, message: string, options: UnifiedRecallOptions = {}): Promise<any[]> {
+    return this.teamMemoryEngine.recallUnified(message, {
+      ...options,
+      teamFilter: memories => this.permissions.filterReadable(memberId, memories)
+    });
+  }
+
+  async updateTeamMemory(memberId: string, memoryId: string, changes: Partial<TeamMemoryInput>): Promise<number> {
+    await this.authorize(memberId, 'write', 'memory', memoryId);
+    return this.teamMemoryEngine.updateTeamMemory(memoryId, changes, memberId);
+  }
+
+  async archiveTeamMemory(memberId: string, memoryId: string): Promise<void> {
+    await this.authorize(memberId, 'delete', 'memory', memoryId);
+    return this.teamMemoryEngine.archiveTeamMemory(memoryId, memberId);
+  }
+
+  async restoreTeamMemory(memberId: string, memoryId: string): Promise<void> {
+    await this.authorize(memberId, 'delete', 'memory', memoryId);
+    return this.teamMemoryEngine.restoreTeamMemory(memoryId, memberId);
+  }
+
+  async rollbackTeamMemory(memberId: string, memoryId: string, revisionId: string): Promise<number> {
+    await this.authorize(memberId, 'write', 'memory', memoryId);
+    return this.teamMemoryEngine.rollbackTeamMemory(memoryId, revisionId, memberId);
+  }
+
+  async getMemoryRevisions(memberId: string, memoryId: string): Promise<TeamMemoryRevision[]> {
+    await this.authorize(memberId, 'read', 'memory', memoryId);
+    return this.teamMemoryEngine.getMemoryRevisions(memoryId);
+  }
+
+  async diffRevisions(memberId: string, memoryId: string, fromRevisionId: string, toRevisionId?: string): Promise<RevisionDiff> {
+    await this.authorize(memberId, 'read', 'memory', memoryId);
+    return this.teamMemoryEngine.diffRevisions(memoryId, fromRevisionId, toRevisionId);
+  }
+
+  /**
+   * Votes, Comments and Usage
+   */
+  async voteOnMemory(memberId: string, memoryId: string, vote: 'upvote' | 'downvote'): Promise<void> {
+    await this.authorize(memberId, 'vote', 'memory', memoryId);
+    return this.teamMemoryEngine.voteOnMemory(memoryId, memberId, vote);
+  }
+
+  async addMemoryComment(memberId: string, memoryId: string, content: string, parentCommentId?: string): Promise<string> {
+    await this.authorize(memberId, 'comment', 'memory', memoryId);
+    return this.teamMemoryEngine.addMemoryComment(memoryId, memberId, content, parentCommentId);
+  }
+
+  async trackMemoryUsage(memberId: string, memoryId: string, context: string, success: boolean): Promise<void> {
+    await this.authorize(memberId, 'read', 'memory', memoryId);
+    return this.teamMemoryEngine.trackMemoryUsage(memoryId, memberId, context, success);
+  }
+}
+
+export default SecureTeamMemory;
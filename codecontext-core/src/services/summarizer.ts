@@ -0,0 +1,101 @@
+/**
+ * Summarizer - compact conversation summaries for recall
+ * AI-backed when a provider is available, extractive and offline otherwise
+ */
+
+export interface SummaryMessage {
+  role: string;
+  content: string;
+}
+
+export interface Summarizer {
+  readonly id: string;
+  summarize(messages: SummaryMessage[]): Promise<string>;
+}
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was', 'one', 'our',
+  'out', 'has', 'have', 'this', 'that', 'with', 'from', 'they', 'will', 'would', 'there', 'their',
+  'what', 'about', 'which', 'when', 'your', 'how', 'its', 'into', 'than', 'then', 'them', 'these',
+  'some', 'could', 'should', 'also', 'just', 'like', 'use', 'using', 'need', 'want', 'here', 'does'
+]);
+
+/**
+ * Picks the opening question plus the highest-scoring sentences by term
+ * frequency, in their original order. Code blocks are left out.
+ */
+export class ExtractiveSummarizer implements Summarizer {
+  readonly id = 'extractive-v1';
+
+  constructor(private maxLength: number = 400) {}
+
+  async summarize(messages: SummaryMessage[]): Promise<string> {
+    const sentences: { role: string; text: string; position: number; score: number }[] = [];
+    const frequencies = new Map<string, number>();
+
+    for (const message of messages) {
+      const prose = message.content.replace(/```[\s\S]*?```/g, ' ');
+      for (const text of prose.split(/(?<=[.!?])\s+|\n+/)) {
+        const trimmed = text.trim();
+        if (trimmed.length < 12) continue;
+
+        sentences.push({ role: message.role, text: trimmed, position: sentences.length, score: 0 });
+        for (const word of terms(trimmed)) {
+          frequencies.set(word, (frequencies.get(word) || 0) + 1);
+        }
+      }
+    }
+
+    // Nothing reads as prose (only code or short replies), so the opening
+    // message stands in for the conversation
+    if (sentences.length === 0) {
+      const first = messages.find(message => message.content.trim());
+      if (!first) {
+        return '';
+      }
+      const text = truncate(first.content.trim().replace(/\s+/g, ' '), this.maxLength);
+      return `${first.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+    }
+
+    for (const sentence of sentences) {
+      const words = terms(sentence.text);
+      const weight = words.reduce((sum, word) => sum + (frequencies.get(word) || 0), 0);
+      sentence.score = words.length > 0 ? weight / Math.sqrt(words.length) : 0;
+    }
+
+    // The first user sentence frames everything else, so it is always kept
+    const opening = sentences.find(sentence => sentence.role === 'user') || sentences[0];
+    const chosen = [opening];
+    let length = opening.text.length;
+
+    for (const sentence of [...sentences].sort((a, b) => b.score - a.score)) {
+      if (sentence === opening) continue;
+      if (length + sentence.text.length > this.maxLength) continue;
+      chosen.push(sentence);
+      length += sentence.text.length;
+    }
+
+    // Consecutive sentences from the same speaker share one line
+    const lines: { role: string; texts: string[] }[] = [];
+    for (const sentence of chosen.sort((a, b) => a.position - b.position)) {
+      const last = lines[lines.length - 1];
+      if (last && last.role === sentence.role) {
+        last.texts.push(sentence.text);
+      } else {
+        lines.push({ role: sentence.role, texts: [sentence.text] });
+      }
+    }
+
+    return lines
+      .map(line => `${line.role === 'user' ? 'User' : 'Assistant'}: ${truncate(line.texts.join(' '), this.maxLength)}`)
+      .join('\n');
+  }
+}
+
+function terms(text: string): string[] {
+  return (text.toLowerCase().match(/[a-z0-9_]{3,}/g) || []).filter(word => !STOPWORDS.has(word));
+}
+
+function truncate(text: string, length: number): string {
+  return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
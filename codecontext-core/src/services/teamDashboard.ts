@@ -1,381 +1,538 @@
-"use strict";
 /**
  * Team Dashboard Engine - Real-time Team Intelligence Visualization
  * Worth every penny of that $1,000/seat/month price tag
  */
-var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
-    if (k2 === undefined) k2 = k;
-    var desc = Object.getOwnPropertyDescriptor(m, k);
-    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
-      desc = { enumerable: true, get: function() { return m[k]; } };
-    }
-    Object.defineProperty(o, k2, desc);
-}) : (function(o, m, k, k2) {
-    if (k2 === undefined) k2 = k;
-    o[k2] = m[k];
-}));
-var __setModuleDefault = (this && this.__setModuleDefault) || (Object.create ? (function(o, v) {
-    Object.defineProperty(o, "default", { enumerable: true, value: v });
-}) : function(o, v) {
-    o["default"] = v;
-});
-var __importStar = (this && this.__importStar) || function (mod) {
-    if (mod && mod.__esModule) return mod;
-    var result = {};
-    if (mod != null) for (var k in mod) if (k !== "default" && Object.prototype.hasOwnProperty.call(mod, k)) __createBinding(result, mod, k);
-    __setModuleDefault(result, mod);
-    return result;
-};
-var __importDefault = (this && this.__importDefault) || function (mod) {
-    return (mod && mod.__esModule) ? mod : { "default": mod };
-};
-Object.defineProperty(exports, "__esModule", { value: true });
-exports.TeamDashboard = void 0;
-const express_1 = __importDefault(require("express"));
-const path = __importStar(require("path"));
-class TeamDashboard {
-    constructor(teamMemoryEngine, port = 3000) {
-        this.teamMemoryEngine = teamMemoryEngine;
-        this.app = (0, express_1.default)();
-        this.port = port;
-        this.setupRoutes();
-    }
-    setupRoutes() {
-        this.app.use(express_1.default.static(path.join(__dirname, '../../../dashboard')));
-        this.app.use(express_1.default.json());
-        // Main dashboard data endpoint
-        this.app.get('/api/dashboard', async (req, res) => {
-            try {
-                const dashboardData = await this.generateDashboardData();
-                res.json(dashboardData);
-            }
-            catch (error) {
-                console.error('Dashboard data error:', error);
-                res.status(500).json({ error: 'Failed to generate dashboard data' });
-            }
-        });
-        // Real-time activity feed
-        this.app.get('/api/activity', async (req, res) => {
-            try {
-                const limit = parseInt(req.query.limit) || 50;
-                const activity = await this.getActivityFeed(limit);
-                res.json(activity);
-            }
-            catch (error) {
-                res.status(500).json({ error: 'Failed to fetch activity feed' });
-            }
-        });
-        // Knowledge graph data
-        this.app.get('/api/knowledge-graph', async (req, res) => {
-            try {
-                const graphData = await this.generateKnowledgeGraph();
-                res.json(graphData);
-            }
-            catch (error) {
-                res.status(500).json({ error: 'Failed to generate knowledge graph' });
-            }
-        });
-        // Team analytics endpoint
-        this.app.get('/api/analytics', async (req, res) => {
-            try {
-                const analytics = await this.teamMemoryEngine.getTeamAnalytics();
-                res.json(analytics);
-            }
-            catch (error) {
-                res.status(500).json({ error: 'Failed to fetch analytics' });
-            }
-        });
-        // Member detailed stats
-        this.app.get('/api/member/:id/stats', async (req, res) => {
-            try {
-                const memberId = req.params.id;
-                const stats = await this.getMemberDetailedStats(memberId);
-                res.json(stats);
-            }
-            catch (error) {
-                res.status(500).json({ error: 'Failed to fetch member stats' });
-            }
-        });
-        // Memory search and filtering
-        this.app.post('/api/memories/search', async (req, res) => {
-            try {
-                const { query, filters } = req.body;
-                const memories = await this.teamMemoryEngine.searchTeamMemories(query);
-                res.json(memories);
-            }
-            catch (error) {
-                res.status(500).json({ error: 'Failed to search memories' });
-            }
-        });
-        // Vote on memory
-        this.app.post('/api/memory/:id/vote', async (req, res) => {
-            try {
-                const memoryId = req.params.id;
-                const { memberId, vote } = req.body;
-                await this.teamMemoryEngine.voteOnMemory(memoryId, memberId, vote);
-                res.json({ success: true });
-            }
-            catch (error) {
-                res.status(500).json({ error: 'Failed to vote on memory' });
-            }
-        });
-        // Serve the dashboard HTML
-        this.app.get('/', (req, res) => {
-            res.sendFile(path.join(__dirname, '../../../dashboard/index.html'));
-        });
-    }
-    async getMemberDetailedStats(memberId) {
-        const members = await this.teamMemoryEngine.getTeamMembers();
-        const member = members.find(m => m.id === memberId);
-        if (!member) {
-            return null;
-        }
-        const analytics = await this.teamMemoryEngine.getTeamAnalytics();
-        const contributorStats = analytics.topContributors.find(c => c.memberId === member.id);
-        return {
-            member,
-            stats: {
-                memoriesCreated: contributorStats?.memoriesCreated || 0,
-                memoriesUsed: contributorStats?.memoriesUsed || 0,
-                successRate: contributorStats?.successScore || 0,
-                collaborationScore: this.calculateCollaborationScore(member, analytics),
-                recentActivity: this.calculateRecentActivity(member),
-                streak: this.calculateStreak(member),
-                badges: this.calculateBadges(member, contributorStats)
-            },
-            trend: this.calculateMemberTrend(member)
-        };
+
+import express, { NextFunction, Request, Response } from 'express';
+import * as crypto from 'crypto';
+import * as path from 'path';
+import { MemoryPermissionsEngine, PermissionDeniedError } from './memoryPermissions';
+import { SecureTeamMemory } from './secureTeamMemory';
+import { ContributorStats, TeamAnalytics, TeamMember, TeamMemory, TeamMemoryEngine } from './teamMemoryEngine';
+
+export interface ActivityItem {
+  id: string;
+  type: string;
+  actor: string;
+  actorName: string;
+  target: string;
+  targetName: string;
+  timestamp: Date;
+  impact: 'low' | 'medium' | 'high';
+  description: string;
+}
+
+export interface KnowledgeGraphNode {
+  id: string;
+  name: string;
+  type: 'memory' | 'member';
+  size: number;
+  connections: string[];
+  x: number;
+  y: number;
+  color: string;
+  metadata: Record<string, any>;
+}
+
+export interface DashboardAlert {
+  id: string;
+  type: string;
+  severity: 'info' | 'warning' | 'critical';
+  title: string;
+  message: string;
+  actionable: boolean;
+  suggestedAction?: string;
+  timestamp: Date;
+}
+
+export interface MemberStats {
+  member: TeamMember;
+  stats: {
+    memoriesCreated: number;
+    memoriesUsed: number;
+    successRate: number;
+    collaborationScore: number;
+    recentActivity: number;
+    streak: number;
+    badges: string[];
+  };
+  trend: string;
+}
+
+export type Trend = 'up' | 'down' | 'stable';
+
+export interface TeamDashboardOptions {
+  /** Interface to listen on; only this machine by default */
+  host?: string;
+  /** Key that signs session tokens; a random one per process by default */
+  sessionSecret?: string | Buffer;
+  sessionTtlMs?: number;
+}
+
+const SESSION_COOKIE = 'codecontext_session';
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+export class TeamDashboard {
+  private app: express.Express;
+  private teamMemory: SecureTeamMemory;
+  private host: string;
+  private sessionSecret: string | Buffer;
+  private sessionTtlMs: number;
+
+  constructor(teamMemoryEngine: TeamMemoryEngine, private port: number = 3000, permissions?: MemoryPermissionsEngine, options: TeamDashboardOptions = {}) {
+    // Every API call acts as the member its signed session token names
+    this.teamMemory = new SecureTeamMemory(teamMemoryEngine, permissions);
+    this.app = express();
+    this.host = options.host || '127.0.0.1';
+    this.sessionSecret = options.sessionSecret || crypto.randomBytes(32);
+    this.sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_TTL_MS;
+    this.setupRoutes();
+  }
+
+  /**
+   * Sign a session for a member: <member id>.<expiry>.<HMAC>, with the
+   * member id base64url-encoded. Hand it out through getLoginUrl or send it
+   * as a bearer token.
+   */
+  createSessionToken(memberId: string): string {
+    const payload = `${Buffer.from(memberId).toString('base64url')}.${Date.now() + this.sessionTtlMs}`;
+    return `${payload}.${this.signSession(payload)}`;
+  }
+
+  /**
+   * One-time link that stores the session in a cookie and opens the dashboard
+   */
+  getLoginUrl(memberId: string): string {
+    return `http://${this.host}:${this.port}/login?token=${encodeURIComponent(this.createSessionToken(memberId))}`;
+  }
+
+  /**
+   * The member a session token was issued to, or null when the token is
+   * malformed, forged or expired
+   */
+  verifySessionToken(token: string): string | null {
+    const [encodedMember, expires, signature] = token.split('.');
+    if (!encodedMember || !expires || !signature) {
+      return null;
     }
-    async generateDashboardData() {
-        const [teamOverview, analytics, recentActivity, knowledgeGraph, topMemories, memberStats, alerts] = await Promise.all([
-            this.generateTeamOverview(),
-            this.teamMemoryEngine.getTeamAnalytics(),
-            this.getActivityFeed(20),
-            this.generateKnowledgeGraph(),
-            this.getTopMemories(),
-            this.generateMemberStats(),
-            this.generateAlerts()
-        ]);
-        return {
-            teamOverview,
-            analytics,
-            recentActivity,
-            knowledgeGraph,
-            topMemories,
-            memberStats,
-            alerts
-        };
+
+    const expected = Buffer.from(this.signSession(`${encodedMember}.${expires}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
     }
-    async generateTeamOverview() {
-        const members = await this.teamMemoryEngine.getTeamMembers();
-        const analytics = await this.teamMemoryEngine.getTeamAnalytics();
-        const teamScore = this.calculateOverallTeamScore(analytics);
-        const trend = this.calculateTrend(analytics.memoryGrowthRate);
-        return {
-            teamName: 'Development Team',
-            memberCount: members.length,
-            totalMemories: analytics.totalMemories,
-            activeProjects: 5,
-            teamScore,
-            trend,
-            lastUpdated: new Date()
-        };
+    if (!(Number(expires) > Date.now())) {
+      return null;
     }
-    async getActivityFeed(limit) {
-        // This would query actual activity logs
-        // For now, we'll simulate some activity
-        const activities = [
-            {
-                id: '1',
-                type: 'memory_created',
-                actor: 'user1',
-                actorName: 'John Doe',
-                target: 'memory1',
-                targetName: 'Authentication Pattern',
-                timestamp: new Date(Date.now() - 1000 * 60 * 15),
-                impact: 'high',
-                description: 'Created new authentication pattern for OAuth implementation'
-            },
-            {
-                id: '2',
-                type: 'memory_used',
-                actor: 'user2',
-                actorName: 'Jane Smith',
-                target: 'memory2',
-                targetName: 'Database Migration Strategy',
-                timestamp: new Date(Date.now() - 1000 * 60 * 30),
-                impact: 'medium',
-                description: 'Applied database migration pattern to user service'
-            }
-        ];
-        return activities.slice(0, limit);
+    return Buffer.from(encodedMember, 'base64url').toString('utf8') || null;
+  }
+
+  private signSession(payload: string): string {
+    return crypto.createHmac('sha256', this.sessionSecret).update(payload).digest('base64url');
+  }
+
+  private readSessionToken(req: Request): string | undefined {
+    const authorization = req.get('Authorization');
+    if (authorization?.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim();
     }
-    async generateKnowledgeGraph() {
-        const memories = await this.teamMemoryEngine.getTeamMemories();
-        const members = await this.teamMemoryEngine.getTeamMembers();
-        const nodes = [];
-        // Add memory nodes
-        memories.forEach((memory, index) => {
-            nodes.push({
-                id: memory.id,
-                name: memory.title,
-                type: 'memory',
-                size: memory.usageCount * 10 + 20,
-                connections: [memory.createdBy],
-                x: Math.random() * 800,
-                y: Math.random() * 600,
-                color: this.getMemoryColor(memory.type),
-                metadata: {
-                    type: memory.type,
-                    successScore: memory.successScore,
-                    usageCount: memory.usageCount
-                }
-            });
-        });
-        // Add member nodes
-        members.forEach((member, index) => {
-            nodes.push({
-                id: member.id,
-                name: member.name,
-                type: 'member',
-                size: 40,
-                connections: memories.filter(m => m.createdBy === member.id).map(m => m.id),
-                x: Math.random() * 800,
-                y: Math.random() * 600,
-                color: '#00f5ff',
-                metadata: {
-                    role: member.role,
-                    email: member.email
-                }
-            });
-        });
-        return nodes;
+
+    for (const cookie of (req.get('Cookie') || '').split(';')) {
+      const [name, ...value] = cookie.trim().split('=');
+      if (name === SESSION_COOKIE) {
+        return decodeURIComponent(value.join('='));
+      }
     }
-    async getTopMemories() {
-        const memories = await this.teamMemoryEngine.getTeamMemories();
-        return memories
-            .sort((a, b) => (b.usageCount * b.successScore) - (a.usageCount * a.successScore))
-            .slice(0, 10);
+    return undefined;
+  }
+
+  private setupRoutes(): void {
+    this.app.use(express.static(path.join(__dirname, '../../../dashboard')));
+    this.app.use(express.json());
+
+    this.app.get('/login', (req: Request, res: Response) => {
+      const token = typeof req.query.token === 'string' ? req.query.token : '';
+      if (!this.verifySessionToken(token)) {
+        res.status(401).send('Invalid or expired login link');
+        return;
+      }
+      res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', maxAge: this.sessionTtlMs });
+      res.redirect('/');
+    });
+
+    this.app.use('/api', (req: Request, res: Response, next: NextFunction) => {
+      const token = this.readSessionToken(req);
+      const memberId = token ? this.verifySessionToken(token) : null;
+      if (!memberId) {
+        res.status(401).json({ error: 'A valid dashboard session is required' });
+        return;
+      }
+      res.locals.memberId = memberId;
+      next();
+    });
+
+    // Main dashboard data endpoint
+    this.app.get('/api/dashboard', async (req: Request, res: Response) => {
+      try {
+        const dashboardData = await this.generateDashboardData(res.locals.memberId);
+        res.json(dashboardData);
+      } catch (error) {
+        this.sendError(res, error, 'Failed to generate dashboard data');
+      }
+    });
+
+    // Real-time activity feed
+    this.app.get('/api/activity', async (req: Request, res: Response) => {
+      try {
+        const limit = parseInt(req.query.limit as string) || 50;
+        await this.teamMemory.authorize(res.locals.memberId, 'read', 'team');
+        const activity = await this.getActivityFeed(limit);
+        res.json(activity);
+      } catch (error) {
+        this.sendError(res, error, 'Failed to fetch activity feed');
+      }
+    });
+
+    // Knowledge graph data
+    this.app.get('/api/knowledge-graph', async (req: Request, res: Response) => {
+      try {
+        const graphData = await this.generateKnowledgeGraph(res.locals.memberId);
+        res.json(graphData);
+      } catch (error) {
+        this.sendError(res, error, 'Failed to generate knowledge graph');
+      }
+    });
+
+    // Team analytics endpoint
+    this.app.get('/api/analytics', async (req: Request, res: Response) => {
+      try {
+        const analytics = await this.teamMemory.getTeamAnalytics(res.locals.memberId);
+        res.json(analytics);
+      } catch (error) {
+        this.sendError(res, error, 'Failed to fetch analytics');
+      }
+    });
+
+    // Member detailed stats
+    this.app.get('/api/member/:id/stats', async (req: Request, res: Response) => {
+      try {
+        const memberId = req.params.id;
+        const stats = await this.getMemberDetailedStats(res.locals.memberId, memberId);
+        res.json(stats);
+      } catch (error) {
+        this.sendError(res, error, 'Failed to fetch member stats');
+      }
+    });
+
+    // Memory search and filtering
+    this.app.post('/api/memories/search', async (req: Request, res: Response) => {
+      try {
+        const { query } = req.body;
+        const memories = await this.teamMemory.searchTeamMemories(res.locals.memberId, query);
+        res.json(memories);
+      } catch (error) {
+        this.sendError(res, error, 'Failed to search memories');
+      }
+    });
+
+    // Vote on memory
+    this.app.post('/api/memory/:id/vote', async (req: Request, res: Response) => {
+      try {
+        const memoryId = req.params.id;
+        const { vote } = req.body;
+        await this.teamMemory.voteOnMemory(res.locals.memberId, memoryId, vote);
+        res.json({ success: true });
+      } catch (error) {
+        this.sendError(res, error, 'Failed to vote on memory');
+      }
+    });
+
+    // Serve the dashboard HTML
+    this.app.get('/', (req: Request, res: Response) => {
+      res.sendFile(path.join(__dirname, '../../../dashboard/index.html'));
+    });
+  }
+
+  private sendError(res: Response, error: unknown, message: string): void {
+    if (error instanceof PermissionDeniedError) {
+      res.status(403).json({ error: error.message });
+      return;
     }
-    async generateMemberStats() {
-        const members = await this.teamMemoryEngine.getTeamMembers();
-        const analytics = await this.teamMemoryEngine.getTeamAnalytics();
-        return members.map(member => {
-            const contributorStats = analytics.topContributors.find(c => c.memberId === member.id);
-            return {
-                member,
-                stats: {
-                    memoriesCreated: contributorStats?.memoriesCreated || 0,
-                    memoriesUsed: contributorStats?.memoriesUsed || 0,
-                    successRate: contributorStats?.successScore || 0,
-                    collaborationScore: this.calculateCollaborationScore(member, analytics),
-                    recentActivity: this.calculateRecentActivity(member),
-                    streak: this.calculateStreak(member),
-                    badges: this.calculateBadges(member, contributorStats)
-                },
-                trend: this.calculateMemberTrend(member)
-            };
-        });
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: message });
+  }
+
+  private async getMemberDetailedStats(viewerId: string, memberId: string): Promise<MemberStats | null> {
+    const members = await this.teamMemory.getTeamMembers(viewerId);
+    const member = members.find(m => m.id === memberId);
+    if (!member) {
+      return null;
     }
-    async generateAlerts() {
-        const alerts = [];
-        const analytics = await this.teamMemoryEngine.getTeamAnalytics();
-        // Knowledge gap alert
-        if (analytics.knowledgeHealthScore < 60) {
-            alerts.push({
-                id: 'knowledge_gap',
-                type: 'knowledge_gap',
-                severity: 'warning',
-                title: 'Knowledge Quality Below Target',
-                message: `Team knowledge health score is ${analytics.knowledgeHealthScore.toFixed(1)}%. Consider reviewing and improving low-quality memories.`,
-                actionable: true,
-                suggestedAction: 'Review memories with low success scores',
-                timestamp: new Date()
-            });
+
+    const analytics = await this.teamMemory.getTeamAnalytics(viewerId);
+    return this.buildMemberStats(member, analytics);
+  }
+
+  private buildMemberStats(member: TeamMember, analytics: TeamAnalytics): MemberStats {
+    const contributorStats = analytics.topContributors.find(c => c.memberId === member.id);
+    return {
+      member,
+      stats: {
+        memoriesCreated: contributorStats?.memoriesCreated || 0,
+        memoriesUsed: contributorStats?.memoriesUsed || 0,
+        successRate: contributorStats?.successScore || 0,
+        collaborationScore: this.calculateCollaborationScore(member, analytics),
+        recentActivity: this.calculateRecentActivity(member),
+        streak: this.calculateStreak(member),
+        badges: this.calculateBadges(member, contributorStats)
+      },
+      trend: this.calculateMemberTrend(member)
+    };
+  }
+
+  private async generateDashboardData(memberId: string): Promise<Record<string, any>> {
+    const [teamOverview, analytics, recentActivity, knowledgeGraph, topMemories, memberStats, alerts] = await Promise.all([
+      this.generateTeamOverview(memberId),
+      this.teamMemory.getTeamAnalytics(memberId),
+      this.getActivityFeed(20),
+      this.generateKnowledgeGraph(memberId),
+      this.getTopMemories(memberId),
+      this.generateMemberStats(memberId),
+      this.generateAlerts(memberId)
+    ]);
+
+    return {
+      teamOverview,
+      analytics,
+      recentActivity,
+      knowledgeGraph,
+      topMemories,
+      memberStats,
+      alerts
+    };
+  }
+
+  private async generateTeamOverview(memberId: string): Promise<Record<string, any>> {
+    const members = await this.teamMemory.getTeamMembers(memberId);
+    const analytics = await this.teamMemory.getTeamAnalytics(memberId);
+
+    const teamScore = this.calculateOverallTeamScore(analytics);
+    const trend = this.calculateTrend(analytics.memoryGrowthRate);
+
+    return {
+      teamName: 'Development Team',
+      memberCount: members.length,
+      totalMemories: analytics.totalMemories,
+      activeProjects: 5,
+      teamScore,
+      trend,
+      lastUpdated: new Date()
+    };
+  }
+
+  private async getActivityFeed(limit: number): Promise<ActivityItem[]> {
+    // This would query actual activity logs
+    // For now, we'll simulate some activity
+    const activities: ActivityItem[] = [
+      {
+        id: '1',
+        type: 'memory_created',
+        actor: 'user1',
+        actorName: 'John Doe',
+        target: 'memory1',
+        targetName: 'Authentication Pattern',
+        timestamp: new Date(Date.now() - 1000 * 60 * 15),
+        impact: 'high',
+        description: 'Created new authentication pattern for OAuth implementation'
+      },
+      {
+        id: '2',
+        type: 'memory_used',
+        actor: 'user2',
+        actorName: 'Jane Smith',
+        target: 'memory2',
+        targetName: 'Database Migration Strategy',
+        timestamp: new Date(Date.now() - 1000 * 60 * 30),
+        impact: 'medium',
+        description: 'Applied database migration pattern to user service'
+      }
+    ];
+
+    return activities.slice(0, limit);
+  }
+
+  private async generateKnowledgeGraph(memberId: string): Promise<KnowledgeGraphNode[]> {
+    const memories = await this.teamMemory.getTeamMemories(memberId);
+    const members = await this.teamMemory.getTeamMembers(memberId);
+
+    const nodes: KnowledgeGraphNode[] = [];
+
+    // Add memory nodes
+    memories.forEach(memory => {
+      nodes.push({
+        id: memory.id,
+        name: memory.title,
+        type: 'memory',
+        size: memory.usageCount * 10 + 20,
+        connections: [memory.createdBy],
+        x: Math.random() * 800,
+        y: Math.random() * 600,
+        color: this.getMemoryColor(memory.type),
+        metadata: {
+          type: memory.type,
+          successScore: memory.successScore,
+          usageCount: memory.usageCount
         }
-        // Low engagement alert
-        if (analytics.collaborationIndex < 50) {
-            alerts.push({
-                id: 'low_engagement',
-                type: 'low_engagement',
-                severity: 'warning',
-                title: 'Low Team Collaboration',
-                message: `Collaboration index is ${analytics.collaborationIndex.toFixed(1)}%. Team members aren't sharing knowledge effectively.`,
-                actionable: true,
-                suggestedAction: 'Encourage team members to use and vote on memories',
-                timestamp: new Date()
-            });
+      });
+    });
+
+    // Add member nodes
+    members.forEach(member => {
+      nodes.push({
+        id: member.id,
+        name: member.name,
+        type: 'member',
+        size: 40,
+        connections: memories.filter(m => m.createdBy === member.id).map(m => m.id),
+        x: Math.random() * 800,
+        y: Math.random() * 600,
+        color: '#00f5ff',
+        metadata: {
+          role: member.role,
+          email: member.email
         }
-        return alerts;
-    }
-    // Helper methods
-    calculateOverallTeamScore(analytics) {
-        return Math.round((analytics.teamProductivityScore * 0.3) +
-            (analytics.knowledgeHealthScore * 0.3) +
-            (analytics.collaborationIndex * 0.2) +
-            (analytics.memoryUtilizationRate * 0.2));
-    }
-    calculateTrend(growthRate) {
-        if (growthRate > 5)
-            return 'up';
-        if (growthRate < -5)
-            return 'down';
-        return 'stable';
-    }
-    getMemoryColor(type) {
-        const colors = {
-            'architectural_decision': '#ff6b6b',
-            'code_pattern': '#4ecdc4',
-            'conversation': '#45b7d1',
-            'best_practice': '#f9ca24',
-            'lesson_learned': '#f0932b'
-        };
-        return colors[type] || '#6c5ce7';
-    }
-    calculateCollaborationScore(member, analytics) {
-        const memberStats = analytics.topContributors.find(c => c.memberId === member.id);
-        if (!memberStats)
-            return 0;
-        const createdWeight = 0.4;
-        const usedWeight = 0.6;
-        return Math.round((memberStats.memoriesCreated * createdWeight) +
-            (memberStats.memoriesUsed * usedWeight));
-    }
-    calculateRecentActivity(member) {
-        const daysSinceLastActive = (Date.now() - member.lastActive.getTime()) / (1000 * 60 * 60 * 24);
-        return Math.max(0, 10 - daysSinceLastActive);
+      });
+    });
+
+    return nodes;
+  }
+
+  private async getTopMemories(memberId: string): Promise<TeamMemory[]> {
+    const memories = await this.teamMemory.getTeamMemories(memberId);
+    return memories
+      .sort((a, b) => (b.usageCount * b.successScore) - (a.usageCount * a.successScore))
+      .slice(0, 10);
+  }
+
+  private async generateMemberStats(memberId: string): Promise<MemberStats[]> {
+    const members = await this.teamMemory.getTeamMembers(memberId);
+    const analytics = await this.teamMemory.getTeamAnalytics(memberId);
+    return members.map(member => this.buildMemberStats(member, analytics));
+  }
+
+  private async generateAlerts(memberId: string): Promise<DashboardAlert[]> {
+    const alerts: DashboardAlert[] = [];
+    const analytics = await this.teamMemory.getTeamAnalytics(memberId);
+
+    // Knowledge gap alert
+    if (analytics.knowledgeHealthScore < 60) {
+      alerts.push({
+        id: 'knowledge_gap',
+        type: 'knowledge_gap',
+        severity: 'warning',
+        title: 'Knowledge Quality Below Target',
+        message: `Team knowledge health score is ${analytics.knowledgeHealthScore.toFixed(1)}%. Consider reviewing and improving low-quality memories.`,
+        actionable: true,
+        suggestedAction: 'Review memories with low success scores',
+        timestamp: new Date()
+      });
     }
-    calculateStreak(member) {
-        // This would calculate consecutive days of activity
-        return Math.floor(Math.random() * 15) + 1; // Placeholder
+
+    // Low engagement alert
+    if (analytics.collaborationIndex < 50) {
+      alerts.push({
+        id: 'low_engagement',
+        type: 'low_engagement',
+        severity: 'warning',
+        title: 'Low Team Collaboration',
+        message: `Collaboration index is ${analytics.collaborationIndex.toFixed(1)}%. Team members aren't sharing knowledge effectively.`,
+        actionable: true,
+        suggestedAction: 'Encourage team members to use and vote on memories',
+        timestamp: new Date()
+      });
     }
-    calculateBadges(member, stats) {
-        const badges = [];
-        if (stats?.memoriesCreated > 50)
-            badges.push('Knowledge Creator');
-        if (stats?.successScore > 0.8)
-            badges.push('Quality Expert');
-        if (stats?.memoriesUsed > 100)
-            badges.push('Active Learner');
-        if (member.role === 'admin')
-            badges.push('Team Lead');
-        return badges;
-    }
-    calculateMemberTrend(member) {
-        // This would analyze member activity trends
-        const trends = ['up', 'down', 'stable'];
-        return trends[Math.floor(Math.random() * trends.length)];
-    }
-    async start() {
-        return new Promise((resolve) => {
-            this.app.listen(this.port, () => {
-                console.log(`🚀 Team Dashboard running on http://localhost:${this.port}`);
-                resolve();
-            });
-        });
-    }
-    async generateDashboardHTML() {
-        return `
+
+    return alerts;
+  }
+
+  // Helper methods
+  private calculateOverallTeamScore(analytics: TeamAnalytics): number {
+    return Math.round(
+      (analytics.teamProductivityScore * 0.3) +
+      (analytics.knowledgeHealthScore * 0.3) +
+      (analytics.collaborationIndex * 0.2) +
+      (analytics.memoryUtilizationRate * 0.2)
+    );
+  }
+
+  private calculateTrend(growthRate: number): Trend {
+    if (growthRate > 5) return 'up';
+    if (growthRate < -5) return 'down';
+    return 'stable';
+  }
+
+  private getMemoryColor(type: string): string {
+    const colors: Record<string, string> = {
+      'architectural_decision': '#ff6b6b',
+      'code_pattern': '#4ecdc4',
+      'conversation': '#45b7d1',
+      'best_practice': '#f9ca24',
+      'lesson_learned': '#f0932b'
+    };
+    return colors[type] || '#6c5ce7';
+  }
+
+  private calculateCollaborationScore(member: TeamMember, analytics: TeamAnalytics): number {
+    const memberStats = analytics.topContributors.find(c => c.memberId === member.id);
+    if (!memberStats) return 0;
+
+    const createdWeight = 0.4;
+    const usedWeight = 0.6;
+
+    return Math.round(
+      (memberStats.memoriesCreated * createdWeight) +
+      (memberStats.memoriesUsed * usedWeight)
+    );
+  }
+
+  private calculateRecentActivity(member: TeamMember): number {
+    const daysSinceLastActive = (Date.now() - member.lastActive.getTime()) / (1000 * 60 * 60 * 24);
+    return Math.max(0, 10 - daysSinceLastActive);
+  }
+
+  private calculateStreak(member: TeamMember): number {
+    // This would calculate consecutive days of activity
+    return Math.floor(Math.random() * 15) + 1; // Placeholder
+  }
+
+  private calculateBadges(member: TeamMember, stats?: ContributorStats): string[] {
+    const badges: string[] = [];
+
+    if (stats && stats.memoriesCreated > 50) badges.push('Knowledge Creator');
+    if (stats && stats.successScore > 0.8) badges.push('Quality Expert');
+    if (stats && stats.memoriesUsed > 100) badges.push('Active Learner');
+    if (member.role === 'admin') badges.push('Team Lead');
+
+    return badges;
+  }
+
+  private calculateMemberTrend(member: TeamMember): Trend {
+    // This would analyze member activity trends
+    const trends: Trend[] = ['up', 'down', 'stable'];
+    return trends[Math.floor(Math.random() * trends.length)];
+  }
+
+  async start(): Promise<void> {
+    return new Promise((resolve) => {
+      this.app.listen(this.port, this.host, () => {
+        console.log(`🚀 Team Dashboard running on http://${this.host}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  async generateDashboardHTML(): Promise<string> {
+    return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -891,8 +1048,7 @@ class TeamDashboard {
 </body>
 </html>
     `;
-    }
+  }
 }
-exports.TeamDashboard = TeamDashboard;
-exports.default = TeamDashboard;
-//# sourceMappingURL=teamDashboard.js.map
\ No newline at end of file
+
+export default TeamDashboard;
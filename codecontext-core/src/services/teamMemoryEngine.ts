@@ -0,0 +1,1961 @@
+/**
+ * Team Memory Engine - Shared Intelligence System
+ * The core that enables team superintelligence
+ */
+
+import * as crypto from 'crypto';
+import * as path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { EmbeddingSource, MemoryEngine, RecallOptions } from './memoryEngine';
+import { Migration } from './migrations';
+import { PendingChange, SYNC_TABLES, SyncActor, SyncChange, checkSyncChange, mergeChange } from './teamSync';
+import {
+  AccessRequest,
+  AccessRequestFilter,
+  AuditLog,
+  AuditLogFilter,
+  AuditSummary,
+  PermissionRule,
+  PermissionRuleFilter,
+  ResourceType
+} from './memoryPermissions';
+
+export type TeamRole = 'admin' | 'developer' | 'observer';
+
+export type TeamMemoryVisibility = 'private' | 'team_only' | 'public';
+
+export interface TeamMember {
+  id: string;
+  email: string;
+  name: string;
+  role: TeamRole;
+  joinedAt: Date;
+  lastActive: Date;
+  permissions: string[];
+}
+
+export interface MemoryVote {
+  memberId: string;
+  vote: 'upvote' | 'downvote';
+  timestamp: Date;
+}
+
+export interface MemoryComment {
+  id: string;
+  memberId: string;
+  content: string;
+  timestamp: Date;
+  parentCommentId?: string;
+}
+
+export interface TeamMemoryInput {
+  type: string;
+  title: string;
+  content: string;
+  context?: string;
+  createdBy: string;
+  tags: string[];
+  visibility: TeamMemoryVisibility;
+  projectId?: string;
+  metadata: Record<string, any>;
+}
+
+export interface TeamMemory extends TeamMemoryInput {
+  id: string;
+  createdAt: Date;
+  updatedAt: Date;
+  votes: MemoryVote[];
+  comments: MemoryComment[];
+  usageCount: number;
+  successScore: number;
+  archivedAt?: Date;
+}
+
+// A team_memories row as stored, with content decrypted; search returns these
+export interface TeamMemoryRow {
+  id: string;
+  team_id: string;
+  type: string;
+  title: string;
+  content: string;
+  context: string | null;
+  created_by: string;
+  created_at: string;
+  updated_at: string;
+  tags: string | null;
+  visibility: TeamMemoryVisibility;
+  project_id: string | null;
+  metadata: string | null;
+  usage_count: number;
+  success_score: number;
+  archived_at: string | null;
+  [column: string]: any;
+}
+
+export interface TeamMemoryFilter {
+  type?: string;
+  createdBy?: string;
+  projectId?: string;
+  visibility?: TeamMemoryVisibility;
+  includeArchived?: boolean;
+}
+
+export type RevisionChange = 'create' | 'update' | 'archive' | 'restore' | 'rollback' | 'merge';
+
+export interface TeamMemoryRevision {
+  id: string;
+  memoryId: string;
+  revision: number;
+  type: string;
+  title: string;
+  content: string;
+  context?: string;
+  tags: string[];
+  visibility: TeamMemoryVisibility;
+  metadata: Record<string, any>;
+  archivedAt?: Date;
+  change: RevisionChange;
+  rolledBackTo?: string;
+  editedBy: string;
+  editedAt: Date;
+}
+
+export interface DiffLine {
+  op: 'equal' | 'add' | 'remove';
+  text: string;
+}
+
+export interface RevisionDiff {
+  from: TeamMemoryRevision;
+  to: TeamMemoryRevision;
+  fields: { field: string; before: any; after: any }[];
+  content: DiffLine[];
+}
+
+export interface UnifiedRecallOptions extends RecallOptions {
+  projectId?: string;
+  /** Narrows team matches, e.g. to what a member may read; it is given private memories too */
+  teamFilter?: (memories: TeamMemoryRow[]) => Promise<TeamMemoryRow[]>;
+}
+
+export interface ContributorStats {
+  memberId: string;
+  name: string;
+  memoriesCreated: number;
+  memoriesUsed: number;
+  successScore: number;
+  lastContribution: Date;
+}
+
+export interface TeamAnalytics {
+  totalMemories: number;
+  activeMemories: number;
+  topContributors: ContributorStats[];
+  memoryGrowthRate: number;
+  teamProductivityScore: number;
+  knowledgeHealthScore: number;
+  collaborationIndex: number;
+  memoryUtilizationRate: number;
+}
+
+export interface SyncConflictRecord {
+  id: string;
+  table: string;
+  rowKey: string;
+  kept: SyncChange;
+  discarded: SyncChange;
+  detectedAt: Date;
+}
+
+// Append new team migrations here; MemoryEngine.runMigrations applies them in order.
+// They run against team-memory.db, attached as "team", so every table, index
+// and trigger name is qualified with that schema.
+const TEAM_MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    description: 'Initial team schema',
+    up: [
+      `CREATE TABLE IF NOT EXISTS team.team_members (
+        id TEXT PRIMARY KEY,
+        team_id TEXT NOT NULL,
+        email TEXT NOT NULL,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+        permissions TEXT NOT NULL,
+        UNIQUE(team_id, email)
+      )`,
+      `CREATE TABLE IF NOT EXISTS team.team_memories (
+        id TEXT PRIMARY KEY,
+        team_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        context TEXT,
+        created_by TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        tags TEXT,
+        visibility TEXT DEFAULT 'team_only',
+        project_id TEXT,
+        metadata TEXT,
+        usage_count INTEGER DEFAULT 0,
+        success_score REAL DEFAULT 0.0,
+        FOREIGN KEY (team_id) REFERENCES teams (id),
+        FOREIGN KEY (created_by) REFERENCES team_members (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS team.team_memory_votes (
+        id TEXT PRIMARY KEY,
+        memory_id TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        vote TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (memory_id) REFERENCES team_memories (id),
+        FOREIGN KEY (member_id) REFERENCES team_members (id),
+        UNIQUE(memory_id, member_id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS team.team_memory_comments (
+        id TEXT PRIMARY KEY,
+        memory_id TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        parent_comment_id TEXT,
+        FOREIGN KEY (memory_id) REFERENCES team_memories (id),
+        FOREIGN KEY (member_id) REFERENCES team_members (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS team.team_projects (
+        id TEXT PRIMARY KEY,
+        team_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        tech_stack TEXT,
+        created_by TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        members TEXT,
+        memory_count INTEGER DEFAULT 0,
+        last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (team_id) REFERENCES teams (id),
+        FOREIGN KEY (created_by) REFERENCES team_members (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS team.team_memory_usage (
+        id TEXT PRIMARY KEY,
+        memory_id TEXT NOT NULL,
+        used_by TEXT NOT NULL,
+        used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        context TEXT,
+        success BOOLEAN DEFAULT 1,
+        FOREIGN KEY (memory_id) REFERENCES team_memories (id),
+        FOREIGN KEY (used_by) REFERENCES team_members (id)
+      )`
+    ]
+  },
+  {
+    version: 2,
+    description: 'Team memory embeddings, dropped with their memory',
+    up: [
+      `CREATE TABLE IF NOT EXISTS team.embeddings (
+        id TEXT PRIMARY KEY,
+        source_type TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        scope_id TEXT NOT NULL,
+        model TEXT NOT NULL,
+        dimensions INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        content_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_type, source_id, model)
+      )`,
+      `CREATE INDEX IF NOT EXISTS team.idx_embeddings_scope ON embeddings (scope_id, model, source_type)`,
+      // Trigger bodies resolve tables within the trigger's own database
+      `CREATE TRIGGER IF NOT EXISTS team.team_memories_embeddings_delete AFTER DELETE ON team_memories BEGIN
+        DELETE FROM embeddings WHERE source_type = 'team_memory' AND source_id = old.id;
+      END`
+    ]
+  },
+  {
+    version: 3,
+    description: 'Sync change log and version vectors',
+    up: [
+      `CREATE TABLE IF NOT EXISTS team.team_sync_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )`,
+      // Local edits not yet pushed; only the latest entry per row is sent
+      `CREATE TABLE IF NOT EXISTS team.team_changes (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        team_id TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        row_key TEXT NOT NULL,
+        op TEXT NOT NULL,
+        data TEXT NOT NULL,
+        vector TEXT NOT NULL,
+        replica_id TEXT NOT NULL,
+        changed_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS team.idx_team_changes_row ON team_changes (table_name, row_key, seq)`,
+      `CREATE TABLE IF NOT EXISTS team.team_row_versions (
+        table_name TEXT NOT NULL,
+        row_key TEXT NOT NULL,
+        op TEXT NOT NULL,
+        vector TEXT NOT NULL,
+        replica_id TEXT NOT NULL,
+        changed_at TEXT NOT NULL,
+        PRIMARY KEY (table_name, row_key)
+      )`,
+      `CREATE TABLE IF NOT EXISTS team.team_sync_conflicts (
+        id TEXT PRIMARY KEY,
+        team_id TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        row_key TEXT NOT NULL,
+        kept TEXT NOT NULL,
+        discarded TEXT NOT NULL,
+        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  },
+  {
+    version: 4,
+    description: 'Team memory revisions and archiving',
+    up: [
+      `ALTER TABLE team.team_memories ADD COLUMN archived_at DATETIME`,
+      // One row per version of a memory, including the current one
+      `CREATE TABLE IF NOT EXISTS team.team_memory_revisions (
+        id TEXT PRIMARY KEY,
+        memory_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        context TEXT,
+        tags TEXT,
+        visibility TEXT,
+        metadata TEXT,
+        archived_at DATETIME,
+        change TEXT NOT NULL,
+        rolled_back_to TEXT,
+        edited_by TEXT NOT NULL,
+        edited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (memory_id) REFERENCES team_memories (id)
+      )`,
+      `CREATE INDEX IF NOT EXISTS team.idx_team_memory_revisions ON team_memory_revisions (memory_id, revision)`,
+      // Derived ids, so replicas that backfill the same synced memory agree
+      `INSERT OR IGNORE INTO team.team_memory_revisions
+        (id, memory_id, revision, type, title, content, context, tags, visibility, metadata, change, edited_by, edited_at)
+       SELECT id || '-r1', id, 1, type, title, content, context, tags, visibility, metadata, 'create', created_by, created_at
+       FROM team.team_memories`,
+      `CREATE TRIGGER IF NOT EXISTS team.team_memories_revisions_delete AFTER DELETE ON team_memories BEGIN
+        DELETE FROM team_memory_revisions WHERE memory_id = old.id;
+      END`
+    ]
+  },
+  {
+    version: 5,
+    description: 'Permission rules, access requests and audit log',
+    up: [
+      `CREATE TABLE IF NOT EXISTS team.team_permission_rules (
+        id TEXT PRIMARY KEY,
+        team_id TEXT NOT NULL,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT,
+        subject_type TEXT NOT NULL,
+        subject_id TEXT NOT NULL,
+        permissions TEXT NOT NULL,
+        conditions TEXT,
+        created_by TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        is_active INTEGER NOT NULL DEFAULT 1
+      )`,
+      `CREATE INDEX IF NOT EXISTS team.idx_permission_rules_subject ON team_permission_rules (team_id, subject_type, subject_id, resource_type, is_active)`,
+      `CREATE INDEX IF NOT EXISTS team.idx_permission_rules_resource ON team_permission_rules (team_id, resource_type, resource_id)`,
+      `CREATE TABLE IF NOT EXISTS team.team_access_requests (
+        id TEXT PRIMARY KEY,
+        team_id TEXT NOT NULL,
+        requester_id TEXT NOT NULL,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT,
+        requested_permissions TEXT NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        approved_at DATETIME,
+        approved_by TEXT,
+        deny_reason TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS team.idx_access_requests_requester ON team_access_requests (team_id, requester_id, status)`,
+      `CREATE INDEX IF NOT EXISTS team.idx_access_requests_status ON team_access_requests (team_id, status, created_at)`,
+      `CREATE TABLE IF NOT EXISTS team.team_audit_log (
+        id TEXT PRIMARY KEY,
+        team_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        user_name TEXT,
+        action TEXT NOT NULL,
+        resource_type TEXT NOT NULL,
+        resource_id TEXT,
+        resource_name TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+        success INTEGER NOT NULL,
+        error_message TEXT,
+        metadata TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS team.idx_audit_log_time ON team_audit_log (team_id, timestamp)`,
+      `CREATE INDEX IF NOT EXISTS team.idx_audit_log_user ON team_audit_log (team_id, user_id, timestamp)`,
+      `CREATE INDEX IF NOT EXISTS team.idx_audit_log_action ON team_audit_log (team_id, action, timestamp)`
+    ]
+  },
+  {
+    version: 6,
+    description: 'One revision per number of a memory',
+    up: [
+      // Replicas that edited a memory concurrently may have numbered two
+      // revisions the same; number them again in edit order
+      `CREATE TEMP TABLE revision_numbers AS
+       SELECT id, ROW_NUMBER() OVER (PARTITION BY memory_id ORDER BY revision, edited_at, id) AS revision
+       FROM team.team_memory_revisions`,
+      `UPDATE team.team_memory_revisions
+       SET revision = (SELECT revision FROM temp.revision_numbers WHERE revision_numbers.id = team_memory_revisions.id)`,
+      `DROP TABLE temp.revision_numbers`,
+      `DROP INDEX IF EXISTS team.idx_team_memory_revisions`,
+      `CREATE UNIQUE INDEX IF NOT EXISTS team.idx_team_memory_revisions_number ON team_memory_revisions (memory_id, revision)`
+    ]
+  }
+];
+
+// Fields of a team memory that updateTeamMemory edits and revisions record
+const REVISED_FIELDS: Array<keyof TeamMemoryInput & keyof TeamMemoryRevision> = [
+  'type', 'title', 'content', 'context', 'tags', 'visibility', 'metadata'
+];
+// Fields of memories and revisions encrypted at rest when a cipher is set
+const ENCRYPTED_MEMORY_FIELDS: string[] = ['title', 'content', 'context'];
+// Tables that lived in memory.db before team data got its own database
+const TEAM_TABLES = [
+  'team_members', 'team_memories', 'team_memory_votes', 'team_memory_comments', 'team_projects', 'team_memory_usage'
+];
+const TEAM_EMBEDDINGS = `source_type = 'team_memory'`;
+// Besides id, what makes a row of a moved table the same row
+const LEGACY_UNIQUE_KEYS: Record<string, string[]> = {
+  team_members: ['team_id', 'email'],
+  team_memory_votes: ['memory_id', 'member_id'],
+  embeddings: ['source_type', 'source_id', 'model']
+};
+// Rows of a synced table that belong to one team
+const SYNC_TEAM_FILTERS: Record<string, string> = {
+  team_members: `team_id = ?`,
+  team_memories: `team_id = ?`,
+  team_memory_votes: `memory_id IN (SELECT id FROM team.team_memories WHERE team_id = ?)`,
+  team_memory_comments: `memory_id IN (SELECT id FROM team.team_memories WHERE team_id = ?)`,
+  team_memory_revisions: `memory_id IN (SELECT id FROM team.team_memories WHERE team_id = ?)`,
+  team_permission_rules: `team_id = ?`,
+  team_access_requests: `team_id = ?`
+};
+
+// Same format as CURRENT_TIMESTAMP so stored dates compare with native ones
+function toSqliteTimestamp(date: Date | string): string {
+  return new Date(date).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function fromSqliteTimestamp(value: string | null): Date | undefined {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : undefined;
+}
+
+// Largest LCS table diffLines builds; past it the changed middle is shown
+// as removed then added
+const MAX_DIFF_CELLS = 1_000_000;
+
+/**
+ * Line diff of two texts from their longest common subsequence
+ */
+function diffLines(before: string, after: string): DiffLine[] {
+  const beforeLines = before.split('\n');
+  const afterLines = after.split('\n');
+
+  // Common ends need no table
+  let prefix = 0;
+  while (prefix < beforeLines.length && prefix < afterLines.length && beforeLines[prefix] === afterLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < beforeLines.length - prefix && suffix < afterLines.length - prefix &&
+    beforeLines[beforeLines.length - 1 - suffix] === afterLines[afterLines.length - 1 - suffix]) {
+    suffix++;
+  }
+  const a = beforeLines.slice(prefix, beforeLines.length - suffix);
+  const b = afterLines.slice(prefix, afterLines.length - suffix);
+  const head = beforeLines.slice(0, prefix).map(text => ({ op: 'equal' as const, text }));
+  const tail = beforeLines.slice(beforeLines.length - suffix).map(text => ({ op: 'equal' as const, text }));
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    return [...head, ...a.map(text => ({ op: 'remove' as const, text })), ...b.map(text => ({ op: 'add' as const, text })), ...tail];
+  }
+
+  const lengths: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: 'equal', text: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] > lengths[i + 1][j])) {
+      lines.push({ op: 'add', text: b[j++] });
+    } else {
+      lines.push({ op: 'remove', text: a[i++] });
+    }
+  }
+
+  return [...head, ...lines, ...tail];
+}
+
+export class TeamMemoryEngine extends MemoryEngine {
+  private replicaId?: string;
+  private teamDbPath: string;
+
+  /**
+   * Team data is kept in its own database, so it can be shared or synced
+   * without personal history; teamDbPath defaults to .codecontext/team-memory.db
+   */
+  constructor(readonly teamId: string, projectPath: string, teamDbPath?: string) {
+    super(projectPath);
+    this.teamDbPath = teamDbPath || path.join(projectPath, '.codecontext', 'team-memory.db');
+  }
+
+  async initialize(): Promise<void> {
+    await super.initialize();
+    await this.attachDatabase('team', this.teamDbPath);
+    await this.createTeamTables();
+    await this.moveLegacyTeamData();
+    await this.trackUnversionedRows();
+  }
+
+  private async createTeamTables(): Promise<void> {
+    await this.runMigrations('team', TEAM_MIGRATIONS, 'team');
+  }
+
+  /**
+   * Move team tables created inside memory.db by earlier versions into the
+   * team database, along with their embeddings. memory.db is backed up first.
+   * The two files don't commit together, so rows are copied and committed,
+   * checked, and only then dropped; a move cut short is finished next time.
+   */
+  private async moveLegacyTeamData(): Promise<void> {
+    const legacy = (await this.allQuery(
+      `SELECT name FROM main.sqlite_master WHERE type = 'table' AND name IN (${TEAM_TABLES.map(() => '?').join(', ')})`,
+      TEAM_TABLES
+    )).map(row => row.name);
+    if (legacy.length === 0) {
+      return;
+    }
+    const tables = TEAM_TABLES.filter(name => legacy.includes(name));
+    await this.backupDatabase('team-move');
+    await this.transaction(async () => {
+      for (const table of tables) {
+        await this.copyRows(table);
+      }
+      await this.copyRows('embeddings', TEAM_EMBEDDINGS);
+    });
+
+    for (const table of tables) {
+      const missing = await this.countUncopiedRows(table);
+      if (missing > 0) {
+        console.warn(`⚠️ Kept team tables in memory.db: ${missing} ${table} rows did not reach ${this.teamDbPath}`);
+        return;
+      }
+    }
+    const missingEmbeddings = await this.countUncopiedRows('embeddings', TEAM_EMBEDDINGS);
+    if (missingEmbeddings > 0) {
+      console.warn(`⚠️ Kept team tables in memory.db: ${missingEmbeddings} embeddings did not reach ${this.teamDbPath}`);
+      return;
+    }
+
+    await this.transaction(async () => {
+      for (const table of tables) {
+        await this.runQuery(`DROP TABLE main.${table}`);
+      }
+      await this.runQuery(`DELETE FROM main.embeddings WHERE ${TEAM_EMBEDDINGS}`);
+      await this.runQuery(`DELETE FROM main.schema_version WHERE scope = 'team'`);
+    });
+    console.log(`👥 Moved ${legacy.length} team tables to ${this.teamDbPath}`);
+  }
+
+  private async copyRows(table: string, where: string = '1'): Promise<void> {
+    const columns = (await this.allQuery(`SELECT name FROM pragma_table_info(?, 'main')`, [table]))
+      .map(column => column.name)
+      .join(', ');
+    await this.runQuery(
+      `INSERT OR IGNORE INTO team.${table} (${columns}) SELECT ${columns} FROM main.${table} WHERE ${where}`
+    );
+  }
+
+  /**
+   * Rows of a legacy table with no counterpart in the team database, by id
+   * or by the unique key an ignored copy collided on
+   */
+  private async countUncopiedRows(table: string, where: string = '1'): Promise<number> {
+    const matches = [`copied.id = legacy.id`];
+    if (LEGACY_UNIQUE_KEYS[table]) {
+      matches.push(LEGACY_UNIQUE_KEYS[table].map(column => `copied.${column} = legacy.${column}`).join(' AND '));
+    }
+    const row = await this.getQuery(
+      `SELECT COUNT(*) AS missing FROM main.${table} AS legacy
+       WHERE ${where} AND NOT EXISTS (SELECT 1 FROM team.${table} AS copied WHERE ${matches.map(match => `(${match})`).join(' OR ')})`
+    );
+    return row.missing;
+  }
+
+  protected embeddingsTable(sourceType: EmbeddingSource): string {
+    return sourceType === 'team_memory' ? 'team.embeddings' : super.embeddingsTable(sourceType);
+  }
+
+  /**
+   * Team Member Management
+   */
+  async addTeamMember(member: Omit<TeamMember, 'id' | 'joinedAt' | 'lastActive'>): Promise<string> {
+    const memberId = uuidv4();
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO team.team_members (id, team_id, email, name, role, permissions) VALUES (?, ?, ?, ?, ?, ?)`,
+        [memberId, this.teamId, member.email, member.name, member.role, JSON.stringify(member.permissions)]
+      );
+      await this.recordChange('team_members', { id: memberId });
+    });
+    return memberId;
+  }
+
+  async getTeamMembers(): Promise<TeamMember[]> {
+    const members = await this.allQuery(
+      `SELECT * FROM team.team_members WHERE team_id = ? ORDER BY joined_at`,
+      [this.teamId]
+    );
+    return members.map(m => ({
+      id: m.id,
+      email: m.email,
+      name: m.name,
+      role: m.role,
+      joinedAt: new Date(m.joined_at),
+      lastActive: new Date(m.last_active),
+      permissions: JSON.parse(m.permissions)
+    }));
+  }
+
+  /**
+   * Team Memory Management
+   */
+  async createTeamMemory(input: TeamMemoryInput): Promise<string> {
+    const memory = this.redactMemoryInput(input);
+    const memoryId = uuidv4();
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO team.team_memories (id, team_id, type, title, content, context, created_by, tags, visibility, project_id, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          memoryId,
+          this.teamId,
+          memory.type,
+          this.encryptField(memory.title),
+          this.encryptField(memory.content),
+          this.encryptField(memory.context),
+          memory.createdBy,
+          JSON.stringify(memory.tags),
+          memory.visibility,
+          memory.projectId,
+          JSON.stringify(memory.metadata)
+        ]
+      );
+      await this.recordChange('team_memories', { id: memoryId });
+      await this.writeRevision(memoryId, 'create', memory.createdBy);
+    });
+
+    await this.indexEmbeddings('team_memory', this.teamId, [
+      { id: memoryId, text: `${memory.title}\n${memory.content}\n${memory.context || ''}` }
+    ]);
+    return memoryId;
+  }
+
+  async getTeamMemories(filter?: TeamMemoryFilter): Promise<TeamMemory[]> {
+    let query = `SELECT * FROM team.team_memories WHERE team_id = ?`;
+    const params = [this.teamId];
+
+    if (filter?.type) {
+      query += ` AND type = ?`;
+      params.push(filter.type);
+    }
+    if (filter?.createdBy) {
+      query += ` AND created_by = ?`;
+      params.push(filter.createdBy);
+    }
+    if (filter?.projectId) {
+      query += ` AND project_id = ?`;
+      params.push(filter.projectId);
+    }
+    if (filter?.visibility) {
+      query += ` AND visibility = ?`;
+      params.push(filter.visibility);
+    }
+    if (!filter?.includeArchived) {
+      query += ` AND archived_at IS NULL`;
+    }
+    query += ` ORDER BY created_at DESC`;
+
+    const memories = await this.allQuery(query, params);
+    return Promise.all(memories.map(m => this.parseTeamMemory(m)));
+  }
+
+  /**
+   * One team memory, archived or not; null if it doesn't exist
+   */
+  async getTeamMemory(memoryId: string): Promise<TeamMemory | null> {
+    const memory = await this.getQuery(
+      `SELECT * FROM team.team_memories WHERE id = ? AND team_id = ?`,
+      [memoryId, this.teamId]
+    );
+    return memory ? this.parseTeamMemory(memory) : null;
+  }
+
+  private async parseTeamMemory(m: any): Promise<TeamMemory> {
+    return {
+      id: m.id,
+      type: m.type,
+      title: this.decryptField(m.title),
+      content: this.decryptField(m.content),
+      context: this.decryptField(m.context),
+      createdBy: m.created_by,
+      createdAt: new Date(m.created_at),
+      updatedAt: new Date(m.updated_at),
+      tags: JSON.parse(m.tags || '[]'),
+      visibility: m.visibility,
+      projectId: m.project_id,
+      metadata: JSON.parse(m.metadata || '{}'),
+      votes: await this.getMemoryVotes(m.id),
+      comments: await this.getMemoryComments(m.id),
+      usageCount: m.usage_count,
+      successScore: m.success_score,
+      archivedAt: m.archived_at ? new Date(m.archived_at) : undefined
+    };
+  }
+
+  /**
+   * Keyword and semantic matches across live team memories. Private ones are
+   * left out unless includePrivate is set by a caller that filters by member,
+   * as SecureTeamMemory does when applying permissions.
+   */
+  async searchTeamMemories(query: string, limit: number = 15, includePrivate: boolean = false): Promise<TeamMemoryRow[]> {
+    const searchTerms = this.extractSearchTerms(query);
+    const visible = includePrivate ? '' : ` AND visibility != 'private'`;
+    const memories = [];
+
+    if (this.cipher) {
+      // SQL can't match inside encrypted fields, so terms are matched after decrypting
+      const rows = (await this.allQuery(
+        `SELECT * FROM team.team_memories WHERE team_id = ? AND archived_at IS NULL${visible}
+         ORDER BY usage_count DESC, success_score DESC`,
+        [this.teamId]
+      )).map(row => this.decryptMemoryRow(row));
+      for (const term of searchTerms) {
+        const needle = term.toLowerCase();
+        const matches = rows.filter(row => [row.title, row.content, row.context].some(value => value?.toLowerCase().includes(needle)));
+        memories.push(...matches.slice(0, Math.max(20, limit)));
+      }
+    } else {
+      for (const term of searchTerms) {
+        const results = await this.allQuery(
+          `SELECT * FROM team.team_memories
+           WHERE team_id = ? AND archived_at IS NULL${visible} AND (title LIKE ? OR content LIKE ? OR context LIKE ?)
+           ORDER BY usage_count DESC, success_score DESC LIMIT ?`,
+          [this.teamId, `%${term}%`, `%${term}%`, `%${term}%`, Math.max(20, limit)]
+        );
+        memories.push(...results);
+      }
+    }
+
+    // Semantic matches catch memories worded differently from the query
+    const semanticHits = await this.semanticSearch(query, { scopeId: this.teamId, sources: ['team_memory'], limit });
+    const semanticIds = semanticHits.filter(hit => hit.score > 0).map(hit => hit.id);
+    if (semanticIds.length > 0) {
+      const results = await this.allQuery(
+        `SELECT * FROM team.team_memories
+         WHERE team_id = ? AND archived_at IS NULL${visible} AND id IN (${semanticIds.map(() => '?').join(', ')})`,
+        [this.teamId, ...semanticIds]
+      );
+      const byId = new Map(results.map(r => [r.id, r]));
+      memories.push(...semanticIds.filter(id => byId.has(id)).map(id => byId.get(id)));
+    }
+
+    // Deduplicate and return top results
+    const uniqueMemories = this.deduplicateMemories(memories.map(m => this.decryptMemoryRow(m)));
+    return uniqueMemories.slice(0, limit);
+  }
+
+  /**
+   * Team Memory Editing - every change is kept as a revision with its
+   * author, so any version can be compared or rolled back to
+   */
+  async updateTeamMemory(memoryId: string, edits: Partial<TeamMemoryInput>, editedBy: string): Promise<number> {
+    const changes = this.redactMemoryInput(edits);
+    const current = await this.getTeamMemoryRow(memoryId);
+    if (current.archived_at) {
+      throw new Error(`Team memory ${memoryId} is archived; restore it before editing`);
+    }
+
+    const updates = REVISED_FIELDS
+      .filter(field => changes[field] !== undefined)
+      .map(field => {
+        const value = field === 'tags' || field === 'metadata' ? JSON.stringify(changes[field]) : changes[field];
+        return { field, value };
+      })
+      .filter(({ field, value }) => {
+        const stored = ENCRYPTED_MEMORY_FIELDS.includes(field) ? this.decryptField(current[field]) : current[field];
+        return value !== stored;
+      });
+    if (updates.length === 0) {
+      const latest = await this.getQuery(
+        `SELECT MAX(revision) AS revision FROM team.team_memory_revisions WHERE memory_id = ?`,
+        [memoryId]
+      );
+      return latest.revision;
+    }
+
+    const revision = await this.transaction(async () => {
+      await this.runQuery(
+        `UPDATE team.team_memories SET ${updates.map(({ field }) => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...updates.map(({ field, value }) => ENCRYPTED_MEMORY_FIELDS.includes(field) ? this.encryptField(value) : value), memoryId]
+      );
+      await this.recordChange('team_memories', { id: memoryId });
+      return this.writeRevision(memoryId, 'update', editedBy);
+    });
+
+    await this.reindexTeamMemory(memoryId);
+    return revision;
+  }
+
+  /**
+   * Hide a memory from listings, search and analytics without losing it
+   */
+  async archiveTeamMemory(memoryId: string, archivedBy: string): Promise<void> {
+    const current = await this.getTeamMemoryRow(memoryId);
+    if (current.archived_at) {
+      return;
+    }
+
+    await this.transaction(async () => {
+      await this.runQuery(
+        `UPDATE team.team_memories SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [memoryId]
+      );
+      await this.recordChange('team_memories', { id: memoryId });
+      await this.writeRevision(memoryId, 'archive', archivedBy);
+    });
+  }
+
+  async restoreTeamMemory(memoryId: string, restoredBy: string): Promise<void> {
+    const current = await this.getTeamMemoryRow(memoryId);
+    if (!current.archived_at) {
+      return;
+    }
+
+    await this.transaction(async () => {
+      await this.runQuery(
+        `UPDATE team.team_memories SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [memoryId]
+      );
+      await this.recordChange('team_memories', { id: memoryId });
+      await this.writeRevision(memoryId, 'restore', restoredBy);
+    });
+  }
+
+  /**
+   * Bring back the fields of an earlier revision. The rollback is itself a
+   * new revision, so it can be undone the same way.
+   */
+  async rollbackTeamMemory(memoryId: string, revisionId: string, editedBy: string): Promise<number> {
+    const target = await this.getQuery(
+      `SELECT * FROM team.team_memory_revisions WHERE id = ? AND memory_id = ?`,
+      [revisionId, memoryId]
+    );
+    if (!target) {
+      throw new Error(`Revision ${revisionId} of team memory ${memoryId} not found`);
+    }
+    const current = await this.getTeamMemoryRow(memoryId);
+    if (current.archived_at) {
+      throw new Error(`Team memory ${memoryId} is archived; restore it before rolling back`);
+    }
+
+    const revision = await this.transaction(async () => {
+      await this.runQuery(
+        `UPDATE team.team_memories SET ${REVISED_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          ...REVISED_FIELDS.map(field =>
+            ENCRYPTED_MEMORY_FIELDS.includes(field) ? this.encryptField(this.decryptFieldOrThrow(target[field])) : target[field]
+          ),
+          memoryId
+        ]
+      );
+      await this.recordChange('team_memories', { id: memoryId });
+      return this.writeRevision(memoryId, 'rollback', editedBy, revisionId);
+    });
+
+    await this.reindexTeamMemory(memoryId);
+    return revision;
+  }
+
+  /**
+   * Every version of a memory, oldest first
+   */
+  async getMemoryRevisions(memoryId: string): Promise<TeamMemoryRevision[]> {
+    const rows = await this.allQuery(
+      `SELECT * FROM team.team_memory_revisions WHERE memory_id = ? ORDER BY revision, edited_at, id`,
+      [memoryId]
+    );
+    return rows.map(row => this.parseRevision(row));
+  }
+
+  /**
+   * Compare two revisions: changed fields, plus a line diff of the content.
+   * Without toRevisionId the latest revision is used.
+   */
+  async diffRevisions(memoryId: string, fromRevisionId: string, toRevisionId?: string): Promise<RevisionDiff> {
+    const revisions = await this.getMemoryRevisions(memoryId);
+    const from = revisions.find(revision => revision.id === fromRevisionId);
+    const to = toRevisionId ? revisions.find(revision => revision.id === toRevisionId) : revisions[revisions.length - 1];
+    if (!from || !to) {
+      throw new Error(`Revision ${!from ? fromRevisionId : toRevisionId} of team memory ${memoryId} not found`);
+    }
+
+    const fields = [...REVISED_FIELDS.filter(field => field !== 'content'), 'archivedAt' as const]
+      .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+      .map(field => ({ field, before: from[field], after: to[field] }));
+    return { from, to, fields, content: diffLines(from.content, to.content) };
+  }
+
+  private async getTeamMemoryRow(memoryId: string): Promise<any> {
+    const row = await this.getQuery(
+      `SELECT * FROM team.team_memories WHERE id = ? AND team_id = ?`,
+      [memoryId, this.teamId]
+    );
+    if (!row) {
+      throw new Error(`Team memory ${memoryId} not found`);
+    }
+    return row;
+  }
+
+  private async writeRevision(
+    memoryId: string,
+    change: RevisionChange,
+    editedBy: string,
+    rolledBackTo?: string,
+    revisionId: string = uuidv4()
+  ): Promise<number> {
+    await this.runQuery(
+      `INSERT INTO team.team_memory_revisions
+         (id, memory_id, revision, type, title, content, context, tags, visibility, metadata, archived_at, change, rolled_back_to, edited_by)
+       SELECT ?, id, (SELECT COALESCE(MAX(revision), 0) + 1 FROM team.team_memory_revisions WHERE memory_id = ?),
+         type, title, content, context, tags, visibility, metadata, archived_at, ?, ?, ?
+       FROM team.team_memories WHERE id = ?`,
+      [revisionId, memoryId, change, rolledBackTo || null, editedBy, memoryId]
+    );
+    await this.recordChange('team_memory_revisions', { id: revisionId });
+
+    const written = await this.getQuery(`SELECT revision FROM team.team_memory_revisions WHERE id = ?`, [revisionId]);
+    return written.revision;
+  }
+
+  private async reindexTeamMemory(memoryId: string): Promise<void> {
+    const row = await this.getTeamMemoryRow(memoryId);
+    await this.indexEmbeddings('team_memory', this.teamId, [
+      { id: memoryId, text: `${this.decryptField(row.title)}\n${this.decryptField(row.content)}\n${this.decryptField(row.context) || ''}` }
+    ]);
+  }
+
+  // Memories are shared with the whole team, so they are redacted like messages
+  private redactMemoryInput<T extends Partial<TeamMemoryInput>>(memory: T): T {
+    const redacted: Record<string, any> = { ...memory };
+    for (const field of ['title', 'content', 'context', 'tags', 'metadata']) {
+      if (redacted[field] !== undefined) {
+        redacted[field] = this.redactValue(redacted[field]);
+      }
+    }
+    return redacted as T;
+  }
+
+  private decryptMemoryRow(row: any): any {
+    const decrypted = { ...row };
+    for (const field of ENCRYPTED_MEMORY_FIELDS) {
+      decrypted[field] = this.decryptField(row[field]);
+    }
+    return decrypted;
+  }
+
+  private parseRevision(row: any): TeamMemoryRevision {
+    return {
+      id: row.id,
+      memoryId: row.memory_id,
+      revision: row.revision,
+      type: row.type,
+      title: this.decryptField(row.title),
+      content: this.decryptField(row.content),
+      context: this.decryptField(row.context),
+      tags: JSON.parse(row.tags || '[]'),
+      visibility: row.visibility,
+      metadata: JSON.parse(row.metadata || '{}'),
+      archivedAt: row.archived_at ? new Date(row.archived_at) : undefined,
+      change: row.change,
+      rolledBackTo: row.rolled_back_to || undefined,
+      editedBy: row.edited_by,
+      editedAt: new Date(row.edited_at)
+    };
+  }
+
+  /**
+   * Unified Recall - personal memory from MemoryEngine and shared team
+   * memory in one ranked list. Each result carries source: 'personal' or
+   * 'team' so callers can label where it came from. options.teamFilter
+   * narrows team matches, e.g. to what a member may read; without one,
+   * private memories are left out.
+   */
+  async recallUnified(message: string, options: UnifiedRecallOptions = {}): Promise<any[]> {
+    const limit = options.limit || 15;
+    const personal = await this.recall(message, options.projectId, { ...options, limit });
+    const matches = await this.searchTeamMemories(message, options.teamFilter ? limit * 3 : limit, !!options.teamFilter);
+    const team = (options.teamFilter ? await options.teamFilter(matches) : matches).slice(0, limit);
+
+    const results = [
+      ...personal.map(memory => ({ ...memory, source: 'personal' })),
+      // Positional relevance, the same scale keyword recall uses
+      ...team.map((memory, i) => ({
+        id: memory.id,
+        type: memory.type,
+        title: memory.title,
+        content: memory.content,
+        context: memory.context,
+        createdBy: memory.created_by,
+        timestamp: memory.created_at,
+        tags: JSON.parse(memory.tags || '[]'),
+        score: 1 - i / team.length,
+        source: 'team'
+      }))
+    ];
+    results.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Memory Voting System
+   */
+  async voteOnMemory(memoryId: string, memberId: string, vote: 'upvote' | 'downvote'): Promise<void> {
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT OR REPLACE INTO team.team_memory_votes (id, memory_id, member_id, vote) VALUES (?, ?, ?, ?)`,
+        [uuidv4(), memoryId, memberId, vote]
+      );
+      await this.recordChange('team_memory_votes', { memory_id: memoryId, member_id: memberId });
+
+      // Update memory success score
+      await this.updateMemorySuccessScore(memoryId);
+    });
+  }
+
+  async getMemoryVotes(memoryId: string): Promise<MemoryVote[]> {
+    const votes = await this.allQuery(`SELECT * FROM team.team_memory_votes WHERE memory_id = ?`, [memoryId]);
+    return votes.map(v => ({
+      memberId: v.member_id,
+      vote: v.vote,
+      timestamp: new Date(v.timestamp)
+    }));
+  }
+
+  private async updateMemorySuccessScore(memoryId: string): Promise<void> {
+    const votes = await this.allQuery(`SELECT vote FROM team.team_memory_votes WHERE memory_id = ?`, [memoryId]);
+    const upvotes = votes.filter(v => v.vote === 'upvote').length;
+    const downvotes = votes.filter(v => v.vote === 'downvote').length;
+    const totalVotes = upvotes + downvotes;
+    const successScore = totalVotes > 0 ? (upvotes / totalVotes) : 0.5;
+
+    await this.runQuery(`UPDATE team.team_memories SET success_score = ? WHERE id = ?`, [successScore, memoryId]);
+  }
+
+  /**
+   * Memory Comments System
+   */
+  async addMemoryComment(memoryId: string, memberId: string, content: string, parentCommentId?: string): Promise<string> {
+    const commentId = uuidv4();
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO team.team_memory_comments (id, memory_id, member_id, content, parent_comment_id) VALUES (?, ?, ?, ?, ?)`,
+        [commentId, memoryId, memberId, this.encryptField(this.redactText(content).text), parentCommentId]
+      );
+      await this.recordChange('team_memory_comments', { id: commentId });
+    });
+    return commentId;
+  }
+
+  async getMemoryComments(memoryId: string): Promise<MemoryComment[]> {
+    const comments = await this.allQuery(
+      `SELECT * FROM team.team_memory_comments WHERE memory_id = ? ORDER BY timestamp`,
+      [memoryId]
+    );
+    return comments.map(c => ({
+      id: c.id,
+      memberId: c.member_id,
+      content: this.decryptField(c.content),
+      timestamp: new Date(c.timestamp),
+      parentCommentId: c.parent_comment_id
+    }));
+  }
+
+  /**
+   * Memory Usage Tracking
+   */
+  async trackMemoryUsage(memoryId: string, usedBy: string, context: string, success: boolean): Promise<void> {
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO team.team_memory_usage (id, memory_id, used_by, context, success) VALUES (?, ?, ?, ?, ?)`,
+        [uuidv4(), memoryId, usedBy, this.redactText(context).text, success]
+      );
+
+      // Update usage count
+      await this.runQuery(`UPDATE team.team_memories SET usage_count = usage_count + 1 WHERE id = ?`, [memoryId]);
+    });
+  }
+
+  /**
+   * Team Sync - every edit to a synced row bumps this replica's entry in
+   * the row's version vector and lands in the change log; TeamSyncClient
+   * pushes the log and feeds pulled changes to applyRemoteChanges.
+   * The log is encrypted at rest like team memory content, but changes
+   * travel in plaintext, so sync over HTTPS or localhost. Private memories,
+   * and their revisions, votes and comments, are logged only once shared.
+   */
+  async getReplicaId(): Promise<string> {
+    if (!this.replicaId) {
+      await this.runQuery(`INSERT OR IGNORE INTO team.team_sync_state (key, value) VALUES ('replica_id', ?)`, [uuidv4()]);
+      const row = await this.getQuery(`SELECT value FROM team.team_sync_state WHERE key = 'replica_id'`);
+      this.replicaId = row.value;
+    }
+    return this.replicaId!;
+  }
+
+  private async recordChange(table: string, keyValues: Record<string, any>, op: SyncChange['op'] = 'upsert'): Promise<void> {
+    const spec = SYNC_TABLES[table];
+    const rowKey = spec.key.map(column => keyValues[column]).join(':');
+
+    const version = await this.getQuery(
+      `SELECT op, vector FROM team.team_row_versions WHERE table_name = ? AND row_key = ?`,
+      [table, rowKey]
+    );
+    let data = keyValues;
+    if (op === 'upsert') {
+      const row = await this.getQuery(
+        `SELECT ${spec.columns.join(', ')} FROM team.${table} WHERE ${spec.key.map(column => `${column} = ?`).join(' AND ')}`,
+        spec.key.map(column => keyValues[column])
+      );
+      if (!row) {
+        return;
+      }
+      data = { ...row };
+      for (const field of spec.encrypted || []) {
+        data[field] = this.decryptFieldOrThrow(row[field]);
+      }
+
+      if (await this.isPrivateRow(table, data)) {
+        // A memory made private is withdrawn from the replicas that have it
+        if (table !== 'team_memories' || version?.op !== 'upsert') {
+          return;
+        }
+        op = 'delete';
+        data = keyValues;
+      }
+    } else if (!version) {
+      // Never shared, e.g. a private memory, so there is nothing to delete
+      return;
+    }
+
+    const replicaId = await this.getReplicaId();
+    const vector = JSON.parse(version?.vector || '{}');
+    vector[replicaId] = (vector[replicaId] || 0) + 1;
+
+    await this.logChange({ table, rowKey, op, data, vector, replicaId, changedAt: new Date().toISOString() });
+
+    // A memory shared after being private brings along what was kept local
+    if (table === 'team_memories' && op === 'upsert' && version?.op !== 'upsert') {
+      await this.recordMemoryDependents(rowKey);
+    }
+  }
+
+  private async recordMemoryDependents(memoryId: string): Promise<void> {
+    for (const table of ['team_memory_revisions', 'team_memory_votes', 'team_memory_comments']) {
+      const spec = SYNC_TABLES[table];
+      const rows = await this.allQuery(
+        `SELECT ${spec.key.join(', ')} FROM team.${table} WHERE memory_id = ? ORDER BY rowid`,
+        [memoryId]
+      );
+      for (const row of rows) {
+        await this.recordChange(table, row);
+      }
+    }
+  }
+
+  private async isPrivateRow(table: string, data: Record<string, any>): Promise<boolean> {
+    if (table === 'team_memories') {
+      return data.visibility === 'private';
+    }
+    if (!data.memory_id) {
+      return false;
+    }
+    const memory = await this.getQuery(`SELECT visibility FROM team.team_memories WHERE id = ?`, [data.memory_id]);
+    return memory?.visibility === 'private';
+  }
+
+  private async logChange(change: SyncChange): Promise<void> {
+    await this.saveRowVersion(change);
+    await this.runQuery(
+      `INSERT INTO team.team_changes (team_id, table_name, row_key, op, data, vector, replica_id, changed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        this.teamId,
+        change.table,
+        change.rowKey,
+        change.op,
+        this.encryptField(JSON.stringify(change.data)),
+        JSON.stringify(change.vector),
+        change.replicaId,
+        change.changedAt
+      ]
+    );
+  }
+
+  private async saveRowVersion(change: SyncChange): Promise<void> {
+    await this.runQuery(
+      `INSERT INTO team.team_row_versions (table_name, row_key, op, vector, replica_id, changed_at) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(table_name, row_key) DO UPDATE SET
+         op = excluded.op, vector = excluded.vector, replica_id = excluded.replica_id, changed_at = excluded.changed_at`,
+      [change.table, change.rowKey, change.op, JSON.stringify(change.vector), change.replicaId, change.changedAt]
+    );
+  }
+
+  /**
+   * Give rows written before sync existed (or moved from memory.db) a
+   * first version, so the next push shares them.
+   */
+  private async trackUnversionedRows(): Promise<void> {
+    await this.transaction(async () => {
+      for (const [table, spec] of Object.entries(SYNC_TABLES)) {
+        const rowKey = spec.key.join(` || ':' || `);
+        const rows = await this.allQuery(
+          `SELECT ${spec.key.join(', ')} FROM team.${table}
+           WHERE ${SYNC_TEAM_FILTERS[table]}
+           AND ${rowKey} NOT IN (SELECT row_key FROM team.team_row_versions WHERE table_name = ?)`,
+          [this.teamId, table]
+        );
+        for (const row of rows) {
+          await this.recordChange(table, row);
+        }
+      }
+    });
+  }
+
+  /**
+   * Latest unpushed change per row, oldest first
+   */
+  async getPendingChanges(limit: number = 200): Promise<PendingChange[]> {
+    const rows = await this.allQuery(
+      `SELECT * FROM team.team_changes
+       WHERE team_id = ? AND seq IN (SELECT MAX(seq) FROM team.team_changes WHERE team_id = ? GROUP BY table_name, row_key)
+       ORDER BY seq LIMIT ?`,
+      [this.teamId, this.teamId, limit]
+    );
+    return rows.map(row => ({
+      seq: row.seq,
+      table: row.table_name,
+      rowKey: row.row_key,
+      op: row.op,
+      data: JSON.parse(this.decryptFieldOrThrow(row.data)),
+      vector: JSON.parse(row.vector),
+      replicaId: row.replica_id,
+      changedAt: row.changed_at
+    }));
+  }
+
+  async markChangesPushed(throughSeq: number): Promise<void> {
+    await this.runQuery(`DELETE FROM team.team_changes WHERE team_id = ? AND seq <= ?`, [this.teamId, throughSeq]);
+  }
+
+  async getSyncCursor(): Promise<number> {
+    const row = await this.getQuery(
+      `SELECT value FROM team.team_sync_state WHERE key = ?`,
+      [`pull_cursor:${this.teamId}`]
+    );
+    return row ? Number(row.value) : 0;
+  }
+
+  /**
+   * Apply changes pulled from the sync server. A change for a row with
+   * unpushed local edits made concurrently is resolved here; the merged
+   * version is logged so the next push shares it. Changes are judged only
+   * by the members and rules already stored here; one whose author or
+   * parent memory arrives later in the page is tried again after it, and
+   * what the author still isn't allowed to make is skipped. Until the team
+   * has an admin here, whoever sets it up is trusted.
+   */
+  async applyRemoteChanges(changes: SyncChange[], cursor?: number): Promise<{ applied: number; conflicts: number; rejected: number }> {
+    const result = { applied: 0, conflicts: 0, rejected: 0 };
+    const indexed: Record<string, any>[] = [];
+
+    await this.transaction(async () => {
+      let waiting = changes.filter(change => SYNC_TABLES[change.table]);
+      let rejections = new Map<SyncChange, string>();
+      while (waiting.length > 0) {
+        const deferred: SyncChange[] = [];
+        rejections = new Map();
+        for (const change of waiting) {
+          if (!(await this.isTeamChange(change))) {
+            deferred.push(change);
+            continue;
+          }
+          const current = await this.readRowVersion(change);
+          const rejection = checkSyncChange(change, current, await this.getSyncActor(change.authorId));
+          if (rejection) {
+            rejections.set(change, rejection);
+            deferred.push(change);
+            continue;
+          }
+          await this.applyRemoteChange(change, current, result, indexed);
+        }
+        if (deferred.length === waiting.length) {
+          break;
+        }
+        waiting = deferred;
+      }
+
+      for (const [change, rejection] of rejections) {
+        console.warn(`⚠️ Skipped synced ${change.table} row ${change.rowKey}: ${rejection}`);
+        result.rejected++;
+      }
+
+      if (cursor !== undefined) {
+        await this.runQuery(
+          `INSERT INTO team.team_sync_state (key, value) VALUES (?, ?)
+           ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+          [`pull_cursor:${this.teamId}`, String(cursor)]
+        );
+      }
+    });
+
+    await this.indexEmbeddings('team_memory', this.teamId, indexed.map(memory => ({
+      id: memory.id,
+      text: `${memory.title}\n${memory.content}\n${memory.context || ''}`
+    })));
+    return result;
+  }
+
+  private async applyRemoteChange(
+    change: SyncChange,
+    current: SyncChange | null,
+    result: { applied: number; conflicts: number },
+    indexed: Record<string, any>[]
+  ): Promise<void> {
+    const { outcome, change: resolved, discarded } = mergeChange(current, change);
+    if (outcome === 'stale') {
+      return;
+    }
+    if (!(await this.writeSyncedRow(resolved))) {
+      return;
+    }
+
+    if (outcome === 'merge') {
+      await this.recordSyncConflict(resolved, discarded!);
+      await this.logChange(resolved);
+      // Neither side's revisions hold the merged fields. Replicas settle a
+      // conflict the same way, so they derive the same revision id
+      if (resolved.table === 'team_memories' && resolved.op === 'upsert') {
+        const vectorHash = crypto.createHash('sha1').update(JSON.stringify(resolved.vector)).digest('hex');
+        const mergeId = `${resolved.rowKey}-merge-${vectorHash.substring(0, 12)}`;
+        if (!(await this.getQuery(`SELECT 1 FROM team.team_memory_revisions WHERE id = ?`, [mergeId]))) {
+          await this.writeRevision(resolved.rowKey, 'merge', change.authorId || resolved.replicaId, undefined, mergeId);
+        }
+      }
+      result.conflicts++;
+    } else {
+      await this.saveRowVersion(resolved);
+    }
+    if (resolved.table === 'team_memories' && resolved.op === 'upsert') {
+      indexed.push(resolved.data);
+    }
+    result.applied++;
+  }
+
+  /**
+   * Whether a synced change stays inside this team. Rows with a team_id
+   * name the team; votes, comments and revisions belong to one of its
+   * memories. A key that already names another team's row is refused.
+   */
+  private async isTeamChange(change: SyncChange): Promise<boolean> {
+    const spec = SYNC_TABLES[change.table];
+    const foreign = await this.getQuery(
+      `SELECT 1 FROM team.${change.table}
+       WHERE ${spec.key.map(column => `${column} = ?`).join(' AND ')} AND NOT (${SYNC_TEAM_FILTERS[change.table]})`,
+      [...spec.key.map(column => change.data[column]), this.teamId]
+    );
+    if (foreign) {
+      return false;
+    }
+    if (change.op === 'delete') {
+      return true;
+    }
+    if (spec.columns.includes('team_id')) {
+      return change.data.team_id === this.teamId;
+    }
+    const parent = await this.getQuery(
+      `SELECT 1 FROM team.team_memories WHERE id = ? AND team_id = ?`,
+      [change.data.memory_id, this.teamId]
+    );
+    return !!parent;
+  }
+
+  /**
+   * The author's role and rules from the members and rules stored here,
+   * never from the page being applied
+   */
+  private async getSyncActor(memberId: string | undefined): Promise<SyncActor> {
+    const admin = await this.getQuery(`SELECT id FROM team.team_members WHERE team_id = ? AND role = 'admin' LIMIT 1`, [this.teamId]);
+    const member = memberId
+      ? await this.getQuery(`SELECT role FROM team.team_members WHERE id = ? AND team_id = ?`, [memberId, this.teamId])
+      : undefined;
+    const rules = member
+      ? await this.queryPermissionRules({ resourceType: 'memory', subjectType: 'user', subjectId: memberId, isActive: true })
+      : [];
+    return {
+      memberId,
+      role: member?.role ?? null,
+      teamHasAdmin: !!admin,
+      rules
+    };
+  }
+
+  private async readRowVersion(change: SyncChange): Promise<SyncChange | null> {
+    const version = await this.getQuery(
+      `SELECT * FROM team.team_row_versions WHERE table_name = ? AND row_key = ?`,
+      [change.table, change.rowKey]
+    );
+    if (!version) {
+      return null;
+    }
+
+    const spec = SYNC_TABLES[change.table];
+    const row = await this.getQuery(
+      `SELECT ${spec.columns.join(', ')} FROM team.${change.table} WHERE ${spec.key.map(column => `${column} = ?`).join(' AND ')}`,
+      spec.key.map(column => change.data[column])
+    );
+    const data = row ? { ...row } : spec.key.reduce((keys, column) => ({ ...keys, [column]: change.data[column] }), {});
+    for (const field of row ? spec.encrypted || [] : []) {
+      data[field] = this.decryptFieldOrThrow(row[field]);
+    }
+
+    return {
+      table: change.table,
+      rowKey: change.rowKey,
+      op: version.op,
+      data,
+      vector: JSON.parse(version.vector),
+      replicaId: version.replica_id,
+      changedAt: version.changed_at
+    };
+  }
+
+  /**
+   * Replicas number their revisions independently, so a pulled revision
+   * may carry a number already used here. A revision keeps the number it
+   * was first stored with; a new one whose number is taken goes last.
+   */
+  private async numberSyncedRevision(data: Record<string, any>): Promise<Record<string, any>> {
+    const stored = await this.getQuery(`SELECT revision FROM team.team_memory_revisions WHERE id = ?`, [data.id]);
+    if (stored) {
+      return { ...data, revision: stored.revision };
+    }
+    const taken = await this.getQuery(
+      `SELECT 1 FROM team.team_memory_revisions WHERE memory_id = ? AND revision = ?`,
+      [data.memory_id, data.revision]
+    );
+    if (!taken) {
+      return data;
+    }
+    const last = await this.getQuery(
+      `SELECT MAX(revision) AS revision FROM team.team_memory_revisions WHERE memory_id = ?`,
+      [data.memory_id]
+    );
+    return { ...data, revision: last.revision + 1 };
+  }
+
+  private async writeSyncedRow(change: SyncChange): Promise<boolean> {
+    const spec = SYNC_TABLES[change.table];
+    const where = spec.key.map(column => `${column} = ?`).join(' AND ');
+    const keyValues = spec.key.map(column => change.data[column]);
+
+    if (change.op === 'delete') {
+      await this.runQuery(`DELETE FROM team.${change.table} WHERE ${where}`, keyValues);
+    } else {
+      const data = change.table === 'team_memory_revisions' ? await this.numberSyncedRevision(change.data) : change.data;
+      const columns = spec.columns.filter(column => column in data);
+      const values = columns.map(column =>
+        (spec.encrypted || []).includes(column) ? this.encryptField(data[column]) : data[column]
+      );
+      const updates = columns
+        .filter(column => !spec.key.includes(column))
+        .map(column => `${column} = excluded.${column}`);
+      try {
+        await this.runQuery(
+          `INSERT INTO team.${change.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+           ON CONFLICT(${spec.key.join(', ')}) DO UPDATE SET ${updates.join(', ')}`,
+          values
+        );
+      } catch (error) {
+        // e.g. a member added on two machines with the same email
+        console.warn(`⚠️ Skipped synced ${change.table} row ${change.rowKey}:`, error);
+        return false;
+      }
+    }
+
+    if (change.table === 'team_memory_votes') {
+      await this.updateMemorySuccessScore(change.data.memory_id);
+    }
+    return true;
+  }
+
+  async recordSyncConflict(kept: SyncChange, discarded: SyncChange): Promise<void> {
+    await this.runQuery(
+      `INSERT INTO team.team_sync_conflicts (id, team_id, table_name, row_key, kept, discarded) VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        this.teamId,
+        kept.table,
+        kept.rowKey,
+        this.encryptField(JSON.stringify(kept)),
+        this.encryptField(JSON.stringify(discarded))
+      ]
+    );
+  }
+
+  /**
+   * Concurrent edits settled during sync, newest first, with the version
+   * that was kept and the one that lost
+   */
+  async getSyncConflicts(limit: number = 50): Promise<SyncConflictRecord[]> {
+    const rows = await this.allQuery(
+      `SELECT * FROM team.team_sync_conflicts WHERE team_id = ? ORDER BY detected_at DESC LIMIT ?`,
+      [this.teamId, limit]
+    );
+    return rows.map(row => ({
+      id: row.id,
+      table: row.table_name,
+      rowKey: row.row_key,
+      kept: JSON.parse(this.decryptFieldOrThrow(row.kept)),
+      discarded: JSON.parse(this.decryptFieldOrThrow(row.discarded)),
+      detectedAt: new Date(row.detected_at)
+    }));
+  }
+
+  /**
+   * Permission Storage - rules, access requests and the audit log behind
+   * MemoryPermissionsEngine. Lists are paged with limit and offset. Rules
+   * and requests sync with the team, so revoking access reaches every
+   * replica; the audit log stays on the machine that wrote it.
+   */
+  async savePermissionRule(rule: PermissionRule): Promise<void> {
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO team.team_permission_rules
+           (id, team_id, resource_type, resource_id, subject_type, subject_id, permissions, conditions, created_by, created_at, expires_at, is_active)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           resource_type = excluded.resource_type, resource_id = excluded.resource_id,
+           subject_type = excluded.subject_type, subject_id = excluded.subject_id,
+           permissions = excluded.permissions, conditions = excluded.conditions,
+           expires_at = excluded.expires_at, is_active = excluded.is_active`,
+        [
+          rule.id,
+          this.teamId,
+          rule.resourceType,
+          rule.resourceId || null,
+          rule.subjectType,
+          rule.subjectId,
+          JSON.stringify(rule.permissions || []),
+          rule.conditions ? JSON.stringify(rule.conditions) : null,
+          rule.createdBy,
+          toSqliteTimestamp(rule.createdAt || new Date()),
+          rule.expiresAt ? toSqliteTimestamp(rule.expiresAt) : null,
+          rule.isActive === false ? 0 : 1
+        ]
+      );
+      await this.recordChange('team_permission_rules', { id: rule.id });
+    });
+  }
+
+  async getPermissionRule(ruleId: string): Promise<PermissionRule | null> {
+    const row = await this.getQuery(
+      `SELECT * FROM team.team_permission_rules WHERE id = ? AND team_id = ?`,
+      [ruleId, this.teamId]
+    );
+    return row ? this.parsePermissionRule(row) : null;
+  }
+
+  async queryPermissionRules(filters: PermissionRuleFilter = {}): Promise<PermissionRule[]> {
+    const where = ['team_id = ?'];
+    const params: any[] = [this.teamId];
+    const columns: [keyof PermissionRuleFilter, string][] = [
+      ['resourceType', 'resource_type'], ['resourceId', 'resource_id'], ['subjectType', 'subject_type'], ['subjectId', 'subject_id']
+    ];
+    for (const [field, column] of columns) {
+      if (filters[field] !== undefined) {
+        where.push(`${column} = ?`);
+        params.push(filters[field]);
+      }
+    }
+    if (filters.isActive !== undefined) {
+      where.push(`is_active = ?`);
+      params.push(filters.isActive ? 1 : 0);
+    }
+
+    const rows = await this.allQuery(
+      `SELECT * FROM team.team_permission_rules WHERE ${where.join(' AND ')}
+       ORDER BY created_at, rowid LIMIT ? OFFSET ?`,
+      [...params, filters.limit ?? -1, filters.offset || 0]
+    );
+    return rows.map(row => this.parsePermissionRule(row));
+  }
+
+  /**
+   * Active, unexpired rules for a user on a resource, oldest first. Rules
+   * without a resource id cover every resource of their type.
+   */
+  async findApplicablePermissionRules(userId: string, resourceType: ResourceType, resourceId?: string): Promise<PermissionRule[]> {
+    const rows = await this.allQuery(
+      `SELECT * FROM team.team_permission_rules
+       WHERE team_id = ? AND subject_type = 'user' AND subject_id = ? AND resource_type = ? AND is_active = 1
+       AND (resource_id IS NULL OR resource_id = ?) AND (expires_at IS NULL OR expires_at > ?)
+       ORDER BY created_at, rowid`,
+      [this.teamId, userId, resourceType, resourceId || null, toSqliteTimestamp(new Date())]
+    );
+    return rows.map(row => this.parsePermissionRule(row));
+  }
+
+  private parsePermissionRule(row: any): PermissionRule {
+    return {
+      id: row.id,
+      resourceType: row.resource_type,
+      resourceId: row.resource_id || undefined,
+      subjectType: row.subject_type,
+      subjectId: row.subject_id,
+      permissions: JSON.parse(row.permissions),
+      conditions: row.conditions ? JSON.parse(row.conditions) : undefined,
+      createdBy: row.created_by,
+      createdAt: fromSqliteTimestamp(row.created_at)!,
+      expiresAt: fromSqliteTimestamp(row.expires_at),
+      isActive: row.is_active === 1
+    };
+  }
+
+  async saveAccessRequest(request: AccessRequest): Promise<void> {
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO team.team_access_requests
+           (id, team_id, requester_id, resource_type, resource_id, requested_permissions, reason, status,
+            created_at, expires_at, approved_at, approved_by, deny_reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET
+           status = excluded.status, expires_at = excluded.expires_at, approved_at = excluded.approved_at,
+           approved_by = excluded.approved_by, deny_reason = excluded.deny_reason`,
+        [
+          request.id,
+          this.teamId,
+          request.requesterId,
+          request.resourceType,
+          request.resourceId || null,
+          JSON.stringify(request.requestedPermissions || []),
+          request.reason ? this.redactText(request.reason).text : null,
+          request.status,
+          toSqliteTimestamp(request.createdAt || new Date()),
+          request.expiresAt ? toSqliteTimestamp(request.expiresAt) : null,
+          request.approvedAt ? toSqliteTimestamp(request.approvedAt) : null,
+          request.approvedBy || null,
+          request.denyReason ? this.redactText(request.denyReason).text : null
+        ]
+      );
+      await this.recordChange('team_access_requests', { id: request.id });
+    });
+  }
+
+  async getAccessRequest(requestId: string): Promise<AccessRequest | null> {
+    const row = await this.getQuery(
+      `SELECT * FROM team.team_access_requests WHERE id = ? AND team_id = ?`,
+      [requestId, this.teamId]
+    );
+    return row ? this.parseAccessRequest(row) : null;
+  }
+
+  /**
+   * Access requests, newest first
+   */
+  async queryAccessRequests(filters: AccessRequestFilter = {}): Promise<AccessRequest[]> {
+    const where = ['team_id = ?'];
+    const params: any[] = [this.teamId];
+    const columns: [keyof AccessRequestFilter, string][] = [
+      ['requesterId', 'requester_id'], ['status', 'status'], ['resourceType', 'resource_type'], ['resourceId', 'resource_id']
+    ];
+    for (const [field, column] of columns) {
+      if (filters[field] !== undefined) {
+        where.push(`${column} = ?`);
+        params.push(filters[field]);
+      }
+    }
+
+    const rows = await this.allQuery(
+      `SELECT * FROM team.team_access_requests WHERE ${where.join(' AND ')}
+       ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit ?? -1, filters.offset || 0]
+    );
+    return rows.map(row => this.parseAccessRequest(row));
+  }
+
+  private parseAccessRequest(row: any): AccessRequest {
+    return {
+      id: row.id,
+      requesterId: row.requester_id,
+      resourceType: row.resource_type,
+      resourceId: row.resource_id || undefined,
+      requestedPermissions: JSON.parse(row.requested_permissions),
+      reason: row.reason || undefined,
+      status: row.status,
+      createdAt: fromSqliteTimestamp(row.created_at)!,
+      expiresAt: fromSqliteTimestamp(row.expires_at),
+      approvedAt: fromSqliteTimestamp(row.approved_at),
+      approvedBy: row.approved_by || undefined,
+      denyReason: row.deny_reason || undefined
+    };
+  }
+
+  async appendAuditLog(log: AuditLog): Promise<void> {
+    await this.runQuery(
+      `INSERT INTO team.team_audit_log
+         (id, team_id, user_id, user_name, action, resource_type, resource_id, resource_name, timestamp, success, error_message, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        log.id,
+        this.teamId,
+        log.userId,
+        log.userName,
+        log.action,
+        log.resourceType,
+        log.resourceId || null,
+        log.resourceName || null,
+        toSqliteTimestamp(log.timestamp || new Date()),
+        log.success ? 1 : 0,
+        log.errorMessage || null,
+        log.metadata ? JSON.stringify(log.metadata) : null
+      ]
+    );
+  }
+
+  /**
+   * Audit entries, newest first. Without a limit every match is returned.
+   */
+  async queryAuditLogs(filters: AuditLogFilter = {}): Promise<AuditLog[]> {
+    const { where, params } = this.auditLogFilter(filters);
+    const rows = await this.allQuery(
+      `SELECT * FROM team.team_audit_log WHERE ${where}
+       ORDER BY timestamp DESC, rowid DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit ?? -1, filters.offset || 0]
+    );
+    return rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      userName: row.user_name || 'Unknown',
+      action: row.action,
+      resourceType: row.resource_type,
+      resourceId: row.resource_id || '',
+      resourceName: row.resource_name || row.resource_id || '',
+      timestamp: fromSqliteTimestamp(row.timestamp)!,
+      success: row.success === 1,
+      errorMessage: row.error_message || undefined,
+      metadata: row.metadata ? JSON.parse(row.metadata) : undefined
+    }));
+  }
+
+  async countAuditLogs(filters: AuditLogFilter = {}): Promise<number> {
+    const { where, params } = this.auditLogFilter(filters);
+    const row = await this.getQuery(`SELECT COUNT(*) AS count FROM team.team_audit_log WHERE ${where}`, params);
+    return row.count;
+  }
+
+  /**
+   * Totals for compliance reporting, computed in SQL rather than by
+   * loading every entry
+   */
+  async summarizeAuditLogs(filters: AuditLogFilter = {}): Promise<AuditSummary> {
+    const { where, params } = this.auditLogFilter(filters);
+    const totals = await this.getQuery(
+      `SELECT COUNT(*) AS total_actions,
+         COUNT(DISTINCT user_id) AS unique_users,
+         SUM(instr(action, 'permission') > 0) AS permission_changes,
+         SUM(instr(action, 'access_request') > 0) AS access_requests,
+         SUM(success = 0) AS security_events
+       FROM team.team_audit_log WHERE ${where}`,
+      params
+    );
+    const topActions = await this.allQuery(
+      `SELECT action, COUNT(*) AS count FROM team.team_audit_log WHERE ${where}
+       GROUP BY action ORDER BY count DESC, action LIMIT 10`,
+      params
+    );
+
+    return {
+      totalActions: totals.total_actions,
+      uniqueUsers: totals.unique_users,
+      permissionChanges: totals.permission_changes || 0,
+      accessRequests: totals.access_requests || 0,
+      securityEvents: totals.security_events || 0,
+      topActions: topActions.map(row => ({ action: row.action, count: row.count }))
+    };
+  }
+
+  private auditLogFilter(filters: AuditLogFilter): { where: string; params: any[] } {
+    const where = ['team_id = ?'];
+    const params: any[] = [this.teamId];
+    const columns: [keyof AuditLogFilter, string][] = [
+      ['userId', 'user_id'], ['action', 'action'], ['resourceType', 'resource_type'], ['resourceId', 'resource_id']
+    ];
+    for (const [field, column] of columns) {
+      if (filters[field] !== undefined) {
+        where.push(`${column} = ?`);
+        params.push(filters[field]);
+      }
+    }
+    if (filters.success !== undefined) {
+      where.push(`success = ?`);
+      params.push(filters.success ? 1 : 0);
+    }
+    if (filters.startDate) {
+      where.push(`timestamp >= ?`);
+      params.push(toSqliteTimestamp(filters.startDate));
+    }
+    if (filters.endDate) {
+      where.push(`timestamp <= ?`);
+      params.push(toSqliteTimestamp(filters.endDate));
+    }
+    if (filters.risky) {
+      where.push(`(success = 0 OR instr(action, 'delete') > 0 OR instr(action, 'admin') > 0)`);
+    }
+    return { where: where.join(' AND '), params };
+  }
+
+  /**
+   * Team Analytics
+   */
+  async getTeamAnalytics(): Promise<TeamAnalytics> {
+    const totalMemories = await this.getQuery(
+      `SELECT COUNT(*) as count FROM team.team_memories WHERE team_id = ? AND archived_at IS NULL`,
+      [this.teamId]
+    );
+    const activeMemories = await this.getQuery(
+      `SELECT COUNT(*) as count FROM team.team_memories
+       WHERE team_id = ? AND archived_at IS NULL AND updated_at > datetime('now', '-30 days')`,
+      [this.teamId]
+    );
+
+    const contributors = await this.allQuery(
+      `SELECT
+        tm.id, tm.name, tm.email,
+        COUNT(DISTINCT mem.id) as memories_created,
+        COUNT(DISTINCT usage.id) as memories_used,
+        AVG(mem.success_score) as avg_success_score,
+        MAX(mem.created_at) as last_contribution
+       FROM team.team_members tm
+       LEFT JOIN team.team_memories mem ON tm.id = mem.created_by
+       LEFT JOIN team.team_memory_usage usage ON tm.id = usage.used_by
+       WHERE tm.team_id = ?
+       GROUP BY tm.id
+       ORDER BY memories_created DESC`,
+      [this.teamId]
+    );
+
+    const topContributors = contributors.map(c => ({
+      memberId: c.id,
+      name: c.name,
+      memoriesCreated: c.memories_created || 0,
+      memoriesUsed: c.memories_used || 0,
+      successScore: c.avg_success_score || 0,
+      lastContribution: c.last_contribution ? new Date(c.last_contribution) : new Date(0)
+    }));
+
+    // Calculate growth rate (memories created in last 30 days vs previous 30 days)
+    const recentMemories = await this.getQuery(
+      `SELECT COUNT(*) as count FROM team.team_memories
+       WHERE team_id = ? AND created_at > datetime('now', '-30 days')`,
+      [this.teamId]
+    );
+    const previousMemories = await this.getQuery(
+      `SELECT COUNT(*) as count FROM team.team_memories
+       WHERE team_id = ? AND created_at BETWEEN datetime('now', '-60 days') AND datetime('now', '-30 days')`,
+      [this.teamId]
+    );
+    const memoryGrowthRate = previousMemories.count > 0 ?
+      ((recentMemories.count - previousMemories.count) / previousMemories.count) * 100 : 0;
+
+    return {
+      totalMemories: totalMemories.count,
+      activeMemories: activeMemories.count,
+      topContributors,
+      memoryGrowthRate,
+      teamProductivityScore: this.calculateProductivityScore(totalMemories.count, activeMemories.count),
+      knowledgeHealthScore: this.calculateKnowledgeHealthScore(topContributors),
+      collaborationIndex: this.calculateCollaborationIndex(topContributors),
+      memoryUtilizationRate: this.calculateUtilizationRate(totalMemories.count, contributors.length)
+    };
+  }
+
+  private calculateProductivityScore(total: number, active: number): number {
+    if (total === 0) return 0;
+
+    const activityRate = active / total;
+    const volumeScore = Math.min(total / 100, 1); // Normalize to 100 memories
+    return (activityRate * 0.6 + volumeScore * 0.4) * 100;
+  }
+
+  private calculateKnowledgeHealthScore(contributors: ContributorStats[]): number {
+    if (contributors.length === 0) return 0;
+
+    const avgSuccessScore = contributors.reduce((sum, c) => sum + c.successScore, 0) / contributors.length;
+    const distributionScore = contributors.length > 1 ?
+      1 - (Math.max(...contributors.map(c => c.memoriesCreated)) / contributors.reduce((sum, c) => sum + c.memoriesCreated, 0)) : 0;
+    return (avgSuccessScore * 0.7 + distributionScore * 0.3) * 100;
+  }
+
+  private calculateCollaborationIndex(contributors: ContributorStats[]): number {
+    if (contributors.length === 0) return 0;
+
+    const totalMemories = contributors.reduce((sum, c) => sum + c.memoriesCreated, 0);
+    const totalUsage = contributors.reduce((sum, c) => sum + c.memoriesUsed, 0);
+    if (totalMemories === 0) return 0;
+
+    const crossUtilization = totalUsage / totalMemories;
+    const memberDistribution = contributors.filter(c => c.memoriesCreated > 0).length / contributors.length;
+    return (crossUtilization * 0.6 + memberDistribution * 0.4) * 100;
+  }
+
+  private calculateUtilizationRate(totalMemories: number, teamSize: number): number {
+    if (teamSize === 0) return 0;
+
+    const memoriesPerMember = totalMemories / teamSize;
+    return Math.min(memoriesPerMember / 10, 1) * 100; // Normalize to 10 memories per member
+  }
+}
+
+export default TeamMemoryEngine;
@@ -0,0 +1,476 @@
+/**
+ * Team Sync - share team memory between developers through a sync server
+ * Rows carry version vectors; concurrent edits are resolved the same way on
+ * every replica and on the server, so all copies converge.
+ */
+
+import { PermissionAction, PermissionRule, decidePermission } from './memoryPermissions';
+import { TeamMemoryEngine, TeamRole } from './teamMemoryEngine';
+
+export type SyncOp = 'upsert' | 'delete';
+
+// Edit counter per replica that has changed a row
+export type VersionVector = Record<string, number>;
+
+export type VectorOrder = 'equal' | 'before' | 'after' | 'concurrent';
+
+export interface SyncChange {
+  table: string;
+  /** Key columns of the row joined with ':' */
+  rowKey: string;
+  op: SyncOp;
+  /** The synced columns for an upsert, only the key columns for a delete */
+  data: Record<string, any>;
+  vector: VersionVector;
+  replicaId: string;
+  changedAt: string;
+  /** Member who pushed the change, stamped by the server from their token */
+  authorId?: string;
+}
+
+export interface PendingChange extends SyncChange {
+  seq: number;
+}
+
+export interface SyncTableSpec {
+  key: string[];
+  columns: string[];
+  /** Columns encrypted at rest, sent decrypted */
+  encrypted?: string[];
+}
+
+export interface MergeResult {
+  outcome: 'apply' | 'stale' | 'merge';
+  change: SyncChange;
+  discarded?: SyncChange;
+}
+
+export interface SyncConflict {
+  kept: SyncChange;
+  discarded: SyncChange;
+}
+
+export interface RejectedChange {
+  table: string;
+  rowKey: string;
+  reason: string;
+}
+
+export interface PushResponse {
+  accepted: number;
+  stale: number;
+  conflicts: SyncConflict[];
+  /** Changes the pusher wasn't allowed to make; they are dropped */
+  rejected: RejectedChange[];
+  cursor: number;
+}
+
+export interface PullResponse {
+  changes: SyncChange[];
+  cursor: number;
+  hasMore: boolean;
+}
+
+export interface TeamSyncOptions {
+  serverUrl: string;
+  /** Issued by the server operator for one member of one team */
+  token?: string;
+  batchSize?: number;
+  timeoutMs?: number;
+}
+
+export interface SyncResult {
+  pushed: number;
+  pulled: number;
+  conflicts: number;
+  rejected: number;
+}
+
+/**
+ * Who is making a synced change, as known to the side checking it
+ */
+export interface SyncActor {
+  memberId?: string;
+  /** The actor's current role, null when they aren't a member */
+  role: TeamRole | null;
+  /** Until a team has an admin, whoever sets it up may add members */
+  teamHasAdmin: boolean;
+  /** The actor's own rules on memories, e.g. shares; none when unset */
+  rules?: PermissionRule[];
+}
+
+/**
+ * Synced tables, their row identity and the columns that travel. Derived
+ * columns (usage counts, success scores) are recomputed by each replica.
+ * Votes are keyed by memory and member so the same person voting from two
+ * machines is one row. The permission audit log is local to each machine.
+ */
+export const SYNC_TABLES: Record<string, SyncTableSpec> = {
+  team_members: {
+    key: ['id'],
+    columns: ['id', 'team_id', 'email', 'name', 'role', 'joined_at', 'permissions']
+  },
+  team_memories: {
+    key: ['id'],
+    columns: [
+      'id', 'team_id', 'type', 'title', 'content', 'context', 'created_by', 'created_at', 'updated_at',
+      'tags', 'visibility', 'project_id', 'metadata', 'archived_at'
+    ],
+    encrypted: ['title', 'content', 'context']
+  },
+  team_memory_revisions: {
+    key: ['id'],
+    columns: [
+      'id', 'memory_id', 'revision', 'type', 'title', 'content', 'context', 'tags', 'visibility', 'metadata',
+      'archived_at', 'change', 'rolled_back_to', 'edited_by', 'edited_at'
+    ],
+    encrypted: ['title', 'content', 'context']
+  },
+  team_memory_votes: {
+    key: ['memory_id', 'member_id'],
+    columns: ['id', 'memory_id', 'member_id', 'vote', 'timestamp']
+  },
+  team_memory_comments: {
+    key: ['id'],
+    columns: ['id', 'memory_id', 'member_id', 'content', 'timestamp', 'parent_comment_id'],
+    encrypted: ['content']
+  },
+  team_permission_rules: {
+    key: ['id'],
+    columns: [
+      'id', 'team_id', 'resource_type', 'resource_id', 'subject_type', 'subject_id', 'permissions', 'conditions',
+      'created_by', 'created_at', 'expires_at', 'is_active'
+    ]
+  },
+  team_access_requests: {
+    key: ['id'],
+    columns: [
+      'id', 'team_id', 'requester_id', 'resource_type', 'resource_id', 'requested_permissions', 'reason', 'status',
+      'created_at', 'expires_at', 'approved_at', 'approved_by', 'deny_reason'
+    ]
+  }
+};
+
+// Tables whose rows carry a memory's visibility
+const VISIBILITY_TABLES = ['team_memories', 'team_memory_revisions'];
+// Memories and the rows that hang off them, checked like local edits
+const MEMORY_TABLES = ['team_memories', 'team_memory_revisions', 'team_memory_votes', 'team_memory_comments'];
+
+export class TeamSyncError extends Error {
+  constructor(message: string, public readonly status?: number) {
+    super(message);
+    this.name = 'TeamSyncError';
+  }
+}
+
+/**
+ * Order two version vectors: 'equal', 'before' (a happened before b),
+ * 'after', or 'concurrent' when each has edits the other hasn't seen.
+ */
+export function compareVectors(a: VersionVector, b: VersionVector): VectorOrder {
+  let less = false;
+  let greater = false;
+  for (const replica of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const left = a[replica] || 0;
+    const right = b[replica] || 0;
+    if (left < right) less = true;
+    if (left > right) greater = true;
+  }
+
+  if (less && greater) return 'concurrent';
+  if (less) return 'before';
+  if (greater) return 'after';
+  return 'equal';
+}
+
+export function mergeVectors(a: VersionVector, b: VersionVector): VersionVector {
+  const merged = { ...a };
+  for (const [replica, counter] of Object.entries(b)) {
+    merged[replica] = Math.max(merged[replica] || 0, counter);
+  }
+  return merged;
+}
+
+/**
+ * Pick the surviving version of a row edited concurrently. Edits beat
+ * deletes, then the later edit wins, with the replica id as tie-break so
+ * every side picks the same one. Memories keep the tags of both versions.
+ * The kept change's vector covers both, so it supersedes either anywhere.
+ */
+export function resolveConcurrent(table: string, a: SyncChange, b: SyncChange): { kept: SyncChange; discarded: SyncChange } {
+  const aWins = a.op !== b.op
+    ? a.op === 'upsert'
+    : a.changedAt !== b.changedAt ? a.changedAt > b.changedAt : a.replicaId > b.replicaId;
+  const [winner, loser] = aWins ? [a, b] : [b, a];
+
+  let data = winner.data;
+  if (table === 'team_memories' && winner.op === 'upsert' && loser.op === 'upsert') {
+    const tags = new Set<string>([...JSON.parse(winner.data.tags || '[]'), ...JSON.parse(loser.data.tags || '[]')]);
+    data = { ...winner.data, tags: JSON.stringify([...tags].sort()) };
+  }
+  // A revocation survives a concurrent edit of the same rule
+  if (table === 'team_permission_rules' && winner.op === 'upsert' && loser.op === 'upsert' && loser.data.is_active === 0) {
+    data = { ...data, is_active: 0 };
+  }
+
+  return { kept: { ...winner, data, vector: mergeVectors(a.vector, b.vector) }, discarded: loser };
+}
+
+/**
+ * Decide what an incoming change does to the current version of its row:
+ * 'apply' it, ignore it as 'stale', or 'merge' it with a concurrent edit.
+ */
+export function mergeChange(current: SyncChange | null, incoming: SyncChange): MergeResult {
+  if (!current) {
+    return { outcome: 'apply', change: incoming };
+  }
+
+  switch (compareVectors(incoming.vector, current.vector)) {
+    case 'after':
+      return { outcome: 'apply', change: incoming };
+    case 'concurrent': {
+      // Replicas that wrote the same thing, e.g. backfilled rows, just combine histories
+      if (incoming.op === current.op && JSON.stringify(incoming.data) === JSON.stringify(current.data)) {
+        return { outcome: 'apply', change: { ...incoming, vector: mergeVectors(incoming.vector, current.vector) } };
+      }
+      const { kept, discarded } = resolveConcurrent(incoming.table, current, incoming);
+      return { outcome: 'merge', change: kept, discarded };
+    }
+    default:
+      return { outcome: 'stale', change: current };
+  }
+}
+
+/**
+ * Private memories and their revisions stay on the author's machine
+ */
+export function isPrivateChange(change: SyncChange): boolean {
+  return change.op === 'upsert' && VISIBILITY_TABLES.includes(change.table) && change.data.visibility === 'private';
+}
+
+/**
+ * Why an actor may not make a change, or null when they may. Only admins
+ * add or remove members or change roles and permissions; other members may
+ * edit their own name and email, share memories with others and file their
+ * own access requests. Nobody approves their own request. Memories, their
+ * revisions, votes and comments need the permission MemoryPermissionsEngine
+ * would require for the same edit. Both the server and pulling clients
+ * check this, so a tampered client can't promote itself.
+ */
+export function checkSyncChange(change: SyncChange, current: SyncChange | null, actor: SyncActor): string | null {
+  if (isPrivateChange(change)) {
+    return 'Private memories are not synced';
+  }
+  if (change.table === 'team_access_requests' && change.op === 'upsert'
+    && change.data.status !== 'pending' && change.data.requester_id === actor.memberId) {
+    return 'Members cannot decide their own access requests';
+  }
+  if (!actor.teamHasAdmin) {
+    return null;
+  }
+  if (MEMORY_TABLES.includes(change.table)) {
+    return checkMemoryChange(change, current, actor);
+  }
+  if (actor.role === 'admin') {
+    return null;
+  }
+
+  switch (change.table) {
+    case 'team_members':
+      return checkMemberChange(change, current, actor);
+    case 'team_permission_rules':
+      return checkRuleChange(change, current, actor);
+    case 'team_access_requests':
+      return checkAccessRequestChange(change, current, actor);
+    default:
+      return null;
+  }
+}
+
+function checkMemoryChange(change: SyncChange, current: SyncChange | null, actor: SyncActor): string | null {
+  if (!actor.role) {
+    return 'Not a member of this team';
+  }
+  const stored = current?.op === 'upsert' ? current.data : null;
+  const memoryId: string | undefined = change.table === 'team_memories'
+    ? change.rowKey
+    : change.data.memory_id ?? stored?.memory_id;
+
+  let action: PermissionAction = change.op === 'upsert' ? 'write' : 'delete';
+  if (change.table === 'team_memory_votes') {
+    if (change.data.member_id !== actor.memberId) {
+      return 'Members can only cast their own votes';
+    }
+    action = 'vote';
+  } else if (change.table === 'team_memory_comments') {
+    if (change.op === 'upsert' && change.data.member_id !== (stored?.member_id ?? actor.memberId)) {
+      return 'Members can only comment as themselves';
+    }
+    // Editing or removing someone else's comment is moderation
+    action = (stored?.member_id ?? actor.memberId) === actor.memberId ? 'comment' : 'moderate';
+  }
+
+  const now = new Date();
+  const rules = (actor.rules || []).filter(rule => isApplicableRule(rule, memoryId, now));
+  if (!decidePermission(actor.role, action, rules)) {
+    return `Not allowed to ${action} this memory`;
+  }
+  return null;
+}
+
+// The sync side can check time windows; rules with other conditions are
+// treated as unmet, like conditions MemoryPermissionsEngine finds unmet
+function isApplicableRule(rule: PermissionRule, memoryId: string | undefined, now: Date): boolean {
+  if (!rule.isActive || rule.resourceType !== 'memory' || (rule.expiresAt && rule.expiresAt <= now)) {
+    return false;
+  }
+  if (rule.resourceId && rule.resourceId !== memoryId) {
+    return false;
+  }
+  return (rule.conditions || []).every(condition =>
+    condition.type === 'time_window' && now >= new Date(condition.value.start) && now <= new Date(condition.value.end)
+  );
+}
+
+function checkMemberChange(change: SyncChange, current: SyncChange | null, actor: SyncActor): string | null {
+  if (!actor.memberId || change.rowKey !== actor.memberId) {
+    return 'Only admins can change other members';
+  }
+  if (change.op !== 'upsert' || !current || current.op !== 'upsert') {
+    return 'Only admins can add or remove members';
+  }
+  const permissionsChanged =
+    JSON.stringify(change.data.permissions ?? null) !== JSON.stringify(current.data.permissions ?? null);
+  if (change.data.role !== current.data.role || permissionsChanged) {
+    return 'Only admins can change roles or permissions';
+  }
+  return null;
+}
+
+// Other members' rules are memory shares they made, for someone else
+function checkRuleChange(change: SyncChange, current: SyncChange | null, actor: SyncActor): string | null {
+  if (current && current.op === 'upsert' && current.data.created_by !== actor.memberId) {
+    return 'Only admins can change rules made by someone else';
+  }
+  if (change.op !== 'upsert') {
+    return current ? null : 'Only admins can delete rules';
+  }
+  const isShare = change.data.resource_type === 'memory' && change.data.subject_type === 'user';
+  if (change.data.created_by !== actor.memberId || !isShare) {
+    return 'Only admins can grant access beyond sharing a memory';
+  }
+  if (change.data.subject_id === actor.memberId) {
+    return 'Members cannot grant themselves access';
+  }
+  return null;
+}
+
+function checkAccessRequestChange(change: SyncChange, current: SyncChange | null, actor: SyncActor): string | null {
+  const requester = current?.op === 'upsert' ? current.data.requester_id : change.data.requester_id;
+  if (requester !== actor.memberId || (change.op === 'upsert' && change.data.requester_id !== actor.memberId)) {
+    return 'Only admins can change access requests of other members';
+  }
+  if (change.op === 'upsert' && change.data.status !== 'pending') {
+    return 'Only admins can approve or deny access requests';
+  }
+  return null;
+}
+
+/**
+ * Push/pull client for a TeamMemoryEngine against a sync server, e.g. one
+ * started with TeamSyncServer on localhost.
+ */
+export class TeamSyncClient {
+  private serverUrl: string;
+  private token?: string;
+  private batchSize: number;
+  private timeoutMs: number;
+
+  constructor(private teamMemoryEngine: TeamMemoryEngine, options: TeamSyncOptions) {
+    this.serverUrl = options.serverUrl.replace(/\/+$/, '');
+    this.token = options.token;
+    this.batchSize = options.batchSize || 200;
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  /**
+   * Push local changes, then pull everything the server has since the last
+   * pull, which includes the server's resolution of any conflicts.
+   */
+  async sync(): Promise<SyncResult> {
+    const pushed = await this.push();
+    const pulled = await this.pull();
+    return {
+      pushed: pushed.changes,
+      pulled: pulled.applied,
+      conflicts: pushed.conflicts + pulled.conflicts,
+      rejected: pushed.rejected + pulled.rejected
+    };
+  }
+
+  async push(): Promise<{ changes: number; conflicts: number; rejected: number }> {
+    const pushed = { changes: 0, conflicts: 0, rejected: 0 };
+    for (;;) {
+      const changes = await this.teamMemoryEngine.getPendingChanges(this.batchSize);
+      if (changes.length === 0) {
+        return pushed;
+      }
+
+      const response: PushResponse = await this.request('POST', `/changes`, {
+        replicaId: await this.teamMemoryEngine.getReplicaId(),
+        changes: changes.map(({ seq, ...change }) => change)
+      });
+
+      // The server settled these against edits pushed by someone else
+      for (const conflict of response.conflicts || []) {
+        await this.teamMemoryEngine.recordSyncConflict(conflict.kept, conflict.discarded);
+      }
+
+      // Retrying won't help; the server dropped them for good
+      for (const rejected of response.rejected || []) {
+        console.warn(`⚠️ Sync server rejected ${rejected.table} ${rejected.rowKey}: ${rejected.reason}`);
+      }
+
+      await this.teamMemoryEngine.markChangesPushed(Math.max(...changes.map(change => change.seq)));
+      pushed.changes += changes.length;
+      pushed.conflicts += (response.conflicts || []).length;
+      pushed.rejected += (response.rejected || []).length;
+    }
+  }
+
+  async pull(): Promise<{ applied: number; conflicts: number; rejected: number }> {
+    const result = { applied: 0, conflicts: 0, rejected: 0 };
+    for (;;) {
+      const cursor = await this.teamMemoryEngine.getSyncCursor();
+      const page: PullResponse = await this.request('GET', `/changes?since=${cursor}&limit=${this.batchSize}`);
+      const applied = await this.teamMemoryEngine.applyRemoteChanges(page.changes, page.cursor);
+      result.applied += applied.applied;
+      result.conflicts += applied.conflicts;
+      result.rejected += applied.rejected;
+      if (!page.hasMore) {
+        return result;
+      }
+    }
+  }
+
+  private async request(method: string, route: string, body?: unknown): Promise<any> {
+    const url = `${this.serverUrl}/teams/${encodeURIComponent(this.teamMemoryEngine.teamId)}${route}`;
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const payload: any = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new TeamSyncError(`Sync server returned ${response.status}: ${payload.error || response.statusText}`, response.status);
+    }
+    return payload;
+  }
+}
+
+export default TeamSyncClient;
@@ -0,0 +1,406 @@
+/**
+ * Team Sync Server - self-hostable reference server for team memory sync
+ * Keeps the latest version of every synced row per team and hands out
+ * changes by sequence number. Run on localhost for testing:
+ *   node out/services/teamSyncServer.js --port 7420 --db ./team-sync.db --tokens ./tokens.json
+ * Every bearer token belongs to one member of one team, e.g.
+ *   { "<token>": { "teamId": "team-1", "memberId": "<member id>" } }
+ * The tokens can also come from CODECONTEXT_SYNC_TOKENS as JSON.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as sqlite3 from 'sqlite3';
+import { AddressInfo } from 'net';
+import { PermissionRule } from './memoryPermissions';
+import { TeamRole } from './teamMemoryEngine';
+import { PullResponse, PushResponse, SYNC_TABLES, SyncActor, SyncChange, checkSyncChange, mergeChange } from './teamSync';
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_PAGE_SIZE = 1000;
+
+export interface SyncGrant {
+  teamId: string;
+  memberId: string;
+}
+
+export interface TeamSyncServerOptions {
+  /** Defaults to an in-memory store */
+  dbPath?: string;
+  /** 0 picks a free port */
+  port?: number;
+  host?: string;
+  /** Bearer token to the team and member it acts for; without any, every request is refused */
+  tokens?: Record<string, SyncGrant>;
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export class TeamSyncServer {
+  private db: sqlite3.Database | null = null;
+  private server: http.Server | null = null;
+  // Pushes are applied one at a time so sequence numbers never interleave
+  private writeQueue: Promise<void> = Promise.resolve();
+  private dbPath: string;
+  private port: number;
+  private host: string;
+  // Keyed by token hash, so lookups don't compare secrets character by character
+  private grants = new Map<string, SyncGrant>();
+
+  constructor(options: TeamSyncServerOptions = {}) {
+    this.dbPath = options.dbPath || ':memory:';
+    this.port = options.port ?? 7420;
+    this.host = options.host || '127.0.0.1';
+    for (const [token, grant] of Object.entries(options.tokens || {})) {
+      this.grants.set(hashToken(token), grant);
+    }
+  }
+
+  /**
+   * Open the store and start listening. Resolves with the bound port, so
+   * port 0 picks a free one.
+   */
+  async start(): Promise<number> {
+    this.db = await new Promise<sqlite3.Database>((resolve, reject) => {
+      const db: sqlite3.Database = new sqlite3.Database(this.dbPath, err => err ? reject(err) : resolve(db));
+    });
+
+    await this.run(`CREATE TABLE IF NOT EXISTS sync_rows (
+        team_id TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        row_key TEXT NOT NULL,
+        op TEXT NOT NULL,
+        data TEXT,
+        vector TEXT NOT NULL,
+        replica_id TEXT NOT NULL,
+        changed_at TEXT NOT NULL,
+        seq INTEGER NOT NULL,
+        author_id TEXT,
+        PRIMARY KEY (team_id, table_name, row_key)
+      )`);
+    if (!(await this.all(`PRAGMA table_info(sync_rows)`)).some(column => column.name === 'author_id')) {
+      await this.run(`ALTER TABLE sync_rows ADD COLUMN author_id TEXT`);
+    }
+    await this.run(`CREATE INDEX IF NOT EXISTS idx_sync_rows_seq ON sync_rows (team_id, seq)`);
+
+    const server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('Sync server error:', error);
+        this.send(res, 500, { error: 'Internal server error' });
+      });
+    });
+    this.server = server;
+
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, () => resolve());
+    });
+
+    this.port = (server.address() as AddressInfo).port;
+    console.log(`🔄 Team sync server listening on http://${this.host}:${this.port}`);
+    return this.port;
+  }
+
+  async stop(): Promise<void> {
+    const server = this.server;
+    if (server) {
+      await new Promise<void>(resolve => server.close(() => resolve()));
+      this.server = null;
+    }
+
+    const db = this.db;
+    if (db) {
+      await new Promise<void>(resolve => db.close(() => resolve()));
+      this.db = null;
+    }
+  }
+
+  private async handle(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (req.method === 'GET' && url.pathname === '/health') {
+      this.send(res, 200, { ok: true });
+      return;
+    }
+
+    const authorization = req.headers.authorization || '';
+    const grant = authorization.startsWith('Bearer ') ? this.grants.get(hashToken(authorization.slice('Bearer '.length))) : undefined;
+    if (!grant) {
+      this.send(res, 401, { error: 'Missing or invalid token' });
+      return;
+    }
+
+    const match = /^\/teams\/([^/]+)\/changes$/.exec(url.pathname);
+    if (!match) {
+      this.send(res, 404, { error: 'Not found' });
+      return;
+    }
+    const teamId = decodeURIComponent(match[1]);
+    if (teamId !== grant.teamId) {
+      this.send(res, 403, { error: 'Token is not valid for this team' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const since = Math.max(0, parseInt(url.searchParams.get('since') || '0', 10) || 0);
+      const limit = Math.min(MAX_PAGE_SIZE, parseInt(url.searchParams.get('limit') || '200', 10) || 200);
+      this.send(res, 200, await this.pullChanges(teamId, since, limit));
+    } else if (req.method === 'POST') {
+      let body: any;
+      try {
+        body = JSON.parse(await this.readBody(req));
+      } catch (error) {
+        this.send(res, error instanceof RangeError ? 413 : 400, { error: error instanceof RangeError ? error.message : 'Invalid JSON' });
+        return;
+      }
+
+      const invalid = this.validateChanges(body?.changes);
+      if (invalid) {
+        this.send(res, 400, { error: invalid });
+        return;
+      }
+      this.send(res, 200, await this.pushChanges(teamId, grant.memberId, body.changes));
+    } else {
+      this.send(res, 405, { error: 'Method not allowed' });
+    }
+  }
+
+  /**
+   * Merge changes pushed by a member into the team's rows. Changes the
+   * member may not make are rejected, ones that supersede the stored
+   * version replace it, stale ones are dropped and concurrent ones are
+   * resolved; every stored version gets the next sequence number.
+   */
+  async pushChanges(teamId: string, memberId: string, changes: SyncChange[]): Promise<PushResponse> {
+    const task = this.writeQueue.then(async () => {
+      const result: PushResponse = { accepted: 0, stale: 0, conflicts: [], rejected: [], cursor: 0 };
+      let seq: number = (await this.get(`SELECT COALESCE(MAX(seq), 0) AS seq FROM sync_rows`)).seq;
+
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        for (const pushed of changes) {
+          const change: SyncChange = { ...pushed, authorId: memberId };
+          const row = await this.get(
+            `SELECT * FROM sync_rows WHERE team_id = ? AND table_name = ? AND row_key = ?`,
+            [teamId, change.table, change.rowKey]
+          );
+          const current = row ? this.parseRow(row) : null;
+          const actor = await this.getActor(teamId, memberId);
+          // Removing a member revokes their token's use once the team is set up
+          const reason = actor.teamHasAdmin && !actor.role ? 'Not a member of this team' : checkSyncChange(change, current, actor);
+          if (reason) {
+            result.rejected.push({ table: change.table, rowKey: change.rowKey, reason });
+            continue;
+          }
+
+          const { outcome, change: stored, discarded } = mergeChange(current, change);
+          if (outcome === 'stale') {
+            result.stale++;
+            continue;
+          }
+          if (outcome === 'merge') {
+            result.conflicts.push({ kept: stored, discarded: discarded! });
+          }
+
+          await this.run(
+            `INSERT INTO sync_rows (team_id, table_name, row_key, op, data, vector, replica_id, changed_at, seq, author_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(team_id, table_name, row_key) DO UPDATE SET
+               op = excluded.op, data = excluded.data, vector = excluded.vector,
+               replica_id = excluded.replica_id, changed_at = excluded.changed_at, seq = excluded.seq,
+               author_id = excluded.author_id`,
+            [
+              teamId, stored.table, stored.rowKey, stored.op, JSON.stringify(stored.data), JSON.stringify(stored.vector),
+              stored.replicaId, stored.changedAt, ++seq, stored.authorId || null
+            ]
+          );
+          result.accepted++;
+        }
+        await this.run('COMMIT');
+      } catch (error) {
+        await this.run('ROLLBACK').catch(() => undefined);
+        throw error;
+      }
+
+      result.cursor = seq;
+      return result;
+    });
+
+    this.writeQueue = task.then(() => undefined, () => undefined);
+    return task;
+  }
+
+  async pullChanges(teamId: string, since: number, limit: number): Promise<PullResponse> {
+    const rows = await this.all(
+      `SELECT * FROM sync_rows WHERE team_id = ? AND seq > ? ORDER BY seq LIMIT ?`,
+      [teamId, since, limit + 1]
+    );
+    const page = rows.slice(0, limit);
+
+    return {
+      changes: page.map(row => this.parseRow(row)),
+      cursor: page.length > 0 ? page[page.length - 1].seq : since,
+      hasMore: rows.length > limit
+    };
+  }
+
+  /**
+   * The pushing member's role and own rules from the team's synced rows
+   */
+  private async getActor(teamId: string, memberId: string): Promise<SyncActor> {
+    const members = await this.all(
+      `SELECT row_key, data FROM sync_rows WHERE team_id = ? AND table_name = 'team_members' AND op = 'upsert'`,
+      [teamId]
+    );
+    const roles = new Map<string, TeamRole>(members.map(member => [member.row_key, JSON.parse(member.data).role]));
+    const rules = (await this.all(
+      `SELECT data FROM sync_rows WHERE team_id = ? AND table_name = 'team_permission_rules' AND op = 'upsert'`,
+      [teamId]
+    ))
+      .map(row => JSON.parse(row.data))
+      .filter(data => data.subject_type === 'user' && data.subject_id === memberId)
+      .sort((a, b) => a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0)
+      .map(data => this.parseRule(data));
+    return {
+      memberId,
+      role: roles.get(memberId) ?? null,
+      teamHasAdmin: [...roles.values()].includes('admin'),
+      rules
+    };
+  }
+
+  // Synced rule rows hold timestamps in SQLite's CURRENT_TIMESTAMP format, in UTC
+  private parseRule(data: Record<string, any>): PermissionRule {
+    const toDate = (value: string | null) => value ? new Date(`${value.replace(' ', 'T')}Z`) : undefined;
+    return {
+      id: data.id,
+      resourceType: data.resource_type,
+      resourceId: data.resource_id || undefined,
+      subjectType: data.subject_type,
+      subjectId: data.subject_id,
+      permissions: JSON.parse(data.permissions || '[]'),
+      conditions: data.conditions ? JSON.parse(data.conditions) : undefined,
+      createdBy: data.created_by,
+      createdAt: toDate(data.created_at)!,
+      expiresAt: toDate(data.expires_at),
+      isActive: data.is_active === 1
+    };
+  }
+
+  private validateChanges(changes: any): string | null {
+    if (!Array.isArray(changes)) {
+      return 'changes must be an array';
+    }
+
+    for (const change of changes) {
+      if (!change || !SYNC_TABLES[change.table]) {
+        return `Unknown table: ${change?.table}`;
+      }
+      if (typeof change.rowKey !== 'string' || !['upsert', 'delete'].includes(change.op)
+        || typeof change.replicaId !== 'string' || typeof change.changedAt !== 'string'
+        || !change.data || typeof change.data !== 'object'
+        || !change.vector || typeof change.vector !== 'object'
+        || !Object.values(change.vector).every(counter => Number.isInteger(counter) && (counter as number) > 0)) {
+        return `Malformed change for ${change.table} ${change.rowKey}`;
+      }
+    }
+    return null;
+  }
+
+  private parseRow(row: any): SyncChange {
+    return {
+      table: row.table_name,
+      rowKey: row.row_key,
+      op: row.op,
+      data: JSON.parse(row.data || '{}'),
+      vector: JSON.parse(row.vector),
+      replicaId: row.replica_id,
+      changedAt: row.changed_at,
+      authorId: row.author_id || undefined
+    };
+  }
+
+  private readBody(req: http.IncomingMessage): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const chunks: Buffer[] = [];
+      let size = 0;
+      req.on('data', (chunk: Buffer) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new RangeError(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  private send(res: http.ServerResponse, status: number, body: unknown): void {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  private run(sql: string, params: any[] = []): Promise<sqlite3.RunResult> {
+    return new Promise((resolve, reject) => {
+      this.db!.run(sql, params, function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  private get(sql: string, params: any[] = []): Promise<any> {
+    return new Promise((resolve, reject) => {
+      this.db!.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+  }
+
+  private all(sql: string, params: any[] = []): Promise<any[]> {
+    return new Promise((resolve, reject) => {
+      this.db!.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+}
+
+export default TeamSyncServer;
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name: string): string | undefined => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  const tokensFile = option('tokens');
+  const tokens = tokensFile ? fs.readFileSync(tokensFile, 'utf8') : process.env.CODECONTEXT_SYNC_TOKENS;
+  if (!tokens) {
+    console.error('Pass --tokens <file> or set CODECONTEXT_SYNC_TOKENS; the server refuses requests without tokens');
+    process.exit(1);
+  }
+
+  const server = new TeamSyncServer({
+    port: option('port') ? Number(option('port')) : undefined,
+    host: option('host'),
+    dbPath: option('db') || 'team-sync.db',
+    tokens: JSON.parse(tokens)
+  });
+
+  server.start().catch(error => {
+    console.error('Failed to start sync server:', error);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as path from 'path';
+import * as fs from 'fs-extra';
+import { AdrRecord, parseMadr, renderMadr } from '../services/adr';
+import { closeEngine, openEngine } from './helpers';
+
+test('renderMadr output parses back to the same record', () => {
+  const record: AdrRecord = {
+    number: 7,
+    title: 'Use Postgres',
+    status: 'superseded',
+    date: new Date('2024-03-01T00:00:00Z'),
+    rationale: 'We need transactions across services.',
+    alternatives: ['MySQL', 'SQLite'],
+    impact: ['Ops runs a database', 'Migrations need review'],
+    filesAffected: ['src/db.ts', 'src/db.ts#connect'],
+    supersededBy: 9,
+    supersedes: [3]
+  };
+  const fileNames = new Map([[3, '0003-use-sqlite.md'], [9, '0009-use-cockroach.md']]);
+  const markdown = renderMadr(record, fileNames);
+  assert.match(markdown, /\* Status: superseded by \[ADR-0009\]\(0009-use-cockroach\.md\)/);
+  assert.deepStrictEqual(parseMadr(markdown, '0007-use-postgres.md'), { ...record, otherMetadata: undefined, otherSections: undefined });
+});
+
+test('parseMadr reads Nygard records and rejects files that are not ADRs', () => {
+  const record = parseMadr('# 2. Record decisions\n\nDate: 2023-05-04\n\n## Status\n\nRejected\n\n## Decision\n\nWe keep ADRs.\n\n## Consequences\n\nMore files.\n', '0002-record.md');
+  assert.strictEqual(record?.title, 'Record decisions');
+  assert.strictEqual(record?.status, 'deprecated');
+  assert.deepStrictEqual(record?.impact, ['More files.']);
+  assert.strictEqual(parseMadr('# Notes\n', 'notes.md'), null);
+});
+
+test('sections without a field survive a parse and render', () => {
+  const markdown = [
+    '# Use Postgres', '', '* Status: accepted', '* Deciders: Ada, Bob', '',
+    '## Context and Problem Statement', '', 'Orders span services.', '',
+    '## Decision Outcome', '', 'Chosen option: Postgres.', '', '### Confirmation', '', 'Load test passes.', '',
+    '## Pros and Cons of the Options', '', '* Good, because it is boring', ''
+  ].join('\n');
+  const record = parseMadr(markdown, '0001-use-postgres.md')!;
+  assert.deepStrictEqual(record.otherMetadata, ['* Deciders: Ada, Bob']);
+  assert.deepStrictEqual(record.otherSections?.map(section => [section.level, section.heading, section.beforeOutcome]), [
+    [2, 'Context and Problem Statement', true],
+    [2, 'Pros and Cons of the Options', false],
+    [3, 'Confirmation', undefined]
+  ]);
+
+  const rendered = renderMadr(record);
+  assert.ok(rendered.indexOf('## Context and Problem Statement') < rendered.indexOf('## Decision Outcome'));
+  assert.ok(rendered.indexOf('### Confirmation') < rendered.indexOf('## Pros and Cons of the Options'));
+  assert.deepStrictEqual(parseMadr(rendered, '0001-use-postgres.md'), record);
+});
+
+test('exporting keeps hand-written sections and re-importing updates anchors', async () => {
+  const engine = await openEngine(undefined, { 'src/db.ts': 'export const db = 1;\n', 'src/pool.ts': 'export const pool = 1;\n' });
+  try {
+    const adrPath = path.join(engine.getProjectPath(), 'docs', 'adr', '0001-use-postgres.md');
+    const original = '# Use Postgres\n\n* Status: accepted\n\n## Decision Drivers\n\n* Transactions\n\n## Decision Outcome\n\nPostgres.\n\n## Affected Files\n\n* `src/db.ts`\n';
+    await fs.outputFile(adrPath, original);
+    await engine.importAdrs();
+    const [decision] = await engine.getDecisions();
+    assert.deepStrictEqual((await engine.getDecisionAnchors(decision.id)).map(anchor => anchor.filePath), [path.join('src', 'db.ts')]);
+
+    await fs.writeFile(adrPath, original.replace('`src/db.ts`', '`src/pool.ts`'));
+    assert.deepStrictEqual(await engine.importAdrs(), { imported: 0, updated: 1 });
+    assert.deepStrictEqual((await engine.getDecisionAnchors(decision.id)).map(anchor => anchor.filePath), [path.join('src', 'pool.ts')]);
+
+    await engine.exportAdrs();
+    assert.match(await fs.readFile(adrPath, 'utf8'), /## Decision Drivers\n\n\* Transactions\n/);
+  } finally {
+    await closeEngine(engine);
+  }
+});
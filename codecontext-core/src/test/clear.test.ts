@@ -0,0 +1,221 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryEngine } from '../services/memoryEngine';
+import { HashingEmbedder } from '../services/embeddings';
+import { closeEngine, createTempProject, openEngine, removeTempProject } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  run(sql: string, params: any[] = []): Promise<any> {
+    return this.runQuery(sql, params);
+  }
+
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+const OLD = '2024-01-01 10:00:00';
+
+/**
+ * One project with an old Claude conversation and decision, a recent GPT
+ * conversation and decision, a pattern, a preference and a file change, all
+ * indexed for search and embedded. Message ids start with the tag so more
+ * than one project can be seeded. Returns the ids involved.
+ */
+async function seed(engine: SqlEngine, tag: string = 'home') {
+  engine.setEmbedder(new HashingEmbedder());
+
+  const oldConversation = await engine.recordConversation('claude', [
+    { id: `${tag}-old-q`, role: 'user', content: 'Should the cache use write-through?', timestamp: new Date() },
+    { id: `${tag}-old-a`, role: 'assistant', content: 'Write-through keeps the cache consistent.', timestamp: new Date() }
+  ]);
+  await engine.summarizeConversation(oldConversation);
+  await engine.recordOutcome(oldConversation, { type: 'code_accepted', description: 'Applied' });
+  await engine.run(`UPDATE conversations SET timestamp = ? WHERE id = ?`, [OLD, oldConversation]);
+  await engine.run(`UPDATE messages SET timestamp = ? WHERE conversation_id = ?`, [OLD, oldConversation]);
+  await engine.run(`UPDATE outcomes SET timestamp = ? WHERE conversation_id = ?`, [OLD, oldConversation]);
+  await engine.trackFileChange('src/cache.ts', 'modified', oldConversation);
+
+  const newConversation = await engine.recordConversation('gpt', [
+    { id: `${tag}-new-q`, role: 'user', content: 'How do we paginate the cache listing?', timestamp: new Date() }
+  ]);
+
+  const oldDecision = await engine.recordArchitecturalDecision({
+    decision: 'Use a write-through cache', rationale: 'Consistency', alternatives: [], impact: [], filesAffected: []
+  }, new Date('2024-01-01T10:00:00Z'));
+  const newDecision = await engine.recordArchitecturalDecision({
+    decision: 'Paginate the cache with cursors', rationale: 'Stable pages', alternatives: [], impact: [], filesAffected: []
+  });
+  await engine.storeCodePattern({ pattern: 'cache.get(key) ?? load(key)', language: 'typescript', context: 'cache lookup', success: true });
+  await engine.setPreference('codingStyle', 'functional');
+
+  return { oldConversation, newConversation, oldDecision, newDecision };
+}
+
+// Rows per table for a project, including its search index and embeddings
+async function counts(engine: SqlEngine, projectId: string = engine.getProjectId()): Promise<Record<string, number>> {
+  const count = async (sql: string) => (await engine.all(sql, [projectId]))[0].n;
+  const inConversations = `conversation_id IN (SELECT id FROM conversations WHERE project_id = ?)`;
+  return {
+    conversations: await count(`SELECT COUNT(*) AS n FROM conversations WHERE project_id = ?`),
+    messages: await count(`SELECT COUNT(*) AS n FROM messages WHERE ${inConversations}`),
+    outcomes: await count(`SELECT COUNT(*) AS n FROM outcomes WHERE ${inConversations}`),
+    decisions: await count(`SELECT COUNT(*) AS n FROM architectural_decisions WHERE project_id = ?`),
+    patterns: await count(`SELECT COUNT(*) AS n FROM code_patterns WHERE project_id = ?`),
+    preferences: await count(`SELECT COUNT(*) AS n FROM user_preferences WHERE project_id = ?`),
+    fileChanges: await count(`SELECT COUNT(*) AS n FROM file_changes WHERE project_id = ?`),
+    search: await count(`SELECT COUNT(*) AS n FROM memory_fts WHERE project_id = ?`),
+    embeddings: await count(`SELECT COUNT(*) AS n FROM embeddings WHERE scope_id = ?`)
+  };
+}
+
+// Search index rows and embeddings must belong to rows that still exist
+async function assertIndexesConsistent(engine: SqlEngine): Promise<void> {
+  const orphans = await engine.all(
+    `SELECT source, ref_id FROM memory_fts
+     WHERE (source = 'message' AND ref_id NOT IN (SELECT id FROM messages))
+        OR (source = 'conversation' AND ref_id NOT IN (SELECT id FROM conversations))
+        OR (source = 'decision' AND ref_id NOT IN (SELECT id FROM architectural_decisions))
+        OR (source = 'pattern' AND ref_id NOT IN (SELECT id FROM code_patterns))
+     UNION ALL
+     SELECT source_type, source_id FROM embeddings
+     WHERE (source_type = 'message' AND source_id NOT IN (SELECT id FROM messages))
+        OR (source_type = 'conversation' AND source_id NOT IN (SELECT id FROM conversations))
+        OR (source_type = 'decision' AND source_id NOT IN (SELECT id FROM architectural_decisions))
+        OR (source_type = 'pattern' AND source_id NOT IN (SELECT id FROM code_patterns))`
+  );
+  assert.deepStrictEqual(orphans, []);
+}
+
+test('clearing one table leaves the others and other projects alone', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  const otherRoot = await createTempProject();
+  try {
+    const home = engine.getProjectId();
+    const other = await engine.registerProject(otherRoot, 'other');
+    await engine.useProject(other.id);
+    await engine.recordArchitecturalDecision({
+      decision: 'Keep the other cache in memory', rationale: 'Small', alternatives: [], impact: [], filesAffected: []
+    });
+    await engine.useProject(home);
+    await seed(engine);
+    const before = await counts(engine);
+    const otherBefore = await counts(engine, other.id);
+
+    await assert.rejects(engine.clearMemory({ table: 'projects' as never }), /Unknown memory table "projects"/);
+    assert.deepStrictEqual(await engine.clearMemory({ table: 'architectural_decisions' }), { architectural_decisions: 2 });
+
+    assert.deepStrictEqual(await counts(engine), { ...before, decisions: 0, search: before.search - 2, embeddings: before.embeddings - 2 });
+    assert.deepStrictEqual(await counts(engine, other.id), otherBefore);
+    assert.deepStrictEqual(await engine.searchMemory('write-through', { sources: ['decision'] }), []);
+    await assertIndexesConsistent(engine);
+  } finally {
+    await closeEngine(engine);
+    await removeTempProject(otherRoot);
+  }
+});
+
+test('a date range clears only rows recorded inside it, with their messages and outcomes', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    const { oldConversation, newConversation, newDecision } = await seed(engine);
+    const before = await counts(engine);
+
+    const result = await engine.clearMemory({ from: new Date('2023-12-01T00:00:00Z'), to: new Date('2024-02-01T00:00:00Z') });
+    assert.deepStrictEqual(result, {
+      conversations: 1,
+      messages: 2,
+      outcomes: 1,
+      embeddings: 1,
+      architectural_decisions: 1,
+      file_changes: 0,
+      code_patterns: 0,
+      commits: 0,
+      file_snapshots: 0
+    });
+
+    assert.deepStrictEqual(await counts(engine), {
+      ...before,
+      conversations: 1,
+      messages: 1,
+      outcomes: 0,
+      decisions: 1,
+      // Two messages, the summary and a decision
+      search: before.search - 4,
+      embeddings: before.embeddings - 4
+    });
+    const remaining = await engine.all(`SELECT id FROM conversations WHERE project_id = ?`, [engine.getProjectId()]);
+    assert.deepStrictEqual(remaining.map(row => row.id), [newConversation]);
+    assert.deepStrictEqual((await engine.getDecisions()).map(decision => decision.id), [newDecision]);
+
+    // File history outlives the conversation that caused it
+    const changes = await engine.all(`SELECT conversation_id FROM file_changes WHERE file_path = 'src/cache.ts'`);
+    assert.deepStrictEqual(changes, [{ conversation_id: null }]);
+    assert.ok(!(await engine.searchMemory('write-through')).some(hit => hit.id === oldConversation));
+    await assertIndexesConsistent(engine);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('clearing one assistant removes only its conversations', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    const { oldConversation } = await seed(engine);
+    const before = await counts(engine);
+
+    assert.deepStrictEqual(await engine.clearMemory({ aiAssistant: 'gpt' }), {
+      conversations: 1,
+      messages: 1,
+      outcomes: 0,
+      embeddings: 0
+    });
+    assert.deepStrictEqual(await counts(engine), {
+      ...before,
+      conversations: 1,
+      messages: 2,
+      search: before.search - 1,
+      embeddings: before.embeddings - 1
+    });
+    const remaining = await engine.all(`SELECT id FROM conversations WHERE project_id = ?`, [engine.getProjectId()]);
+    assert.deepStrictEqual(remaining.map(row => row.id), [oldConversation]);
+    await assertIndexesConsistent(engine);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('clearing another project by id leaves the current one intact', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  const otherRoot = await createTempProject();
+  try {
+    const home = engine.getProjectId();
+    const other = await engine.registerProject(otherRoot, 'other');
+    await engine.useProject(other.id);
+    await seed(engine, 'other');
+    await engine.useProject(home);
+    await seed(engine);
+    const before = await counts(engine);
+
+    await engine.clearMemory({ projectId: other.id });
+    assert.deepStrictEqual(await counts(engine, other.id), {
+      conversations: 0,
+      messages: 0,
+      outcomes: 0,
+      decisions: 0,
+      patterns: 0,
+      preferences: 0,
+      fileChanges: 0,
+      search: 0,
+      embeddings: 0
+    });
+    assert.deepStrictEqual(await counts(engine), before);
+
+    await engine.clearAllMemory();
+    assert.ok(Object.values(await counts(engine)).every(n => n === 0));
+    await assertIndexesConsistent(engine);
+  } finally {
+    await closeEngine(engine);
+    await removeTempProject(otherRoot);
+  }
+});
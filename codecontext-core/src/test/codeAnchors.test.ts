@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { locateSymbol, parseAnchorRef } from '../services/codeAnchors';
+
+const source = [
+  '// retry(3) is called below',
+  'const attempts = retry(3);',
+  'export async function retry(times: number) {',
+  '  return times;',
+  '}',
+  '',
+  'class Client {',
+  '  private timeout = 30;',
+  '  send(body: string): Promise<void> {',
+  '    timeout(body);',
+  '  }',
+  '}'
+].join('\n');
+
+test('locateSymbol finds declarations and skips calls and comments', () => {
+  assert.deepStrictEqual(locateSymbol(source, 'retry'), { start: 2, end: 4 });
+  assert.deepStrictEqual(locateSymbol(source, 'send'), { start: 8, end: 10 });
+  assert.deepStrictEqual(locateSymbol(source, 'timeout'), { start: 7, end: 7 });
+  assert.deepStrictEqual(locateSymbol(source, 'Client'), { start: 6, end: 11 });
+  assert.strictEqual(locateSymbol('retry(3);\nclient.retry(4);\nretry = wrap(retry);\n', 'retry'), null);
+});
+
+test('locateSymbol ends indented blocks at the dedent', () => {
+  const python = 'def retry(times):\n    return times\n\ndef other():\n    pass\n';
+  assert.deepStrictEqual(locateSymbol(python, 'retry'), { start: 0, end: 1 });
+});
+
+test('parseAnchorRef splits the symbol off the path', () => {
+  assert.deepStrictEqual(parseAnchorRef('src/retry.ts#retry'), { filePath: 'src/retry.ts', symbol: 'retry' });
+  assert.deepStrictEqual(parseAnchorRef('src/retry.ts'), { filePath: 'src/retry.ts' });
+});
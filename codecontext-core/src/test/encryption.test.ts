@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { HashingEmbedder } from '../services/embeddings';
+import { ENCRYPTED_PLACEHOLDER, FieldCipher } from '../services/fieldCipher';
+import { MemoryEngine } from '../services/memoryEngine';
+import { TeamMemoryEngine } from '../services/teamMemoryEngine';
+import { closeEngine, openEngine } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+const message = (id: string, content: string) => ({ id, role: 'user' as const, content, timestamp: new Date() });
+
+test('unreadable fields read as a placeholder instead of failing', async () => {
+  const engine = await openEngine();
+  try {
+    engine.setCipher(new FieldCipher(Buffer.alloc(32, 1)));
+    await engine.recordConversation('test', [message('m1', 'Deploy with the blue-green script')]);
+
+    engine.setCipher(null);
+    assert.deepStrictEqual((await engine.getRecentConversations()).map(conv => conv.message), [ENCRYPTED_PLACEHOLDER]);
+    engine.setCipher(new FieldCipher(Buffer.alloc(32, 2)));
+    assert.deepStrictEqual((await engine.getRecentConversations()).map(conv => conv.message), [ENCRYPTED_PLACEHOLDER]);
+    await assert.rejects(engine.exportMemory(), /encryption key/);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('embeddings keep neither a plain hash nor a plain vector of encrypted text', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    engine.setEmbedder(new HashingEmbedder());
+    await engine.recordConversation('test', [message('m1', 'Rotate the staging database password')]);
+    const cipher = new FieldCipher(Buffer.alloc(32, 1));
+    engine.setCipher(cipher);
+    const result = await engine.applyEncryption();
+    assert.strictEqual(result.encrypted, 2);
+
+    const [migrated] = await engine.all(`SELECT vector, content_hash FROM embeddings`);
+    assert.ok(FieldCipher.isEncrypted(migrated.vector));
+    assert.strictEqual(migrated.content_hash, '');
+
+    await engine.recordConversation('test', [message('m2', 'Rotate the production database password')]);
+    const stored = await engine.all(`SELECT vector, content_hash FROM embeddings WHERE source_id = 'm2'`);
+    assert.strictEqual(stored[0].content_hash, cipher.digest('Rotate the production database password'));
+    assert.ok(FieldCipher.isEncrypted(stored[0].vector));
+
+    const hits = await engine.semanticSearch('database password', { sources: ['message'] });
+    assert.deepStrictEqual(hits.map(hit => hit.id).sort(), ['m1', 'm2']);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('bundles carry plaintext and are encrypted again on import', async () => {
+  const source = await openEngine();
+  const target = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    source.setCipher(new FieldCipher(Buffer.alloc(32, 1)));
+    await source.recordConversation('test', [message('m1', 'Cache invalidation happens on publish')]);
+    const bundle = await source.exportMemory();
+    assert.strictEqual(bundle.tables.messages[0].content, 'Cache invalidation happens on publish');
+
+    target.setCipher(new FieldCipher(Buffer.alloc(32, 2)));
+    await target.importMemory(bundle);
+    const [row] = await target.all(`SELECT content FROM messages WHERE id = 'm1'`);
+    assert.ok(FieldCipher.isEncrypted(row.content));
+    assert.deepStrictEqual((await target.getRecentConversations()).map(conv => conv.message), ['Cache invalidation happens on publish']);
+  } finally {
+    await closeEngine(source);
+    await closeEngine(target);
+  }
+});
+
+test('encrypted team memories are still found by keyword', async () => {
+  const engine = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  try {
+    engine.setCipher(new FieldCipher(Buffer.alloc(32, 1)));
+    const memoryId = await engine.createTeamMemory({
+      type: 'best_practice', title: 'Retry with backoff', content: 'Back off exponentially.', context: 'HTTP clients',
+      createdBy: 'alice', tags: [], visibility: 'team_only', metadata: {}
+    });
+
+    const hits = await engine.searchTeamMemories('backoff');
+    assert.deepStrictEqual(hits.map(hit => [hit.id, hit.title]), [[memoryId, 'Retry with backoff']]);
+    assert.strictEqual((await engine.getTeamMemory(memoryId))?.context, 'HTTP clients');
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+class SqlTeamEngine extends TeamMemoryEngine {
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+test('team memory comments are encrypted at rest, re-keyed and synced as plaintext', async () => {
+  const engine = await openEngine(projectPath => new SqlTeamEngine('team-1', projectPath));
+  try {
+    const memoryId = await engine.createTeamMemory({
+      type: 'best_practice', title: 'Retry with backoff', content: 'Back off exponentially.',
+      createdBy: 'alice', tags: [], visibility: 'team_only', metadata: {}
+    });
+    const plainId = await engine.addMemoryComment(memoryId, 'alice', 'Cap the delay at a minute.');
+
+    const comments = () => engine.all(`SELECT content FROM team.team_memory_comments`);
+    const oldKey = Buffer.alloc(32, 1);
+    const oldCipher = new FieldCipher(oldKey);
+    engine.setCipher(oldCipher);
+    await engine.applyEncryption();
+    assert.ok((await comments()).every(row => FieldCipher.isEncrypted(row.content)));
+
+    const encryptedId = await engine.addMemoryComment(memoryId, 'bob', 'Add jitter as well.');
+    const rows = await comments();
+    assert.strictEqual(rows.length, 2);
+    assert.ok(rows.every(row => !oldCipher.needsRewrap(row.content)));
+
+    const cipher = new FieldCipher(Buffer.alloc(32, 2), [oldKey]);
+    engine.setCipher(cipher);
+    await engine.applyEncryption();
+    assert.ok((await comments()).every(row => !cipher.needsRewrap(row.content)));
+    assert.deepStrictEqual(
+      (await engine.getMemoryComments(memoryId)).map(comment => comment.content).sort(),
+      ['Add jitter as well.', 'Cap the delay at a minute.']
+    );
+
+    const synced = (await engine.getPendingChanges()).filter(change => change.table === 'team_memory_comments');
+    assert.deepStrictEqual(
+      synced.map(change => [change.rowKey, change.data.content]).sort(),
+      [[plainId, 'Cap the delay at a minute.'], [encryptedId, 'Add jitter as well.']].sort()
+    );
+  } finally {
+    await closeEngine(engine);
+  }
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as path from 'path';
+import * as fs from 'fs-extra';
+import { MemoryEngine } from '../services/memoryEngine';
+import { closeEngine, openEngine } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+test('a renamed directory is recorded as renames of the files in it', async () => {
+  const engine = await openEngine(undefined, { 'lib/a.ts': 'export const a = 1;\n', 'lib/b.ts': 'export const b = 2;\n' });
+  try {
+    await engine.performInitialScan();
+    await fs.move(path.join(engine.getProjectPath(), 'lib'), path.join(engine.getProjectPath(), 'src'));
+
+    const changes = await engine.syncFileStates(['lib', 'src']);
+    assert.deepStrictEqual(
+      changes.map(change => [change.changeType, change.previousPath, change.filePath]).sort(),
+      [['renamed', path.join('lib', 'a.ts'), path.join('src', 'a.ts')], ['renamed', path.join('lib', 'b.ts'), path.join('src', 'b.ts')]]
+    );
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('empty files are not paired as renames', async () => {
+  const engine = await openEngine(undefined, { 'old.ts': '' });
+  try {
+    await engine.performInitialScan();
+    await fs.remove(path.join(engine.getProjectPath(), 'old.ts'));
+    await fs.outputFile(path.join(engine.getProjectPath(), 'new.ts'), '');
+
+    const changes = await engine.syncFileStates(['old.ts', 'new.ts']);
+    assert.deepStrictEqual(changes.map(change => [change.changeType, change.filePath]).sort(), [['created', 'new.ts'], ['deleted', 'old.ts']]);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('only files a conversation is about count as its code being accepted', async () => {
+  const engine = await openEngine(undefined, { 'retry.ts': 'export {};\n', 'other.ts': 'export {};\n' });
+  try {
+    await engine.performInitialScan();
+    const conversationId = await engine.recordConversation('test', [
+      { id: 'm1', role: 'user', content: 'Add backoff to retry.ts', timestamp: new Date() }
+    ]);
+    await fs.outputFile(path.join(engine.getProjectPath(), 'other.ts'), 'export const other = 1;\n');
+    await engine.syncFileStates(['other.ts'], conversationId);
+    assert.deepStrictEqual(await engine.getOutcomes(conversationId), []);
+
+    await fs.outputFile(path.join(engine.getProjectPath(), 'retry.ts'), 'export const retry = 1;\n');
+    await engine.syncFileStates(['retry.ts'], conversationId);
+    const outcomes = await engine.getOutcomes(conversationId);
+    assert.deepStrictEqual(outcomes.map(outcome => [outcome.type, outcome.filesModified]), [['code_accepted', ['retry.ts']]]);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('a change made for a deleted conversation is recorded without it', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath), { 'retry.ts': 'export {};\n' });
+  try {
+    await engine.trackFileChange('retry.ts', 'modified', 'gone');
+    assert.deepStrictEqual(await engine.all(`SELECT file_path, conversation_id FROM file_changes`), [{ file_path: 'retry.ts', conversation_id: null }]);
+    assert.deepStrictEqual(await engine.all(`SELECT id FROM outcomes`), []);
+  } finally {
+    await closeEngine(engine);
+  }
+});
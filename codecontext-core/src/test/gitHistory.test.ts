@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { execFileSync } from 'child_process';
+import * as path from 'path';
+import * as fs from 'fs-extra';
+import { MemoryEngine } from '../services/memoryEngine';
+import { compileDecisionPatterns, GitCommit, isGitRepository, proposeDecision, readGitLog } from '../services/gitHistory';
+import { closeEngine, createTempProject, openEngine, removeTempProject } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+function git(cwd: string, args: string[], date?: string): string {
+  return execFileSync('git', ['-c', 'user.name=Ada', '-c', 'user.email=ada@example.com', '-c', 'commit.gpgsign=false', ...args], {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+}
+
+// Commit the working tree under src/ with a fixed date so commits order by time
+async function commit(root: string, message: string, date: string, files: Record<string, string | null>): Promise<string> {
+  for (const [filePath, content] of Object.entries(files)) {
+    if (content === null) {
+      await fs.remove(path.join(root, filePath));
+    } else {
+      await fs.outputFile(path.join(root, filePath), content);
+    }
+  }
+  git(root, ['add', '-A', 'src']);
+  git(root, ['commit', '-q', '-m', message], date);
+  return git(root, ['rev-parse', 'HEAD']).trim();
+}
+
+// Four commits: two that record decisions, a rename and a delete
+async function createHistory(root: string): Promise<string[]> {
+  git(root, ['init', '-q']);
+  return [
+    await commit(root, 'Add HTTP client', '2024-01-01T10:00:00Z', {
+      'src/client.ts': 'export const client = 1;\n',
+      'src/legacy.ts': 'export const legacy = 1;\n'
+    }),
+    await commit(
+      root,
+      'arch: replace axios with fetch\n\nFetch is built in and saves a dependency.\n\nSigned-off-by: Ada <ada@example.com>',
+      '2024-01-02T10:00:00Z',
+      { 'src/client.ts': 'export const client = 2;\n' }
+    ),
+    await commit(root, 'Rename client to http', '2024-01-03T10:00:00Z', {
+      'src/client.ts': null,
+      'src/http.ts': 'export const client = 2;\n'
+    }),
+    await commit(root, 'We decided to drop the legacy module', '2024-01-04T10:00:00Z', { 'src/legacy.ts': null })
+  ];
+}
+
+test('readGitLog parses commits newest first with the files they touched', async () => {
+  const root = await createTempProject();
+  try {
+    assert.strictEqual(await isGitRepository(root), false);
+    const shas = await createHistory(root);
+    assert.strictEqual(await isGitRepository(root), true);
+
+    const commits = await readGitLog(root);
+    assert.deepStrictEqual(commits.map(c => c.sha), [...shas].reverse());
+    assert.deepStrictEqual(commits.map(c => c.parents), [[shas[2]], [shas[1]], [shas[0]], []]);
+
+    const [dropped, renamed, decided, first] = commits;
+    assert.strictEqual(decided.authorName, 'Ada');
+    assert.strictEqual(decided.authorEmail, 'ada@example.com');
+    assert.strictEqual(decided.authoredAt.toISOString(), '2024-01-02T10:00:00.000Z');
+    assert.strictEqual(decided.subject, 'arch: replace axios with fetch');
+    assert.strictEqual(decided.body, 'Fetch is built in and saves a dependency.\n\nSigned-off-by: Ada <ada@example.com>');
+
+    assert.deepStrictEqual(first.files, [
+      { filePath: 'src/client.ts', changeType: 'created' },
+      { filePath: 'src/legacy.ts', changeType: 'created' }
+    ]);
+    assert.deepStrictEqual(decided.files, [{ filePath: 'src/client.ts', changeType: 'modified' }]);
+    assert.deepStrictEqual(renamed.files, [{ filePath: 'src/http.ts', changeType: 'renamed', previousPath: 'src/client.ts' }]);
+    assert.deepStrictEqual(dropped.files, [{ filePath: 'src/legacy.ts', changeType: 'deleted' }]);
+
+    assert.deepStrictEqual((await readGitLog(root, { since: shas[1] })).map(c => c.sha), [shas[3], shas[2]]);
+    assert.deepStrictEqual((await readGitLog(root, { maxCount: 1 })).map(c => c.sha), [shas[3]]);
+  } finally {
+    await removeTempProject(root);
+  }
+});
+
+test('proposeDecision turns matching commit messages into proposals', () => {
+  const commit: GitCommit = {
+    sha: 'abcdef1234567890',
+    parents: [],
+    authorName: 'Ada',
+    authorEmail: 'ada@example.com',
+    authoredAt: new Date(),
+    subject: 'decision(api): switch to cursor pagination',
+    body: 'Offsets skip rows under concurrent writes.\n\nCo-authored-by: Bob <bob@example.com>',
+    files: [{ filePath: 'src/api.ts', changeType: 'modified' }]
+  };
+
+  assert.deepStrictEqual(proposeDecision(commit), {
+    decision: 'switch to cursor pagination',
+    rationale: 'Offsets skip rows under concurrent writes.',
+    alternatives: [],
+    impact: ['Commit abcdef1 by Ada'],
+    filesAffected: ['src/api.ts']
+  });
+  // Without a body the subject is the rationale
+  assert.strictEqual(proposeDecision({ ...commit, subject: 'Migrate to Postgres', body: '' })?.rationale, 'Migrate to Postgres');
+  assert.strictEqual(proposeDecision({ ...commit, subject: 'Fix typo in README', body: '' }), null);
+
+  // Custom patterns replace the defaults; invalid ones are skipped
+  const patterns = compileDecisionPatterns(['^perf:', '(unclosed']);
+  assert.strictEqual(patterns.length, 1);
+  assert.strictEqual(proposeDecision(commit, patterns), null);
+  assert.strictEqual(proposeDecision({ ...commit, subject: 'perf: cache parsed configs' }, patterns)?.decision, 'cache parsed configs');
+});
+
+test('importGitHistory records commits, file changes and proposed decisions once', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  const root = engine.getProjectPath();
+  try {
+    await assert.rejects(engine.importGitHistory(), /is not a git repository/);
+    const shas = await createHistory(root);
+
+    assert.deepStrictEqual(await engine.importGitHistory(), { commits: 4, fileChanges: 5, proposedDecisions: 2 });
+
+    const decisions = await engine.getDecisions({ status: ['proposed'] });
+    assert.deepStrictEqual(decisions.map(d => [d.decision, d.source, d.sourceRef]), [
+      ['replace axios with fetch', 'git', shas[1]],
+      ['We decided to drop the legacy module', 'git', shas[3]]
+    ]);
+    assert.strictEqual(decisions[0].rationale, 'Fetch is built in and saves a dependency.');
+    assert.deepStrictEqual(decisions[0].filesAffected, ['src/client.ts']);
+
+    const changes = await engine.all(
+      `SELECT file_path, change_type, previous_path, commit_sha FROM file_changes WHERE project_id = ? ORDER BY timestamp, file_path`,
+      [engine.getProjectId()]
+    );
+    assert.deepStrictEqual(changes.map(c => [c.file_path, c.change_type, c.previous_path, c.commit_sha]), [
+      ['src/client.ts', 'created', null, shas[0]],
+      ['src/legacy.ts', 'created', null, shas[0]],
+      ['src/client.ts', 'modified', null, shas[1]],
+      ['src/http.ts', 'renamed', 'src/client.ts', shas[2]],
+      ['src/legacy.ts', 'deleted', null, shas[3]]
+    ]);
+
+    // Importing again adds nothing; a new commit is picked up on its own
+    assert.deepStrictEqual(await engine.importGitHistory(), { commits: 0, fileChanges: 0, proposedDecisions: 0 });
+    await commit(root, 'Adopt zod for request validation', '2024-01-05T10:00:00Z', { 'src/schema.ts': 'export {};\n' });
+    assert.deepStrictEqual(await engine.importGitHistory(), { commits: 1, fileChanges: 1, proposedDecisions: 1 });
+    assert.deepStrictEqual(await engine.importGitHistory(), { commits: 0, fileChanges: 0, proposedDecisions: 0 });
+
+    const commits = await engine.all(`SELECT sha FROM commits WHERE project_id = ?`, [engine.getProjectId()]);
+    assert.strictEqual(commits.length, 5);
+    assert.strictEqual((await engine.getDecisions()).length, 3);
+  } finally {
+    await closeEngine(engine);
+  }
+});
@@ -0,0 +1,37 @@
+import * as os from 'os';
+import * as path from 'path';
+import * as fs from 'fs-extra';
+import { MemoryEngine } from '../services/memoryEngine';
+
+/**
+ * A throwaway project directory under the OS temp dir
+ */
+export async function createTempProject(files: Record<string, string> = {}): Promise<string> {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'codecontext-test-'));
+  for (const [relativePath, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(root, relativePath), content);
+  }
+  return root;
+}
+
+export async function removeTempProject(root: string): Promise<void> {
+  await fs.remove(root);
+}
+
+/**
+ * Open a MemoryEngine on a fresh project. Close it with closeEngine, which
+ * also removes the project.
+ */
+export async function openEngine<T extends MemoryEngine = MemoryEngine>(
+  create: (projectPath: string) => T = projectPath => new MemoryEngine(projectPath) as T,
+  files?: Record<string, string>
+): Promise<T> {
+  const engine = create(await createTempProject(files));
+  await engine.initialize();
+  return engine;
+}
+
+export async function closeEngine(engine: MemoryEngine): Promise<void> {
+  await engine.close();
+  await removeTempProject(engine.getProjectPath());
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryPermissionsEngine, PermissionDeniedError } from '../services/memoryPermissions';
+import { TeamDashboard } from '../services/teamDashboard';
+import { TeamMemoryEngine } from '../services/teamMemoryEngine';
+import { closeEngine, openEngine } from './helpers';
+
+async function openTeam(): Promise<{ engine: TeamMemoryEngine; permissions: MemoryPermissionsEngine; admin: string; dev: string; observer: string }> {
+  const engine = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  const admin = await engine.addTeamMember({ email: 'ada@example.com', name: 'Ada', role: 'admin', permissions: [] });
+  const dev = await engine.addTeamMember({ email: 'dev@example.com', name: 'Dev', role: 'developer', permissions: [] });
+  const observer = await engine.addTeamMember({ email: 'obs@example.com', name: 'Obs', role: 'observer', permissions: [] });
+  return { engine, permissions: new MemoryPermissionsEngine(engine), admin, dev, observer };
+}
+
+test('role defaults and visibility decide memory access', async () => {
+  const { engine, permissions, admin, dev, observer } = await openTeam();
+  try {
+    const memoryId = await engine.createTeamMemory({
+      type: 'best_practice', title: 'Secret plan', content: 'Only for Dev', createdBy: dev, tags: [], visibility: 'private', metadata: {}
+    });
+
+    assert.strictEqual(await permissions.checkPermission(dev, 'read', 'memory', memoryId), true);
+    assert.strictEqual(await permissions.checkPermission(admin, 'read', 'memory', memoryId), false);
+    assert.strictEqual(await permissions.checkPermission(observer, 'write', 'team'), false);
+    assert.strictEqual(await permissions.checkPermission('stranger', 'read', 'team'), false);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('only admins or moderators change permission rules', async () => {
+  const { engine, permissions, admin, dev, observer } = await openTeam();
+  try {
+    await assert.rejects(
+      permissions.createPermissionRule({
+        resourceType: 'team', subjectType: 'user', subjectId: observer, permissions: [{ action: 'write', granted: true }], createdBy: dev, isActive: true
+      }),
+      PermissionDeniedError
+    );
+    await assert.rejects(
+      permissions.bulkUpdatePermissions([{ userId: observer, resourceType: 'team', permissions: [{ action: 'admin', granted: true }] }], dev),
+      PermissionDeniedError
+    );
+
+    const ruleId = await permissions.createPermissionRule({
+      resourceType: 'team', subjectType: 'user', subjectId: observer, permissions: [{ action: 'write', granted: true }], createdBy: admin, isActive: true
+    });
+    assert.strictEqual(await permissions.checkPermission(observer, 'write', 'team'), true);
+    await assert.rejects(permissions.deletePermissionRule(ruleId, dev), PermissionDeniedError);
+    assert.strictEqual(await permissions.deletePermissionRule(ruleId, admin), true);
+    assert.strictEqual(await permissions.checkPermission(observer, 'write', 'team'), false);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('access requests need another member with rights to grant them', async () => {
+  const { engine, permissions, admin, dev } = await openTeam();
+  try {
+    const devRequest = await permissions.createAccessRequest({ requesterId: dev, resourceType: 'team', requestedPermissions: [{ action: 'admin', granted: true }] });
+    await assert.rejects(permissions.approveAccessRequest(devRequest, dev, 'Dev'), PermissionDeniedError);
+    assert.strictEqual(await permissions.checkPermission(dev, 'admin', 'team'), false);
+
+    const adminRequest = await permissions.createAccessRequest({ requesterId: admin, resourceType: 'team', requestedPermissions: [{ action: 'read', granted: true }] });
+    await assert.rejects(permissions.approveAccessRequest(adminRequest, admin, 'Ada'), PermissionDeniedError);
+
+    assert.strictEqual(await permissions.approveAccessRequest(devRequest, admin, 'Ada'), true);
+    assert.strictEqual(await permissions.checkPermission(dev, 'admin', 'team'), true);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('shares pass on only actions the sharer holds, to other members', async () => {
+  const { engine, permissions, dev, observer } = await openTeam();
+  try {
+    const memoryId = await engine.createTeamMemory({
+      type: 'best_practice', title: 'Draft', content: 'Work in progress', createdBy: dev, tags: [], visibility: 'private', metadata: {}
+    });
+
+    await assert.rejects(permissions.shareMemory(memoryId, dev, [observer], [{ action: 'delete', granted: true }]), PermissionDeniedError);
+    await assert.rejects(permissions.shareMemory(memoryId, dev, [dev], [{ action: 'read', granted: true }]), PermissionDeniedError);
+    assert.strictEqual(await permissions.shareMemory(memoryId, observer, [dev], [{ action: 'read', granted: true }]), false);
+
+    assert.strictEqual(await permissions.shareMemory(memoryId, dev, [observer], [{ action: 'read', granted: true }]), true);
+    assert.strictEqual(await permissions.checkPermission(observer, 'read', 'memory', memoryId), true);
+    assert.strictEqual(await permissions.checkPermission(observer, 'delete', 'memory', memoryId), false);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('dashboard sessions are signed and expire', () => {
+  const dashboard = new TeamDashboard({} as TeamMemoryEngine, 0, {} as MemoryPermissionsEngine, { sessionSecret: 'secret' });
+  const token = dashboard.createSessionToken('member-1');
+  assert.strictEqual(dashboard.verifySessionToken(token), 'member-1');
+
+  const [, expires, signature] = token.split('.');
+  const forged = `${Buffer.from('admin-1').toString('base64url')}.${expires}.${signature}`;
+  assert.strictEqual(dashboard.verifySessionToken(forged), null);
+  assert.strictEqual(dashboard.verifySessionToken('member-1'), null);
+
+  const expired = new TeamDashboard({} as TeamMemoryEngine, 0, {} as MemoryPermissionsEngine, { sessionSecret: 'secret', sessionTtlMs: -1 });
+  assert.strictEqual(expired.verifySessionToken(expired.createSessionToken('member-1')), null);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as path from 'path';
+import { MemoryEngine } from '../services/memoryEngine';
+import { MEMORY_MIGRATIONS } from '../services/migrations';
+import { closeEngine, openEngine } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  run(sql: string, params: any[] = []): Promise<any> {
+    return this.runQuery(sql, params);
+  }
+}
+
+test('memory migrations have unique, increasing versions', () => {
+  const versions = MEMORY_MIGRATIONS.map(migration => migration.version);
+  assert.deepStrictEqual(versions, versions.map((_, i) => i + 1));
+});
+
+test('decisions recorded before anchors existed are anchored by project path', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  const root = engine.getProjectPath();
+  const decisionId = await engine.recordArchitecturalDecision({
+    decision: 'Retry with backoff', rationale: '', alternatives: [], impact: [],
+    filesAffected: [path.join(root, 'src', 'retry.ts') + '#retry', './lib//pool.ts']
+  });
+  // As a version 11 database
+  await engine.run(`DROP TRIGGER decisions_anchors_delete`);
+  await engine.run(`DROP TABLE decision_anchors`);
+  await engine.run(`DELETE FROM schema_version WHERE scope = 'memory' AND version > 11`);
+  await engine.close();
+
+  const reopened = new SqlEngine(root);
+  await reopened.initialize();
+  try {
+    const anchors = await reopened.getDecisionAnchors(decisionId);
+    assert.deepStrictEqual(anchors.map(anchor => [anchor.filePath, anchor.symbol, anchor.hasBaseline]), [
+      [path.join('lib', 'pool.ts'), undefined, false],
+      [path.join('src', 'retry.ts'), 'retry', false]
+    ]);
+  } finally {
+    await closeEngine(reopened);
+  }
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryEngine } from '../services/memoryEngine';
+import { fingerprintPattern, normalizePattern, patternSimilarity } from '../services/patternFingerprint';
+import { closeEngine, openEngine } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  run(sql: string, params: any[] = []): Promise<any> {
+    return this.runQuery(sql, params);
+  }
+
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+const fetchUser = [
+  'async function fetchUser(id) {',
+  '  const response = await fetch(url + id);',
+  '  if (!response.ok) {',
+  '    throw new Error("failed");',
+  '  }',
+  '  return response.json();',
+  '}'
+].join('\n');
+
+// fetchUser renamed, reformatted and commented
+const loadAccount = 'async function loadAccount(key) { /* by key */ const res = await fetch(base + key); // go\n'
+  + 'if (!res.ok) { throw new Error(\'missing\'); } return res.json(); }';
+
+// fetchUser with one more statement; similarity 0.92
+const fetchUserLogged = fetchUser.replace('  if', '  log(response.status);\n  if');
+
+// The same call with a different body; similarity 0.42, below the cluster threshold
+const fetchUserOrNull = [
+  'async function fetchUser(id) {',
+  '  const response = await fetch(url + id);',
+  '  return response.ok ? response.json() : null;',
+  '}'
+].join('\n');
+
+test('normalizePattern keeps keywords and structure and drops names, literals and comments', () => {
+  assert.deepStrictEqual(
+    normalizePattern('const total = price * 2; // doubled\nreturn "sum: " + total;'),
+    ['const', 'ID', '=', 'ID', '*', 'NUM', ';', 'return', 'STR', '+', 'ID', ';']
+  );
+  assert.deepStrictEqual(normalizePattern('/* a\n b */ if (x) { y(`t`); }'), ['if', '(', 'ID', ')', '{', 'ID', '(', 'STR', ')', ';', '}']);
+  assert.deepStrictEqual(normalizePattern('fetch("http://host/path")'), ['ID', '(', 'STR', ')']);
+
+  // Hash comments only in languages that have them
+  assert.deepStrictEqual(normalizePattern('x = 1  # one', 'python'), ['ID', '=', 'NUM']);
+  assert.deepStrictEqual(normalizePattern('x = 1  # one', 'typescript'), ['ID', '=', 'NUM', '#', 'ID']);
+});
+
+test('fingerprintPattern matches renamed and reformatted code in the same language', () => {
+  assert.strictEqual(fingerprintPattern(fetchUser, 'typescript'), fingerprintPattern(loadAccount, 'TypeScript'));
+  assert.notStrictEqual(fingerprintPattern(fetchUser, 'typescript'), fingerprintPattern(fetchUser, 'javascript'));
+  assert.notStrictEqual(fingerprintPattern(fetchUser, 'typescript'), fingerprintPattern(fetchUserLogged, 'typescript'));
+});
+
+test('patternSimilarity compares token trigrams', () => {
+  const tokens = normalizePattern(fetchUser);
+  assert.strictEqual(patternSimilarity(tokens, normalizePattern(loadAccount)), 1);
+  assert.strictEqual(patternSimilarity([], []), 1);
+  assert.strictEqual(patternSimilarity(tokens, []), 0);
+  assert.strictEqual(patternSimilarity(['ID', '('], ['ID', '(']), 1);
+
+  const near = patternSimilarity(tokens, normalizePattern(fetchUserLogged));
+  const related = patternSimilarity(tokens, normalizePattern(fetchUserOrNull));
+  assert.ok(near >= 0.6 && near < 1);
+  assert.ok(related > 0 && related < 0.6);
+});
+
+test('storeCodePattern folds repeats into one row and clusters near-duplicates', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    const store = (pattern: string, success: boolean, language: string = 'typescript') =>
+      engine.storeCodePattern({ pattern, language, context: 'fetch a record', success });
+
+    const id = await store(fetchUser, true);
+    assert.strictEqual(await store(loadAccount, false), id);
+    assert.strictEqual(await store(fetchUser, true), id);
+
+    const loggedId = await store(fetchUserLogged, true);
+    const orNullId = await store(fetchUserOrNull, false);
+    const javascriptId = await store(fetchUser, true, 'javascript');
+    assert.strictEqual(new Set([id, loggedId, orNullId, javascriptId]).size, 4);
+
+    const rows = await engine.all(
+      `SELECT id, cluster_id, frequency, success_count, failure_count FROM code_patterns WHERE project_id = ?`,
+      [engine.getProjectId()]
+    );
+    const byId = new Map(rows.map(row => [row.id, row]));
+    assert.deepStrictEqual(
+      [byId.get(id).frequency, byId.get(id).success_count, byId.get(id).failure_count],
+      [3, 2, 1]
+    );
+    // Above the threshold joins the cluster; below it, or in another language, starts its own
+    assert.strictEqual(byId.get(id).cluster_id, id);
+    assert.strictEqual(byId.get(loggedId).cluster_id, id);
+    assert.strictEqual(byId.get(orNullId).cluster_id, orNullId);
+    assert.strictEqual(byId.get(javascriptId).cluster_id, javascriptId);
+
+    // One entry per cluster, led by its most frequent variant with the cluster's totals
+    const patterns = await engine.getCodePatterns();
+    const summary = patterns.map(pattern => [pattern.id, pattern.frequency, pattern.successCount, pattern.failureCount, pattern.success]);
+    assert.deepStrictEqual(summary[0], [id, 4, 3, 1, true]);
+    assert.strictEqual(patterns[0].pattern, fetchUser);
+    // The single-use clusters tie on frequency
+    assert.deepStrictEqual(
+      summary.slice(1).sort((a, b) => Number(a[0] !== orNullId) - Number(b[0] !== orNullId)),
+      [[orNullId, 1, 0, 1, false], [javascriptId, 1, 1, 0, true]]
+    );
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('patterns stored before fingerprinting are merged with their duplicates on open', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  const root = engine.getProjectPath();
+  const projectId = engine.getProjectId();
+  const id = await engine.storeCodePattern({ pattern: fetchUser, language: 'typescript', context: 'fetch', success: true });
+  // As rows from a version without fingerprints
+  const insertLegacy = `INSERT INTO code_patterns (id, project_id, pattern, context, frequency, language, success_count, failure_count)
+    VALUES (?, ?, ?, '{}', ?, 'typescript', ?, ?)`;
+  await engine.run(insertLegacy, ['legacy-renamed', projectId, loadAccount, 4, 3, 1]);
+  await engine.run(insertLegacy, ['legacy-other', projectId, fetchUserOrNull, 2, 0, 2]);
+  await engine.close();
+
+  const reopened = new SqlEngine(root);
+  await reopened.initialize();
+  try {
+    const rows = await reopened.all(
+      `SELECT id, fingerprint, frequency, success_count, failure_count FROM code_patterns WHERE project_id = ?`,
+      [projectId]
+    );
+    const byId = new Map(rows.map(row => [row.id, row]));
+    assert.deepStrictEqual([...byId.keys()].sort(), [id, 'legacy-other'].sort());
+    assert.deepStrictEqual(
+      [byId.get(id).frequency, byId.get(id).success_count, byId.get(id).failure_count],
+      [5, 4, 1]
+    );
+    assert.strictEqual(byId.get('legacy-other').frequency, 2);
+    assert.strictEqual(byId.get('legacy-other').fingerprint, fingerprintPattern(fetchUserOrNull, 'typescript'));
+  } finally {
+    await closeEngine(reopened);
+  }
+});
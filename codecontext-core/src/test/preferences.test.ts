@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { AIProviderManager } from '../services/aiProviderManager';
+import { MemoryEngine } from '../services/memoryEngine';
+import { ExecutionEngine } from '../services/mockExecutionEngine';
+import { closeEngine, createTempProject, openEngine, removeTempProject } from './helpers';
+
+// Answers every chat with a canned reply and keeps the prompts it was sent
+class RecordingProviderManager extends AIProviderManager {
+  prompts: string[] = [];
+
+  protected async complete(system: string, prompt: string): Promise<string> {
+    this.prompts.push(prompt);
+    return 'Use the retry helper.';
+  }
+}
+
+// Keeps the summaries chats start in the background so the test can wait for them
+class SettlingEngine extends MemoryEngine {
+  summaries: Promise<unknown>[] = [];
+
+  summarizeConversation(conversationId: string, options: { force?: boolean } = {}): Promise<string | null> {
+    const summary = super.summarizeConversation(conversationId, options);
+    this.summaries.push(summary.catch(() => null));
+    return summary;
+  }
+}
+
+test('preferences are set, read, overridden and deleted per project', async () => {
+  const engine = await openEngine();
+  const otherRoot = await createTempProject();
+  try {
+    assert.deepStrictEqual(await engine.getPreferences(), {});
+    assert.strictEqual(await engine.getPreference('codingStyle'), undefined);
+
+    await engine.setPreference('codingStyle', 'functional');
+    await engine.setPreference('forbiddenApis', ['eval', 'document.write']);
+    assert.strictEqual(await engine.getPreference('codingStyle'), 'functional');
+    assert.deepStrictEqual(await engine.getPreference('forbiddenApis'), ['eval', 'document.write']);
+
+    // Setting a key again replaces its value
+    await engine.setPreference('codingStyle', 'object-oriented');
+    assert.deepStrictEqual(await engine.getPreferences(), {
+      codingStyle: 'object-oriented',
+      forbiddenApis: ['eval', 'document.write']
+    });
+
+    // Other projects keep their own preferences
+    const other = await engine.registerProject(otherRoot, 'billing');
+    await engine.setPreference('codingStyle', 'procedural', other.id);
+    assert.deepStrictEqual(await engine.getPreferences(other.id), { codingStyle: 'procedural' });
+    assert.strictEqual(await engine.getPreference('codingStyle'), 'object-oriented');
+
+    assert.strictEqual(await engine.deletePreference('forbiddenApis'), true);
+    assert.strictEqual(await engine.deletePreference('forbiddenApis'), false);
+    assert.deepStrictEqual((await engine.getProjectMemory()).preferences, { codingStyle: 'object-oriented' });
+  } finally {
+    await closeEngine(engine);
+    await removeTempProject(otherRoot);
+  }
+});
+
+test('enhanced chat puts the project preferences in the prompt', async () => {
+  const engine = await openEngine(projectPath => new SettlingEngine(projectPath));
+  try {
+    const manager = new RecordingProviderManager(engine, new ExecutionEngine());
+
+    await manager.enhancedChat({ message: 'How should I retry requests?' });
+    assert.ok(!manager.prompts[0].includes('PROJECT PREFERENCES'));
+
+    await engine.setPreference('codingStyle', 'functional');
+    await engine.setPreference('preferredLibraries', ['axios']);
+    await engine.setPreference('preferredPatterns', ['early return']);
+    await engine.setPreference('forbiddenApis', ['eval']);
+    await engine.setPreference('codingStyle', 'object-oriented');
+
+    await manager.enhancedChat({ message: 'How should I retry requests?' });
+    const prompt = manager.prompts[1];
+    assert.match(prompt, /PROJECT PREFERENCES/);
+    assert.match(prompt, /- Coding Style: object-oriented\n/);
+    assert.match(prompt, /- Preferred Libraries: axios\n/);
+    assert.match(prompt, /- Preferred Patterns: early return\n/);
+    assert.match(prompt, /- NEVER use: eval\n/);
+    assert.ok(!prompt.includes('functional'));
+
+    // Without memory retrieval nothing from the project is added
+    await manager.enhancedChat({ message: 'How should I retry requests?', memoryRetrieval: false });
+    assert.ok(!manager.prompts[2].includes('PROJECT PREFERENCES'));
+  } finally {
+    await Promise.all(engine.summaries);
+    await closeEngine(engine);
+  }
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import * as crypto from 'crypto';
+import * as os from 'os';
+import * as path from 'path';
+import * as fs from 'fs-extra';
+import { MemoryEngine } from '../services/memoryEngine';
+import { closeEngine, createTempProject, openEngine, removeTempProject } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  run(sql: string, params: any[] = []): Promise<any> {
+    return this.runQuery(sql, params);
+  }
+
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+test('a workspace moved before it had an id file can take its memory back', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    const oldRoot = path.join(os.tmpdir(), `codecontext-moved-${crypto.randomBytes(4).toString('hex')}`);
+    const legacyId = crypto.createHash('md5').update(oldRoot).digest('hex').substring(0, 16);
+    await engine.run(`INSERT INTO projects (id, name, root_path) VALUES (?, 'app', ?)`, [legacyId, oldRoot]);
+    await engine.run(`INSERT INTO conversations (id, project_id, ai_assistant) VALUES ('c1', ?, 'test')`, [legacyId]);
+
+    const moved = await engine.findMovedLegacyProject();
+    assert.strictEqual(moved?.id, legacyId);
+
+    const project = await engine.relocateProject(legacyId, engine.getProjectPath());
+    assert.strictEqual(project.rootPath, engine.getProjectPath());
+    assert.strictEqual(engine.getProjectId(), legacyId);
+    assert.deepStrictEqual((await engine.listProjects()).map(p => p.id), [legacyId]);
+    assert.strictEqual((await fs.readFile(path.join(engine.getProjectPath(), '.codecontext', 'project-id'), 'utf8')).trim(), legacyId);
+    assert.strictEqual(await engine.findMovedLegacyProject(), null);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('a file sync under way finishes against the project it started on', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath), { 'a.ts': 'export {};\n' });
+  const firstRoot = engine.getProjectPath();
+  const otherRoot = await createTempProject({ 'a.ts': 'export {};\n' });
+  try {
+    await engine.performInitialScan();
+    const firstId = engine.getProjectId();
+    const other = await engine.registerProject(otherRoot);
+    await fs.outputFile(path.join(firstRoot, 'a.ts'), 'export const a = 1;\n');
+
+    const [changes] = await Promise.all([engine.syncFileStates(['a.ts'], undefined, firstId), engine.useProject(other.id)]);
+    assert.deepStrictEqual(changes.map(change => [change.changeType, change.filePath]), [['modified', 'a.ts']]);
+    assert.deepStrictEqual(await engine.all(`SELECT project_id FROM file_changes WHERE change_type = 'modified'`), [{ project_id: firstId }]);
+
+    // Paths queued for the old project aren't looked up under the new root
+    assert.strictEqual(engine.getProjectId(), other.id);
+    assert.deepStrictEqual(await engine.syncFileStates(['a.ts'], undefined, firstId), []);
+  } finally {
+    await engine.close();
+    await removeTempProject(firstRoot);
+    await removeTempProject(otherRoot);
+  }
+});
+
+test('storeConversation starts a conversation in the project it is given', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  const otherRoot = await createTempProject();
+  try {
+    const home = engine.getProjectId();
+    const other = await engine.registerProject(otherRoot, 'other');
+    const exchange = { message: 'Which queue do we use?', response: 'SQS.', timestamp: new Date() };
+
+    const conversationId = await engine.storeConversation({ ...exchange, projectId: other.id });
+    const inHome = await engine.storeConversation(exchange);
+    // A thread stays in its project whatever project is passed
+    assert.strictEqual(await engine.storeConversation({ ...exchange, projectId: home, conversationId }), conversationId);
+
+    const rows = await engine.all(`SELECT id, project_id FROM conversations`);
+    assert.deepStrictEqual(
+      Object.fromEntries(rows.map(row => [row.id, row.project_id])),
+      { [conversationId]: other.id, [inHome]: home }
+    );
+    const messages = await engine.all(`SELECT COUNT(*) AS n FROM messages WHERE conversation_id = ?`, [conversationId]);
+    assert.strictEqual(messages[0].n, 4);
+    assert.deepStrictEqual((await engine.recall('queue', other.id)).map(memory => memory.conversationId), [conversationId]);
+
+    await assert.rejects(engine.storeConversation({ ...exchange, projectId: 'missing' }), /Project missing not found/);
+    assert.strictEqual(engine.getProjectId(), home);
+  } finally {
+    await closeEngine(engine);
+    await removeTempProject(otherRoot);
+  }
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryEngine } from '../services/memoryEngine';
+import { HashingEmbedder } from '../services/embeddings';
+import { closeEngine, createTempProject, openEngine, removeTempProject } from './helpers';
+
+async function recordRetryMemories(engine: MemoryEngine): Promise<void> {
+  await engine.recordConversation('test', [
+    { id: 'm1', role: 'user', content: 'How should we retry failed HTTP requests?', timestamp: new Date() },
+    { id: 'm2', role: 'assistant', content: 'Retry HTTP requests with exponential backoff and jitter.', timestamp: new Date() }
+  ]);
+  await engine.recordArchitecturalDecision({
+    decision: 'Retry outbound calls with exponential backoff',
+    rationale: 'Backoff keeps a struggling upstream from being flooded',
+    alternatives: ['Fixed delay'],
+    impact: ['Slower failure reporting'],
+    filesAffected: ['src/http.ts']
+  });
+  // Most recent, and unrelated to retries
+  await engine.recordConversation('test', [
+    { id: 'm3', role: 'user', content: 'Rename the settings panel to preferences', timestamp: new Date() }
+  ]);
+}
+
+test('recall without an embedder only returns memories that match the query', async () => {
+  const engine = await openEngine();
+  try {
+    await recordRetryMemories(engine);
+
+    const memories = await engine.recall('retry backoff');
+    assert.ok(memories.length > 0);
+    assert.ok(memories.every(memory => /retry|backoff/i.test(memory.content)));
+    assert.ok(!memories.some(memory => /settings panel/.test(memory.content)));
+    assert.deepStrictEqual(await engine.recall('kubernetes'), []);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('backfillEmbeddings indexes existing memories once an embedder is set', async () => {
+  const engine = await openEngine();
+  try {
+    await recordRetryMemories(engine);
+    assert.strictEqual(await engine.backfillEmbeddings(), 0);
+    assert.deepStrictEqual(await engine.semanticSearch('retry backoff'), []);
+
+    engine.setEmbedder(new HashingEmbedder());
+    // Three messages and one decision
+    assert.strictEqual(await engine.backfillEmbeddings(), 4);
+
+    const hits = await engine.semanticSearch('exponential backoff retry', { sources: ['message', 'decision'], limit: 4 });
+    assert.strictEqual(hits.length, 4);
+    assert.notStrictEqual(hits[0].id, 'm3');
+    assert.strictEqual(hits[hits.length - 1].id, 'm3');
+    assert.ok(hits.every((hit, i) => i === 0 || hits[i - 1].score >= hit.score));
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('hybrid recall ranks by blended score and honours semanticWeight', async () => {
+  const engine = await openEngine();
+  try {
+    engine.setEmbedder(new HashingEmbedder());
+    await recordRetryMemories(engine);
+
+    const memories = await engine.recall('retry with exponential backoff');
+    assert.ok(memories.length > 0);
+    assert.match(memories[0].content, /exponential backoff/);
+    assert.ok(memories.every((memory, i) => i === 0 || memories[i - 1].score >= memory.score));
+
+    // Keyword only: nothing that lacks the terms, however close its vector
+    const keywordOnly = await engine.recall('retry with exponential backoff', undefined, { semanticWeight: 0 });
+    assert.ok(keywordOnly.length > 0);
+    assert.ok(keywordOnly.every(memory => /retry|backoff/i.test(memory.content)));
+
+    // A misspelt query matches no indexed term, only similar vectors
+    assert.deepStrictEqual(await engine.recall('exponentiall backofff', undefined, { semanticWeight: 0 }), []);
+    const vectorOnly = await engine.recall('exponentiall backofff', undefined, { semanticWeight: 1 });
+    assert.ok(vectorOnly.length > 0);
+    assert.match(vectorOnly[0].content, /exponential backoff/);
+
+    assert.strictEqual((await engine.recall('retry backoff', undefined, { limit: 1 })).length, 1);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('recall puts decisions anchored to the given files first', async () => {
+  const engine = await openEngine(undefined, { 'src/settings.ts': 'export function renamePanel() {\n  return 1;\n}\n' });
+  try {
+    await recordRetryMemories(engine);
+    const decisionId = await engine.recordArchitecturalDecision({
+      decision: 'Keep panel names in one module',
+      rationale: 'One place to change labels',
+      alternatives: [],
+      impact: [],
+      filesAffected: ['src/settings.ts']
+    });
+    await engine.anchorDecision(decisionId, [{ filePath: 'src/settings.ts', symbol: 'renamePanel' }]);
+
+    for (const embedder of [null, new HashingEmbedder()]) {
+      engine.setEmbedder(embedder);
+      const memories = await engine.recall('retry backoff', undefined, { files: ['src/settings.ts'] });
+      assert.strictEqual(memories[0].content, 'Keep panel names in one module');
+      assert.deepStrictEqual(memories[0].anchoredFiles, ['src/settings.ts']);
+      assert.ok(memories.slice(1).some(memory => /backoff/.test(memory.content)));
+    }
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('recall across projects merges by score and tags each memory with its project', async () => {
+  const engine = await openEngine();
+  const otherRoot = await createTempProject();
+  try {
+    await recordRetryMemories(engine);
+    const home = engine.getProjectId();
+    const other = await engine.registerProject(otherRoot, 'billing');
+    await engine.useProject(other.id);
+    await engine.recordConversation('test', [
+      { id: 'b1', role: 'user', content: 'Retry invoice webhooks with backoff', timestamp: new Date() }
+    ]);
+    await engine.useProject(home);
+
+    assert.ok(!(await engine.recall('invoice webhooks')).some(memory => /invoice/.test(memory.content)));
+
+    const memories = await engine.recall('retry backoff', undefined, { projectIds: [home, other.id, 'missing'] });
+    const fromOther = memories.filter(memory => memory.projectId === other.id);
+    assert.strictEqual(fromOther.length, 1);
+    assert.strictEqual(fromOther[0].projectName, 'billing');
+    assert.match(fromOther[0].content, /invoice webhooks/);
+    assert.ok(memories.some(memory => memory.projectId === home));
+    assert.ok(memories.every((memory, i) => i === 0 || memories[i - 1].score >= memory.score));
+  } finally {
+    await closeEngine(engine);
+    await removeTempProject(otherRoot);
+  }
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryEngine } from '../services/memoryEngine';
+import { hasRetentionLimits, maxAgeFor } from '../services/retention';
+import { closeEngine, openEngine } from './helpers';
+
+test('maxAgeFor prefers the type limit and honours keepForever', () => {
+  const policy = { maxAgeDays: 30, types: { decisions: { keepForever: true }, patterns: { maxAgeDays: 7 } } };
+  assert.strictEqual(maxAgeFor(policy, 'conversations'), 30);
+  assert.strictEqual(maxAgeFor(policy, 'patterns'), 7);
+  assert.strictEqual(maxAgeFor(policy, 'decisions'), undefined);
+  assert.strictEqual(maxAgeFor({}, 'fileChanges'), undefined);
+});
+
+test('hasRetentionLimits ignores policies that only keep things', () => {
+  assert.strictEqual(hasRetentionLimits({ types: { decisions: { keepForever: true } } }), false);
+  assert.strictEqual(hasRetentionLimits({ maxDatabaseSizeMB: 10 }), true);
+  assert.strictEqual(hasRetentionLimits({ types: { fileChanges: { maxAgeDays: 3 } } }), true);
+});
+
+class SizedEngine extends MemoryEngine {
+  async liveSize(): Promise<number> {
+    const pages = await this.getQuery('PRAGMA page_count');
+    const free = await this.getQuery('PRAGMA freelist_count');
+    const pageSize = await this.getQuery('PRAGMA page_size');
+    return (pages.page_count - free.freelist_count) * pageSize.page_size;
+  }
+}
+
+async function fill(engine: MemoryEngine, conversations: number): Promise<void> {
+  for (let i = 0; i < conversations; i++) {
+    const words = Array.from({ length: 4000 }, (_, n) => `word${i}x${n}`).join(' ');
+    await engine.recordConversation('test', [{ id: `m${i}`, role: 'user', content: words, timestamp: new Date() }]);
+  }
+}
+
+test('size limit archives just enough conversations to get under it', async () => {
+  const engine = await openEngine(projectPath => new SizedEngine(projectPath));
+  try {
+    await fill(engine, 4);
+    const size = await engine.liveSize();
+
+    const report = await engine.pruneMemory({ maxDatabaseSizeMB: (size - 20 * 1024) / (1024 * 1024) }, { dryRun: true });
+    assert.strictEqual(report.sizeLimitUnreachable, false);
+    assert.strictEqual(report.conversationIds.length, 1);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('size limit archives nothing when archiving everything would not meet it', async () => {
+  const engine = await openEngine();
+  try {
+    await fill(engine, 2);
+    const report = await engine.pruneMemory({ maxDatabaseSizeMB: 0.001 });
+    assert.strictEqual(report.sizeLimitUnreachable, true);
+    assert.deepStrictEqual(report.conversationIds, []);
+    assert.ok(await engine.searchMemory('word0x1', { sources: ['message'] }).then(hits => hits.length > 0));
+  } finally {
+    await closeEngine(engine);
+  }
+});
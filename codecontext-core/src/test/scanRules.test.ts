@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { ScanRules } from '../services/scanRules';
+import { createTempProject, removeTempProject } from './helpers';
+
+test('nested .gitignore files are read on load and override shallower ones', async () => {
+  const root = await createTempProject({
+    '.gitignore': '*.gen.ts\nbuild/\n',
+    'lib/.gitignore': '!keep.gen.ts\n',
+    'build/.gitignore': '!*\n'
+  });
+  try {
+    const rules = await ScanRules.load(root);
+    assert.strictEqual(rules.isTrackedFile('src/a.gen.ts'), false);
+    assert.strictEqual(rules.isTrackedFile('lib/keep.gen.ts'), true);
+    assert.strictEqual(rules.isTrackedFile('build/out.ts'), false);
+    assert.strictEqual(rules.isTrackedFile('src/a.ts'), true);
+  } finally {
+    await removeTempProject(root);
+  }
+});
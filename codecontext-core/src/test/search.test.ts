@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryEngine } from '../services/memoryEngine';
+import { closeEngine, openEngine } from './helpers';
+
+class QueryEngine extends MemoryEngine {
+  ftsQuery(query: string, operator: 'AND' | 'OR' = 'OR'): string {
+    return this.buildFtsQuery(query, operator);
+  }
+}
+
+test('buildFtsQuery quotes terms and joins them with the operator', () => {
+  const engine = new QueryEngine('/tmp/unused');
+  assert.strictEqual(engine.ftsQuery('retry backoff'), '"retry" OR "backoff"');
+  assert.strictEqual(engine.ftsQuery('retry backoff', 'AND'), '"retry" AND "backoff"');
+});
+
+test('buildFtsQuery keeps phrases and prefixes and strips FTS syntax', () => {
+  const engine = new QueryEngine('/tmp/unused');
+  assert.strictEqual(engine.ftsQuery('"connection pool" retr*'), '"connection pool" OR "retr"*');
+  assert.strictEqual(engine.ftsQuery('user.name NEAR(x)'), '"user name" OR "NEAR x"');
+  assert.strictEqual(engine.ftsQuery('-- () ""'), '');
+});
+
+test('searchMemory ranks matches and highlights snippets', async () => {
+  const engine = await openEngine();
+  try {
+    await engine.recordConversation('test', [
+      { id: 'm1', role: 'user', content: 'How should we retry failed HTTP requests?', timestamp: new Date() },
+      { id: 'm2', role: 'assistant', content: 'Use exponential backoff when you retry HTTP requests.', timestamp: new Date() }
+    ]);
+    await engine.recordConversation('test', [
+      { id: 'm3', role: 'user', content: 'Rename the settings panel', timestamp: new Date() }
+    ]);
+
+    const hits = await engine.searchMemory('retry backoff', { sources: ['message'], highlight: { open: '[', close: ']' } });
+    assert.strictEqual(hits.length, 2);
+    // The message matching both terms ranks first
+    assert.match(hits[0].snippet, /\[backoff\]/);
+    assert.ok(hits[0].rank <= hits[1].rank);
+
+    assert.strictEqual((await engine.searchMemory('retry backoff', { sources: ['message'], matchAll: true })).length, 1);
+    assert.deepStrictEqual(await engine.searchMemory('kubernetes'), []);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('messages copied into a branch are found once, through their originals', async () => {
+  const engine = await openEngine();
+  try {
+    const conversationId = await engine.recordConversation('test', [
+      { id: 'm1', role: 'user', content: 'Should the cache use write-through?', timestamp: new Date() },
+      { id: 'm2', role: 'assistant', content: 'Write-through keeps reads consistent.', timestamp: new Date() }
+    ]);
+    const branchId = await engine.branchConversation(conversationId, 'm2');
+    await engine.branchConversation(branchId, (await engine.getThread(branchId))!.messages[0].id);
+
+    const hits = await engine.searchMemory('write-through', { sources: ['message'] });
+    assert.deepStrictEqual(hits.map(hit => hit.id).sort(), ['m1', 'm2']);
+  } finally {
+    await closeEngine(engine);
+  }
+});
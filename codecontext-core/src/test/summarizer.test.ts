@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { ExtractiveSummarizer } from '../services/summarizer';
+import { closeEngine, openEngine } from './helpers';
+
+test('extractive summaries fall back to the opening message when there is no prose', async () => {
+  const summary = await new ExtractiveSummarizer().summarize([
+    { role: 'user', content: '```ts\nfoo()\n```' },
+    { role: 'assistant', content: 'ok' }
+  ]);
+  assert.strictEqual(summary, 'User: ```ts foo() ```');
+});
+
+test('an empty provider summary falls back to an extractive one', async () => {
+  const engine = await openEngine();
+  try {
+    engine.setSummarizer({ id: 'provider:test', summarize: async () => '  ' });
+    const conversationId = await engine.recordConversation('test', [
+      { id: 'm1', role: 'user', content: 'How should we retry failed HTTP requests?', timestamp: new Date() }
+    ]);
+    assert.strictEqual(await engine.summarizeConversation(conversationId), 'User: How should we retry failed HTTP requests?');
+  } finally {
+    await closeEngine(engine);
+  }
+});
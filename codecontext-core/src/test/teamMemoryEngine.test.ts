@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { TeamMemoryEngine, TeamMemoryInput } from '../services/teamMemoryEngine';
+import { closeEngine, openEngine } from './helpers';
+
+class SqlTeamEngine extends TeamMemoryEngine {
+  run(sql: string, params: any[] = []): Promise<any> {
+    return this.runQuery(sql, params);
+  }
+
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+function openTeamEngine(): Promise<SqlTeamEngine> {
+  return openEngine(projectPath => new SqlTeamEngine('team-1', projectPath));
+}
+
+function memory(overrides: Partial<TeamMemoryInput> = {}): TeamMemoryInput {
+  return {
+    type: 'best_practice',
+    title: 'Retry with backoff',
+    content: 'Retry failed HTTP requests with exponential backoff.',
+    createdBy: 'alice',
+    tags: ['http'],
+    visibility: 'team_only',
+    metadata: {},
+    ...overrides
+  };
+}
+
+test('TeamMemoryEngine stores, finds and revises team memories', async () => {
+  const engine = await openTeamEngine();
+  try {
+    const memoryId = await engine.createTeamMemory(memory());
+
+    const hits = await engine.searchTeamMemories('backoff');
+    assert.deepStrictEqual(hits.map(hit => hit.id), [memoryId]);
+
+    const revision = await engine.updateTeamMemory(memoryId, { title: 'Retry with jittered backoff' }, 'bob');
+    assert.strictEqual(revision, 2);
+    const stored = await engine.getTeamMemory(memoryId);
+    assert.strictEqual(stored?.title, 'Retry with jittered backoff');
+
+    const revisions = await engine.getMemoryRevisions(memoryId);
+    const diff = await engine.diffRevisions(memoryId, revisions[0].id);
+    assert.deepStrictEqual(diff.fields.map(field => field.field), ['title']);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('TeamMemoryEngine logs local edits for sync', async () => {
+  const engine = await openTeamEngine();
+  try {
+    await engine.addTeamMember({ email: 'alice@example.com', name: 'Alice', role: 'admin', permissions: [] });
+    await engine.createTeamMemory(memory());
+
+    const pending = await engine.getPendingChanges();
+    assert.deepStrictEqual([...new Set(pending.map(change => change.table))].sort(), ['team_members', 'team_memories', 'team_memory_revisions']);
+    const replicaId = await engine.getReplicaId();
+    assert.ok(pending.every(change => change.vector[replicaId] === 1));
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('TeamMemoryEngine logs what a private memory collected once it is shared', async () => {
+  const engine = await openTeamEngine();
+  try {
+    const aliceId = await engine.addTeamMember({ email: 'alice@example.com', name: 'Alice', role: 'admin', permissions: [] });
+    const memoryId = await engine.createTeamMemory(memory({ visibility: 'private' }));
+    await engine.updateTeamMemory(memoryId, { content: 'Retry with jittered backoff.' }, aliceId);
+    await engine.voteOnMemory(memoryId, aliceId, 'upvote');
+    const commentId = await engine.addMemoryComment(memoryId, aliceId, 'Cap the delay too.');
+    const local = await engine.getPendingChanges();
+    assert.ok(local.every(change => change.rowKey !== memoryId && change.data.memory_id !== memoryId));
+
+    await engine.updateTeamMemory(memoryId, { visibility: 'team_only' }, aliceId);
+    const shared = (await engine.getPendingChanges()).filter(change => change.rowKey === memoryId || change.data.memory_id === memoryId);
+    assert.deepStrictEqual(shared.map(change => change.table), [
+      'team_memories', 'team_memory_revisions', 'team_memory_revisions', 'team_memory_votes', 'team_memory_comments', 'team_memory_revisions'
+    ]);
+    assert.ok(shared.some(change => change.rowKey === commentId));
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('TeamMemoryEngine refuses to roll back an archived memory', async () => {
+  const engine = await openTeamEngine();
+  try {
+    const memoryId = await engine.createTeamMemory(memory());
+    const [first] = await engine.getMemoryRevisions(memoryId);
+    await engine.updateTeamMemory(memoryId, { title: 'Retry with jitter' }, 'bob');
+    await engine.archiveTeamMemory(memoryId, 'bob');
+
+    await assert.rejects(engine.rollbackTeamMemory(memoryId, first.id, 'bob'), /archived/);
+    assert.strictEqual((await engine.getMemoryRevisions(memoryId)).length, 3);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('TeamMemoryEngine diffs long rewrites without a full table', async () => {
+  const engine = await openTeamEngine();
+  try {
+    const lines = (prefix: string) => Array.from({ length: 1500 }, (_, n) => `${prefix} ${n}`).join('\n');
+    const memoryId = await engine.createTeamMemory(memory({ content: `Intro\n${lines('old')}\nOutro` }));
+    await engine.updateTeamMemory(memoryId, { content: `Intro\n${lines('new')}\nOutro` }, 'bob');
+
+    const [first] = await engine.getMemoryRevisions(memoryId);
+    const diff = await engine.diffRevisions(memoryId, first.id);
+    assert.deepStrictEqual(diff.content[0], { op: 'equal', text: 'Intro' });
+    assert.deepStrictEqual(diff.content[diff.content.length - 1], { op: 'equal', text: 'Outro' });
+    assert.strictEqual(diff.content.filter(line => line.op === 'remove').length, 1500);
+    assert.strictEqual(diff.content.filter(line => line.op === 'add').length, 1500);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('team migration 6 numbers duplicate revisions again', async () => {
+  const engine = await openTeamEngine();
+  const memoryId = await engine.createTeamMemory(memory());
+  await engine.updateTeamMemory(memoryId, { title: 'Retry with jitter' }, 'bob');
+  // As a version 5 database holding two revisions numbered alike
+  await engine.run(`DROP INDEX team.idx_team_memory_revisions_number`);
+  await engine.run(`UPDATE team.team_memory_revisions SET revision = 1, edited_at = CASE change WHEN 'create' THEN '2024-01-01' ELSE '2024-01-02' END`);
+  await engine.run(`DELETE FROM team.schema_version WHERE scope = 'team' AND version = 6`);
+  await engine.close();
+
+  const reopened = new SqlTeamEngine('team-1', engine.getProjectPath());
+  await reopened.initialize();
+  try {
+    const revisions = await reopened.getMemoryRevisions(memoryId);
+    assert.deepStrictEqual(revisions.map(revision => [revision.revision, revision.title]), [[1, 'Retry with backoff'], [2, 'Retry with jitter']]);
+    await assert.rejects(reopened.run(`UPDATE team.team_memory_revisions SET revision = 1`), /UNIQUE/);
+  } finally {
+    await closeEngine(reopened);
+  }
+});
+
+test('TeamMemoryEngine leaves private memories out of unfiltered search and recall', async () => {
+  const engine = await openTeamEngine();
+  try {
+    const shared = await engine.createTeamMemory(memory());
+    const secret = await engine.createTeamMemory(memory({ title: 'My backoff notes', content: 'Check the backoff cap first.', visibility: 'private' }));
+
+    assert.deepStrictEqual((await engine.searchTeamMemories('backoff')).map(hit => hit.id), [shared]);
+    assert.deepStrictEqual((await engine.recallUnified('backoff')).filter(hit => hit.source === 'team').map(hit => hit.id), [shared]);
+    const filtered = await engine.recallUnified('backoff', { teamFilter: async memories => memories });
+    assert.deepStrictEqual(filtered.filter(hit => hit.source === 'team').map(hit => hit.id).sort(), [shared, secret].sort());
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('team tables left in memory.db are moved, also after an interrupted move', async () => {
+  const engine = await openTeamEngine();
+  const copied = await engine.createTeamMemory(memory());
+  const uncopied = await engine.createTeamMemory(memory({ title: 'Cap the delay' }));
+  // As a move that committed one row to the team database, then stopped
+  await engine.run(`CREATE TABLE main.team_memories AS SELECT * FROM team.team_memories`);
+  await engine.run(`DELETE FROM team.team_memories WHERE id = ?`, [uncopied]);
+  await engine.close();
+
+  const reopened = new SqlTeamEngine('team-1', engine.getProjectPath());
+  await reopened.initialize();
+  try {
+    assert.ok(await reopened.getTeamMemory(copied));
+    assert.strictEqual((await reopened.getTeamMemory(uncopied))?.title, 'Cap the delay');
+    assert.deepStrictEqual(await reopened.all(`SELECT name FROM main.sqlite_master WHERE name = 'team_memories'`), []);
+  } finally {
+    await closeEngine(reopened);
+  }
+});
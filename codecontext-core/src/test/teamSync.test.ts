@@ -0,0 +1,266 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryPermissionsEngine } from '../services/memoryPermissions';
+import { TeamMemoryEngine, TeamMemoryInput } from '../services/teamMemoryEngine';
+import { SyncChange, TeamSyncClient, TeamSyncError, checkSyncChange, compareVectors, mergeChange, mergeVectors } from '../services/teamSync';
+import { TeamSyncServer } from '../services/teamSyncServer';
+import { closeEngine, openEngine } from './helpers';
+
+function change(overrides: Partial<SyncChange> = {}): SyncChange {
+  return {
+    table: 'team_memories',
+    rowKey: 'm1',
+    op: 'upsert',
+    data: { id: 'm1', title: 'Retry', tags: '["http"]', visibility: 'team_only' },
+    vector: { a: 1 },
+    replicaId: 'a',
+    changedAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+function memory(createdBy: string, overrides: Partial<TeamMemoryInput> = {}): TeamMemoryInput {
+  return { type: 'best_practice', title: 'Retry with backoff', content: 'Back off exponentially.', createdBy, tags: [], visibility: 'team_only', metadata: {}, ...overrides };
+}
+
+test('compareVectors orders version vectors', () => {
+  assert.strictEqual(compareVectors({ a: 1 }, { a: 1 }), 'equal');
+  assert.strictEqual(compareVectors({ a: 1 }, { a: 2 }), 'before');
+  assert.strictEqual(compareVectors({ a: 2, b: 1 }, { a: 2 }), 'after');
+  assert.strictEqual(compareVectors({ a: 2 }, { a: 1, b: 1 }), 'concurrent');
+  assert.deepStrictEqual(mergeVectors({ a: 2, b: 1 }, { a: 1, c: 3 }), { a: 2, b: 1, c: 3 });
+});
+
+test('mergeChange applies newer changes and settles concurrent ones the same way on both sides', () => {
+  const current = change();
+  assert.strictEqual(mergeChange(null, current).outcome, 'apply');
+  assert.strictEqual(mergeChange(current, change({ vector: { a: 2 } })).outcome, 'apply');
+  assert.strictEqual(mergeChange(change({ vector: { a: 2 } }), current).outcome, 'stale');
+
+  const ours = change({ vector: { a: 2 }, data: { id: 'm1', title: 'Ours', tags: '["http"]' }, changedAt: '2024-01-02T00:00:00.000Z' });
+  const theirs = change({ vector: { a: 1, b: 1 }, replicaId: 'b', data: { id: 'm1', title: 'Theirs', tags: '["retry"]' } });
+  const here = mergeChange(ours, theirs);
+  const there = mergeChange(theirs, ours);
+  assert.strictEqual(here.outcome, 'merge');
+  assert.deepStrictEqual(here.change, there.change);
+  assert.strictEqual(here.change.data.title, 'Ours');
+  assert.strictEqual(here.change.data.tags, '["http","retry"]');
+  assert.deepStrictEqual(here.change.vector, { a: 2, b: 1 });
+});
+
+test('checkSyncChange keeps role changes with admins and private memories local', () => {
+  const member = change({ table: 'team_members', rowKey: 'dev', data: { id: 'dev', name: 'Dev', role: 'developer', permissions: '[]' } });
+  const developer = { memberId: 'dev', role: 'developer' as const, teamHasAdmin: true };
+
+  assert.strictEqual(checkSyncChange(change({ ...member, data: { ...member.data, name: 'Devon' } }), member, developer), null);
+  assert.match(checkSyncChange(change({ ...member, data: { ...member.data, role: 'admin' } }), member, developer)!, /roles/);
+  assert.match(checkSyncChange(change({ ...member, rowKey: 'other' }), member, developer)!, /other members/);
+  assert.strictEqual(checkSyncChange(change({ ...member, data: { ...member.data, role: 'admin' } }), member, { ...developer, role: 'admin' }), null);
+  // Whoever sets up a team adds its first admin
+  assert.strictEqual(checkSyncChange(member, null, { memberId: 'dev', role: null, teamHasAdmin: false }), null);
+
+  assert.match(checkSyncChange(change({ data: { id: 'm1', visibility: 'private' } }), null, developer)!, /Private/);
+});
+
+test('sync server scopes tokens to a team and rejects what a member may not change', async () => {
+  const admin = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  const replica = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  try {
+    const adminId = await admin.addTeamMember({ email: 'ada@example.com', name: 'Ada', role: 'admin', permissions: [] });
+    const devId = await admin.addTeamMember({ email: 'dev@example.com', name: 'Dev', role: 'developer', permissions: [] });
+    const shared = await admin.createTeamMemory(memory(adminId));
+    const secret = await admin.createTeamMemory(memory(adminId, { title: 'Only mine', visibility: 'private' }));
+    assert.ok((await admin.getPendingChanges()).every(pending => pending.data.id !== secret && pending.data.memory_id !== secret));
+
+    const tokens = { 'admin-token': { teamId: 'team-1', memberId: adminId }, 'dev-token': { teamId: 'team-1', memberId: devId }, 'other-token': { teamId: 'team-2', memberId: devId } };
+    const server = new TeamSyncServer({ port: 0, tokens });
+    const serverUrl = `http://127.0.0.1:${await server.start()}`;
+    try {
+      await new TeamSyncClient(admin, { serverUrl, token: 'admin-token' }).sync();
+      await assert.rejects(new TeamSyncClient(replica, { serverUrl, token: 'other-token' }).sync(), (error: TeamSyncError) => error.status === 403);
+      await assert.rejects(new TeamSyncClient(replica, { serverUrl }).sync(), (error: TeamSyncError) => error.status === 401);
+
+      const pulled = await new TeamSyncClient(replica, { serverUrl, token: 'dev-token' }).sync();
+      assert.strictEqual(pulled.rejected, 0);
+      assert.ok(await replica.getTeamMemory(shared));
+      assert.strictEqual(await replica.getTeamMemory(secret), null);
+
+      // A developer promoting themselves is refused by the server and by replicas
+      const promotion = change({ table: 'team_members', rowKey: devId, data: { id: devId, team_id: 'team-1', email: 'dev@example.com', name: 'Dev', role: 'admin', permissions: '[]' }, vector: { rogue: 1 }, replicaId: 'rogue' });
+      const pushed = await server.pushChanges('team-1', devId, [promotion]);
+      assert.strictEqual(pushed.rejected.length, 1);
+      const applied = await replica.applyRemoteChanges([{ ...promotion, authorId: devId }]);
+      assert.strictEqual(applied.rejected, 1);
+      assert.strictEqual((await replica.getTeamMembers()).find(member => member.id === devId)?.role, 'developer');
+    } finally {
+      await server.stop();
+    }
+  } finally {
+    await closeEngine(admin);
+    await closeEngine(replica);
+  }
+});
+
+test('an observer cannot push memory edits, deletes or other members\' votes', async () => {
+  const admin = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  const replica = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  try {
+    const adminId = await admin.addTeamMember({ email: 'ada@example.com', name: 'Ada', role: 'admin', permissions: [] });
+    const observerId = await admin.addTeamMember({ email: 'obs@example.com', name: 'Obs', role: 'observer', permissions: [] });
+    const memoryId = await admin.createTeamMemory(memory(adminId));
+    const server = new TeamSyncServer({ port: 0, tokens: { 'admin-token': { teamId: 'team-1', memberId: adminId } } });
+    const serverUrl = `http://127.0.0.1:${await server.start()}`;
+    try {
+      await new TeamSyncClient(admin, { serverUrl, token: 'admin-token' }).sync();
+      await new TeamSyncClient(replica, { serverUrl, token: 'admin-token' }).sync();
+
+      const edit = change({ rowKey: memoryId, data: { id: memoryId, team_id: 'team-1', title: 'Defaced', tags: '[]', visibility: 'team_only' }, vector: { rogue: 1 }, replicaId: 'rogue' });
+      const removal = change({ rowKey: memoryId, op: 'delete', data: { id: memoryId }, vector: { rogue: 2 }, replicaId: 'rogue' });
+      const forgedVote = change({ table: 'team_memory_votes', rowKey: `${memoryId}:${adminId}`, data: { id: 'v1', memory_id: memoryId, member_id: adminId, vote: -1 }, vector: { rogue: 3 }, replicaId: 'rogue' });
+      const ownVote = change({ table: 'team_memory_votes', rowKey: `${memoryId}:${observerId}`, data: { id: 'v2', memory_id: memoryId, member_id: observerId, vote: 1 }, vector: { rogue: 4 }, replicaId: 'rogue' });
+
+      const pushed = await server.pushChanges('team-1', observerId, [edit, removal, forgedVote, ownVote]);
+      assert.deepStrictEqual(pushed.rejected.map(rejected => rejected.table), ['team_memories', 'team_memories', 'team_memory_votes']);
+      assert.strictEqual(pushed.accepted, 1);
+
+      const applied = await replica.applyRemoteChanges([edit, removal, forgedVote, ownVote].map(pending => ({ ...pending, authorId: observerId })));
+      assert.strictEqual(applied.rejected, 3);
+      assert.strictEqual((await replica.getTeamMemory(memoryId))?.title, 'Retry with backoff');
+
+      // A share granting write lets the observer edit that memory
+      await new MemoryPermissionsEngine(admin).shareMemory(memoryId, adminId, [observerId], [{ action: 'write', granted: true }]);
+      await new TeamSyncClient(admin, { serverUrl, token: 'admin-token' }).sync();
+      await new TeamSyncClient(replica, { serverUrl, token: 'admin-token' }).sync();
+      const shared = { ...edit, vector: { rogue: 5 }, data: { ...edit.data, title: 'Shared edit' } };
+      assert.deepStrictEqual((await server.pushChanges('team-1', observerId, [shared])).rejected, []);
+      assert.strictEqual((await replica.applyRemoteChanges([{ ...shared, authorId: observerId }])).rejected, 0);
+    } finally {
+      await server.stop();
+    }
+  } finally {
+    await closeEngine(admin);
+    await closeEngine(replica);
+  }
+});
+
+test('replicas judge pulled changes by stored members and keep rows inside the team', async () => {
+  const admin = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  const replica = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  try {
+    const adminId = await admin.addTeamMember({ email: 'ada@example.com', name: 'Ada', role: 'admin', permissions: [] });
+    const memoryId = await admin.createTeamMemory(memory(adminId));
+    await admin.voteOnMemory(memoryId, adminId, 'upvote');
+
+    // The vote comes before its memory, so it waits for it
+    const setup = (await admin.getPendingChanges()).reverse().map(({ seq, ...pending }) => ({ ...pending, authorId: adminId }));
+    const bootstrapped = await replica.applyRemoteChanges(setup);
+    assert.strictEqual(bootstrapped.rejected, 0);
+    assert.strictEqual(bootstrapped.applied, setup.length);
+    assert.strictEqual((await replica.getMemoryVotes(memoryId)).length, 1);
+
+    // A member row in the same page doesn't vouch for its own author
+    const evil = change({ table: 'team_members', rowKey: 'evil', data: { id: 'evil', team_id: 'team-1', email: 'evil@example.com', name: 'Evil', role: 'developer', permissions: '[]' }, vector: { rogue: 1 }, replicaId: 'rogue', authorId: 'evil' });
+    const edit = change({ rowKey: memoryId, data: { id: memoryId, team_id: 'team-1', title: 'Defaced', tags: '[]', visibility: 'team_only' }, vector: { rogue: 2 }, replicaId: 'rogue', authorId: 'evil' });
+    assert.strictEqual((await replica.applyRemoteChanges([evil, edit])).rejected, 2);
+    assert.strictEqual((await replica.getTeamMemory(memoryId))?.title, 'Retry with backoff');
+
+    // Votes, comments and revisions only land on this team's memories
+    const stray = change({ table: 'team_memory_votes', rowKey: `elsewhere:${adminId}`, data: { id: 'v9', memory_id: 'elsewhere', member_id: adminId, vote: 'upvote' }, vector: { rogue: 3 }, replicaId: 'rogue', authorId: adminId });
+    assert.strictEqual((await replica.applyRemoteChanges([stray])).applied, 0);
+    assert.deepStrictEqual(await replica.getMemoryVotes('elsewhere'), []);
+  } finally {
+    await closeEngine(admin);
+    await closeEngine(replica);
+  }
+});
+
+test('checkSyncChange limits members to their own shares and requests', () => {
+  const developer = { memberId: 'dev', role: 'developer' as const, teamHasAdmin: true };
+  const share = change({ table: 'team_permission_rules', rowKey: 'r1', data: { id: 'r1', resource_type: 'memory', subject_type: 'user', subject_id: 'obs', created_by: 'dev', is_active: 1 } });
+  assert.strictEqual(checkSyncChange(share, null, developer), null);
+  assert.match(checkSyncChange(change({ ...share, data: { ...share.data, subject_id: 'dev' } }), null, developer)!, /themselves/);
+  assert.match(checkSyncChange(change({ ...share, data: { ...share.data, resource_type: 'team' } }), null, developer)!, /beyond sharing/);
+  assert.match(checkSyncChange(change({ ...share, data: { ...share.data, is_active: 0 } }), change({ ...share, data: { ...share.data, created_by: 'ada' } }), developer)!, /someone else/);
+
+  const request = change({ table: 'team_access_requests', rowKey: 'q1', data: { id: 'q1', requester_id: 'dev', status: 'pending' } });
+  assert.strictEqual(checkSyncChange(request, null, developer), null);
+  assert.match(checkSyncChange(change({ ...request, data: { ...request.data, status: 'approved' } }), request, developer)!, /own access requests/);
+  assert.match(checkSyncChange(change({ ...request, data: { ...request.data, requester_id: 'ada', status: 'approved' } }), null, { ...developer, memberId: 'ada', role: 'admin' })!, /own access requests/);
+  assert.strictEqual(checkSyncChange(change({ ...request, data: { ...request.data, status: 'approved' } }), request, { ...developer, memberId: 'ada', role: 'admin' }), null);
+});
+
+test('revoked permission rules reach other replicas', async () => {
+  const admin = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  const replica = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  try {
+    const adminId = await admin.addTeamMember({ email: 'ada@example.com', name: 'Ada', role: 'admin', permissions: [] });
+    const devId = await admin.addTeamMember({ email: 'dev@example.com', name: 'Dev', role: 'developer', permissions: [] });
+    const server = new TeamSyncServer({ port: 0, tokens: { 'admin-token': { teamId: 'team-1', memberId: adminId }, 'dev-token': { teamId: 'team-1', memberId: devId } } });
+    const serverUrl = `http://127.0.0.1:${await server.start()}`;
+    try {
+      const permissions = new MemoryPermissionsEngine(admin);
+      const ruleId = await permissions.createPermissionRule({
+        resourceType: 'team', subjectType: 'user', subjectId: devId, permissions: [{ action: 'delete', granted: true }], createdBy: adminId, isActive: true
+      });
+      await new TeamSyncClient(admin, { serverUrl, token: 'admin-token' }).sync();
+      await new TeamSyncClient(replica, { serverUrl, token: 'dev-token' }).sync();
+      assert.strictEqual(await new MemoryPermissionsEngine(replica).checkPermission(devId, 'delete', 'team'), true);
+
+      await permissions.deletePermissionRule(ruleId, adminId);
+      await new TeamSyncClient(admin, { serverUrl, token: 'admin-token' }).sync();
+      await new TeamSyncClient(replica, { serverUrl, token: 'dev-token' }).sync();
+      assert.strictEqual((await replica.getPermissionRule(ruleId))?.isActive, false);
+      assert.strictEqual(await new MemoryPermissionsEngine(replica).checkPermission(devId, 'delete', 'team'), false);
+    } finally {
+      await server.stop();
+    }
+  } finally {
+    await closeEngine(admin);
+    await closeEngine(replica);
+  }
+});
+
+test('concurrent edits keep one revision per number and record the merge', async () => {
+  const admin = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  const replica = await openEngine(projectPath => new TeamMemoryEngine('team-1', projectPath));
+  try {
+    const adminId = await admin.addTeamMember({ email: 'ada@example.com', name: 'Ada', role: 'admin', permissions: [] });
+    const devId = await admin.addTeamMember({ email: 'dev@example.com', name: 'Dev', role: 'developer', permissions: [] });
+    const memoryId = await admin.createTeamMemory(memory(devId));
+    const server = new TeamSyncServer({ port: 0, tokens: { 'admin-token': { teamId: 'team-1', memberId: adminId }, 'dev-token': { teamId: 'team-1', memberId: devId } } });
+    const serverUrl = `http://127.0.0.1:${await server.start()}`;
+    try {
+      await new TeamSyncClient(admin, { serverUrl, token: 'admin-token' }).sync();
+      await new TeamSyncClient(replica, { serverUrl, token: 'dev-token' }).sync();
+
+      await admin.updateTeamMemory(memoryId, { title: 'Retry with jitter' }, adminId);
+      await replica.updateTeamMemory(memoryId, { content: 'Back off and cap the delay.' }, devId);
+      await new TeamSyncClient(replica, { serverUrl, token: 'dev-token' }).sync();
+      const synced = await new TeamSyncClient(admin, { serverUrl, token: 'admin-token' }).sync();
+      assert.ok(synced.conflicts > 0);
+
+      // Both replicas numbered their edit 2; the pulled one goes last
+      assert.deepStrictEqual((await admin.getMemoryRevisions(memoryId)).map(revision => [revision.revision, revision.title, revision.content]), [
+        [1, 'Retry with backoff', 'Back off exponentially.'],
+        [2, 'Retry with jitter', 'Back off exponentially.'],
+        [3, 'Retry with backoff', 'Back off and cap the delay.']
+      ]);
+
+      // Merged here rather than by the server, the result is a revision of its own
+      await new TeamSyncClient(replica, { serverUrl, token: 'dev-token' }).sync();
+      await replica.updateTeamMemory(memoryId, { title: 'Retry politely', tags: ['http'] }, devId);
+      await admin.updateTeamMemory(memoryId, { tags: ['network'] }, adminId);
+      const edits = (await admin.getPendingChanges()).map(({ seq, ...pending }) => ({ ...pending, authorId: adminId }));
+      assert.strictEqual((await replica.applyRemoteChanges(edits)).conflicts, 1);
+      const [merged] = (await replica.getMemoryRevisions(memoryId)).filter(revision => revision.change === 'merge');
+      assert.deepStrictEqual(merged.tags, ['http', 'network']);
+      const numbers = (await replica.getMemoryRevisions(memoryId)).map(revision => revision.revision);
+      assert.strictEqual(new Set(numbers).size, numbers.length);
+    } finally {
+      await server.stop();
+    }
+  } finally {
+    await closeEngine(admin);
+    await closeEngine(replica);
+  }
+});
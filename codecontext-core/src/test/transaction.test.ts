@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import * as assert from 'assert';
+import { MemoryEngine } from '../services/memoryEngine';
+import { closeEngine, openEngine } from './helpers';
+
+class SqlEngine extends MemoryEngine {
+  run(sql: string, params: any[] = []): Promise<any> {
+    return this.runQuery(sql, params);
+  }
+
+  all(sql: string, params: any[] = []): Promise<any[]> {
+    return this.allQuery(sql, params);
+  }
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test('writes outside a transaction wait for it instead of joining it', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    await engine.run(`CREATE TABLE notes (body TEXT)`);
+
+    let started!: () => void;
+    const inside = new Promise<void>(resolve => (started = resolve));
+    const failed = engine.transaction(async () => {
+      await engine.run(`INSERT INTO notes (body) VALUES ('rolled back')`);
+      started();
+      await tick();
+      throw new Error('abort');
+    });
+
+    await inside;
+    const outside = engine.run(`INSERT INTO notes (body) VALUES ('kept')`);
+    await assert.rejects(failed, /abort/);
+    await outside;
+
+    const rows = await engine.all(`SELECT body FROM notes`);
+    assert.deepStrictEqual(rows.map(row => row.body), ['kept']);
+  } finally {
+    await closeEngine(engine);
+  }
+});
+
+test('nested transactions roll back to their savepoint', async () => {
+  const engine = await openEngine(projectPath => new SqlEngine(projectPath));
+  try {
+    await engine.run(`CREATE TABLE notes (body TEXT)`);
+    await engine.transaction(async () => {
+      await engine.run(`INSERT INTO notes (body) VALUES ('outer')`);
+      await engine.transaction(async () => {
+        await engine.run(`INSERT INTO notes (body) VALUES ('inner')`);
+        throw new Error('inner failed');
+      }).catch(() => undefined);
+    });
+
+    const rows = await engine.all(`SELECT body FROM notes`);
+    assert.deepStrictEqual(rows.map(row => row.body), ['outer']);
+  } finally {
+    await closeEngine(engine);
+  }
+});